@@ -4,60 +4,136 @@ pragma solidity ^0.8.0;
 /**
  * @title XineteDecentralizedStorage
  * @dev Fully decentralized storage contract for NFT metadata on IPFS
+ * CIDs are stored as the digest and codec of their sha2-256 multihash and hashes as bytes32, so
+ * an entry takes a few fixed-size slots besides its name and image URI.
  */
 contract XineteDecentralizedStorage {
+    // A CID with a sha2-256 multihash: its digest and the multicodec of the content (0x70 dag-pb,
+    // 0x55 raw, ...). A CIDv0 is the dag-pb CIDv1 with the same digest.
+    struct Cid {
+        bytes32 digest;
+        uint32 codec;
+    }
+    
     // Struct to hold metadata information
     struct MetadataInfo {
-        string cid;
-        string hash;
+        Cid cid;
+        bytes32 hash;
+        uint256 timestamp;
+        string nftName;
+        string imageURI;
+    }
+    
+    // Struct to hold one version of a metadata entry
+    struct MetadataVersion {
+        Cid cid;
+        bytes32 hash;
         uint256 timestamp;
         string nftName;
         string imageURI;
+        Cid previousCid;
+    }
+    
+    // A version as stored; codec, timestamp and previousVersionId share one slot
+    struct StoredVersion {
+        bytes32 digest;
+        bytes32 hash;
+        uint32 codec;
+        uint40 timestamp;
+        uint64 previousVersionId;
+        string nftName;
+        string imageURI;
+    }
+    
+    // Registration state of a CID, in one slot. The owner is cleared when the CID is replaced or
+    // removed, but versionId is kept so its history can still be read.
+    struct CidEntry {
+        address owner;
+        uint64 versionId;
+        uint32 index;
     }
     
-    // Mapping from user address to array of their metadata CIDs
-    mapping(address => string[]) private userMetadataCIDs;
+    // Maximum number of entries per storeMetadataBatch call. A batch entry with a short name and
+    // a 66-character image URI costs about 245k gas (see the Gas test), so a full batch uses about
+    // 10M, leaving a 30M block gas limit room for the longer names and URIs that cost more
+    uint256 public constant MAX_BATCH_SIZE = 40;
     
-    // Mapping from hash to CID
-    mapping(string => string) private hashToCID;
+    // Append-only log of every metadata version; version IDs are index + 1 so 0 means "none"
+    StoredVersion[] private metadataVersions;
     
-    // Mapping from CID to owner
-    mapping(string => address) private cidToOwner;
+    // Mapping from CID key (see _cidKey) to its registration state
+    mapping(bytes32 => CidEntry) private cidEntries;
     
-    // Mapping from CID to extended metadata info
-    mapping(string => MetadataInfo) private cidToMetadataInfo;
+    // Mapping from user address to the version IDs of their current metadata, in collection order
+    mapping(address => uint64[]) private userVersionIds;
+    
+    // Mapping from hash to the version registered with it
+    mapping(bytes32 => uint64) private hashToVersionId;
     
     // Events
-    event MetadataStored(address indexed creator, string cid, string hash, string nftName, uint256 timestamp);
-    event MetadataUpdated(address indexed creator, string oldCid, string newCid, string hash);
-    event MetadataRemoved(address indexed creator, string cid);
+    event MetadataStored(address indexed creator, Cid cid, bytes32 hash, string nftName, uint256 timestamp);
+    event MetadataUpdated(address indexed creator, Cid oldCid, Cid newCid, bytes32 hash);
+    event MetadataRemoved(address indexed creator, Cid cid);
     
     /**
      * @dev Store NFT metadata information
      * @param _cid The IPFS CID of the metadata
-     * @param _hash The SHA-256 hash of the metadata CID
+     * @param _hash The SHA-256 hash of the metadata
      * @param _nftName The name of the NFT
      * @param _imageURI The IPFS URI of the NFT image
      */
-    function storeMetadata(string memory _cid, string memory _hash, string memory _nftName, string memory _imageURI) public {
-        require(bytes(_cid).length > 0, "CID cannot be empty");
-        require(bytes(_hash).length > 0, "Hash cannot be empty");
-        require(cidToOwner[_cid] == address(0), "CID already registered");
-        require(bytes(hashToCID[_hash]).length == 0, "Hash already exists");
+    function storeMetadata(Cid calldata _cid, bytes32 _hash, string calldata _nftName, string calldata _imageURI) public {
+        _storeMetadata(_cid, _hash, _nftName, _imageURI);
+    }
+    
+    /**
+     * @dev Store several NFT metadata entries in one transaction
+     * Validation is all-or-nothing: a CID or hash that is already registered, or repeated within
+     * the batch, reverts the whole call. Emits MetadataStored for every entry.
+     * @param _cids The IPFS CIDs of the metadata
+     * @param _hashes The SHA-256 hashes of the metadata
+     * @param _nftNames The names of the NFTs
+     * @param _imageURIs The IPFS URIs of the NFT images
+     */
+    function storeMetadataBatch(
+        Cid[] calldata _cids,
+        bytes32[] calldata _hashes,
+        string[] calldata _nftNames,
+        string[] calldata _imageURIs
+    ) public {
+        uint256 count = _cids.length;
+        require(count > 0, "Batch is empty");
+        require(count <= MAX_BATCH_SIZE, "Batch too large");
+        require(
+            _hashes.length == count && _nftNames.length == count && _imageURIs.length == count,
+            "Array lengths do not match"
+        );
         
-        // Store metadata
-        userMetadataCIDs[msg.sender].push(_cid);
-        hashToCID[_hash] = _cid;
-        cidToOwner[_cid] = msg.sender;
+        // Each entry is checked against state written by the earlier entries, so duplicates
+        // within the batch revert the same way as duplicates of existing entries
+        for (uint256 i = 0; i < count; i++) {
+            _storeMetadata(_cids[i], _hashes[i], _nftNames[i], _imageURIs[i]);
+        }
+    }
+    
+    /**
+     * @dev Validate and store one metadata entry for the caller
+     */
+    function _storeMetadata(Cid calldata _cid, bytes32 _hash, string calldata _nftName, string calldata _imageURI) private {
+        require(_cid.digest != bytes32(0), "CID cannot be empty");
+        require(_hash != bytes32(0), "Hash cannot be empty");
+        bytes32 key = _cidKey(_cid.digest, _cid.codec);
+        require(cidEntries[key].owner == address(0), "CID already registered");
+        require(hashToVersionId[_hash] == 0, "Hash already exists");
         
-        // Store extended metadata info
-        cidToMetadataInfo[_cid] = MetadataInfo({
-            cid: _cid,
-            hash: _hash,
-            timestamp: block.timestamp,
-            nftName: _nftName,
-            imageURI: _imageURI
-        });
+        // Store extended metadata info as the first version
+        uint64 versionId = _recordVersion(_cid, _hash, _nftName, _imageURI, 0);
+        
+        // Store metadata
+        uint64[] storage userVersions = userVersionIds[msg.sender];
+        cidEntries[key] = CidEntry({ owner: msg.sender, versionId: versionId, index: uint32(userVersions.length) });
+        userVersions.push(versionId);
+        hashToVersionId[_hash] = versionId;
         
         emit MetadataStored(msg.sender, _cid, _hash, _nftName, block.timestamp);
     }
@@ -70,42 +146,29 @@ contract XineteDecentralizedStorage {
      * @param _nftName The updated name of the NFT
      * @param _imageURI The updated IPFS URI of the NFT image
      */
-    function updateMetadata(string memory _oldCid, string memory _newCid, string memory _hash, string memory _nftName, string memory _imageURI) public {
-        require(cidToOwner[_oldCid] == msg.sender, "Not the owner of this metadata");
-        require(bytes(_newCid).length > 0, "New CID cannot be empty");
-        require(bytes(_hash).length > 0, "Hash cannot be empty");
-        require(cidToOwner[_newCid] == address(0), "New CID already registered");
-        require(bytes(hashToCID[_hash]).length == 0, "New hash already exists");
-        
-        // Replace the old CID with the new one in the user's array
-        string[] storage userCIDs = userMetadataCIDs[msg.sender];
-        for (uint i = 0; i < userCIDs.length; i++) {
-            if (keccak256(bytes(userCIDs[i])) == keccak256(bytes(_oldCid))) {
-                userCIDs[i] = _newCid;
-                break;
-            }
-        }
+    function updateMetadata(Cid calldata _oldCid, Cid calldata _newCid, bytes32 _hash, string calldata _nftName, string calldata _imageURI) public {
+        CidEntry storage oldEntry = cidEntries[_cidKey(_oldCid.digest, _oldCid.codec)];
+        require(oldEntry.owner == msg.sender, "Not the owner of this metadata");
+        require(_newCid.digest != bytes32(0), "New CID cannot be empty");
+        require(_hash != bytes32(0), "Hash cannot be empty");
+        bytes32 newKey = _cidKey(_newCid.digest, _newCid.codec);
+        require(cidEntries[newKey].owner == address(0), "New CID already registered");
+        require(hashToVersionId[_hash] == 0, "New hash already exists");
         
-        // Remove old hash mapping
-        string memory oldHash = cidToMetadataInfo[_oldCid].hash;
-        delete hashToCID[oldHash];
+        uint64 oldVersionId = oldEntry.versionId;
+        uint32 index = oldEntry.index;
         
-        // Update metadata ownership
-        delete cidToOwner[_oldCid];
-        cidToOwner[_newCid] = msg.sender;
+        // Remove old hash mapping and ownership; the old CID keeps its version for the history
+        delete hashToVersionId[metadataVersions[oldVersionId - 1].hash];
+        oldEntry.owner = address(0);
         
-        // Update hash to CID mapping
-        hashToCID[_hash] = _newCid;
+        // Record the new version, linked to the one it replaces
+        uint64 versionId = _recordVersion(_newCid, _hash, _nftName, _imageURI, oldVersionId);
         
-        // Update extended metadata info
-        delete cidToMetadataInfo[_oldCid];
-        cidToMetadataInfo[_newCid] = MetadataInfo({
-            cid: _newCid,
-            hash: _hash,
-            timestamp: block.timestamp,
-            nftName: _nftName,
-            imageURI: _imageURI
-        });
+        // Replace the old version with the new one in the user's array
+        userVersionIds[msg.sender][index] = versionId;
+        cidEntries[newKey] = CidEntry({ owner: msg.sender, versionId: versionId, index: index });
+        hashToVersionId[_hash] = versionId;
         
         emit MetadataUpdated(msg.sender, _oldCid, _newCid, _hash);
     }
@@ -114,28 +177,29 @@ contract XineteDecentralizedStorage {
      * @dev Remove metadata
      * @param _cid The IPFS CID to remove
      */
-    function removeMetadata(string memory _cid) public {
-        require(cidToOwner[_cid] == msg.sender, "Not the owner of this metadata");
+    function removeMetadata(Cid calldata _cid) public {
+        CidEntry storage entry = cidEntries[_cidKey(_cid.digest, _cid.codec)];
+        require(entry.owner == msg.sender, "Not the owner of this metadata");
         
         // Remove the CID from the user's array
-        string[] storage userCIDs = userMetadataCIDs[msg.sender];
-        for (uint i = 0; i < userCIDs.length; i++) {
-            if (keccak256(bytes(userCIDs[i])) == keccak256(bytes(_cid))) {
-                // Move the last element to the position of the element to delete
-                userCIDs[i] = userCIDs[userCIDs.length - 1];
-                // Remove the last element
-                userCIDs.pop();
-                break;
-            }
+        uint64[] storage userVersions = userVersionIds[msg.sender];
+        uint32 index = entry.index;
+        uint256 lastIndex = userVersions.length - 1;
+        if (index != lastIndex) {
+            // Move the last element to the position of the element to delete
+            uint64 lastVersionId = userVersions[lastIndex];
+            userVersions[index] = lastVersionId;
+            StoredVersion storage last = metadataVersions[lastVersionId - 1];
+            cidEntries[_cidKey(last.digest, last.codec)].index = index;
         }
+        // Remove the last element
+        userVersions.pop();
         
         // Remove hash mapping
-        string memory hash = cidToMetadataInfo[_cid].hash;
-        delete hashToCID[hash];
+        delete hashToVersionId[metadataVersions[entry.versionId - 1].hash];
         
-        // Remove ownership and metadata info
-        delete cidToOwner[_cid];
-        delete cidToMetadataInfo[_cid];
+        // Remove ownership; the version log keeps the history
+        entry.owner = address(0);
         
         emit MetadataRemoved(msg.sender, _cid);
     }
@@ -143,10 +207,11 @@ contract XineteDecentralizedStorage {
     /**
      * @dev Get CID by its hash
      * @param _hash The SHA-256 hash
-     * @return The IPFS CID
+     * @return The IPFS CID, with a zero digest if the hash is not registered
      */
-    function getCIDByHash(string memory _hash) public view returns (string memory) {
-        return hashToCID[_hash];
+    function getCIDByHash(bytes32 _hash) public view returns (Cid memory) {
+        uint64 versionId = hashToVersionId[_hash];
+        return versionId == 0 ? Cid(bytes32(0), 0) : _cidOf(versionId);
     }
     
     /**
@@ -154,8 +219,36 @@ contract XineteDecentralizedStorage {
      * @param _user The user address
      * @return Array of IPFS CIDs
      */
-    function getUserMetadataCIDs(address _user) public view returns (string[] memory) {
-        return userMetadataCIDs[_user];
+    function getUserMetadataCIDs(address _user) public view returns (Cid[] memory) {
+        return _cidsOf(userVersionIds[_user], 0, userVersionIds[_user].length);
+    }
+    
+    /**
+     * @dev Get the number of metadata CIDs for a specific user
+     * @param _user The user address
+     * @return The number of CIDs
+     */
+    function getUserMetadataCount(address _user) public view returns (uint256) {
+        return userVersionIds[_user].length;
+    }
+    
+    /**
+     * @dev Get a page of metadata CIDs for a specific user
+     * @param _user The user address
+     * @param _offset The index of the first CID to return
+     * @param _limit The maximum number of CIDs to return
+     * @return Array of at most _limit IPFS CIDs, empty if _offset is past the end
+     */
+    function getUserMetadataCIDsPaged(address _user, uint256 _offset, uint256 _limit) public view returns (Cid[] memory) {
+        uint64[] storage userVersions = userVersionIds[_user];
+        if (_offset >= userVersions.length) {
+            return new Cid[](0);
+        }
+        
+        // Clamp without computing _offset + _limit, which could overflow
+        uint256 end = _limit > userVersions.length - _offset ? userVersions.length : _offset + _limit;
+        
+        return _cidsOf(userVersions, _offset, end);
     }
     
     /**
@@ -163,8 +256,8 @@ contract XineteDecentralizedStorage {
      * @param _cid The IPFS CID
      * @return The owner address
      */
-    function getMetadataOwner(string memory _cid) public view returns (address) {
-        return cidToOwner[_cid];
+    function getMetadataOwner(Cid calldata _cid) public view returns (address) {
+        return cidEntries[_cidKey(_cid.digest, _cid.codec)].owner;
     }
     
     /**
@@ -172,9 +265,48 @@ contract XineteDecentralizedStorage {
      * @param _cid The IPFS CID
      * @return Metadata information structure
      */
-    function getMetadataInfo(string memory _cid) public view returns (MetadataInfo memory) {
-        require(cidToOwner[_cid] != address(0), "Metadata does not exist");
-        return cidToMetadataInfo[_cid];
+    function getMetadataInfo(Cid calldata _cid) public view returns (MetadataInfo memory) {
+        CidEntry storage entry = cidEntries[_cidKey(_cid.digest, _cid.codec)];
+        require(entry.owner != address(0), "Metadata does not exist");
+        StoredVersion storage version = metadataVersions[entry.versionId - 1];
+        return MetadataInfo({
+            cid: Cid(version.digest, version.codec),
+            hash: version.hash,
+            timestamp: version.timestamp,
+            nftName: version.nftName,
+            imageURI: version.imageURI
+        });
+    }
+    
+    /**
+     * @dev Get the version history of a metadata entry
+     * @param _cid Any CID the entry has had, including replaced and removed ones
+     * @return Versions from the most recent version of _cid back to the first, newest first;
+     * the first version has a previousCid with a zero digest
+     */
+    function getMetadataHistory(Cid calldata _cid) public view returns (MetadataVersion[] memory) {
+        uint64 versionId = cidEntries[_cidKey(_cid.digest, _cid.codec)].versionId;
+        require(versionId != 0, "Metadata does not exist");
+        
+        uint256 count = 0;
+        for (uint64 id = versionId; id != 0; id = metadataVersions[id - 1].previousVersionId) {
+            count++;
+        }
+        
+        MetadataVersion[] memory history = new MetadataVersion[](count);
+        uint256 i = 0;
+        for (uint64 id = versionId; id != 0; id = metadataVersions[id - 1].previousVersionId) {
+            StoredVersion storage version = metadataVersions[id - 1];
+            history[i++] = MetadataVersion({
+                cid: Cid(version.digest, version.codec),
+                hash: version.hash,
+                timestamp: version.timestamp,
+                nftName: version.nftName,
+                imageURI: version.imageURI,
+                previousCid: version.previousVersionId == 0 ? Cid(bytes32(0), 0) : _cidOf(version.previousVersionId)
+            });
+        }
+        return history;
     }
     
     /**
@@ -183,8 +315,53 @@ contract XineteDecentralizedStorage {
      * @param _hash The SHA-256 hash to verify
      * @return True if the CID exists and matches the hash
      */
-    function verifyMetadata(string memory _cid, string memory _hash) public view returns (bool) {
-        return (cidToOwner[_cid] != address(0) && 
-                keccak256(bytes(hashToCID[_hash])) == keccak256(bytes(_cid)));
+    function verifyMetadata(Cid calldata _cid, bytes32 _hash) public view returns (bool) {
+        CidEntry storage entry = cidEntries[_cidKey(_cid.digest, _cid.codec)];
+        return entry.owner != address(0) && hashToVersionId[_hash] == entry.versionId;
+    }
+    
+    /**
+     * @dev Key of a CID in cidEntries; the codec is part of it, so a raw and a dag-pb CID of the
+     * same bytes are different entries
+     */
+    function _cidKey(bytes32 _digest, uint32 _codec) private pure returns (bytes32) {
+        return keccak256(abi.encode(_digest, _codec));
+    }
+    
+    /**
+     * @dev Get the CID of a version
+     */
+    function _cidOf(uint64 _versionId) private view returns (Cid memory) {
+        StoredVersion storage version = metadataVersions[_versionId - 1];
+        return Cid(version.digest, version.codec);
+    }
+    
+    /**
+     * @dev Get the CIDs of a range of version IDs
+     */
+    function _cidsOf(uint64[] storage _versionIds, uint256 _start, uint256 _end) private view returns (Cid[] memory) {
+        Cid[] memory cids = new Cid[](_end - _start);
+        for (uint256 i = _start; i < _end; i++) {
+            cids[i - _start] = _cidOf(_versionIds[i]);
+        }
+        return cids;
+    }
+    
+    /**
+     * @dev Append a version to the log
+     * @param _previousVersionId The version this one replaces, or 0 for a new entry
+     * @return The ID of the new version
+     */
+    function _recordVersion(Cid calldata _cid, bytes32 _hash, string calldata _nftName, string calldata _imageURI, uint64 _previousVersionId) private returns (uint64) {
+        metadataVersions.push(StoredVersion({
+            digest: _cid.digest,
+            hash: _hash,
+            codec: _cid.codec,
+            timestamp: uint40(block.timestamp),
+            previousVersionId: _previousVersionId,
+            nftName: _nftName,
+            imageURI: _imageURI
+        }));
+        return uint64(metadataVersions.length);
     }
 }
@@ -0,0 +1,231 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Enumerable.sol";
+import "@openzeppelin/contracts/token/ERC721/extensions/ERC721Royalty.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+/**
+ * @title XineteNFT
+ * @dev ERC-721 token with ERC-2981 royalties whose tokenURI points at NFT metadata stored on IPFS
+ */
+contract XineteNFT is ERC721Enumerable, ERC721Royalty, Ownable {
+    // Struct to hold metadata information
+    struct MetadataInfo {
+        string cid;
+        string hash;
+        uint256 timestamp;
+        string nftName;
+        string imageURI;
+    }
+
+    // Next token ID to mint (token IDs start at 1 so 0 means "not minted")
+    uint256 private nextTokenId = 1;
+
+    // Mapping from token ID to extended metadata info
+    mapping(uint256 => MetadataInfo) private tokenMetadataInfo;
+
+    // Mapping from CID to token ID
+    mapping(string => uint256) private cidToTokenId;
+
+    // Mapping from hash to CID
+    mapping(string => string) private hashToCID;
+
+    // Events
+    event MetadataMinted(address indexed to, uint256 indexed tokenId, string cid, string hash, string nftName, uint256 timestamp);
+    event MetadataBurned(address indexed owner, uint256 indexed tokenId, string cid);
+
+    /**
+     * @dev Deploy the collection with a default royalty
+     * @param _name The ERC-721 collection name
+     * @param _symbol The ERC-721 collection symbol
+     * @param _royaltyReceiver The address receiving royalties
+     * @param _royaltyFeeNumerator The royalty in basis points (500 = 5%)
+     */
+    constructor(string memory _name, string memory _symbol, address _royaltyReceiver, uint96 _royaltyFeeNumerator) ERC721(_name, _symbol) {
+        if (_royaltyReceiver != address(0)) {
+            _setDefaultRoyalty(_royaltyReceiver, _royaltyFeeNumerator);
+        }
+    }
+
+    /**
+     * @dev Mint a token for NFT metadata to the caller
+     * @param _cid The IPFS CID of the metadata
+     * @param _hash The SHA-256 hash of the metadata CID
+     * @param _nftName The name of the NFT
+     * @param _imageURI The IPFS URI of the NFT image
+     * @return The minted token ID
+     */
+    function storeMetadata(string memory _cid, string memory _hash, string memory _nftName, string memory _imageURI) public returns (uint256) {
+        return _mintMetadata(msg.sender, _cid, _hash, _nftName, _imageURI);
+    }
+
+    /**
+     * @dev Mint a token for NFT metadata to a recipient; only the contract owner can mint to another address
+     * @param _to The recipient of the token
+     * @param _cid The IPFS CID of the metadata
+     * @param _hash The SHA-256 hash of the metadata CID
+     * @param _nftName The name of the NFT
+     * @param _imageURI The IPFS URI of the NFT image
+     * @return The minted token ID
+     */
+    function mint(address _to, string memory _cid, string memory _hash, string memory _nftName, string memory _imageURI) public returns (uint256) {
+        require(_to == msg.sender || msg.sender == owner(), "Only the contract owner can mint to another address");
+        return _mintMetadata(_to, _cid, _hash, _nftName, _imageURI);
+    }
+
+    /**
+     * @dev Migrate metadata registered on XineteDecentralizedStorage to its original owner
+     * @param _to The owner of the metadata on the old contract
+     * @param _cid The IPFS CID of the metadata
+     * @param _hash The SHA-256 hash registered on the old contract
+     * @param _nftName The name of the NFT
+     * @param _imageURI The IPFS URI of the NFT image
+     * @return The minted token ID
+     */
+    function migrateMetadata(address _to, string memory _cid, string memory _hash, string memory _nftName, string memory _imageURI) public onlyOwner returns (uint256) {
+        return _mintMetadata(_to, _cid, _hash, _nftName, _imageURI);
+    }
+
+    /**
+     * @dev Burn a token and release its CID and hash
+     * @param _tokenId The token to burn
+     */
+    function burn(uint256 _tokenId) public {
+        require(_isApprovedOrOwner(msg.sender, _tokenId), "Not the owner or approved for this token");
+
+        address tokenOwner = ownerOf(_tokenId);
+        string memory cid = tokenMetadataInfo[_tokenId].cid;
+
+        _burn(_tokenId);
+
+        emit MetadataBurned(tokenOwner, _tokenId, cid);
+    }
+
+    /**
+     * @dev Set the default royalty for all tokens
+     * @param _receiver The address receiving royalties
+     * @param _feeNumerator The royalty in basis points
+     */
+    function setDefaultRoyalty(address _receiver, uint96 _feeNumerator) public onlyOwner {
+        _setDefaultRoyalty(_receiver, _feeNumerator);
+    }
+
+    /**
+     * @dev Get the metadata URI of a token
+     * @param _tokenId The token ID
+     * @return The ipfs:// URI of the metadata
+     */
+    function tokenURI(uint256 _tokenId) public view override returns (string memory) {
+        _requireMinted(_tokenId);
+        return string(abi.encodePacked("ipfs://", tokenMetadataInfo[_tokenId].cid));
+    }
+
+    /**
+     * @dev Get the token minted for a CID
+     * @param _cid The IPFS CID
+     * @return The token ID, or 0 if the CID is not registered
+     */
+    function getTokenIdByCID(string memory _cid) public view returns (uint256) {
+        return cidToTokenId[_cid];
+    }
+
+    /**
+     * @dev Get CID by its hash
+     * @param _hash The SHA-256 hash
+     * @return The IPFS CID
+     */
+    function getCIDByHash(string memory _hash) public view returns (string memory) {
+        return hashToCID[_hash];
+    }
+
+    /**
+     * @dev Get all metadata CIDs for tokens held by a specific user
+     * @param _user The user address
+     * @return Array of IPFS CIDs
+     */
+    function getUserMetadataCIDs(address _user) public view returns (string[] memory) {
+        uint256 balance = balanceOf(_user);
+        string[] memory cids = new string[](balance);
+        for (uint i = 0; i < balance; i++) {
+            cids[i] = tokenMetadataInfo[tokenOfOwnerByIndex(_user, i)].cid;
+        }
+        return cids;
+    }
+
+    /**
+     * @dev Get owner of a specific metadata CID
+     * @param _cid The IPFS CID
+     * @return The owner address
+     */
+    function getMetadataOwner(string memory _cid) public view returns (address) {
+        uint256 tokenId = cidToTokenId[_cid];
+        return tokenId == 0 ? address(0) : ownerOf(tokenId);
+    }
+
+    /**
+     * @dev Get detailed metadata info
+     * @param _cid The IPFS CID
+     * @return Metadata information structure
+     */
+    function getMetadataInfo(string memory _cid) public view returns (MetadataInfo memory) {
+        uint256 tokenId = cidToTokenId[_cid];
+        require(tokenId != 0, "Metadata does not exist");
+        return tokenMetadataInfo[tokenId];
+    }
+
+    /**
+     * @dev Verify if a CID exists on the blockchain
+     * @param _cid The IPFS CID to verify
+     * @param _hash The SHA-256 hash to verify
+     * @return True if the CID exists and matches the hash
+     */
+    function verifyMetadata(string memory _cid, string memory _hash) public view returns (bool) {
+        return (cidToTokenId[_cid] != 0 &&
+                keccak256(bytes(hashToCID[_hash])) == keccak256(bytes(_cid)));
+    }
+
+    function supportsInterface(bytes4 interfaceId) public view override(ERC721Enumerable, ERC721Royalty) returns (bool) {
+        return super.supportsInterface(interfaceId);
+    }
+
+    function _mintMetadata(address _to, string memory _cid, string memory _hash, string memory _nftName, string memory _imageURI) private returns (uint256) {
+        require(bytes(_cid).length > 0, "CID cannot be empty");
+        require(bytes(_hash).length > 0, "Hash cannot be empty");
+        require(cidToTokenId[_cid] == 0, "CID already registered");
+        require(bytes(hashToCID[_hash]).length == 0, "Hash already exists");
+
+        uint256 tokenId = nextTokenId++;
+
+        cidToTokenId[_cid] = tokenId;
+        hashToCID[_hash] = _cid;
+        tokenMetadataInfo[tokenId] = MetadataInfo({
+            cid: _cid,
+            hash: _hash,
+            timestamp: block.timestamp,
+            nftName: _nftName,
+            imageURI: _imageURI
+        });
+
+        _safeMint(_to, tokenId);
+
+        emit MetadataMinted(_to, tokenId, _cid, _hash, _nftName, block.timestamp);
+
+        return tokenId;
+    }
+
+    function _beforeTokenTransfer(address from, address to, uint256 firstTokenId, uint256 batchSize) internal override(ERC721, ERC721Enumerable) {
+        super._beforeTokenTransfer(from, to, firstTokenId, batchSize);
+    }
+
+    function _burn(uint256 tokenId) internal override(ERC721, ERC721Royalty) {
+        super._burn(tokenId);
+
+        // Release the CID and hash so they can be registered again
+        MetadataInfo storage info = tokenMetadataInfo[tokenId];
+        delete hashToCID[info.hash];
+        delete cidToTokenId[info.cid];
+        delete tokenMetadataInfo[tokenId];
+    }
+}
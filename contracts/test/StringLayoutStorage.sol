@@ -0,0 +1,317 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * @title StringLayoutStorage
+ * @dev XineteDecentralizedStorage as it was before CIDs and hashes were stored in compact form,
+ * with every mapping keyed on CID and hash strings. Deployed only by the tests, to measure the
+ * compact layout against it.
+ */
+contract StringLayoutStorage {
+    // Struct to hold metadata information
+    struct MetadataInfo {
+        string cid;
+        string hash;
+        uint256 timestamp;
+        string nftName;
+        string imageURI;
+    }
+    
+    // Struct to hold one version of a metadata entry
+    struct MetadataVersion {
+        string cid;
+        string hash;
+        uint256 timestamp;
+        string nftName;
+        string imageURI;
+        string previousCid;
+    }
+    
+    // Maximum number of entries per storeMetadataBatch call; at roughly 500k gas per entry with
+    // typical CID, hash, name and image URI lengths, a full batch stays well under a 30M block gas limit
+    uint256 public constant MAX_BATCH_SIZE = 40;
+    
+    // Append-only log of every metadata version; version IDs are index + 1 so 0 means "none"
+    MetadataVersion[] private metadataVersions;
+    
+    // Mapping from version ID to the version it replaced
+    mapping(uint256 => uint256) private previousVersionId;
+    
+    // Mapping from CID to the ID of its most recent version
+    mapping(string => uint256) private cidToVersionId;
+    
+    // Mapping from user address to array of their metadata CIDs
+    mapping(address => string[]) private userMetadataCIDs;
+    
+    // Mapping from CID to its position in the owner's userMetadataCIDs array
+    mapping(string => uint256) private cidToIndex;
+    
+    // Mapping from hash to CID
+    mapping(string => string) private hashToCID;
+    
+    // Mapping from CID to owner
+    mapping(string => address) private cidToOwner;
+    
+    // Events
+    event MetadataStored(address indexed creator, string cid, string hash, string nftName, uint256 timestamp);
+    event MetadataUpdated(address indexed creator, string oldCid, string newCid, string hash);
+    event MetadataRemoved(address indexed creator, string cid);
+    
+    /**
+     * @dev Store NFT metadata information
+     * @param _cid The IPFS CID of the metadata
+     * @param _hash The SHA-256 hash of the metadata CID
+     * @param _nftName The name of the NFT
+     * @param _imageURI The IPFS URI of the NFT image
+     */
+    function storeMetadata(string memory _cid, string memory _hash, string memory _nftName, string memory _imageURI) public {
+        _storeMetadata(_cid, _hash, _nftName, _imageURI);
+    }
+    
+    /**
+     * @dev Store several NFT metadata entries in one transaction
+     * Validation is all-or-nothing: a CID or hash that is already registered, or repeated within
+     * the batch, reverts the whole call. Emits MetadataStored for every entry.
+     * @param _cids The IPFS CIDs of the metadata
+     * @param _hashes The SHA-256 hashes of the metadata CIDs
+     * @param _nftNames The names of the NFTs
+     * @param _imageURIs The IPFS URIs of the NFT images
+     */
+    function storeMetadataBatch(
+        string[] calldata _cids,
+        string[] calldata _hashes,
+        string[] calldata _nftNames,
+        string[] calldata _imageURIs
+    ) public {
+        uint256 count = _cids.length;
+        require(count > 0, "Batch is empty");
+        require(count <= MAX_BATCH_SIZE, "Batch too large");
+        require(
+            _hashes.length == count && _nftNames.length == count && _imageURIs.length == count,
+            "Array lengths do not match"
+        );
+        
+        // Each entry is checked against state written by the earlier entries, so duplicates
+        // within the batch revert the same way as duplicates of existing entries
+        for (uint256 i = 0; i < count; i++) {
+            _storeMetadata(_cids[i], _hashes[i], _nftNames[i], _imageURIs[i]);
+        }
+    }
+    
+    /**
+     * @dev Validate and store one metadata entry for the caller
+     */
+    function _storeMetadata(string memory _cid, string memory _hash, string memory _nftName, string memory _imageURI) private {
+        require(bytes(_cid).length > 0, "CID cannot be empty");
+        require(bytes(_hash).length > 0, "Hash cannot be empty");
+        require(cidToOwner[_cid] == address(0), "CID already registered");
+        require(bytes(hashToCID[_hash]).length == 0, "Hash already exists");
+        
+        // Store metadata
+        cidToIndex[_cid] = userMetadataCIDs[msg.sender].length;
+        userMetadataCIDs[msg.sender].push(_cid);
+        hashToCID[_hash] = _cid;
+        cidToOwner[_cid] = msg.sender;
+        
+        // Store extended metadata info as the first version
+        _recordVersion(_cid, _hash, _nftName, _imageURI, 0);
+        
+        emit MetadataStored(msg.sender, _cid, _hash, _nftName, block.timestamp);
+    }
+    
+    /**
+     * @dev Update NFT metadata with a new CID
+     * @param _oldCid The old IPFS CID
+     * @param _newCid The new IPFS CID
+     * @param _hash The new SHA-256 hash
+     * @param _nftName The updated name of the NFT
+     * @param _imageURI The updated IPFS URI of the NFT image
+     */
+    function updateMetadata(string memory _oldCid, string memory _newCid, string memory _hash, string memory _nftName, string memory _imageURI) public {
+        require(cidToOwner[_oldCid] == msg.sender, "Not the owner of this metadata");
+        require(bytes(_newCid).length > 0, "New CID cannot be empty");
+        require(bytes(_hash).length > 0, "Hash cannot be empty");
+        require(cidToOwner[_newCid] == address(0), "New CID already registered");
+        require(bytes(hashToCID[_hash]).length == 0, "New hash already exists");
+        
+        // Replace the old CID with the new one in the user's array
+        uint256 index = cidToIndex[_oldCid];
+        userMetadataCIDs[msg.sender][index] = _newCid;
+        cidToIndex[_newCid] = index;
+        delete cidToIndex[_oldCid];
+        
+        // Remove old hash mapping
+        uint256 oldVersionId = cidToVersionId[_oldCid];
+        delete hashToCID[metadataVersions[oldVersionId - 1].hash];
+        
+        // Update metadata ownership
+        delete cidToOwner[_oldCid];
+        cidToOwner[_newCid] = msg.sender;
+        
+        // Update hash to CID mapping
+        hashToCID[_hash] = _newCid;
+        
+        // Record the new version, linked to the one it replaces
+        _recordVersion(_newCid, _hash, _nftName, _imageURI, oldVersionId);
+        
+        emit MetadataUpdated(msg.sender, _oldCid, _newCid, _hash);
+    }
+    
+    /**
+     * @dev Remove metadata
+     * @param _cid The IPFS CID to remove
+     */
+    function removeMetadata(string memory _cid) public {
+        require(cidToOwner[_cid] == msg.sender, "Not the owner of this metadata");
+        
+        // Remove the CID from the user's array
+        string[] storage userCIDs = userMetadataCIDs[msg.sender];
+        uint256 index = cidToIndex[_cid];
+        uint256 lastIndex = userCIDs.length - 1;
+        if (index != lastIndex) {
+            // Move the last element to the position of the element to delete
+            string memory lastCid = userCIDs[lastIndex];
+            userCIDs[index] = lastCid;
+            cidToIndex[lastCid] = index;
+        }
+        // Remove the last element
+        userCIDs.pop();
+        delete cidToIndex[_cid];
+        
+        // Remove hash mapping
+        delete hashToCID[metadataVersions[cidToVersionId[_cid] - 1].hash];
+        
+        // Remove ownership; the version log keeps the history
+        delete cidToOwner[_cid];
+        
+        emit MetadataRemoved(msg.sender, _cid);
+    }
+    
+    /**
+     * @dev Get CID by its hash
+     * @param _hash The SHA-256 hash
+     * @return The IPFS CID
+     */
+    function getCIDByHash(string memory _hash) public view returns (string memory) {
+        return hashToCID[_hash];
+    }
+    
+    /**
+     * @dev Get all metadata CIDs for a specific user
+     * @param _user The user address
+     * @return Array of IPFS CIDs
+     */
+    function getUserMetadataCIDs(address _user) public view returns (string[] memory) {
+        return userMetadataCIDs[_user];
+    }
+    
+    /**
+     * @dev Get the number of metadata CIDs for a specific user
+     * @param _user The user address
+     * @return The number of CIDs
+     */
+    function getUserMetadataCount(address _user) public view returns (uint256) {
+        return userMetadataCIDs[_user].length;
+    }
+    
+    /**
+     * @dev Get a page of metadata CIDs for a specific user
+     * @param _user The user address
+     * @param _offset The index of the first CID to return
+     * @param _limit The maximum number of CIDs to return
+     * @return Array of at most _limit IPFS CIDs, empty if _offset is past the end
+     */
+    function getUserMetadataCIDsPaged(address _user, uint256 _offset, uint256 _limit) public view returns (string[] memory) {
+        string[] storage userCIDs = userMetadataCIDs[_user];
+        if (_offset >= userCIDs.length) {
+            return new string[](0);
+        }
+        
+        // Clamp without computing _offset + _limit, which could overflow
+        uint256 end = _limit > userCIDs.length - _offset ? userCIDs.length : _offset + _limit;
+        
+        string[] memory page = new string[](end - _offset);
+        for (uint i = _offset; i < end; i++) {
+            page[i - _offset] = userCIDs[i];
+        }
+        return page;
+    }
+    
+    /**
+     * @dev Get owner of a specific metadata CID
+     * @param _cid The IPFS CID
+     * @return The owner address
+     */
+    function getMetadataOwner(string memory _cid) public view returns (address) {
+        return cidToOwner[_cid];
+    }
+    
+    /**
+     * @dev Get detailed metadata info
+     * @param _cid The IPFS CID
+     * @return Metadata information structure
+     */
+    function getMetadataInfo(string memory _cid) public view returns (MetadataInfo memory) {
+        require(cidToOwner[_cid] != address(0), "Metadata does not exist");
+        MetadataVersion storage version = metadataVersions[cidToVersionId[_cid] - 1];
+        return MetadataInfo({
+            cid: version.cid,
+            hash: version.hash,
+            timestamp: version.timestamp,
+            nftName: version.nftName,
+            imageURI: version.imageURI
+        });
+    }
+    
+    /**
+     * @dev Get the version history of a metadata entry
+     * @param _cid Any CID the entry has had, including replaced and removed ones
+     * @return Versions from the most recent version of _cid back to the first, newest first
+     */
+    function getMetadataHistory(string memory _cid) public view returns (MetadataVersion[] memory) {
+        uint256 versionId = cidToVersionId[_cid];
+        require(versionId != 0, "Metadata does not exist");
+        
+        uint256 count = 0;
+        for (uint256 id = versionId; id != 0; id = previousVersionId[id]) {
+            count++;
+        }
+        
+        MetadataVersion[] memory history = new MetadataVersion[](count);
+        uint256 i = 0;
+        for (uint256 id = versionId; id != 0; id = previousVersionId[id]) {
+            history[i++] = metadataVersions[id - 1];
+        }
+        return history;
+    }
+    
+    /**
+     * @dev Verify if a CID exists on the blockchain
+     * @param _cid The IPFS CID to verify
+     * @param _hash The SHA-256 hash to verify
+     * @return True if the CID exists and matches the hash
+     */
+    function verifyMetadata(string memory _cid, string memory _hash) public view returns (bool) {
+        return (cidToOwner[_cid] != address(0) && 
+                keccak256(bytes(hashToCID[_hash])) == keccak256(bytes(_cid)));
+    }
+    
+    /**
+     * @dev Append a version to the log and make it the CID's most recent version
+     * @param _previousVersionId The version this one replaces, or 0 for a new entry
+     */
+    function _recordVersion(string memory _cid, string memory _hash, string memory _nftName, string memory _imageURI, uint256 _previousVersionId) private {
+        metadataVersions.push(MetadataVersion({
+            cid: _cid,
+            hash: _hash,
+            timestamp: block.timestamp,
+            nftName: _nftName,
+            imageURI: _imageURI,
+            previousCid: _previousVersionId == 0 ? "" : metadataVersions[_previousVersionId - 1].cid
+        }));
+        
+        uint256 versionId = metadataVersions.length;
+        previousVersionId[versionId] = _previousVersionId;
+        cidToVersionId[_cid] = versionId;
+    }
+}
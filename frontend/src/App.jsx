@@ -4,6 +4,10 @@ import { ethers } from 'ethers';
 import Navbar from './components/Navbar';
 import NFTCreate from './components/NFTCreate';
 import NFTCollection from './components/NFTCollection';
+import BatchMint from './components/BatchMint';
+import PinHealthDashboard from './components/PinHealthDashboard';
+import ActivityFeed from './components/ActivityFeed';
+import * as pinHealthService from './services/pinHealthService';
 import { ThemeProvider } from './contexts/ThemeContext';
 
 // Create Blockchain Context
@@ -65,6 +69,16 @@ function App() {
     }
   }, []);
 
+  // Keep the connected user's pins healthy in the background
+  useEffect(() => {
+    if (!isConnected || !userAddress) {
+      return;
+    }
+
+    pinHealthService.startPinHealthMonitor(userAddress);
+    return () => pinHealthService.stopPinHealthMonitor();
+  }, [isConnected, userAddress]);
+
   const connectWallet = async () => {
     if (window.ethereum) {
       try {
@@ -105,7 +119,11 @@ function App() {
             <Navbar />
             <Routes>
               <Route path="/nft/create" element={<NFTCreate />} />
+              <Route path="/nft/batch" element={<BatchMint />} />
               <Route path="/nft/collection" element={<NFTCollection />} />
+              <Route path="/nft/:cid/edit" element={<NFTCreate />} />
+              <Route path="/pins" element={<PinHealthDashboard />} />
+              <Route path="/activity" element={<ActivityFeed />} />
               <Route path="/" element={<Navigate to="/nft/create" replace />} />
             </Routes>
           </div>
@@ -0,0 +1,100 @@
+import { useState, useEffect } from 'react';
+import * as collectionIndexerService from '../services/collectionIndexerService';
+
+// Number of mints shown in the feed
+const FEED_SIZE = 20;
+
+const shortenAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const ActivityFeed = () => {
+    const [mints, setMints] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+
+    // The indexer replays the contract's events, so the feed covers every account, not just the connected one
+    useEffect(() => {
+        let unsubscribe = null;
+        let cancelled = false;
+
+        const loadFeed = async () => {
+            try {
+                setLoading(true);
+                const indexer = await collectionIndexerService.startCollectionIndexer();
+                if (cancelled) {
+                    return;
+                }
+                if (!indexer) {
+                    setError('The activity feed needs the XineteDecentralizedStorage contract and its recorded deployment block');
+                    return;
+                }
+
+                setMints(indexer.getRecentMints(FEED_SIZE));
+                unsubscribe = indexer.subscribe(() => setMints(indexer.getRecentMints(FEED_SIZE)));
+            } catch (err) {
+                console.error('Error loading activity feed:', err);
+                setError(err.message);
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        loadFeed();
+        return () => {
+            cancelled = true;
+            if (unsubscribe) {
+                unsubscribe();
+            }
+        };
+    }, []);
+
+    return (
+        <div className="max-w-5xl mx-auto p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md">
+            <h2 className="text-2xl font-bold mb-6 text-gray-800 dark:text-white">Recent Mints</h2>
+
+            {loading && (
+                <div className="flex justify-center py-8">
+                    <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+                </div>
+            )}
+
+            {error && (
+                <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+            )}
+
+            {!loading && !error && mints.length === 0 && (
+                <p className="text-gray-600 dark:text-gray-300">Nothing has been minted yet.</p>
+            )}
+
+            {!loading && !error && mints.length > 0 && (
+                <div className="overflow-x-auto">
+                    <table className="min-w-full text-sm">
+                        <thead>
+                            <tr className="text-left text-gray-500 dark:text-gray-400">
+                                <th className="py-2 pr-4">Name</th>
+                                <th className="py-2 pr-4">CID</th>
+                                <th className="py-2 pr-4">Creator</th>
+                                <th className="py-2 pr-4">Minted</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {mints.map(mint => (
+                                <tr key={`${mint.transactionHash}-${mint.logIndex}`} className="border-t border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-200">
+                                    <td className="py-2 pr-4">{mint.nftName || 'Untitled'}</td>
+                                    <td className="py-2 pr-4 font-mono text-xs break-all">{mint.cid}</td>
+                                    <td className="py-2 pr-4 font-mono text-xs" title={mint.creator}>{shortenAddress(mint.creator)}</td>
+                                    <td className="py-2 pr-4 text-xs" title={mint.transactionHash}>
+                                        {new Date(mint.timestamp * 1000).toLocaleString()} (block {mint.blockNumber})
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ActivityFeed;
@@ -0,0 +1,398 @@
+import { useState, useContext, useEffect, useRef } from 'react';
+import { BlockchainContext } from '../App';
+import * as ipfsService from '../services/ipfsService';
+import * as blockchainService from '../services/blockchainService';
+import * as batchMintService from '../services/batchMintService';
+import { hashMetadata } from '../services/metadataIntegrity';
+
+const { ITEM_STATUS, JOB_STATUS } = batchMintService;
+
+const STATUS_STYLES = {
+    [ITEM_STATUS.PENDING]: 'bg-gray-100 text-gray-800',
+    [ITEM_STATUS.IMAGE_UPLOADED]: 'bg-blue-100 text-blue-800',
+    [ITEM_STATUS.METADATA_UPLOADED]: 'bg-indigo-100 text-indigo-800',
+    [ITEM_STATUS.REGISTERED]: 'bg-green-100 text-green-800',
+    [ITEM_STATUS.FAILED]: 'bg-red-100 text-red-800'
+};
+
+// Snapshot the job so React re-renders after in-place updates by the runner
+const snapshotJob = (job) => ({ ...job, items: job.items.map(item => ({ ...item })) });
+
+const downloadFile = (content, fileName, type) => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+};
+
+const BatchMint = () => {
+    const { isConnected, userAddress, connectWallet } = useContext(BlockchainContext);
+    const [blockchainReady, setBlockchainReady] = useState(false);
+    const [files, setFiles] = useState(new Map());
+    const [job, setJob] = useState(null);
+    const [resumed, setResumed] = useState(false);
+    const [running, setRunning] = useState(false);
+    const [currentFile, setCurrentFile] = useState(null);
+    const [uploadProgress, setUploadProgress] = useState(0);
+    const [publishing, setPublishing] = useState(false);
+    const storeRef = useRef(null);
+    const abortRef = useRef(null);
+
+    // Initialize services
+    useEffect(() => {
+        const initializeServices = async () => {
+            ipfsService.initializeIPFS({
+                ipfsApiUrl: `http://${import.meta.env.VITE_IPFS_API_HOST}:${import.meta.env.VITE_IPFS_API_PORT}/api/v0`,
+                ipfsGatewayUrl: import.meta.env.VITE_IPFS_GATEWAY
+            });
+
+            if (isConnected) {
+                const initialized = await blockchainService.initializeBlockchain({
+                    rpcUrl: import.meta.env.VITE_BLOCKCHAIN_RPC_URL,
+                    contractAddr: import.meta.env.VITE_CONTRACT_ADDRESS
+                });
+                setBlockchainReady(initialized);
+            } else {
+                setBlockchainReady(false);
+            }
+        };
+
+        storeRef.current = batchMintService.createBatchJobStore();
+        initializeServices();
+    }, [isConnected]);
+
+    const handleFolderChange = (e) => {
+        const images = Array.from(e.target.files || []).filter(file => file.type.startsWith('image/'));
+        setFiles(new Map(images.map(file => [file.name, file])));
+    };
+
+    const handleManifestChange = async (e) => {
+        const manifestFile = e.target.files[0];
+        if (!manifestFile) {
+            return;
+        }
+
+        try {
+            const entries = batchMintService.parseManifest(await manifestFile.text(), manifestFile.name);
+            if (entries.length === 0) {
+                throw new Error('Manifest has no entries');
+            }
+
+            // The same manifest resumes the job saved by an earlier run
+            const id = await batchMintService.createJobId(entries);
+            let saved = null;
+            try {
+                saved = await storeRef.current.get(id);
+            } catch (err) {
+                console.warn('Could not read saved batch jobs:', err);
+            }
+
+            setResumed(Boolean(saved));
+            setJob(saved || batchMintService.createBatchJob(id, entries));
+        } catch (error) {
+            alert(`Error reading manifest: ${error.message}`);
+            console.error(error);
+        }
+    };
+
+    const handleStart = async () => {
+        if (!isConnected) {
+            alert('Please connect your wallet first');
+            return;
+        }
+        if (!blockchainReady) {
+            alert('Blockchain service is not ready');
+            return;
+        }
+
+        const missing = batchMintService.findMissingFiles(job, files);
+        if (missing.length > 0) {
+            alert(`Images missing from the selected folder: ${missing.join(', ')}`);
+            return;
+        }
+
+        const controller = new AbortController();
+        abortRef.current = controller;
+        setRunning(true);
+
+        const isLegacy = blockchainService.getContractType() === blockchainService.CONTRACT_TYPES.LEGACY;
+
+        try {
+            const finished = await batchMintService.runBatchJob({
+                job: snapshotJob(job),
+                files,
+                account: userAddress,
+                store: storeRef.current,
+                signal: controller.signal,
+                services: {
+                    uploadFile: (file) => {
+                        setCurrentFile(file.name);
+                        setUploadProgress(0);
+                        return ipfsService.uploadFileToIPFS(file, setUploadProgress);
+                    },
+                    uploadJSON: ipfsService.uploadJSONToIPFS,
+                    hash: hashMetadata,
+                    register: (item) => {
+                        setCurrentFile(item.file);
+                        return blockchainService.storeMetadata({
+                            cid: item.metadataCid,
+                            hash: item.hash,
+                            nftName: item.name,
+                            imageURI: `ipfs://${item.imageCid}`
+                        });
+                    },
+                    // One wallet confirmation per chunk instead of per item, where the contract supports it
+                    registerBatch: isLegacy ? null : (items, onChunk) => {
+                        setCurrentFile(null);
+                        return blockchainService.storeMetadataBatch(
+                            items.map(item => ({
+                                cid: item.metadataCid,
+                                hash: item.hash,
+                                nftName: item.name,
+                                imageURI: `ipfs://${item.imageCid}`
+                            })),
+                            { onChunk: (receipt, chunk, offset) => onChunk(receipt, items.slice(offset, offset + chunk.length)) }
+                        );
+                    },
+                    getOwner: isLegacy ? null : blockchainService.getMetadataOwner
+                },
+                onProgress: (updated) => setJob(snapshotJob(updated))
+            });
+            setJob(snapshotJob(finished));
+        } catch (error) {
+            alert(`Batch mint stopped: ${error.message}`);
+            console.error(error);
+        } finally {
+            setRunning(false);
+            setCurrentFile(null);
+            abortRef.current = null;
+        }
+    };
+
+    // Upload images/ and metadata/ as one directory so the collection has a single base CID
+    const handlePublishDirectory = async () => {
+        try {
+            setPublishing(true);
+            setUploadProgress(0);
+
+            const entries = batchMintService.buildCollectionDirectory(job, files);
+            const directory = await ipfsService.uploadDirectory(entries, { onProgress: setUploadProgress });
+
+            const updated = snapshotJob(job);
+            const mismatched = batchMintService.applyCollectionDirectory(updated, directory);
+            await storeRef.current.put(updated.id, updated);
+            setJob(updated);
+
+            if (mismatched.length > 0) {
+                alert(`Directory published, but these files differ from the registered metadata: ${mismatched.join(', ')}`);
+            }
+        } catch (error) {
+            alert(`Error publishing collection directory: ${error.message}`);
+            console.error(error);
+        } finally {
+            setPublishing(false);
+        }
+    };
+
+    const handlePause = () => {
+        if (abortRef.current) {
+            abortRef.current.abort();
+        }
+    };
+
+    const handleDiscard = async () => {
+        if (!window.confirm('Discard the saved progress for this batch?')) {
+            return;
+        }
+        try {
+            await storeRef.current.delete(job.id);
+        } catch (err) {
+            console.warn('Could not delete saved batch job:', err);
+        }
+        setJob(null);
+        setResumed(false);
+    };
+
+    const report = job ? batchMintService.getBatchReport(job) : null;
+    const finished = job && (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.FAILED);
+
+    return (
+        <div className="max-w-5xl mx-auto p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md">
+            <h2 className="text-2xl font-bold mb-6 text-gray-800 dark:text-white">Batch Create NFTs</h2>
+
+            {!isConnected && (
+                <div className="mb-6">
+                    <button
+                        onClick={connectWallet}
+                        className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                        Connect Wallet
+                    </button>
+                    <p className="mt-2 text-sm text-red-600 dark:text-red-400">
+                        ⚠️ Connect your wallet to create NFTs
+                    </p>
+                </div>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Image folder
+                    </label>
+                    <input
+                        type="file"
+                        webkitdirectory=""
+                        multiple
+                        disabled={running}
+                        onChange={handleFolderChange}
+                        className="block w-full text-sm text-gray-700 dark:text-gray-300"
+                    />
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{files.size} images selected</p>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+                        Manifest (CSV or JSON)
+                    </label>
+                    <input
+                        type="file"
+                        accept=".csv,.json"
+                        disabled={running}
+                        onChange={handleManifestChange}
+                        className="block w-full text-sm text-gray-700 dark:text-gray-300"
+                    />
+                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        CSV columns: file, name, description, external_url, background_color; any other column becomes an attribute
+                    </p>
+                </div>
+            </div>
+
+            {job && (
+                <>
+                    {resumed && !running && !finished && (
+                        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mb-4">
+                            <p className="text-sm text-yellow-700">
+                                Resuming a saved batch: {report.registered} of {report.total} items already registered.
+                            </p>
+                        </div>
+                    )}
+
+                    <div className="flex items-center justify-between mb-4">
+                        <p className="text-sm text-gray-700 dark:text-gray-300">
+                            {report.registered} of {report.total} registered
+                            {report.failed > 0 && `, ${report.failed} failed`}
+                            {running && currentFile && ` — processing ${currentFile} (${Math.round(uploadProgress)}%)`}
+                        </p>
+                        <div className="flex space-x-2">
+                            {running ? (
+                                <button
+                                    onClick={handlePause}
+                                    className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-white dark:border-gray-600"
+                                >
+                                    Pause
+                                </button>
+                            ) : (
+                                job.status !== JOB_STATUS.COMPLETED && (
+                                    <button
+                                        onClick={handleStart}
+                                        disabled={!isConnected}
+                                        className={`py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${!isConnected ? 'bg-gray-300 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'}`}
+                                    >
+                                        {report.registered > 0 || report.failed > 0 ? 'Resume' : 'Start'}
+                                    </button>
+                                )
+                            )}
+                            {!running && (
+                                <button
+                                    onClick={handleDiscard}
+                                    className="py-2 px-4 border border-transparent rounded-md text-sm font-medium text-red-600 hover:text-red-700"
+                                >
+                                    Discard
+                                </button>
+                            )}
+                        </div>
+                    </div>
+
+                    <div className="w-full bg-gray-200 rounded-full h-2.5 dark:bg-gray-700 mb-4">
+                        <div
+                            className="bg-blue-600 h-2.5 rounded-full"
+                            style={{ width: `${(report.registered / report.total) * 100}%` }}
+                        ></div>
+                    </div>
+
+                    <div className="overflow-x-auto">
+                        <table className="min-w-full text-sm">
+                            <thead>
+                                <tr className="text-left text-gray-500 dark:text-gray-400">
+                                    <th className="py-2 pr-4">File</th>
+                                    <th className="py-2 pr-4">Name</th>
+                                    <th className="py-2 pr-4">Status</th>
+                                    <th className="py-2 pr-4">Metadata CID</th>
+                                    <th className="py-2">Transaction</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {report.items.map(item => (
+                                    <tr key={item.file} className="border-t border-gray-200 dark:border-gray-700 align-top">
+                                        <td className="py-2 pr-4 text-gray-900 dark:text-white break-all">{item.file}</td>
+                                        <td className="py-2 pr-4 text-gray-900 dark:text-white">{item.name}</td>
+                                        <td className="py-2 pr-4">
+                                            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[item.status]}`}>
+                                                {item.status.replace('_', ' ')}
+                                            </span>
+                                            {item.error && (
+                                                <p className="mt-1 text-xs text-red-600 dark:text-red-400">{item.error}</p>
+                                            )}
+                                        </td>
+                                        <td className="py-2 pr-4 font-mono text-xs text-gray-700 dark:text-gray-300 break-all">{item.metadataCid || '—'}</td>
+                                        <td className="py-2 font-mono text-xs text-gray-700 dark:text-gray-300 break-all">{item.transactionHash || '—'}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+
+                    {job.directory && (
+                        <div className="mt-6 bg-gray-50 dark:bg-gray-700 p-4 rounded-md">
+                            <p className="text-sm font-medium text-gray-900 dark:text-white">Collection directory</p>
+                            <p className="text-xs font-mono text-gray-700 dark:text-gray-300 break-all">{job.directory.uri}</p>
+                            <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                Token metadata is at {job.directory.uri}/metadata/&lt;number&gt;.json, numbered in manifest order from 1
+                            </p>
+                        </div>
+                    )}
+
+                    {finished && (
+                        <div className="mt-6 flex space-x-3">
+                            {job.status === JOB_STATUS.COMPLETED && !job.directory && (
+                                <button
+                                    onClick={handlePublishDirectory}
+                                    disabled={publishing || !job.items.every(item => files.has(item.file))}
+                                    title="Select the image folder again to publish"
+                                    className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed"
+                                >
+                                    {publishing ? `Publishing... (${Math.round(uploadProgress)}%)` : 'Publish collection directory'}
+                                </button>
+                            )}
+                            <button
+                                onClick={() => downloadFile(batchMintService.reportToCSV(job), `batch-${job.id.slice(0, 8)}.csv`, 'text/csv')}
+                                className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-white dark:border-gray-600"
+                            >
+                                Download CSV report
+                            </button>
+                            <button
+                                onClick={() => downloadFile(JSON.stringify(report, null, 2), `batch-${job.id.slice(0, 8)}.json`, 'application/json')}
+                                className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-white dark:border-gray-600"
+                            >
+                                Download JSON report
+                            </button>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default BatchMint;
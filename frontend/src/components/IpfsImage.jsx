@@ -0,0 +1,112 @@
+import { useState, useEffect } from 'react';
+import * as ipfsService from '../services/ipfsService';
+import { withDetectedType } from '../services/mediaTypes';
+
+/**
+ * Load content stored on IPFS through the configured gateways
+ * The bytes are fetched with failover (or racing) between gateways and exposed as an object URL,
+ * so a slow or unreachable gateway does not leave a broken element.
+ * With verify set, the bytes are checked against the CID first; content that does not match is never shown,
+ * and gateways that cannot serve verifiable blocks fall back to an unverified read.
+ * The media type is detected from the bytes, never from the gateway's Content-Type.
+ * onVerified(true|false) reports which of the two was loaded.
+ * @returns {Object} - { src, type, kind, failed, mismatch } with src null while loading
+ */
+export const useIpfsContent = (cid, { path = '', strategy, verify = true, onVerified } = {}) => {
+    const [content, setContent] = useState({ src: null, type: null, kind: null });
+    const [failed, setFailed] = useState(false);
+    const [mismatch, setMismatch] = useState(false);
+
+    useEffect(() => {
+        if (!cid) {
+            setFailed(true);
+            return;
+        }
+
+        const controller = new AbortController();
+        let objectUrl = null;
+
+        const loadVerified = async () => {
+            try {
+                const blob = await ipfsService.fetchVerified(cid, { type: 'blob', path, signal: controller.signal });
+                return { blob, verified: true };
+            } catch (error) {
+                // Wrong bytes are never shown; anything else (e.g. no trustless gateway support) falls back
+                if (error.code === 'VERIFICATION_FAILED' || controller.signal.aborted) {
+                    throw error;
+                }
+                console.warn(`Could not verify ${cid}, showing it unverified:`, error.message);
+                return { blob: null, verified: false };
+            }
+        };
+
+        const loadContent = async () => {
+            setContent({ src: null, type: null, kind: null });
+            setFailed(false);
+            setMismatch(false);
+            try {
+                let { blob, verified } = verify ? await loadVerified() : { blob: null, verified: false };
+                if (!blob) {
+                    blob = await ipfsService.fetchFromGateway(cid, {
+                        type: 'blob',
+                        path,
+                        strategy,
+                        signal: controller.signal
+                    });
+                }
+                const detected = await withDetectedType(blob);
+                if (controller.signal.aborted) {
+                    return;
+                }
+                objectUrl = URL.createObjectURL(detected.blob);
+                setContent({ src: objectUrl, type: detected.type, kind: detected.kind });
+                if (onVerified) {
+                    onVerified(verified);
+                }
+            } catch (error) {
+                if (!controller.signal.aborted) {
+                    setMismatch(error.code === 'VERIFICATION_FAILED');
+                    setFailed(true);
+                    if (onVerified) {
+                        onVerified(false);
+                    }
+                }
+            }
+        };
+
+        loadContent();
+
+        return () => {
+            controller.abort();
+            if (objectUrl) {
+                URL.revokeObjectURL(objectUrl);
+            }
+        };
+    // onVerified is left out so a new callback on every render does not refetch the content
+    }, [cid, path, strategy, verify]);
+
+    return { ...content, failed, mismatch };
+};
+
+/**
+ * Image stored on IPFS, loaded with useIpfsContent
+ */
+const IpfsImage = ({ cid, path = '', alt = '', className = '', strategy, verify = true, onVerified }) => {
+    const { src, failed, mismatch } = useIpfsContent(cid, { path, strategy, verify, onVerified });
+
+    if (failed) {
+        return (
+            <div className={`${className} flex items-center justify-center bg-gray-200 dark:bg-gray-700 text-xs text-gray-500 dark:text-gray-400`}>
+                {mismatch ? 'Image does not match its CID' : 'Image not available'}
+            </div>
+        );
+    }
+
+    if (!src) {
+        return <div className={`${className} bg-gray-200 dark:bg-gray-700 animate-pulse`} />;
+    }
+
+    return <img src={src} alt={alt} className={className} />;
+};
+
+export default IpfsImage;
@@ -0,0 +1,138 @@
+import { useState, useEffect } from 'react';
+import { useIpfsContent } from './IpfsImage';
+import { MEDIA_KINDS } from '../services/mediaTypes';
+
+// The <model-viewer> element is only loaded once a 3D model is shown
+let modelViewerLoader = null;
+const loadModelViewer = () => {
+    if (!modelViewerLoader) {
+        modelViewerLoader = import('@google/model-viewer');
+    }
+    return modelViewerLoader;
+};
+
+const ModelViewer = ({ src, poster, alt, className }) => {
+    const [ready, setReady] = useState(false);
+    const [failed, setFailed] = useState(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        loadModelViewer()
+            .then(() => !cancelled && setReady(true))
+            .catch((error) => {
+                console.error('Could not load the 3D model viewer:', error);
+                if (!cancelled) {
+                    setFailed(true);
+                }
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, []);
+
+    if (failed) {
+        return poster ? <img src={poster} alt={alt} className={className} /> : null;
+    }
+
+    if (!ready) {
+        return <div className={`${className} bg-gray-200 dark:bg-gray-700 animate-pulse`} />;
+    }
+
+    return (
+        <model-viewer
+            src={src}
+            poster={poster || undefined}
+            alt={alt}
+            camera-controls=""
+            auto-rotate=""
+            class={className}
+        />
+    );
+};
+
+/**
+ * Render media with the player its kind needs
+ * HTML runs in an iframe sandboxed to an opaque origin: scripts run, but cannot reach this page,
+ * the wallet, cookies or storage, and cannot navigate the top window or open popups.
+ * @param {string} src - URL of the media, normally an object URL
+ * @param {string} kind - One of MEDIA_KINDS
+ * @param {string} poster - URL of the poster image, shown before playback and for audio
+ */
+export const MediaViewer = ({ src, kind, type, poster, alt = '', className = '' }) => {
+    switch (kind) {
+        case MEDIA_KINDS.IMAGE:
+            return <img src={src} alt={alt} className={className} />;
+        case MEDIA_KINDS.VIDEO:
+            return (
+                <video
+                    src={src}
+                    poster={poster || undefined}
+                    controls
+                    playsInline
+                    loop
+                    preload="metadata"
+                    className={`${className} bg-black`}
+                />
+            );
+        case MEDIA_KINDS.AUDIO:
+            return (
+                <div className={`${className} relative bg-gray-200 dark:bg-gray-700`}>
+                    {poster && <img src={poster} alt={alt} className="w-full h-full object-cover" />}
+                    <audio src={src} controls preload="metadata" className="absolute bottom-2 left-2 right-2 w-auto" />
+                </div>
+            );
+        case MEDIA_KINDS.MODEL:
+            return <ModelViewer src={src} poster={poster} alt={alt} className={className} />;
+        case MEDIA_KINDS.HTML:
+            return (
+                <iframe
+                    src={src}
+                    title={alt}
+                    sandbox="allow-scripts"
+                    allow=""
+                    referrerPolicy="no-referrer"
+                    className={`${className} bg-white border-0`}
+                />
+            );
+        default:
+            return (
+                <div className={`${className} flex items-center justify-center bg-gray-200 dark:bg-gray-700 text-xs text-gray-500 dark:text-gray-400`}>
+                    Unsupported media type {type}
+                </div>
+            );
+    }
+};
+
+/**
+ * NFT media stored on IPFS: a video, audio, 3D model, HTML page or image, with its poster image
+ * Both are loaded with useIpfsContent, and the player is chosen from the type detected in the bytes.
+ */
+const IpfsMedia = ({ cid, path = '', posterCid, posterPath = '', alt = '', className = '', strategy, verify = true, onVerified }) => {
+    const media = useIpfsContent(cid, { path, strategy, verify, onVerified });
+    const poster = useIpfsContent(posterCid, { path: posterPath, strategy, verify });
+
+    if (media.failed) {
+        return (
+            <div className={`${className} flex items-center justify-center bg-gray-200 dark:bg-gray-700 text-xs text-gray-500 dark:text-gray-400`}>
+                {media.mismatch ? 'Media does not match its CID' : 'Media not available'}
+            </div>
+        );
+    }
+
+    if (!media.src) {
+        return <div className={`${className} bg-gray-200 dark:bg-gray-700 animate-pulse`} />;
+    }
+
+    return (
+        <MediaViewer
+            src={media.src}
+            kind={media.kind}
+            type={media.type}
+            poster={poster.kind === MEDIA_KINDS.IMAGE ? poster.src : null}
+            alt={alt}
+            className={className}
+        />
+    );
+};
+
+export default IpfsMedia;
@@ -0,0 +1,207 @@
+import { useState, useEffect } from 'react';
+import * as ipfsService from '../services/ipfsService';
+import * as blockchainService from '../services/blockchainService';
+import * as collectionIndexerService from '../services/collectionIndexerService';
+import { diffMetadata } from '../utils/metadataDiff';
+
+const formatValue = (value) => {
+    if (value === undefined) return '—';
+    if (value === null) return 'null';
+    return String(value);
+};
+
+const describeEvent = (event) => {
+    switch (event.type) {
+        case 'MetadataStored':
+            return `Minted ${event.cid}`;
+        case 'MetadataUpdated':
+            return `Updated ${event.oldCid} → ${event.newCid}`;
+        case 'MetadataRemoved':
+            return `Removed ${event.cid}`;
+        default:
+            return event.type;
+    }
+};
+
+const MetadataHistory = ({ cid, isOwner, onClose, onRestored }) => {
+    const [versions, setVersions] = useState([]);
+    const [timeline, setTimeline] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [restoringCid, setRestoringCid] = useState(null);
+
+    // Load on-chain history, then each version's JSON from IPFS
+    useEffect(() => {
+        const loadHistory = async () => {
+            try {
+                setLoading(true);
+                setError(null);
+
+                const history = await blockchainService.getMetadataHistory(cid);
+
+                const documents = await Promise.all(history.map(async (version) => {
+                    try {
+                        return await ipfsService.fetchMetadata(version.cid);
+                    } catch (err) {
+                        console.warn(`Could not fetch metadata for version ${version.cid}:`, err);
+                        return null;
+                    }
+                }));
+
+                // History is newest first, so each version is diffed against the next entry
+                setVersions(history.map((version, index) => {
+                    const document = documents[index];
+                    const previous = documents[index + 1];
+                    return {
+                        ...version,
+                        document,
+                        changes: index < history.length - 1 && document && previous
+                            ? diffMetadata(previous, document)
+                            : null
+                    };
+                }));
+            } catch (err) {
+                console.error('Error loading metadata history:', err);
+                setError(err.message);
+            } finally {
+                setLoading(false);
+            }
+        };
+
+        loadHistory();
+    }, [cid]);
+
+    // Transactions behind the versions, from the collection indexer where it can run
+    useEffect(() => {
+        let cancelled = false;
+        collectionIndexerService.startCollectionIndexer().then(indexer => {
+            if (indexer && !cancelled) {
+                setTimeline(indexer.getTimeline(cid));
+            }
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [cid]);
+
+    const handleRestore = async (version) => {
+        if (!window.confirm(`Restore version ${version.cid}? This replaces the current metadata on chain.`)) {
+            return;
+        }
+
+        try {
+            setRestoringCid(version.cid);
+            await blockchainService.restoreMetadataVersion({ currentCid: cid, version });
+            alert('Version restored on blockchain! ✅');
+            if (onRestored) {
+                onRestored(version.cid);
+            }
+        } catch (err) {
+            alert(`Error restoring version: ${err.message}`);
+        } finally {
+            setRestoringCid(null);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+                <div className="flex justify-between items-center p-4 border-b border-gray-200 dark:border-gray-700">
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white">Version History</h3>
+                    <button
+                        onClick={onClose}
+                        className="text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                    >
+                        <svg className="h-5 w-5" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor">
+                            <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+                        </svg>
+                    </button>
+                </div>
+
+                <div className="p-4 space-y-4">
+                    {loading && (
+                        <div className="flex justify-center py-8">
+                            <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-blue-500"></div>
+                        </div>
+                    )}
+
+                    {error && (
+                        <p className="text-sm text-red-600 dark:text-red-400">Error loading history: {error}</p>
+                    )}
+
+                    {!loading && !error && versions.map((version, index) => (
+                        <div key={`${version.cid}-${index}`} className="border border-gray-200 dark:border-gray-700 rounded-lg p-3">
+                            <div className="flex justify-between items-start">
+                                <div className="min-w-0">
+                                    <p className="text-sm font-medium text-gray-900 dark:text-white">
+                                        {version.nftName || version.document?.name || 'Untitled'}
+                                        {index === 0 && (
+                                            <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                                Current
+                                            </span>
+                                        )}
+                                    </p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400 break-all">{version.cid}</p>
+                                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                                        {new Date(version.timestamp * 1000).toLocaleString()}
+                                    </p>
+                                </div>
+                                {isOwner && index > 0 && version.cid !== cid && (
+                                    <button
+                                        onClick={() => handleRestore(version)}
+                                        disabled={restoringCid !== null}
+                                        className="ml-3 flex-shrink-0 text-sm text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                                    >
+                                        {restoringCid === version.cid ? 'Restoring...' : 'Restore this version'}
+                                    </button>
+                                )}
+                            </div>
+
+                            {!version.document && (
+                                <p className="mt-2 text-xs text-yellow-600 dark:text-yellow-400">Metadata JSON not available on IPFS</p>
+                            )}
+
+                            {version.changes && version.changes.length === 0 && (
+                                <p className="mt-2 text-xs text-gray-500 dark:text-gray-400">No field changes from the previous version</p>
+                            )}
+
+                            {version.changes && version.changes.length > 0 && (
+                                <ul className="mt-2 space-y-1">
+                                    {version.changes.map(change => (
+                                        <li key={change.path} className="text-xs font-mono break-all">
+                                            <span className="text-gray-700 dark:text-gray-300">{change.path}: </span>
+                                            {change.type !== 'added' && (
+                                                <span className="text-red-600 dark:text-red-400 line-through">{formatValue(change.before)}</span>
+                                            )}
+                                            {change.type === 'changed' && ' → '}
+                                            {change.type !== 'removed' && (
+                                                <span className="text-green-600 dark:text-green-400">{formatValue(change.after)}</span>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+                    ))}
+
+                    {!loading && timeline.length > 0 && (
+                        <div>
+                            <h4 className="text-sm font-medium text-gray-900 dark:text-white mb-2">Transactions</h4>
+                            <ul className="space-y-1">
+                                {timeline.map(event => (
+                                    <li key={`${event.transactionHash}-${event.logIndex}`} className="text-xs text-gray-600 dark:text-gray-300 break-all">
+                                        <span className="text-gray-500 dark:text-gray-400">Block {event.blockNumber}: </span>
+                                        {describeEvent(event)}
+                                        <span className="block font-mono text-gray-400 dark:text-gray-500">{event.transactionHash}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MetadataHistory;
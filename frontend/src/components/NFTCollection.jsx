@@ -1,17 +1,45 @@
 import { useState, useEffect, useContext } from 'react';
+import { Link } from 'react-router-dom';
 import { BlockchainContext } from '../App';
-import { ethers } from 'ethers';
 import * as ipfsService from '../services/ipfsService';
 import * as blockchainService from '../services/blockchainService';
-import XineteDecentralizedStorageABI from '../contracts/XineteDecentralizedStorage.json';
+import MetadataHistory from './MetadataHistory';
+import RemoveNFTDialog from './RemoveNFTDialog';
+import IpfsImage from './IpfsImage';
+import IpfsMedia from './IpfsMedia';
+import { parseImageCid } from '../services/pinHealthMonitor';
+import { parseCidReference } from '../services/cidUtils';
+import { getUnlockableCid } from '../services/unlockableContent';
+import { SIGNATURE_FIELD } from '../services/metadataSignature';
+import { formatIntegrityReport, verifyMetadataIntegrity } from '../services/metadataIntegrity';
+import { formatAttributeValue, validateMetadata } from '../services/nftMetadata';
+
+// Number of CIDs loaded from the contract per page
+const PAGE_SIZE = 12;
 
 const NFTCollection = () => {
     const { isConnected, userAddress, connectWallet } = useContext(BlockchainContext);
     const [nfts, setNfts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
-    const [contract, setContract] = useState(null);
+    const [blockchainReady, setBlockchainReady] = useState(false);
     const [verifying, setVerifying] = useState(false);
+    const [totalCount, setTotalCount] = useState(0);
+    const [nextOffset, setNextOffset] = useState(0);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [historyCid, setHistoryCid] = useState(null);
+    // Whether the connected account owns the entry whose history is shown, and so may restore versions
+    const [isHistoryOwner, setIsHistoryOwner] = useState(false);
+    const [removingNft, setRemovingNft] = useState(null);
+    // Image verification result per metadata CID, reported by IpfsImage
+    const [verifiedImages, setVerifiedImages] = useState({});
+    // Metadata CID being decrypted, and the decrypted file shown in the viewer
+    const [unlockingCid, setUnlockingCid] = useState(null);
+    const [unlockedContent, setUnlockedContent] = useState(null);
+    // Creator signature check per metadata CID, from verifyMetadataAuthorship
+    const [authorship, setAuthorship] = useState({});
+    // Metadata CIDs whose animation_url is shown in place of the image
+    const [playingCids, setPlayingCids] = useState({});
 
     // Initialize IPFS and blockchain connections
     useEffect(() => {
@@ -23,27 +51,11 @@ const NFTCollection = () => {
             });
             
             // Initialize blockchain service
-            await blockchainService.initializeBlockchain({
+            const initialized = await blockchainService.initializeBlockchain({
                 rpcUrl: import.meta.env.VITE_BLOCKCHAIN_RPC_URL,
                 contractAddr: import.meta.env.VITE_CONTRACT_ADDRESS
             });
-            
-            // Initialize contract if wallet is connected
-            if (isConnected && window.ethereum) {
-                try {
-                    const provider = new ethers.BrowserProvider(window.ethereum);
-                    const signer = await provider.getSigner();
-                    const contractAddress = import.meta.env.VITE_CONTRACT_ADDRESS;
-                    const xineteContract = new ethers.Contract(
-                        contractAddress,
-                        XineteDecentralizedStorageABI.abi,
-                        signer
-                    );
-                    setContract(xineteContract);
-                } catch (error) {
-                    console.error("Failed to initialize contract:", error);
-                }
-            }
+            setBlockchainReady(initialized);
         };
 
         initServices();
@@ -58,7 +70,7 @@ const NFTCollection = () => {
                 return;
             }
             
-            if (!contract || !userAddress) {
+            if (!blockchainReady || !userAddress) {
                 return;
             }
             
@@ -77,99 +89,260 @@ const NFTCollection = () => {
         };
         
         fetchNFTs();
-    }, [isConnected, contract, userAddress]);
+    }, [isConnected, blockchainReady, userAddress]);
     
-    // Fetch NFTs directly from blockchain
+    // Fetch the first page of NFTs directly from blockchain
     const fetchNFTsFromBlockchain = async () => {
         try {
-            // Get all CIDs for the current user using the blockchain service
-            const cids = await contract.getCIDs(userAddress);
+            // Get the number of CIDs for the current user using the blockchain service
+            const count = await blockchainService.getUserMetadataCount(userAddress);
+            setTotalCount(count);
             
-            if (!cids || cids.length === 0) {
+            if (count === 0) {
                 setNfts([]);
+                setNextOffset(0);
                 return;
             }
             
-            // For each CID, get the metadata from IPFS
-            const nftPromises = cids.map(async (cid) => {
-                try {
-                    // Fetch metadata from IPFS using our service
-                    const metadata = await ipfsService.fetchFromIPFS(cid);
-                    
-                    // Extract image CID from ipfs:// URI
-                    const imageCid = typeof metadata.image === 'string' 
-                        ? metadata.image.replace('ipfs://', '') 
-                        : '';
-                    
-                    // Ensure both metadata and image are pinned for persistence
-                    try {
-                        const metadataPinned = await ipfsService.isPinned(cid);
-                        if (!metadataPinned) {
-                            console.log(`Pinning metadata with CID ${cid}...`);
-                            await ipfsService.pinContent(cid);
-                        }
-                        
-                        if (imageCid) {
-                            const imagePinned = await ipfsService.isPinned(imageCid);
-                            if (!imagePinned) {
-                                console.log(`Pinning image with CID ${imageCid}...`);
-                                await ipfsService.pinContent(imageCid);
-                            }
-                        }
-                    } catch (pinError) {
-                        console.warn("Could not pin content:", pinError);
-                        // Continue even if pinning fails
-                    }
-                    
-                    return {
-                        user: userAddress,
-                        name: metadata.name,
-                        description: metadata.description,
-                        image_cid: imageCid,
-                        metadata_cid: cid,
-                        created_at: new Date().toISOString(),
-                        ipfs_gateway_url: `${import.meta.env.VITE_IPFS_GATEWAY}/${cid}`,
-                        metadata: metadata,
-                        pinned: true
-                    };
-                } catch (error) {
-                    console.error(`Error fetching metadata for CID ${cid}:`, error);
-                    return null;
-                }
+            setNfts(await loadNFTPage(0));
+            setNextOffset(PAGE_SIZE);
+        } catch (error) {
+            console.error("Error fetching NFTs from blockchain:", error);
+            throw error;
+        }
+    };
+    
+    // Load one page of CIDs and fetch their metadata from IPFS
+    const loadNFTPage = async (offset) => {
+        const cids = await blockchainService.getUserMetadataCIDsPaged({
+            user: userAddress,
+            offset,
+            limit: PAGE_SIZE
+        });
+        
+        // Keep each entry's position in the on-chain array so removals can be mirrored locally
+        const nftResults = await Promise.all(cids.map(async (cid, i) => {
+            const nft = await buildNFT(cid);
+            return nft && { ...nft, index: offset + i };
+        }));
+        return withPinStatus(nftResults.filter(nft => nft !== null));
+    };
+    
+    // Read the pin status of a page's metadata and images from the IPFS node and pinning services in one batch
+    // pinned is false if either CID is not pinned, and null if that cannot be told because a provider is unreachable
+    const withPinStatus = async (pageNfts) => {
+        const cidsOf = nft => [nft.metadata_cid, nft.image_cid, nft.animation_cid, nft.unlockable_cid].filter(Boolean);
+        try {
+            const inspections = await ipfsService.inspectPins(pageNfts.flatMap(cidsOf), { size: false });
+            return pageNfts.map(nft => {
+                const statuses = cidsOf(nft).map(cid => inspections[cid].pinned);
+                const pinned = statuses.includes(false) ? false : (statuses.includes(null) ? null : true);
+                return { ...nft, pinned };
             });
+        } catch (error) {
+            console.warn('Could not read pin status:', error);
+            return pageNfts.map(nft => ({ ...nft, pinned: null }));
+        }
+    };
+    
+    // Build a collection entry for a metadata CID
+    const buildNFT = async (cid) => {
+        try {
+            // Fetch metadata from IPFS using our service
+            const metadata = await ipfsService.fetchMetadata(cid);
             
-            const nftResults = await Promise.all(nftPromises);
-            const validNfts = nftResults.filter(nft => nft !== null);
+            // Extract image CID from the ipfs:// URI
+            const imageCid = parseImageCid(metadata.image) || '';
             
-            setNfts(validNfts);
+            // Video, audio, 3D model or HTML; keep a path inside the CID, e.g. a page in a directory
+            let animation = { cid: null, path: '' };
+            try {
+                animation = parseCidReference(metadata.animation_url);
+            } catch (error) {
+                // No animation_url, or one that is not on IPFS
+            }
+            
+            return {
+                user: userAddress,
+                name: metadata.name,
+                description: metadata.description,
+                image_cid: imageCid,
+                metadata_cid: cid,
+                animation_cid: animation.cid,
+                animation_path: animation.path,
+                unlockable_cid: getUnlockableCid(metadata),
+                created_at: new Date().toISOString(),
+                ipfs_gateway_url: ipfsService.getGatewayUrl(cid),
+                metadata: metadata,
+                // Schema problems are reported on the card rather than hiding the entry
+                metadata_errors: validateMetadata(metadata).errors,
+                // Set by withPinStatus, for a whole page or a single entry
+                pinned: null
+            };
         } catch (error) {
-            console.error("Error fetching NFTs from blockchain:", error);
-            throw error;
+            console.error(`Error fetching metadata for CID ${cid}:`, error);
+            return null;
+        }
+    };
+    
+    // Reload the collection from the first page, e.g. after an on-chain change
+    const reloadCollection = async () => {
+        try {
+            setLoading(true);
+            setError(null);
+            await fetchNFTsFromBlockchain();
+        } catch (err) {
+            console.error('Error reloading NFTs:', err);
+            setError(err.message);
+        } finally {
+            setLoading(false);
         }
     };
+    
+    const handleLoadMore = async () => {
+        try {
+            setLoadingMore(true);
+            const page = await loadNFTPage(nextOffset);
+            setNfts(prevNfts => [...prevNfts, ...page]);
+            setNextOffset(nextOffset + PAGE_SIZE);
+        } catch (err) {
+            console.error('Error loading more NFTs:', err);
+            alert(`Error loading more NFTs: ${err.message}`);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    // Mirror the contract's swap-and-pop removal: the last entry moves into the freed slot
+    const handleRemoved = async (removed) => {
+        setRemovingNft(null);
+        
+        const lastIndex = totalCount - 1;
+        let moved = null;
+        
+        if (removed.index !== lastIndex) {
+            moved = nfts.find(nft => nft.index === lastIndex) || null;
+            
+            if (!moved) {
+                // The moved entry is past the loaded pages, so fetch it at its new position
+                try {
+                    const [cid] = await blockchainService.getUserMetadataCIDsPaged({
+                        user: userAddress,
+                        offset: removed.index,
+                        limit: 1
+                    });
+                    const built = cid ? await buildNFT(cid) : null;
+                    moved = built ? (await withPinStatus([built]))[0] : null;
+                } catch (err) {
+                    console.error('Error loading moved NFT:', err);
+                }
+            }
+        }
+        
+        setNfts(prevNfts => prevNfts.flatMap(nft => {
+            if (nft.metadata_cid === removed.metadata_cid) {
+                return moved ? [{ ...moved, index: removed.index }] : [];
+            }
+            if (moved && nft.metadata_cid === moved.metadata_cid) {
+                return [];
+            }
+            return [nft];
+        }));
+        setTotalCount(lastIndex);
+    };
 
+    // Re-fetch the metadata, hash its canonical JSON and compare with the hash registered on chain
     const handleVerifyNFT = async (metadataCid) => {
         try {
             setVerifying(true);
             
-            // Create hash for verification using our service
-            const metadataHash = await ipfsService.generateSHA256Hash(metadataCid);
+            const isLegacy = blockchainService.getContractType() === blockchainService.CONTRACT_TYPES.LEGACY;
+            const report = await verifyMetadataIntegrity(metadataCid, {
+                fetchMetadata: ipfsService.fetchMetadata,
+                // The legacy contract cannot return the registered hash, only look CIDs up by hash
+                getRegistration: isLegacy ? null : blockchainService.getRegisteredHash,
+                verifyHash: blockchainService.verifyMetadata
+            });
             
-            // Verify directly against the blockchain
-            const storedCid = await contract.getCIDByHash(metadataHash);
+            alert(formatIntegrityReport(report));
+        } catch (err) {
+            alert(`Error during verification: ${err.message}`);
+        } finally {
+            setVerifying(false);
+        }
+    };
+    
+    // Recover who signed the metadata and check it against the owner on chain
+    const handleVerifyAuthorship = async (nft) => {
+        try {
+            setVerifying(true);
             
-            if (storedCid === metadataCid) {
-                alert('NFT verified on blockchain! ✅');
+            const report = await blockchainService.verifyMetadataAuthorship(nft.metadata_cid, nft.metadata);
+            setAuthorship(prev => ({ ...prev, [nft.metadata_cid]: report }));
+            
+            if (report.verified) {
+                alert(`Signed by the owner ${report.signer} ✅`);
             } else {
-                alert('Verification failed: CID mismatch');
+                alert(`Creator signature not verified:\n${report.problems.join('\n')}`);
             }
         } catch (err) {
-            alert(`Error during verification: ${err.message}`);
+            alert(`Error verifying the creator signature: ${err.message}`);
         } finally {
             setVerifying(false);
         }
     };
     
+    // Show an NFT's version history, offering restores only to the account that owns the entry
+    const handleShowHistory = async (nft) => {
+        setIsHistoryOwner(false);
+        setHistoryCid(nft.metadata_cid);
+        
+        if (!isConnected || !userAddress || blockchainService.getContractType() === blockchainService.CONTRACT_TYPES.LEGACY) {
+            return;
+        }
+        try {
+            const owner = await blockchainService.getMetadataOwner(nft.metadata_cid);
+            setIsHistoryOwner(owner.toLowerCase() === userAddress.toLowerCase());
+        } catch (err) {
+            console.error('Error checking metadata owner:', err);
+        }
+    };
+    
+    // Decrypt an NFT's unlockable content with the owner's wallet and show it
+    const handleUnlock = async (nft) => {
+        try {
+            setUnlockingCid(nft.metadata_cid);
+            
+            if (blockchainService.getContractType() !== blockchainService.CONTRACT_TYPES.LEGACY) {
+                const owner = await blockchainService.getMetadataOwner(nft.metadata_cid);
+                if (owner.toLowerCase() !== userAddress.toLowerCase()) {
+                    throw new Error('Only the owner of this NFT can unlock its content');
+                }
+            }
+            
+            const wallet = await blockchainService.getWalletCrypto();
+            const content = await ipfsService.fetchUnlockableContent(nft.unlockable_cid, { wallet });
+            
+            setUnlockedContent({
+                nftName: nft.metadata.name,
+                name: content.name || `${nft.unlockable_cid}.bin`,
+                type: content.type,
+                size: content.size,
+                url: URL.createObjectURL(new Blob([content.data], { type: content.type || 'application/octet-stream' }))
+            });
+        } catch (err) {
+            console.error('Error unlocking content:', err);
+            alert(`Could not unlock content: ${err.message}`);
+        } finally {
+            setUnlockingCid(null);
+        }
+    };
+    
+    const closeUnlockedContent = () => {
+        URL.revokeObjectURL(unlockedContent.url);
+        setUnlockedContent(null);
+    };
+    
     // Remove the createSHA256Hash function as we're using the ipfsService.generateSHA256Hash
 
     if (loading) {
@@ -226,7 +399,12 @@ const NFTCollection = () => {
     return (
         <div className="container mx-auto px-4 py-8">
             <div className="flex justify-between items-center mb-6">
-                <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Your NFT Collection</h2>
+                <div>
+                    <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Your NFT Collection</h2>
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                        Showing {Math.min(nextOffset, totalCount)} of {totalCount} entries
+                    </p>
+                </div>
                 <div className="flex items-center space-x-4">
                     <a
                         href="/nft/create"
@@ -260,22 +438,69 @@ const NFTCollection = () => {
             <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
                 {nfts.map((nft) => (
                     <div key={nft.metadata_cid} className="bg-white dark:bg-gray-800 overflow-hidden shadow rounded-lg">
-                        <div className="aspect-w-1 aspect-h-1 w-full overflow-hidden bg-gray-200">
-                            <img
-                                src={`${import.meta.env.VITE_IPFS_GATEWAY}/${nft.image_cid}`}
-                                alt={nft.metadata.name}
-                                className="w-full h-48 object-cover"
-                                onError={(e) => {
-                                    e.target.onerror = null;
-                                    e.target.src = 'https://via.placeholder.com/400?text=Image+Not+Available';
-                                }}
-                            />
+                        <div className="relative aspect-w-1 aspect-h-1 w-full overflow-hidden bg-gray-200">
+                            {playingCids[nft.metadata_cid] ? (
+                                <IpfsMedia
+                                    cid={nft.animation_cid}
+                                    path={nft.animation_path}
+                                    posterCid={nft.image_cid}
+                                    alt={nft.metadata.name}
+                                    className="w-full h-48 object-cover"
+                                />
+                            ) : (
+                                <IpfsImage
+                                    cid={nft.image_cid}
+                                    alt={nft.metadata.name}
+                                    className="w-full h-48 object-cover"
+                                    onVerified={(verified) => setVerifiedImages(prev => ({ ...prev, [nft.metadata_cid]: verified }))}
+                                />
+                            )}
+                            {nft.animation_cid && !playingCids[nft.metadata_cid] && (
+                                <button
+                                    type="button"
+                                    onClick={() => setPlayingCids(prev => ({ ...prev, [nft.metadata_cid]: true }))}
+                                    title="Play the NFT's media"
+                                    className="absolute bottom-2 left-2 inline-flex items-center px-2.5 py-1 rounded-full text-xs font-medium bg-black bg-opacity-60 text-white hover:bg-opacity-80"
+                                >
+                                    ▶ Play
+                                </button>
+                            )}
+                            {verifiedImages[nft.metadata_cid] && !playingCids[nft.metadata_cid] && (
+                                <span
+                                    title={`Image content matches CID ${nft.image_cid}`}
+                                    className="absolute top-2 right-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-800 dark:text-green-100"
+                                >
+                                    ✓ Verified
+                                </span>
+                            )}
                         </div>
                         <div className="p-4">
                             <h3 className="text-lg font-medium text-gray-900 dark:text-white truncate">{nft.metadata.name}</h3>
                             <p className="mt-1 text-sm text-gray-500 dark:text-gray-400 line-clamp-2">{nft.metadata.description}</p>
                             
-                            {nft.metadata.attributes && nft.metadata.attributes.length > 0 && (
+                            {nft.metadata_errors.length > 0 && (
+                                <span
+                                    title={nft.metadata_errors.map(e => `${e.path || '/'} ${e.message}`).join('\n')}
+                                    className="mt-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-amber-100 text-amber-800 dark:bg-amber-800 dark:text-amber-100"
+                                >
+                                    {nft.metadata_errors.length} metadata {nft.metadata_errors.length === 1 ? 'issue' : 'issues'}
+                                </span>
+                            )}
+                            
+                            {authorship[nft.metadata_cid] && (
+                                <span
+                                    title={authorship[nft.metadata_cid].verified
+                                        ? `Signed by ${authorship[nft.metadata_cid].signer}`
+                                        : authorship[nft.metadata_cid].problems.join('\n')}
+                                    className={`mt-2 ml-1 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${authorship[nft.metadata_cid].verified
+                                        ? 'bg-green-100 text-green-800 dark:bg-green-800 dark:text-green-100'
+                                        : 'bg-red-100 text-red-800 dark:bg-red-800 dark:text-red-100'}`}
+                                >
+                                    {authorship[nft.metadata_cid].verified ? '✍ Signed by owner' : '✍ Signature not verified'}
+                                </span>
+                            )}
+                            
+                            {Array.isArray(nft.metadata.attributes) && nft.metadata.attributes.length > 0 && (
                                 <div className="mt-3">
                                     <h4 className="text-sm font-medium text-gray-900 dark:text-white">Attributes</h4>
                                     <div className="mt-2 flex flex-wrap gap-2">
@@ -284,7 +509,7 @@ const NFTCollection = () => {
                                                 key={idx}
                                                 className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-800 dark:text-blue-100"
                                             >
-                                                {attr.trait_type}: {attr.value}
+                                                {attr.trait_type}: {formatAttributeValue(attr)}
                                             </span>
                                         ))}
                                     </div>
@@ -306,6 +531,44 @@ const NFTCollection = () => {
                                 >
                                     Verify on Blockchain
                                 </button>
+                                {nft.metadata[SIGNATURE_FIELD] && (
+                                    <button
+                                        onClick={() => handleVerifyAuthorship(nft)}
+                                        disabled={verifying}
+                                        className="text-sm text-green-600 dark:text-green-400 hover:underline disabled:opacity-50"
+                                    >
+                                        Verify Creator Signature
+                                    </button>
+                                )}
+                                {blockchainService.getContractType() !== blockchainService.CONTRACT_TYPES.LEGACY && (
+                                    <Link
+                                        to={`/nft/${nft.metadata_cid}/edit`}
+                                        className="text-sm text-blue-600 dark:text-blue-400 hover:underline"
+                                    >
+                                        Edit
+                                    </Link>
+                                )}
+                                <button
+                                    onClick={() => handleShowHistory(nft)}
+                                    className="text-sm text-gray-600 dark:text-gray-300 hover:underline"
+                                >
+                                    Version History
+                                </button>
+                                {nft.unlockable_cid && (
+                                    <button
+                                        onClick={() => handleUnlock(nft)}
+                                        disabled={unlockingCid !== null}
+                                        className="text-sm text-purple-600 dark:text-purple-400 hover:underline text-left"
+                                    >
+                                        {unlockingCid === nft.metadata_cid ? 'Decrypting...' : 'Decrypt and View Unlockable Content'}
+                                    </button>
+                                )}
+                                <button
+                                    onClick={() => setRemovingNft(nft)}
+                                    className="text-sm text-red-600 dark:text-red-400 hover:underline text-left"
+                                >
+                                    Remove
+                                </button>
                                 {nft.pinned && (
                                     <div className="flex items-center text-sm text-green-600 dark:text-green-400">
                                         <svg className="w-4 h-4 mr-1" fill="currentColor" viewBox="0 0 20 20" xmlns="http://www.w3.org/2000/svg">
@@ -314,25 +577,40 @@ const NFTCollection = () => {
                                         Pinned on IPFS
                                     </div>
                                 )}
-                                {!nft.pinned && (
+                                {nft.pinned === null && (
+                                    <div className="text-sm text-gray-500 dark:text-gray-400" title="The IPFS node or a pinning service could not be reached">
+                                        Pin status unknown
+                                    </div>
+                                )}
+                                {nft.pinned === false && (
                                     <button
                                         onClick={async () => {
                                             try {
-                                                // Pin both metadata and image
-                                                await ipfsService.pinContent(nft.metadata_cid);
-                                                if (nft.image_cid) {
-                                                    await ipfsService.pinContent(nft.image_cid);
-                                                }
+                                                // Pin the metadata, image, media and unlockable content
+                                                const metadataPinned = await ipfsService.pinContent(nft.metadata_cid);
+                                                const imagePinned = nft.image_cid
+                                                    ? await ipfsService.pinContent(nft.image_cid)
+                                                    : true;
+                                                const animationPinned = nft.animation_cid
+                                                    ? await ipfsService.pinContent(nft.animation_cid)
+                                                    : true;
+                                                const unlockablePinned = nft.unlockable_cid
+                                                    ? await ipfsService.pinContent(nft.unlockable_cid)
+                                                    : true;
+                                                const allPinned = metadataPinned && imagePinned && animationPinned && unlockablePinned;
                                                 
                                                 // Update NFTs array to show pinned status
                                                 setNfts(prevNfts => 
                                                     prevNfts.map(item => 
                                                         item.metadata_cid === nft.metadata_cid 
-                                                            ? { ...item, pinned: true } 
+                                                            ? { ...item, pinned: allPinned } 
                                                             : item
                                                     )
                                                 );
                                                 
+                                                if (!allPinned) {
+                                                    throw new Error('Not every pinning provider accepted the pin. See Pin Health for details.');
+                                                }
                                                 alert('Content successfully pinned to IPFS!');
                                             } catch (error) {
                                                 console.error('Error pinning content:', error);
@@ -352,6 +630,77 @@ const NFTCollection = () => {
                     </div>
                 ))}
             </div>
+            
+            {historyCid && (
+                <MetadataHistory
+                    cid={historyCid}
+                    isOwner={isHistoryOwner}
+                    onClose={() => setHistoryCid(null)}
+                    onRestored={() => {
+                        setHistoryCid(null);
+                        reloadCollection();
+                    }}
+                />
+            )}
+            
+            {unlockedContent && (
+                <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+                    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full p-6">
+                        <h3 className="text-lg font-medium text-gray-900 dark:text-white">
+                            Unlockable Content of {unlockedContent.nftName}
+                        </h3>
+                        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400 break-all">
+                            {unlockedContent.name} ({unlockedContent.size} bytes)
+                        </p>
+                        <div className="mt-4 flex justify-center">
+                            {unlockedContent.type.startsWith('image/') && (
+                                <img src={unlockedContent.url} alt={unlockedContent.name} className="max-h-96 object-contain" />
+                            )}
+                            {unlockedContent.type.startsWith('video/') && (
+                                <video src={unlockedContent.url} controls className="max-h-96" />
+                            )}
+                            {unlockedContent.type.startsWith('audio/') && (
+                                <audio src={unlockedContent.url} controls />
+                            )}
+                        </div>
+                        <div className="mt-6 flex justify-end space-x-3">
+                            <a
+                                href={unlockedContent.url}
+                                download={unlockedContent.name}
+                                className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                            >
+                                Download
+                            </a>
+                            <button
+                                onClick={closeUnlockedContent}
+                                className="py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-white dark:border-gray-600 dark:hover:bg-gray-600"
+                            >
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+            
+            {removingNft && (
+                <RemoveNFTDialog
+                    nft={removingNft}
+                    onClose={() => setRemovingNft(null)}
+                    onRemoved={handleRemoved}
+                />
+            )}
+            
+            {nextOffset < totalCount && (
+                <div className="mt-8 flex justify-center">
+                    <button
+                        onClick={handleLoadMore}
+                        disabled={loadingMore}
+                        className={`px-4 py-2 rounded-md shadow-sm text-sm font-medium text-white ${loadingMore ? 'bg-gray-300 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500`}
+                    >
+                        {loadingMore ? 'Loading...' : 'Load more'}
+                    </button>
+                </div>
+            )}
         </div>
     );
 };
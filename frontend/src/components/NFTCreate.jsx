@@ -1,28 +1,82 @@
-import { useState, useContext, useEffect } from 'react';
+import { useState, useContext, useEffect, useRef, useMemo } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
 import { BlockchainContext } from '../App';
-import { ethers } from 'ethers';
 import * as ipfsService from '../services/ipfsService';
 import * as blockchainService from '../services/blockchainService';
-import XineteDecentralizedStorageABI from '../contracts/XineteDecentralizedStorage.json';
+import IpfsImage from './IpfsImage';
+import { MediaViewer } from './IpfsMedia';
+import { areCidsEqual, parseCidReference } from '../services/cidUtils';
+import { KEY_WRAPPING, MAX_UNLOCKABLE_BYTES, UNLOCKABLE_FIELD } from '../services/unlockableContent';
+import {
+    DISPLAY_TYPES,
+    buildMetadata,
+    validateMetadata,
+    getErrorsByPath,
+    toAttributeInput
+} from '../services/nftMetadata';
+import { MEDIA_ACCEPT, MEDIA_KINDS, captureVideoFrame, withDetectedType } from '../services/mediaTypes';
+import { hashMetadata } from '../services/metadataIntegrity';
+
+// Files above this size are uploaded in resumable parts
+const RESUMABLE_UPLOAD_THRESHOLD = 64 * 1024 * 1024;
+
+const EMPTY_ATTRIBUTE = { trait_type: '', value: '', display_type: '', max_value: '' };
+
+const ATTRIBUTE_TYPE_LABELS = {
+    '': 'Text',
+    [DISPLAY_TYPES.NUMBER]: 'Number',
+    [DISPLAY_TYPES.BOOST_NUMBER]: 'Boost',
+    [DISPLAY_TYPES.BOOST_PERCENTAGE]: 'Boost %',
+    [DISPLAY_TYPES.DATE]: 'Date'
+};
+
+// Fields the form requires on top of the OpenSea profile
+const REQUIRED_FIELDS = ['name', 'description', 'image'];
+
+const isFilledAttribute = (attr) => attr.trait_type.trim() !== '' || attr.value.toString().trim() !== '';
+
+const FieldError = ({ message }) => (
+    message ? <p className="mt-1 text-sm text-red-600 dark:text-red-400">{message}</p> : null
+);
 
 const NFTCreate = () => {
     const { isConnected, userAddress, connectWallet } = useContext(BlockchainContext);
+    // Set when editing an existing NFT through /nft/:cid/edit
+    const { cid: editCid } = useParams();
+    const navigate = useNavigate();
+    const [originalMetadata, setOriginalMetadata] = useState(null);
+    const [loadingOriginal, setLoadingOriginal] = useState(false);
     const [file, setFile] = useState(null);
     const [filePreview, setFilePreview] = useState(null);
+    // { type, kind } of the chosen file, detected from its bytes
+    const [fileMedia, setFileMedia] = useState(null);
+    // Image for the metadata when the chosen file is video, audio, a 3D model or HTML
+    const [posterFile, setPosterFile] = useState(null);
+    const [posterPreview, setPosterPreview] = useState(null);
+    // Image already on IPFS, shown while editing until a new file is chosen
+    const [previewCid, setPreviewCid] = useState(null);
     const [uploading, setUploading] = useState(false);
     const [uploadResult, setUploadResult] = useState(null);
     const [metadata, setMetadata] = useState({
         name: '',
         description: '',
         externalUrl: '',
+        animationUrl: '',
         backgroundColor: ''
     });
-    const [attributes, setAttributes] = useState([
-        { trait_type: '', value: '' }
-    ]);
+    const [attributes, setAttributes] = useState([{ ...EMPTY_ATTRIBUTE }]);
+    // Free-form OpenSea properties, edited as JSON
+    const [propertiesText, setPropertiesText] = useState('');
+    // Missing required fields are only flagged once the user tries to save
+    const [submitAttempted, setSubmitAttempted] = useState(false);
     const [step, setStep] = useState(1); // 1: Upload Image, 2: Fill Metadata, 3: Result
-    const [contract, setContract] = useState(null);
+    const [blockchainReady, setBlockchainReady] = useState(false);
     const [ipfsUploadProgress, setIpfsUploadProgress] = useState(0);
+    // Optional file encrypted for the creator's wallet and linked as unlockable_content
+    const [unlockableFile, setUnlockableFile] = useState(null);
+    const [unlockableMethod, setUnlockableMethod] = useState(KEY_WRAPPING.SIGNATURE);
+    const [removeUnlockable, setRemoveUnlockable] = useState(false);
+    const uploadAbortRef = useRef(null);
 
     // Initialize services
     useEffect(() => {
@@ -35,68 +89,198 @@ const NFTCreate = () => {
             
             // Initialize blockchain service if wallet is connected
             if (isConnected) {
-                await blockchainService.initializeBlockchain({
+                const initialized = await blockchainService.initializeBlockchain({
                     rpcUrl: import.meta.env.VITE_BLOCKCHAIN_RPC_URL,
                     contractAddr: import.meta.env.VITE_CONTRACT_ADDRESS
                 });
-                
-                // Initialize contract
-                if (window.ethereum) {
-                    try {
-                        const provider = new ethers.BrowserProvider(window.ethereum);
-                        const signer = await provider.getSigner();
-                        const contractAddress = import.meta.env.VITE_CONTRACT_ADDRESS;
-                        const xineteContract = new ethers.Contract(
-                            contractAddress,
-                            XineteDecentralizedStorageABI.abi,
-                            signer
-                        );
-                        setContract(xineteContract);
-                    } catch (error) {
-                        console.error("Failed to initialize contract:", error);
-                    }
-                }
+                setBlockchainReady(initialized);
+            } else {
+                setBlockchainReady(false);
             }
         };
 
         initializeServices();
     }, [isConnected]);
 
-    const handleFileChange = (e) => {
-        if (e.target.files[0]) {
-            setFile(e.target.files[0]);
-            setFilePreview(URL.createObjectURL(e.target.files[0]));
-            setUploadResult(null);
+    // Pre-fill the form from the current metadata when editing
+    useEffect(() => {
+        if (!editCid) {
+            setOriginalMetadata(null);
+            return;
+        }
+
+        const loadOriginalMetadata = async () => {
+            setLoadingOriginal(true);
+            try {
+                ipfsService.initializeIPFS({
+                    ipfsApiUrl: `http://${import.meta.env.VITE_IPFS_API_HOST}:${import.meta.env.VITE_IPFS_API_PORT}/api/v0`,
+                    ipfsGatewayUrl: import.meta.env.VITE_IPFS_GATEWAY
+                });
+
+                const current = await ipfsService.fetchMetadata(editCid);
+
+                // Keep a path inside the CID, e.g. an image in a collection directory
+                let imageCid = '';
+                try {
+                    const { cid, path } = parseCidReference(current.image);
+                    imageCid = path ? `${cid}/${path}` : cid;
+                } catch (error) {
+                    console.warn(`Image of ${editCid} is not on IPFS:`, error.message);
+                }
+
+                setOriginalMetadata(current);
+                setMetadata({
+                    name: current.name || '',
+                    description: current.description || '',
+                    externalUrl: current.external_url || '',
+                    animationUrl: current.animation_url || '',
+                    backgroundColor: current.background_color ? `#${current.background_color}` : ''
+                });
+                setAttributes(
+                    Array.isArray(current.attributes) && current.attributes.length > 0
+                        ? current.attributes.map(toAttributeInput)
+                        : [{ ...EMPTY_ATTRIBUTE }]
+                );
+                setPropertiesText(current.properties ? JSON.stringify(current.properties, null, 2) : '');
+                setFile(null);
+                setFilePreview(null);
+                setPreviewCid(imageCid || null);
+                setUploadResult(imageCid ? {
+                    cid: imageCid,
+                    gateway_url: ipfsService.getGatewayUrl(imageCid)
+                } : null);
+                setStep(2);
+            } catch (error) {
+                alert(`Error loading metadata for ${editCid}: ${error.message}`);
+                console.error(error);
+            } finally {
+                setLoadingOriginal(false);
+            }
+        };
+
+        loadOriginalMetadata();
+    }, [editCid]);
+
+    const clearFile = () => {
+        setFile(null);
+        setFilePreview(null);
+        setFileMedia(null);
+        setPosterFile(null);
+        setPosterPreview(null);
+    };
+
+    const handleFileChange = async (e) => {
+        const selected = e.target.files[0];
+        if (!selected) return;
+        
+        // The type comes from the bytes, so a mislabelled file still gets the right player
+        const detected = await withDetectedType(selected);
+        if (!detected.kind) {
+            alert(`Unsupported file type (${detected.type}). Choose an image, video, audio, GLB/glTF model or HTML file.`);
+            e.target.value = '';
+            return;
+        }
+        
+        clearFile();
+        setFile(selected);
+        setFileMedia({ type: detected.type, kind: detected.kind });
+        setFilePreview(URL.createObjectURL(detected.blob));
+        setUploadResult(null);
+        
+        // Suggest a frame of a video as its poster; other media need one chosen by hand
+        if (detected.kind === MEDIA_KINDS.VIDEO) {
+            try {
+                const frame = await captureVideoFrame(detected.blob);
+                const baseName = selected.name.replace(/\.[^.]+$/, '');
+                setPosterFile(new File([frame], `${baseName}-poster.jpg`, { type: frame.type }));
+                setPosterPreview(URL.createObjectURL(frame));
+            } catch (error) {
+                console.warn('Could not capture a poster frame:', error.message);
+            }
+        }
+    };
+
+    const handlePosterChange = async (e) => {
+        const selected = e.target.files[0];
+        if (!selected) return;
+        
+        const detected = await withDetectedType(selected);
+        if (detected.kind !== MEDIA_KINDS.IMAGE) {
+            alert('The poster must be an image');
+            e.target.value = '';
+            return;
         }
+        setPosterFile(selected);
+        setPosterPreview(URL.createObjectURL(detected.blob));
     };
 
+    // Images become the metadata image; other media become animation_url with the poster as image
+    const isAnimation = fileMedia !== null && fileMedia.kind !== MEDIA_KINDS.IMAGE;
+
     const handleUploadImage = async () => {
         if (!file) return;
+        if (isAnimation && !posterFile) {
+            alert('Please choose a poster image');
+            return;
+        }
 
         setUploading(true);
         setIpfsUploadProgress(0);
+        uploadAbortRef.current = new AbortController();
         
         try {
-            // Use ipfsService to upload the file
+            const poster = isAnimation
+                ? await ipfsService.uploadFileToIPFS(posterFile, null, { signal: uploadAbortRef.current.signal })
+                : null;
+            if (poster && !poster.cid) {
+                throw new Error("IPFS upload of the poster failed");
+            }
+            
+            // Use ipfsService to stream the file; large files can resume after an interruption
             const result = await ipfsService.uploadFileToIPFS(file, (progress) => {
                 setIpfsUploadProgress(progress);
+            }, {
+                signal: uploadAbortRef.current.signal,
+                resumable: file.size > RESUMABLE_UPLOAD_THRESHOLD
             });
             
             if (result && result.cid) {
-                setUploadResult({
-                    cid: result.cid,
-                    gateway_url: result.gateway
-                });
+                if (isAnimation) {
+                    setUploadResult({
+                        cid: poster.cid,
+                        gateway_url: poster.gateway,
+                        animation: { cid: result.cid, ...fileMedia }
+                    });
+                    setMetadata(current => ({ ...current, animationUrl: `ipfs://${result.cid}` }));
+                } else {
+                    setUploadResult({
+                        cid: result.cid,
+                        gateway_url: result.gateway
+                    });
+                }
                 setStep(2);
             } else {
                 throw new Error("IPFS upload failed");
             }
         } catch (error) {
-            alert(`Error uploading: ${error.message}`);
-            console.error(error);
+            if (error.name === 'AbortError') {
+                alert(file.size > RESUMABLE_UPLOAD_THRESHOLD
+                    ? 'Upload cancelled. Upload the same file again to resume.'
+                    : 'Upload cancelled.');
+            } else {
+                alert(`Error uploading: ${error.message}`);
+                console.error(error);
+            }
         } finally {
             setUploading(false);
             setIpfsUploadProgress(0);
+            uploadAbortRef.current = null;
+        }
+    };
+    
+    const handleCancelUpload = () => {
+        if (uploadAbortRef.current) {
+            uploadAbortRef.current.abort();
         }
     };
     
@@ -114,8 +298,19 @@ const NFTCreate = () => {
         setAttributes(newAttributes);
     };
 
+    const handleUnlockableFileChange = (e) => {
+        const selected = e.target.files[0] || null;
+        if (selected && selected.size > MAX_UNLOCKABLE_BYTES) {
+            alert(`Unlockable files are limited to ${Math.floor(MAX_UNLOCKABLE_BYTES / (1024 * 1024))} MB`);
+            e.target.value = '';
+            return;
+        }
+        setUnlockableFile(selected);
+        setRemoveUnlockable(false);
+    };
+
     const addAttribute = () => {
-        setAttributes([...attributes, { trait_type: '', value: '' }]);
+        setAttributes([...attributes, { ...EMPTY_ATTRIBUTE }]);
     };
 
     const removeAttribute = (index) => {
@@ -124,48 +319,134 @@ const NFTCreate = () => {
         setAttributes(newAttributes);
     };
 
+    // Build the metadata from the form and validate it against the OpenSea profile
+    const draft = useMemo(() => {
+        const errors = [];
+        
+        let properties = null;
+        if (propertiesText.trim() !== '') {
+            try {
+                properties = JSON.parse(propertiesText);
+            } catch (error) {
+                errors.push({ path: '/properties', keyword: 'json', message: `must be valid JSON: ${error.message}` });
+            }
+        }
+        
+        // Rows left completely empty are ignored; keep the row index of the others for error messages
+        const filledRows = attributes
+            .map((attr, index) => ({ attr, index }))
+            .filter(({ attr }) => isFilledAttribute(attr));
+        
+        const metadataJson = buildMetadata({
+            name: metadata.name,
+            description: metadata.description,
+            image: uploadResult && uploadResult.cid ? `ipfs://${uploadResult.cid}` : '',
+            externalUrl: metadata.externalUrl,
+            animationUrl: metadata.animationUrl,
+            backgroundColor: metadata.backgroundColor,
+            attributes: filledRows.map(({ attr }) => attr),
+            properties
+        }, editCid && originalMetadata ? originalMetadata : {});
+        
+        errors.push(...validateMetadata(metadataJson, { required: REQUIRED_FIELDS }).errors
+            .filter(error => error.path !== '/properties' || properties !== null));
+        filledRows.forEach(({ attr }, position) => {
+            if (attr.value.toString().trim() === '') {
+                errors.push({ path: `/attributes/${position}/value`, keyword: 'required', message: 'is required' });
+            }
+        });
+        
+        // Point attribute errors at the form row rather than the position in the metadata
+        return {
+            metadataJson,
+            errors: errors.map(error => {
+                const match = error.path.match(/^\/attributes\/(\d+)(\/.*)?$/);
+                return match && filledRows[match[1]]
+                    ? { ...error, path: `/attributes/${filledRows[match[1]].index}${match[2] || ''}` }
+                    : error;
+            })
+        };
+    }, [metadata, attributes, propertiesText, uploadResult, editCid, originalMetadata]);
+    
+    // Format errors show while typing; missing fields only after a save attempt
+    const fieldErrors = useMemo(() => getErrorsByPath(draft.errors.filter(error =>
+        submitAttempted || (error.keyword !== 'required' && error.keyword !== 'minLength')
+    )), [draft, submitAttempted]);
+
     const handleCreateMetadata = async () => {
         if (!uploadResult || !uploadResult.cid) {
             alert('Please upload an image first');
             return;
         }
 
-        if (!isConnected || !contract) {
+        if (!isConnected || !blockchainReady) {
             alert('Please connect your wallet');
             return;
         }
 
+        setSubmitAttempted(true);
+        if (draft.errors.length > 0) {
+            return;
+        }
+
         setUploading(true);
         try {
-            // Filter out empty attributes
-            const validAttributes = attributes.filter(
-                attr => attr.trait_type.trim() !== '' && attr.value.toString().trim() !== ''
-            );
+            // Metadata JSON without empty optional fields, keeping any fields the form does not edit
+            const metadataJson = { ...draft.metadataJson };
             
-            // Create metadata JSON
-            const metadataJson = {
-                name: metadata.name,
-                description: metadata.description,
-                image: `ipfs://${uploadResult.cid}`,
-                external_url: metadata.externalUrl || null,
-                background_color: metadata.backgroundColor ? metadata.backgroundColor.replace('#', '') : null,
-                attributes: validAttributes
-            };
+            if (unlockableFile) {
+                // Encrypted in the browser with a key only the connected wallet can unwrap
+                const wallet = await blockchainService.getWalletCrypto();
+                const unlockableResult = await ipfsService.uploadEncryptedFile(unlockableFile, {
+                    wallet,
+                    method: unlockableMethod
+                });
+                metadataJson[UNLOCKABLE_FIELD] = `ipfs://${unlockableResult.cid}`;
+            } else if (removeUnlockable) {
+                delete metadataJson[UNLOCKABLE_FIELD];
+            }
+            
+            // The creator's wallet signs the finished metadata (EIP-712), so authorship can be checked off chain
+            const signedMetadata = await blockchainService.signMetadata(metadataJson);
             
             // Upload metadata directly to IPFS using the service
-            const metadataResult = await ipfsService.uploadJSONToIPFS(metadataJson);
+            const metadataResult = await ipfsService.uploadJSONToIPFS(signedMetadata);
             
             if (!metadataResult || !metadataResult.cid) {
                 throw new Error("Failed to upload metadata to IPFS");
             }
             
-            // Create hash for blockchain storage
+            // Hash the canonical JSON of what was uploaded, so the chain records the content and not just the CID
             const metadataCid = metadataResult.cid;
-            const metadataHash = await ipfsService.generateSHA256Hash(metadataCid);
+            const metadataHash = await hashMetadata(signedMetadata);
             
-            // Store hash on blockchain directly
-            const tx = await contract.storeCID(metadataCid, metadataHash);
-            await tx.wait();
+            if (editCid && areCidsEqual(metadataCid, editCid)) {
+                alert('No changes to save');
+                return;
+            }
+            
+            // Register the metadata, NFT name and image URI on the blockchain,
+            // replacing the edited CID when in edit mode
+            const receipt = editCid
+                ? await blockchainService.updateMetadata({
+                    oldCid: editCid,
+                    newCid: metadataCid,
+                    hash: metadataHash,
+                    nftName: metadata.name,
+                    imageURI: metadataJson.image
+                })
+                : await blockchainService.storeMetadata({
+                    cid: metadataCid,
+                    hash: metadataHash,
+                    nftName: metadata.name,
+                    imageURI: metadataJson.image
+                });
+            
+            if (editCid) {
+                // The collection reloads from the contract on mount
+                navigate('/nft/collection');
+                return;
+            }
             
             setUploadResult({
                 ...uploadResult,
@@ -173,7 +454,8 @@ const NFTCreate = () => {
                     metadata_cid: metadataResult.cid,
                     ipfs_url: `ipfs://${metadataResult.cid}`,
                     gateway_url: metadataResult.gateway,
-                    transaction_hash: tx.hash
+                    transaction_hash: receipt.transactionHash,
+                    pins: metadataResult.pins
                 }
             });
             
@@ -230,22 +512,42 @@ const NFTCreate = () => {
     };
 
     const resetForm = () => {
-        setFile(null);
-        setFilePreview(null);
+        clearFile();
+        setPreviewCid(null);
         setUploadResult(null);
         setMetadata({
             name: '',
             description: '',
             externalUrl: '',
+            animationUrl: '',
             backgroundColor: ''
         });
-        setAttributes([{ trait_type: '', value: '' }]);
+        setAttributes([{ ...EMPTY_ATTRIBUTE }]);
+        setPropertiesText('');
+        setSubmitAttempted(false);
+        setUnlockableFile(null);
+        setUnlockableMethod(KEY_WRAPPING.SIGNATURE);
+        setRemoveUnlockable(false);
         setStep(1);
     };
 
     return (
         <div className="max-w-2xl mx-auto p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md">
-            <h2 className="text-2xl font-bold mb-6 text-gray-800 dark:text-white">Create NFT Metadata</h2>
+            <h2 className="text-2xl font-bold mb-6 text-gray-800 dark:text-white">
+                {editCid ? 'Edit NFT Metadata' : 'Create NFT Metadata'}
+            </h2>
+            
+            {editCid && (
+                <p className="-mt-4 mb-6 text-sm text-gray-500 dark:text-gray-400 break-all">
+                    Editing {editCid}
+                </p>
+            )}
+            
+            {loadingOriginal && (
+                <div className="flex justify-center items-center h-32">
+                    <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-blue-500"></div>
+                </div>
+            )}
             
             {/* Wallet Connection Status */}
             <div className="mb-6 bg-blue-50 dark:bg-blue-900 p-4 rounded-lg">
@@ -281,16 +583,27 @@ const NFTCreate = () => {
                 )}
             </div>
             
-            {step === 1 && (
+            {!loadingOriginal && step === 1 && (
                 <div className="space-y-6">
                     <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center">
-                        {filePreview ? (
+                        {filePreview || previewCid ? (
                             <div>
-                                <img src={filePreview} alt="Preview" className="max-h-64 mx-auto mb-4" />
+                                {filePreview ? (
+                                    <MediaViewer
+                                        src={filePreview}
+                                        kind={fileMedia.kind}
+                                        type={fileMedia.type}
+                                        poster={posterPreview}
+                                        alt="Preview"
+                                        className={isAnimation ? 'h-64 w-full mx-auto mb-4' : 'max-h-64 mx-auto mb-4'}
+                                    />
+                                ) : (
+                                    <IpfsImage cid={previewCid} alt="Preview" className="h-64 w-64 object-contain mx-auto mb-4" />
+                                )}
                                 <button 
                                     onClick={() => {
-                                        setFile(null);
-                                        setFilePreview(null);
+                                        clearFile();
+                                        setPreviewCid(null);
                                     }}
                                     className="text-red-500 hover:text-red-700 font-medium"
                                 >
@@ -303,43 +616,100 @@ const NFTCreate = () => {
                                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z" />
                                 </svg>
                                 <p className="mt-1 text-sm text-gray-500">Click to upload or drag and drop</p>
-                                <p className="text-xs text-gray-500">PNG, JPG, GIF up to 10MB</p>
+                                <p className="text-xs text-gray-500">Image, video, audio, GLB/glTF 3D model or HTML page</p>
                             </div>
                         )}
                         <input
                             type="file"
                             onChange={handleFileChange}
-                            accept="image/*"
-                            className={`mt-4 ${filePreview ? 'hidden' : 'block'} w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100`}
+                            accept={MEDIA_ACCEPT}
+                            className={`mt-4 ${filePreview || previewCid ? 'hidden' : 'block'} w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100`}
                         />
                     </div>
                     
+                    {isAnimation && (
+                        <div className="space-y-2">
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Poster Image *
+                            </label>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                {fileMedia.kind === MEDIA_KINDS.VIDEO
+                                    ? 'Shown as the NFT image and before the video plays. A frame of the video is used unless you choose another image.'
+                                    : 'Shown as the NFT image wherever the media cannot be played.'}
+                                {fileMedia.kind === MEDIA_KINDS.MODEL && ' glTF files must embed their buffers and textures; GLB files always do.'}
+                                {fileMedia.kind === MEDIA_KINDS.HTML && ' HTML pages must be a single self-contained file; they run in a sandbox.'}
+                            </p>
+                            {posterPreview && (
+                                <img src={posterPreview} alt="Poster" className="w-24 h-24 object-cover rounded" />
+                            )}
+                            <input
+                                type="file"
+                                onChange={handlePosterChange}
+                                accept="image/*"
+                                className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                            />
+                        </div>
+                    )}
+                    
                     {ipfsUploadProgress > 0 && ipfsUploadProgress < 100 && (
                         <div className="w-full bg-gray-200 rounded-full h-2.5 dark:bg-gray-700 mb-4">
                             <div className="bg-blue-600 h-2.5 rounded-full" style={{ width: `${ipfsUploadProgress}%` }}></div>
-                            <p className="text-xs text-gray-500 mt-1">Uploading to IPFS: {ipfsUploadProgress}%</p>
+                            <p className="text-xs text-gray-500 mt-1">Uploading to IPFS: {Math.round(ipfsUploadProgress)}%</p>
                         </div>
                     )}
                     
                     <button
                         onClick={handleUploadImage}
-                        disabled={!file || uploading}
-                        className={`w-full py-2 px-4 rounded ${!file || uploading ? 'bg-gray-300 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'} text-white font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500`}
+                        disabled={!file || uploading || (isAnimation && !posterFile)}
+                        className={`w-full py-2 px-4 rounded ${!file || uploading || (isAnimation && !posterFile) ? 'bg-gray-300 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'} text-white font-medium focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500`}
                     >
                         {uploading ? 'Uploading...' : 'Upload to IPFS'}
                     </button>
+                    
+                    {uploading && (
+                        <button
+                            type="button"
+                            onClick={handleCancelUpload}
+                            className="w-full py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white dark:border-gray-600 dark:hover:bg-gray-600"
+                        >
+                            Cancel Upload
+                        </button>
+                    )}
+                    
+                    {editCid && uploadResult && !file && (
+                        <button
+                            type="button"
+                            onClick={() => setStep(2)}
+                            className="w-full py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white dark:border-gray-600 dark:hover:bg-gray-600"
+                        >
+                            Keep Current Image
+                        </button>
+                    )}
                 </div>
             )}
             
-            {step === 2 && (
+            {!loadingOriginal && step === 2 && (
                 <div className="space-y-6">
                     <div className="flex items-start space-x-4">
-                        <img src={filePreview} alt="Preview" className="w-24 h-24 object-cover rounded" />
+                        {filePreview && !isAnimation ? (
+                            <img src={filePreview} alt="Preview" className="w-24 h-24 object-cover rounded" />
+                        ) : posterPreview ? (
+                            <img src={posterPreview} alt="Preview" className="w-24 h-24 object-cover rounded" />
+                        ) : (
+                            <IpfsImage cid={uploadResult && uploadResult.cid} alt="Preview" className="w-24 h-24 object-cover rounded" />
+                        )}
                         <div className="flex-1">
-                            <h3 className="font-medium text-gray-900 dark:text-white">Image Uploaded Successfully</h3>
+                            <h3 className="font-medium text-gray-900 dark:text-white">
+                                {editCid && !file ? 'Current Image' : isAnimation ? 'Media and Poster Uploaded Successfully' : 'Image Uploaded Successfully'}
+                            </h3>
                             <p className="text-sm text-gray-500 dark:text-gray-400 break-all">
                                 IPFS CID: {uploadResult?.cid}
                             </p>
+                            {uploadResult?.animation && (
+                                <p className="text-sm text-gray-500 dark:text-gray-400 break-all">
+                                    Media ({uploadResult.animation.type}): {uploadResult.animation.cid}
+                                </p>
+                            )}
                         </div>
                     </div>
                     
@@ -356,6 +726,7 @@ const NFTCreate = () => {
                                 className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
                                 required
                             />
+                            <FieldError message={fieldErrors['/name']} />
                         </div>
                         
                         <div>
@@ -370,6 +741,7 @@ const NFTCreate = () => {
                                 className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
                                 required
                             />
+                            <FieldError message={fieldErrors['/description']} />
                         </div>
                         
                         <div>
@@ -383,6 +755,22 @@ const NFTCreate = () => {
                                 onChange={handleMetadataChange}
                                 className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
                             />
+                            <FieldError message={fieldErrors['/external_url']} />
+                        </div>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Animation URL
+                            </label>
+                            <input
+                                type="text"
+                                name="animationUrl"
+                                value={metadata.animationUrl}
+                                onChange={handleMetadataChange}
+                                placeholder="ipfs://..."
+                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                            />
+                            <FieldError message={fieldErrors['/animation_url']} />
                         </div>
                         
                         <div>
@@ -406,6 +794,7 @@ const NFTCreate = () => {
                                     className="flex-1 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
                                 />
                             </div>
+                            <FieldError message={fieldErrors['/background_color']} />
                         </div>
                         
                         <div className="space-y-3">
@@ -425,7 +814,8 @@ const NFTCreate = () => {
                             </div>
                             
                             {attributes.map((attr, index) => (
-                                <div key={index} className="flex items-center space-x-2">
+                                <div key={index}>
+                                <div className="flex items-center space-x-2">
                                     <input
                                         type="text"
                                         placeholder="Trait Type"
@@ -433,13 +823,31 @@ const NFTCreate = () => {
                                         onChange={(e) => handleAttributeChange(index, 'trait_type', e.target.value)}
                                         className="flex-1 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
                                     />
+                                    <select
+                                        value={attr.display_type}
+                                        onChange={(e) => handleAttributeChange(index, 'display_type', e.target.value)}
+                                        className="rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                    >
+                                        {Object.entries(ATTRIBUTE_TYPE_LABELS).map(([displayType, label]) => (
+                                            <option key={displayType} value={displayType}>{label}</option>
+                                        ))}
+                                    </select>
                                     <input
-                                        type="text"
+                                        type={attr.display_type === DISPLAY_TYPES.DATE ? 'date' : 'text'}
                                         placeholder="Value"
                                         value={attr.value}
                                         onChange={(e) => handleAttributeChange(index, 'value', e.target.value)}
                                         className="flex-1 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
                                     />
+                                    {attr.display_type !== '' && attr.display_type !== DISPLAY_TYPES.DATE && (
+                                        <input
+                                            type="number"
+                                            placeholder="Max"
+                                            value={attr.max_value}
+                                            onChange={(e) => handleAttributeChange(index, 'max_value', e.target.value)}
+                                            className="w-20 rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                        />
+                                    )}
                                     {attributes.length > 1 && (
                                         <button
                                             type="button"
@@ -452,8 +860,62 @@ const NFTCreate = () => {
                                         </button>
                                     )}
                                 </div>
+                                <FieldError message={
+                                    fieldErrors[`/attributes/${index}/value`]
+                                    || fieldErrors[`/attributes/${index}/max_value`]
+                                    || fieldErrors[`/attributes/${index}/display_type`]
+                                } />
+                                </div>
                             ))}
                         </div>
+                        
+                        <div>
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Properties (JSON)
+                            </label>
+                            <textarea
+                                value={propertiesText}
+                                onChange={(e) => setPropertiesText(e.target.value)}
+                                rows={3}
+                                placeholder='{ "edition": 1 }'
+                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white font-mono text-sm"
+                            />
+                            <FieldError message={fieldErrors['/properties']} />
+                        </div>
+                        
+                        <div className="space-y-2">
+                            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300">
+                                Unlockable Content
+                            </label>
+                            <p className="text-xs text-gray-500 dark:text-gray-400">
+                                Optional file that is encrypted in your browser before upload. Only your wallet can decrypt it.
+                            </p>
+                            {editCid && originalMetadata && originalMetadata[UNLOCKABLE_FIELD] && !unlockableFile && (
+                                <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+                                    <input
+                                        type="checkbox"
+                                        checked={removeUnlockable}
+                                        onChange={(e) => setRemoveUnlockable(e.target.checked)}
+                                    />
+                                    <span>Remove the current unlockable content</span>
+                                </label>
+                            )}
+                            <input
+                                type="file"
+                                onChange={handleUnlockableFileChange}
+                                className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
+                            />
+                            {unlockableFile && (
+                                <select
+                                    value={unlockableMethod}
+                                    onChange={(e) => setUnlockableMethod(e.target.value)}
+                                    className="block w-full rounded-md border-gray-300 shadow-sm focus:border-blue-500 focus:ring-blue-500 dark:bg-gray-700 dark:border-gray-600 dark:text-white"
+                                >
+                                    <option value={KEY_WRAPPING.SIGNATURE}>Key from a wallet signature (any wallet)</option>
+                                    <option value={KEY_WRAPPING.PUBLIC_KEY}>Wallet encryption key (MetaMask)</option>
+                                </select>
+                            )}
+                        </div>
                     </div>
                     
                     <div className="flex space-x-3">
@@ -462,7 +924,7 @@ const NFTCreate = () => {
                             onClick={() => setStep(1)}
                             className="flex-1 py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white dark:border-gray-600 dark:hover:bg-gray-600"
                         >
-                            Back
+                            {editCid ? 'Change Image' : 'Back'}
                         </button>
                         <button
                             type="button"
@@ -470,7 +932,9 @@ const NFTCreate = () => {
                             disabled={!metadata.name || !metadata.description || uploading}
                             className={`flex-1 py-2 px-4 rounded-md shadow-sm text-sm font-medium text-white ${!metadata.name || !metadata.description || uploading ? 'bg-gray-300 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'} focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500`}
                         >
-                            {uploading ? 'Creating...' : 'Create NFT Metadata'}
+                            {uploading
+                                ? (editCid ? 'Saving...' : 'Creating...')
+                                : (editCid ? 'Save Changes' : 'Create NFT Metadata')}
                         </button>
                     </div>
                 </div>
@@ -487,21 +951,19 @@ const NFTCreate = () => {
                             </div>
                             <div className="ml-3">
                                 <h3 className="text-sm font-medium text-green-800">NFT Metadata Created Successfully</h3>
-                                {useDirectBlockchain && (
-                                    <p className="text-xs text-green-700 mt-1">
-                                        ✅ Created in fully decentralized mode with direct blockchain interaction
-                                    </p>
-                                )}
+                                <p className="text-xs text-green-700 mt-1">
+                                    ✅ Created in fully decentralized mode with direct blockchain interaction
+                                </p>
                             </div>
                         </div>
                     </div>
                     
                     <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-lg">
                         <div className="flex mb-4">
-                            <img 
-                                src={`${import.meta.env.VITE_IPFS_GATEWAY}/${uploadResult.pinata_cid}`} 
-                                alt="NFT" 
-                                className="w-24 h-24 object-cover rounded mr-4" 
+                            <IpfsImage
+                                cid={uploadResult.cid}
+                                alt="NFT"
+                                className="w-24 h-24 object-cover rounded mr-4"
                             />
                             <div>
                                 <h3 className="font-bold text-lg">{metadata.name}</h3>
@@ -535,6 +997,20 @@ const NFTCreate = () => {
                                     <p className="text-sm break-all">{uploadResult.metadata.transaction_hash}</p>
                                 </div>
                             )}
+                            {uploadResult.metadata.pins && (
+                                <div>
+                                    <span className="text-sm font-medium text-gray-500 dark:text-gray-400">
+                                        Metadata Pins ({uploadResult.metadata.pins.replicas} of {uploadResult.metadata.pins.target}):
+                                    </span>
+                                    <ul className="text-sm">
+                                        {Object.entries(uploadResult.metadata.pins.providers).map(([provider, entry]) => (
+                                            <li key={provider}>
+                                                {provider}: {entry.status}{entry.error ? ` (${entry.error})` : ''}
+                                            </li>
+                                        ))}
+                                    </ul>
+                                </div>
+                            )}
                         </div>
                     </div>
                     
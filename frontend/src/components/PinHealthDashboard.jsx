@@ -0,0 +1,181 @@
+import { useState, useEffect, useContext } from 'react';
+import { BlockchainContext } from '../App';
+import * as pinHealthService from '../services/pinHealthService';
+import { PIN_HEALTH } from '../services/pinHealthMonitor';
+
+const HEALTH_STYLES = {
+    [PIN_HEALTH.HEALTHY]: 'bg-green-100 text-green-800',
+    [PIN_HEALTH.DEGRADED]: 'bg-yellow-100 text-yellow-800',
+    [PIN_HEALTH.REPAIRING]: 'bg-blue-100 text-blue-800',
+    [PIN_HEALTH.FAILED]: 'bg-red-100 text-red-800',
+    [PIN_HEALTH.UNKNOWN]: 'bg-gray-100 text-gray-800'
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const PinHealthDashboard = () => {
+    const { isConnected, userAddress, connectWallet } = useContext(BlockchainContext);
+    const [report, setReport] = useState(null);
+    const [checking, setChecking] = useState(false);
+    const [retrying, setRetrying] = useState(null);
+
+    // The monitor itself is started by App; this page only follows its reports
+    useEffect(() => {
+        if (!isConnected || !userAddress) {
+            setReport(null);
+            return;
+        }
+
+        const monitor = pinHealthService.getPinHealthMonitor(userAddress);
+        const unsubscribe = monitor.subscribe(setReport);
+        monitor.getReport().then(setReport);
+        return unsubscribe;
+    }, [isConnected, userAddress]);
+
+    const handleCheckNow = async () => {
+        try {
+            setChecking(true);
+            const monitor = await pinHealthService.startPinHealthMonitor(userAddress);
+            if (!monitor) {
+                throw new Error('Could not connect to the contract or the IPFS node');
+            }
+            await monitor.runOnce();
+        } catch (error) {
+            console.error('Error checking pins:', error);
+            alert(`Error checking pins: ${error.message}`);
+        } finally {
+            setChecking(false);
+        }
+    };
+
+    const handleRetry = async (cid) => {
+        try {
+            setRetrying(cid);
+            await pinHealthService.getPinHealthMonitor(userAddress).retry(cid);
+        } catch (error) {
+            console.error('Error repairing pin:', error);
+            alert(`Error repairing pin: ${error.message}`);
+        } finally {
+            setRetrying(null);
+        }
+    };
+
+    if (!isConnected) {
+        return (
+            <div className="max-w-5xl mx-auto p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md">
+                <h2 className="text-2xl font-bold mb-6 text-gray-800 dark:text-white">Pin Health</h2>
+                <button
+                    onClick={connectWallet}
+                    className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+                >
+                    Connect Wallet
+                </button>
+                <p className="mt-2 text-sm text-red-600 dark:text-red-400">
+                    ⚠️ Connect your wallet to see the pin status of your NFTs
+                </p>
+            </div>
+        );
+    }
+
+    return (
+        <div className="max-w-5xl mx-auto p-6 bg-white dark:bg-gray-800 rounded-lg shadow-md">
+            <div className="flex justify-between items-center mb-6">
+                <h2 className="text-2xl font-bold text-gray-800 dark:text-white">Pin Health</h2>
+                <button
+                    onClick={handleCheckNow}
+                    disabled={checking}
+                    className="py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                    {checking ? 'Checking...' : 'Check Now'}
+                </button>
+            </div>
+
+            {report && (
+                <>
+                    <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                        {Object.values(PIN_HEALTH).map(health => (
+                            <div key={health} className="bg-gray-50 dark:bg-gray-700 p-4 rounded-md">
+                                <p className="text-xs uppercase text-gray-500 dark:text-gray-400">{health}</p>
+                                <p className="text-2xl font-bold text-gray-900 dark:text-white">{report.counts[health]}</p>
+                            </div>
+                        ))}
+                    </div>
+
+                    <div className="mb-6 text-sm text-gray-600 dark:text-gray-300">
+                        <p>Last check: {formatTime(report.lastRunAt)}</p>
+                        <p>Next run: {report.running ? formatTime(report.nextRunAt) : 'not scheduled'}</p>
+                        {report.lastError && (
+                            <p className="text-red-600 dark:text-red-400">Last run failed: {report.lastError}</p>
+                        )}
+                    </div>
+
+                    {report.entries.length === 0 ? (
+                        <p className="text-gray-600 dark:text-gray-300">No CIDs tracked yet. Run a check to load your registered metadata.</p>
+                    ) : (
+                        <div className="overflow-x-auto">
+                            <table className="min-w-full text-sm">
+                                <thead>
+                                    <tr className="text-left text-gray-500 dark:text-gray-400">
+                                        <th className="py-2 pr-4">CID</th>
+                                        <th className="py-2 pr-4">Kind</th>
+                                        <th className="py-2 pr-4">Health</th>
+                                        <th className="py-2 pr-4">Providers</th>
+                                        <th className="py-2 pr-4">Last checked</th>
+                                        <th className="py-2"></th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.entries.map(entry => (
+                                        <tr key={entry.cid} className="border-t border-gray-200 dark:border-gray-700 align-top">
+                                            <td className="py-2 pr-4 font-mono text-xs text-gray-700 dark:text-gray-300 break-all">{entry.cid}</td>
+                                            <td className="py-2 pr-4 text-gray-900 dark:text-white">{entry.kind}</td>
+                                            <td className="py-2 pr-4">
+                                                <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${HEALTH_STYLES[entry.health]}`}>
+                                                    {entry.health}
+                                                </span>
+                                                {entry.target !== null && (
+                                                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                                        {entry.replicas} of {entry.target} replicas
+                                                    </p>
+                                                )}
+                                                {entry.health === PIN_HEALTH.DEGRADED && entry.nextAttemptAt && (
+                                                    <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                                                        Repair {entry.attempts > 0 ? `attempt ${entry.attempts + 1} ` : ''}at {formatTime(entry.nextAttemptAt)}
+                                                    </p>
+                                                )}
+                                                {entry.lastError && (
+                                                    <p className="mt-1 text-xs text-red-600 dark:text-red-400">{entry.lastError}</p>
+                                                )}
+                                            </td>
+                                            <td className="py-2 pr-4 text-xs text-gray-700 dark:text-gray-300">
+                                                {Object.entries(entry.providers).map(([name, provider]) => (
+                                                    <p key={name} title={provider.error || ''}>
+                                                        {name}: {provider.status || 'unreachable'}
+                                                    </p>
+                                                ))}
+                                            </td>
+                                            <td className="py-2 pr-4 text-xs text-gray-700 dark:text-gray-300">{formatTime(entry.lastCheckedAt)}</td>
+                                            <td className="py-2">
+                                                {(entry.health === PIN_HEALTH.DEGRADED || entry.health === PIN_HEALTH.FAILED) && (
+                                                    <button
+                                                        onClick={() => handleRetry(entry.cid)}
+                                                        disabled={retrying !== null}
+                                                        className="text-sm text-blue-600 dark:text-blue-400 hover:underline disabled:opacity-50"
+                                                    >
+                                                        {retrying === entry.cid ? 'Repairing...' : 'Repair now'}
+                                                    </button>
+                                                )}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PinHealthDashboard;
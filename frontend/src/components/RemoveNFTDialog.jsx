@@ -0,0 +1,170 @@
+import { useState, useEffect } from 'react';
+import * as ipfsService from '../services/ipfsService';
+import * as blockchainService from '../services/blockchainService';
+
+const RemoveNFTDialog = ({ nft, onClose, onRemoved }) => {
+    const [estimate, setEstimate] = useState(null);
+    const [estimateError, setEstimateError] = useState(null);
+    const [unpinMetadata, setUnpinMetadata] = useState(false);
+    const [unpinImage, setUnpinImage] = useState(false);
+    const [unpinAnimation, setUnpinAnimation] = useState(false);
+    const [unpinUnlockable, setUnpinUnlockable] = useState(false);
+    const [removing, setRemoving] = useState(false);
+
+    // Estimate the removal cost before asking for confirmation
+    useEffect(() => {
+        const loadEstimate = async () => {
+            try {
+                setEstimateError(null);
+                setEstimate(await blockchainService.estimateRemoveMetadata(nft.metadata_cid));
+            } catch (err) {
+                setEstimateError(err.reason || err.message);
+            }
+        };
+
+        loadEstimate();
+    }, [nft.metadata_cid]);
+
+    const handleRemove = async () => {
+        try {
+            setRemoving(true);
+            await blockchainService.removeMetadata(nft.metadata_cid);
+
+            // Unpin only after the entry is gone from the chain
+            const failed = [];
+            if (unpinMetadata && !(await ipfsService.unpinContent(nft.metadata_cid))) {
+                failed.push(nft.metadata_cid);
+            }
+            if (unpinImage && nft.image_cid && !(await ipfsService.unpinContent(nft.image_cid))) {
+                failed.push(nft.image_cid);
+            }
+            if (unpinAnimation && nft.animation_cid && !(await ipfsService.unpinContent(nft.animation_cid))) {
+                failed.push(nft.animation_cid);
+            }
+            if (unpinUnlockable && nft.unlockable_cid && !(await ipfsService.unpinContent(nft.unlockable_cid))) {
+                failed.push(nft.unlockable_cid);
+            }
+
+            if (failed.length > 0) {
+                alert(`NFT removed from blockchain, but could not unpin: ${failed.join(', ')}`);
+            } else {
+                alert('NFT removed from blockchain! ✅');
+            }
+            onRemoved(nft);
+        } catch (err) {
+            alert(`Error removing NFT: ${err.reason || err.message}`);
+            setRemoving(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full max-w-lg">
+                <div className="p-4 border-b border-gray-200 dark:border-gray-700">
+                    <h3 className="text-lg font-medium text-gray-900 dark:text-white">Remove NFT</h3>
+                </div>
+
+                <div className="p-4 space-y-4">
+                    <p className="text-sm text-gray-700 dark:text-gray-300">
+                        This removes <span className="font-medium">{nft.name || 'this NFT'}</span> from your collection on chain. It cannot be undone.
+                    </p>
+
+                    <div>
+                        <p className="text-xs font-medium text-gray-500 dark:text-gray-400">Metadata CID</p>
+                        <p className="text-xs font-mono text-gray-900 dark:text-white break-all">{nft.metadata_cid}</p>
+                    </div>
+
+                    <div>
+                        <p className="text-xs font-medium text-gray-500 dark:text-gray-400">Estimated gas</p>
+                        {estimate && (
+                            <p className="text-sm text-gray-900 dark:text-white">
+                                {estimate.gasLimit.toString()} gas (~{estimate.estimatedCost} ETH)
+                            </p>
+                        )}
+                        {estimateError && (
+                            <p className="text-sm text-red-600 dark:text-red-400">Could not estimate gas: {estimateError}</p>
+                        )}
+                        {!estimate && !estimateError && (
+                            <p className="text-sm text-gray-500 dark:text-gray-400">Estimating...</p>
+                        )}
+                    </div>
+
+                    <div className="space-y-2">
+                        <label className="flex items-start text-sm text-gray-700 dark:text-gray-300">
+                            <input
+                                type="checkbox"
+                                checked={unpinMetadata}
+                                onChange={(e) => setUnpinMetadata(e.target.checked)}
+                                className="mt-0.5 mr-2"
+                            />
+                            Unpin metadata from the IPFS node and pinning services
+                        </label>
+                        {nft.image_cid && (
+                            <label className="flex items-start text-sm text-gray-700 dark:text-gray-300">
+                                <input
+                                    type="checkbox"
+                                    checked={unpinImage}
+                                    onChange={(e) => setUnpinImage(e.target.checked)}
+                                    className="mt-0.5 mr-2"
+                                />
+                                <span>
+                                    Unpin image <span className="font-mono text-xs break-all">{nft.image_cid}</span>
+                                    <span className="block text-xs text-gray-500 dark:text-gray-400">
+                                        Leave this unchecked if other NFTs or earlier versions use the same image
+                                    </span>
+                                </span>
+                            </label>
+                        )}
+                        {nft.animation_cid && (
+                            <label className="flex items-start text-sm text-gray-700 dark:text-gray-300">
+                                <input
+                                    type="checkbox"
+                                    checked={unpinAnimation}
+                                    onChange={(e) => setUnpinAnimation(e.target.checked)}
+                                    className="mt-0.5 mr-2"
+                                />
+                                <span>
+                                    Unpin media <span className="font-mono text-xs break-all">{nft.animation_cid}</span>
+                                </span>
+                            </label>
+                        )}
+                        {nft.unlockable_cid && (
+                            <label className="flex items-start text-sm text-gray-700 dark:text-gray-300">
+                                <input
+                                    type="checkbox"
+                                    checked={unpinUnlockable}
+                                    onChange={(e) => setUnpinUnlockable(e.target.checked)}
+                                    className="mt-0.5 mr-2"
+                                />
+                                <span>
+                                    Unpin unlockable content <span className="font-mono text-xs break-all">{nft.unlockable_cid}</span>
+                                </span>
+                            </label>
+                        )}
+                    </div>
+                </div>
+
+                <div className="flex space-x-3 p-4 border-t border-gray-200 dark:border-gray-700">
+                    <button
+                        type="button"
+                        onClick={onClose}
+                        disabled={removing}
+                        className="flex-1 py-2 px-4 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 dark:bg-gray-700 dark:text-white dark:border-gray-600 dark:hover:bg-gray-600 disabled:opacity-50"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleRemove}
+                        disabled={removing || Boolean(estimateError)}
+                        className={`flex-1 py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${removing || estimateError ? 'bg-gray-300 cursor-not-allowed' : 'bg-red-600 hover:bg-red-700'}`}
+                    >
+                        {removing ? 'Removing...' : 'Remove'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RemoveNFTDialog;
@@ -0,0 +1,462 @@
+/**
+ * Batch minting service
+ * Uploads a folder of images, generates per-item metadata from a manifest and registers
+ * each item on chain, persisting progress after every step so a failed run can be resumed
+ */
+import { createIndexedDBStore } from './indexedDbStore.js';
+import { areCidsEqual } from './cidUtils.js';
+import { buildMetadata, validateMetadata } from './nftMetadata.js';
+
+/**
+ * Item status values, in processing order
+ */
+export const ITEM_STATUS = {
+  PENDING: 'pending',
+  IMAGE_UPLOADED: 'image_uploaded',
+  METADATA_UPLOADED: 'metadata_uploaded',
+  REGISTERED: 'registered',
+  FAILED: 'failed'
+};
+
+/**
+ * Job status values
+ */
+export const JOB_STATUS = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+// Manifest columns that map to metadata fields; every other CSV column becomes an attribute
+const FIELD_COLUMNS = {
+  file: 'file',
+  filename: 'file',
+  name: 'name',
+  description: 'description',
+  external_url: 'externalUrl',
+  background_color: 'backgroundColor'
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+const parseCSVRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Normalise one manifest entry
+ * @param {Object} entry - Raw entry
+ * @returns {Object} - Entry with file, name, description, externalUrl, backgroundColor and attributes
+ */
+const normalizeEntry = (entry) => {
+  const file = String(entry.file || entry.filename || '').trim();
+  if (!file) {
+    throw new Error('Manifest entry is missing a file name');
+  }
+
+  return {
+    file,
+    name: String(entry.name || '').trim() || file.replace(/\.[^.]+$/, ''),
+    description: String(entry.description || '').trim(),
+    externalUrl: entry.externalUrl || entry.external_url || null,
+    backgroundColor: entry.backgroundColor || entry.background_color || null,
+    attributes: (entry.attributes || [])
+      .filter(attr => attr && attr.trait_type && attr.value !== undefined && attr.value !== '')
+      .map(attr => ({
+        trait_type: String(attr.trait_type),
+        value: attr.value,
+        // Typed attributes from JSON manifests
+        ...(attr.display_type ? { display_type: attr.display_type } : {}),
+        ...(attr.max_value !== undefined ? { max_value: attr.max_value } : {})
+      }))
+  };
+};
+
+/**
+ * Parse a CSV or JSON manifest
+ * CSV manifests need a file (or filename) column; name, description, external_url and
+ * background_color map to metadata fields and every other column becomes an attribute.
+ * JSON manifests are an array of entries, or an object keyed by file name.
+ * @param {string} text - Manifest contents
+ * @param {string} fileName - Manifest file name, used to pick the format
+ * @returns {Array<Object>} - Normalised entries
+ */
+export const parseManifest = (text, fileName = '') => {
+  const isJSON = fileName.toLowerCase().endsWith('.json') || /^\s*[[{]/.test(text);
+  let entries;
+
+  if (isJSON) {
+    const parsed = JSON.parse(text);
+    entries = Array.isArray(parsed)
+      ? parsed
+      : Object.entries(parsed).map(([file, entry]) => ({ file, ...entry }));
+  } else {
+    const [header, ...rows] = parseCSVRows(text);
+    if (!header) {
+      throw new Error('Manifest is empty');
+    }
+
+    const columns = header.map(column => column.trim());
+    if (!columns.some(column => FIELD_COLUMNS[column.toLowerCase()] === 'file')) {
+      throw new Error('CSV manifest needs a "file" column');
+    }
+
+    entries = rows.map(fields => columns.reduce((entry, column, index) => {
+      const value = (fields[index] || '').trim();
+      const field = FIELD_COLUMNS[column.toLowerCase()];
+      if (field) {
+        entry[field] = value;
+      } else if (value !== '') {
+        entry.attributes.push({ trait_type: column, value });
+      }
+      return entry;
+    }, { attributes: [] }));
+  }
+
+  const normalized = entries.map(normalizeEntry);
+
+  const seen = new Set();
+  normalized.forEach(entry => {
+    if (seen.has(entry.file)) {
+      throw new Error(`Manifest lists ${entry.file} more than once`);
+    }
+    seen.add(entry.file);
+  });
+
+  return normalized;
+};
+
+/**
+ * Derive a stable job ID from the manifest so selecting the same folder and manifest resumes the job
+ * @param {Array<Object>} entries - Normalised manifest entries
+ * @returns {Promise<string>} - Job ID
+ */
+export const createJobId = async (entries) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(entries)));
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Create a new job for a manifest
+ * @param {string} id - Job ID from createJobId
+ * @param {Array<Object>} entries - Normalised manifest entries
+ * @returns {Object} - Job state
+ */
+export const createBatchJob = (id, entries) => ({
+  id,
+  status: JOB_STATUS.PAUSED,
+  createdAt: new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+  items: entries.map(entry => ({
+    ...entry,
+    status: ITEM_STATUS.PENDING,
+    imageCid: null,
+    metadataCid: null,
+    hash: null,
+    transactionHash: null,
+    error: null
+  }))
+});
+
+/**
+ * Build the metadata document for an item, in the same shape NFTCreate produces
+ * @param {Object} item - Job item with an uploaded image
+ * @returns {Object} - Metadata JSON
+ */
+export const buildItemMetadata = (item) => buildMetadata({
+  name: item.name,
+  description: item.description,
+  image: `ipfs://${item.imageCid}`,
+  externalUrl: item.externalUrl,
+  backgroundColor: item.backgroundColor,
+  attributes: item.attributes
+});
+
+/**
+ * Check that every manifest entry has a matching image
+ * @param {Object} job - Job state
+ * @param {Map<string, File>} files - Images keyed by file name
+ * @returns {Array<string>} - File names that are missing, for items not yet past the image upload
+ */
+export const findMissingFiles = (job, files) => job.items
+  .filter(item => item.status === ITEM_STATUS.PENDING || (item.status === ITEM_STATUS.FAILED && !item.imageCid))
+  .map(item => item.file)
+  .filter(file => !files.has(file));
+
+/**
+ * Run or resume a batch job
+ * Items are processed one at a time; each completed step is saved before the next starts,
+ * so a resumed run skips finished uploads and transactions. When services.registerBatch is
+ * given, all uploads run first and the items are then registered together in chunked transactions.
+ * @param {Object} params - Run parameters
+ * @param {Object} params.job - Job state, updated in place
+ * @param {Map<string, File>} params.files - Images keyed by file name
+ * @param {Object} params.services - uploadFile(file), uploadJSON(json), hash(metadata), register(item) or
+ * registerBatch(items, onChunk), and optional getOwner(cid)
+ * @param {string} params.account - The minting account, used to recognise items registered before an interruption
+ * @param {Object} params.store - Store from indexedDbStore, or null to skip persistence
+ * @param {Function} params.onProgress - Called with (job, item) after every step
+ * @param {AbortSignal} params.signal - Pauses the job after the current step when aborted
+ * @param {Function} params.logError - (message, error) => void, called for every failed item or batch
+ * @returns {Promise<Object>} - The job state
+ */
+export const runBatchJob = async ({
+  job,
+  files,
+  services,
+  account = null,
+  store = null,
+  onProgress = null,
+  signal = null,
+  logError = (message, error) => console.error(message, error)
+}) => {
+  const { uploadFile, uploadJSON, hash, register, registerBatch, getOwner } = services;
+
+  const save = async (item) => {
+    job.updatedAt = new Date().toISOString();
+    if (store) {
+      await store.put(job.id, job);
+    }
+    if (onProgress) {
+      onProgress(job, item);
+    }
+  };
+
+  job.status = JOB_STATUS.RUNNING;
+  await save(null);
+
+  for (const item of job.items) {
+    if (item.status === ITEM_STATUS.REGISTERED) {
+      continue;
+    }
+    if (signal && signal.aborted) {
+      job.status = JOB_STATUS.PAUSED;
+      await save(null);
+      return job;
+    }
+
+    item.error = null;
+
+    try {
+      if (!item.imageCid) {
+        const file = files.get(item.file);
+        if (!file) {
+          throw new Error(`Image ${item.file} was not selected`);
+        }
+        item.imageCid = (await uploadFile(file)).cid;
+        item.status = ITEM_STATUS.IMAGE_UPLOADED;
+        await save(item);
+      }
+
+      if (!item.metadataCid) {
+        const metadata = buildItemMetadata(item);
+        const { valid, errors } = validateMetadata(metadata);
+        if (!valid) {
+          throw new Error(`Invalid metadata: ${errors.map(error => `${error.path.slice(1)} ${error.message}`).join('; ')}`);
+        }
+        item.metadataCid = (await uploadJSON(metadata)).cid;
+        item.hash = await hash(metadata);
+        item.status = ITEM_STATUS.METADATA_UPLOADED;
+        await save(item);
+      }
+
+      // The transaction may have been mined after the last save; do not send it twice
+      const owner = getOwner ? await getOwner(item.metadataCid) : null;
+      if (owner && account && owner.toLowerCase() === account.toLowerCase()) {
+        item.status = ITEM_STATUS.REGISTERED;
+      } else if (registerBatch) {
+        // Registered together once every upload is done
+        item.status = ITEM_STATUS.METADATA_UPLOADED;
+      } else {
+        const receipt = await register(item);
+        item.transactionHash = receipt.transactionHash;
+        item.status = ITEM_STATUS.REGISTERED;
+      }
+      await save(item);
+    } catch (error) {
+      logError(`Batch mint failed for ${item.file}:`, error);
+      item.status = ITEM_STATUS.FAILED;
+      item.error = error.reason || error.message;
+      await save(item);
+    }
+  }
+
+  const ready = job.items.filter(item => item.status === ITEM_STATUS.METADATA_UPLOADED);
+  if (registerBatch && ready.length > 0) {
+    try {
+      // Chunks are saved as they are mined, so a failure only affects the remaining items
+      await registerBatch(ready, async (receipt, chunk) => {
+        chunk.forEach(item => {
+          item.transactionHash = receipt.transactionHash;
+          item.status = ITEM_STATUS.REGISTERED;
+        });
+        await save(null);
+      });
+    } catch (error) {
+      logError('Batch registration failed:', error);
+      ready
+        .filter(item => item.status !== ITEM_STATUS.REGISTERED)
+        .forEach(item => {
+          item.status = ITEM_STATUS.FAILED;
+          item.error = error.reason || error.message;
+        });
+      await save(null);
+    }
+  }
+
+  job.status = job.items.every(item => item.status === ITEM_STATUS.REGISTERED)
+    ? JOB_STATUS.COMPLETED
+    : JOB_STATUS.FAILED;
+  await save(null);
+  return job;
+};
+
+/**
+ * Path of an item's metadata inside the collection directory; token numbers follow manifest order from 1
+ * @param {number} index - Position of the item in the job
+ * @returns {string} - Path such as metadata/1.json
+ */
+export const getMetadataPath = (index) => `metadata/${index + 1}.json`;
+
+/**
+ * Build the entries for ipfsService.uploadDirectory so the whole collection shares one base CID,
+ * with images/<file> and metadata/<tokenNumber>.json
+ * The metadata documents are rebuilt byte for byte, so each metadata file keeps the CID registered on chain.
+ * @param {Object} job - Job state with uploaded images
+ * @param {Map<string, File>} files - Images keyed by file name
+ * @returns {Array<Object>} - Directory entries as { path, content }
+ */
+export const buildCollectionDirectory = (job, files) => job.items.flatMap((item, index) => {
+  const image = files.get(item.file);
+  if (!image || !item.imageCid) {
+    throw new Error(`Image ${item.file} is not available for the collection directory`);
+  }
+  return [
+    { path: `images/${item.file}`, content: image },
+    { path: getMetadataPath(index), content: JSON.stringify(buildItemMetadata(item)) }
+  ];
+});
+
+/**
+ * Record an uploaded collection directory on the job
+ * @param {Object} job - Job state, updated in place
+ * @param {Object} directory - Result of ipfsService.uploadDirectory
+ * @returns {Array<string>} - Metadata paths whose CID differs from the CID registered on chain
+ */
+export const applyCollectionDirectory = (job, directory) => {
+  const cidsByPath = new Map(directory.files.map(file => [file.path, file.cid]));
+
+  job.directory = { cid: directory.cid, uri: directory.uri };
+  return job.items
+    .map((item, index) => getMetadataPath(index))
+    .filter((path, index) => job.items[index].metadataCid && !areCidsEqual(cidsByPath.get(path), job.items[index].metadataCid));
+};
+
+/**
+ * Summarise a job for the final report
+ * @param {Object} job - Job state
+ * @returns {Object} - Counts per status and one row per item
+ */
+export const getBatchReport = (job) => ({
+  id: job.id,
+  status: job.status,
+  total: job.items.length,
+  registered: job.items.filter(item => item.status === ITEM_STATUS.REGISTERED).length,
+  failed: job.items.filter(item => item.status === ITEM_STATUS.FAILED).length,
+  directory: job.directory || null,
+  items: job.items.map(({ file, name, status, imageCid, metadataCid, transactionHash, error }) => ({
+    file,
+    name,
+    status,
+    imageCid,
+    metadataCid,
+    transactionHash,
+    error
+  }))
+});
+
+/**
+ * Render a job report as CSV
+ * @param {Object} job - Job state
+ * @returns {string} - CSV text
+ */
+export const reportToCSV = (job) => {
+  const columns = ['file', 'name', 'status', 'imageCid', 'metadataCid', 'transactionHash', 'error'];
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...getBatchReport(job).items.map(row => columns.map(column => escape(row[column])).join(','))
+  ].join('\n');
+};
+
+/**
+ * Create the IndexedDB store that keeps batch jobs between page loads
+ * @returns {Object} - Store from indexedDbStore
+ */
+export const createBatchJobStore = () => createIndexedDBStore({ dbName: 'xinete-batch-mint', storeName: 'jobs' });
+
+export default {
+  ITEM_STATUS,
+  JOB_STATUS,
+  parseManifest,
+  createJobId,
+  createBatchJob,
+  buildItemMetadata,
+  findMissingFiles,
+  runBatchJob,
+  getMetadataPath,
+  buildCollectionDirectory,
+  applyCollectionDirectory,
+  getBatchReport,
+  reportToCSV,
+  createBatchJobStore
+};
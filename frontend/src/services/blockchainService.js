@@ -4,11 +4,232 @@
  */
 import { ethers } from 'ethers';
 import XineteDecentralizedStorageABI from '../contracts/XineteDecentralizedStorage.json';
+import XineteStorageABI from '../contracts/XineteStorage.json';
+import XineteNFTABI from '../contracts/XineteNFT.json';
+import { normalizeCid, areCidsEqual, toCompactCid, fromCompactCid } from './cidUtils.js';
+import * as metadataSignature from './metadataSignature.js';
+
+/**
+ * Contracts the service knows how to talk to
+ */
+export const CONTRACT_TYPES = {
+  DECENTRALIZED: 'XineteDecentralizedStorage',
+  LEGACY: 'XineteStorage'
+};
+
+const CONTRACT_ABIS = {
+  [CONTRACT_TYPES.DECENTRALIZED]: XineteDecentralizedStorageABI.abi,
+  [CONTRACT_TYPES.LEGACY]: XineteStorageABI.abi
+};
+
+// storeMetadata of XineteDecentralizedStorage deployments from before CIDs and hashes were
+// stored in compact form, whose ABI the service no longer speaks
+const STRING_LAYOUT_ABI = ['function storeMetadata(string _cid, string _hash, string _nftName, string _imageURI)'];
 
 let provider;
 let contract;
 let signer;
 let contractAddress;
+// Set by detectContractType; null until a contract has been recognised
+let contractType = null;
+let nftContract;
+let nftContractAddress;
+
+/**
+ * Check whether deployed bytecode contains the selector of a function
+ * @param {string} code - The deployed bytecode
+ * @param {Array} abi - The contract ABI
+ * @param {string} functionName - The function to look for
+ * @returns {boolean} - Whether the selector is present
+ */
+const hasFunctionSelector = (code, abi, functionName) => {
+  const selector = new ethers.Interface(abi).getFunction(functionName).selector;
+  return code.toLowerCase().includes(selector.slice(2));
+};
+
+/**
+ * Create the error thrown for contracts the service cannot talk to
+ * @param {string} message - What was found
+ * @param {string} code - OUTDATED_CONTRACT or UNKNOWN_CONTRACT
+ * @returns {Error} - Error with the code
+ */
+const createContractTypeError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Detect which Xinete contract is deployed at an address
+ * A XineteDecentralizedStorage deployment of the string layout, or any other contract, is
+ * rejected rather than assumed to be the current one, since every call to it would revert or
+ * return garbage.
+ * @param {Object} runner - Provider used to read the bytecode
+ * @param {string} address - The contract address
+ * @returns {Promise<string>} - One of CONTRACT_TYPES
+ */
+export const detectContractType = async (runner, address) => {
+  const code = await runner.getCode(address);
+  
+  if (!code || code === '0x') {
+    throw new Error(`No contract deployed at ${address}`);
+  }
+  
+  if (hasFunctionSelector(code, CONTRACT_ABIS[CONTRACT_TYPES.DECENTRALIZED], 'storeMetadata')) {
+    return CONTRACT_TYPES.DECENTRALIZED;
+  }
+  
+  if (hasFunctionSelector(code, CONTRACT_ABIS[CONTRACT_TYPES.LEGACY], 'storeCID')) {
+    return CONTRACT_TYPES.LEGACY;
+  }
+  
+  if (hasFunctionSelector(code, STRING_LAYOUT_ABI, 'storeMetadata')) {
+    throw createContractTypeError(
+      `The ${CONTRACT_TYPES.DECENTRALIZED} contract at ${address} stores CIDs and hashes as strings, which this version no longer reads. Redeploy the contract`,
+      'OUTDATED_CONTRACT'
+    );
+  }
+  
+  throw createContractTypeError(`Unrecognized contract at ${address}`, 'UNKNOWN_CONTRACT');
+};
+
+/**
+ * Create a contract instance for the detected contract type
+ * @param {Object} runner - Signer or provider to attach
+ * @returns {Object} - ethers Contract instance
+ */
+const createContract = (runner) => {
+  return new ethers.Contract(contractAddress, CONTRACT_ABIS[contractType], runner);
+};
+
+/**
+ * Create an XineteNFT contract instance if an NFT contract address is configured
+ * @param {Object} runner - Signer or provider to attach
+ * @returns {Object|null} - ethers Contract instance
+ */
+const createNFTContract = (runner) => {
+  return nftContractAddress ? new ethers.Contract(nftContractAddress, XineteNFTABI.abi, runner) : null;
+};
+
+/**
+ * Get the provider the service is connected through
+ * @returns {Object} - ethers provider
+ */
+export const getProvider = () => provider;
+
+/**
+ * Get the address of the storage contract
+ * @returns {string} - Contract address
+ */
+export const getContractAddress = () => contractAddress;
+
+/**
+ * Get the type of the contract the service is connected to
+ * @returns {string|null} - One of CONTRACT_TYPES, or null before initialisation
+ */
+export const getContractType = () => contractType;
+
+/**
+ * Throw if the connected contract is the legacy XineteStorage contract
+ * @param {string} operation - Name of the unsupported operation
+ */
+const assertNotLegacy = (operation) => {
+  if (contractType === CONTRACT_TYPES.LEGACY) {
+    throw new Error(`${operation} is not supported by the legacy ${CONTRACT_TYPES.LEGACY} contract`);
+  }
+};
+
+/**
+ * Compare two addresses, ignoring checksum case
+ * @param {string} a - An address
+ * @param {string} b - Another address
+ * @returns {boolean} - Whether both are strings naming the same address
+ */
+const areAddressesEqual = (a, b) => typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Convert a hex SHA-256 hash to the bytes32 XineteDecentralizedStorage stores
+ * @param {string} hash - 64 hex characters, with or without 0x
+ * @returns {string} - 0x-prefixed lowercase hex
+ */
+const toBytes32Hash = (hash) => {
+  const hex = String(hash).replace(/^0x/i, '');
+  if (!/^[0-9a-f]{64}$/i.test(hex)) {
+    throw new Error(`Invalid hash "${hash}": expected a hex SHA-256 digest`);
+  }
+  return `0x${hex.toLowerCase()}`;
+};
+
+/**
+ * Convert a bytes32 hash read from XineteDecentralizedStorage to the hex format used elsewhere
+ * @param {string} hash - 0x-prefixed hex
+ * @returns {string} - 64 hex characters without 0x
+ */
+const fromBytes32Hash = (hash) => hash.slice(2);
+
+/**
+ * Parse the logs of a receipt with a contract's interface
+ * @param {Object} receipt - Transaction receipt
+ * @param {Object} source - Contract whose events to parse, defaults to the storage contract
+ * @returns {Object} - Formatted transaction result
+ */
+const formatReceipt = (receipt, source = contract) => ({
+  transactionHash: receipt.hash,
+  blockNumber: receipt.blockNumber,
+  events: receipt.logs.map(log => {
+    try {
+      return source.interface.parseLog(log);
+    } catch (e) {
+      return null;
+    }
+  }).filter(Boolean)
+});
+
+/**
+ * Find the form a CID is registered under
+ * The legacy contract keys entries on the exact CID string, and entries stored before CIDs were
+ * normalised may be CIDv0 or CIDv1 in another base. XineteDecentralizedStorage stores CIDs in
+ * compact form, where every form of a CID is the same, and returns them as CIDv1 base32.
+ * @param {string} cid - The CID in any form
+ * @returns {Promise<Object|null>} - { cid, owner } for the registered form, or null if none is registered
+ */
+const findRegisteredCid = async (cid) => {
+  if (contractType === CONTRACT_TYPES.LEGACY) {
+    // The legacy contract has no owner lookup, so only the connected account's CIDs can be searched
+    if (!signer) {
+      return null;
+    }
+    const owner = await signer.getAddress();
+    const match = [...await contract.getCIDs(owner)].find(stored => areCidsEqual(stored, cid));
+    return match ? { cid: match, owner } : null;
+  }
+  
+  const owner = await contract.getMetadataOwner(toCompactCid(cid));
+  return owner !== ethers.ZeroAddress ? { cid: normalizeCid(cid), owner } : null;
+};
+
+/**
+ * Resolve a CID to the form it is registered under
+ * @param {string} cid - The CID in any form
+ * @returns {Promise<string>} - The registered form, or the CID as given so the contract reports the missing entry
+ */
+const resolveRegisteredCid = async (cid) => {
+  const registered = await findRegisteredCid(cid);
+  return registered ? registered.cid : cid;
+};
+
+/**
+ * Throw if any form of a CID is already registered
+ * The legacy contract only rejects the exact string, so a CIDv0 entry would not stop its CIDv1
+ * being stored again; for XineteDecentralizedStorage this reports the duplicate before sending
+ * @param {string} cid - The normalised CID
+ */
+const assertCidNotRegistered = async (cid) => {
+  const registered = await findRegisteredCid(cid);
+  if (registered) {
+    throw new Error(`CID already registered as ${registered.cid}`);
+  }
+};
 
 /**
  * Initialize the blockchain service
@@ -19,7 +240,8 @@ export const initializeBlockchain = async (config = {}) => {
   try {
     const { 
       rpcUrl = import.meta.env.VITE_BLOCKCHAIN_RPC_URL,
-      contractAddr = import.meta.env.VITE_CONTRACT_ADDRESS
+      contractAddr = import.meta.env.VITE_CONTRACT_ADDRESS,
+      nftContractAddr = import.meta.env.VITE_NFT_CONTRACT_ADDRESS
     } = config;
     
     if (!rpcUrl || !contractAddr) {
@@ -28,11 +250,13 @@ export const initializeBlockchain = async (config = {}) => {
     }
     
     contractAddress = contractAddr;
+    nftContractAddress = nftContractAddr;
     
     // Check if window.ethereum is available (MetaMask or other injected provider)
     if (window.ethereum) {
       // Use the injected provider
       provider = new ethers.BrowserProvider(window.ethereum);
+      contractType = await detectContractType(provider, contractAddress);
       
       try {
         // Request account access if needed
@@ -42,35 +266,27 @@ export const initializeBlockchain = async (config = {}) => {
         signer = await provider.getSigner();
         
         // Create contract instance
-        contract = new ethers.Contract(
-          contractAddress,
-          XineteDecentralizedStorageABI.abi,
-          signer
-        );
+        contract = createContract(signer);
+        nftContract = createNFTContract(signer);
         
-        console.log('Blockchain service initialized with injected provider');
+        console.log(`Blockchain service initialized with injected provider (${contractType})`);
         return true;
       } catch (error) {
         console.warn('User denied account access or other error:', error);
         // Fall back to read-only provider
         provider = new ethers.JsonRpcProvider(rpcUrl);
-        contract = new ethers.Contract(
-          contractAddress,
-          XineteDecentralizedStorageABI.abi,
-          provider
-        );
-        console.log('Blockchain service initialized in read-only mode');
+        contract = createContract(provider);
+        nftContract = createNFTContract(provider);
+        console.log(`Blockchain service initialized in read-only mode (${contractType})`);
         return true;
       }
     } else {
       // No injected provider, use RPC URL
       provider = new ethers.JsonRpcProvider(rpcUrl);
-      contract = new ethers.Contract(
-        contractAddress,
-        XineteDecentralizedStorageABI.abi,
-        provider
-      );
-      console.log('Blockchain service initialized with RPC provider');
+      contractType = await detectContractType(provider, contractAddress);
+      contract = createContract(provider);
+      nftContract = createNFTContract(provider);
+      console.log(`Blockchain service initialized with RPC provider (${contractType})`);
       return true;
     }
   } catch (error) {
@@ -113,14 +329,13 @@ export const connectWallet = async () => {
     // Request account access
     await window.ethereum.request({ method: 'eth_requestAccounts' });
     
-    // Reinitialize with signer
-    provider = new ethers.BrowserProvider(window.ethereum);
+    // Reinitialize with signer, keeping the previous connection if the contract is not recognised
+    const browserProvider = new ethers.BrowserProvider(window.ethereum);
+    contractType = await detectContractType(browserProvider, contractAddress);
+    provider = browserProvider;
     signer = await provider.getSigner();
-    contract = new ethers.Contract(
-      contractAddress,
-      XineteDecentralizedStorageABI.abi,
-      signer
-    );
+    contract = createContract(signer);
+    nftContract = createNFTContract(signer);
     
     return await signer.getAddress();
   } catch (error) {
@@ -129,10 +344,117 @@ export const connectWallet = async () => {
   }
 };
 
+/**
+ * Get the wallet operations that wrap and unwrap keys for unlockable content
+ * getEncryptionPublicKey and decrypt use MetaMask's eth_getEncryptionPublicKey and eth_decrypt,
+ * which other wallets may not support; signMessage works with any wallet.
+ * @returns {Promise<Object>} - { address, signMessage, getEncryptionPublicKey, decrypt } for the connected account
+ */
+export const getWalletCrypto = async () => {
+  try {
+    if (!provider || !signer) {
+      throw new Error('Blockchain service not initialized with signer');
+    }
+    
+    const address = await signer.getAddress();
+    
+    return {
+      address,
+      signMessage: (message) => signer.signMessage(message),
+      getEncryptionPublicKey: () => provider.send('eth_getEncryptionPublicKey', [address]),
+      // eth_decrypt takes the encrypted data as hex-encoded JSON
+      decrypt: (encryptedData) => provider.send('eth_decrypt', [
+        ethers.hexlify(ethers.toUtf8Bytes(JSON.stringify(encryptedData))),
+        address
+      ])
+    };
+  } catch (error) {
+    console.error('Error getting wallet for encryption:', error);
+    throw error;
+  }
+};
+
+/**
+ * Sign metadata as its creator with the connected wallet
+ * The wallet is asked to sign EIP-712 typed data bound to this network and contract.
+ * @param {Object} metadata - The metadata, without or with an earlier creator_signature
+ * @returns {Promise<Object>} - The metadata with creator_signature set
+ */
+export const signMetadata = async (metadata) => {
+  try {
+    if (!provider || !signer) {
+      throw new Error('Blockchain service not initialized with signer');
+    }
+    
+    const { chainId } = await provider.getNetwork();
+    return await metadataSignature.signMetadata(metadata, {
+      signer,
+      chainId,
+      verifyingContract: contractAddress
+    });
+  } catch (error) {
+    console.error('Error signing metadata:', error);
+    throw error;
+  }
+};
+
+/**
+ * Verify who authored a metadata document
+ * Recovers the signer of its creator_signature and checks the signature was made for this
+ * network and contract and that the signer owns the CID according to getMetadataOwner.
+ * @param {string} cid - The metadata CID, in any form
+ * @param {Object} metadata - The metadata read from IPFS
+ * @returns {Promise<Object>} - { signed, verified, signer, creator, owner, problems }
+ */
+export const verifyMetadataAuthorship = async (cid, metadata) => {
+  try {
+    if (!contract) {
+      throw new Error('Blockchain service not initialized');
+    }
+    
+    const report = await metadataSignature.verifyMetadataSignature(metadata);
+    const problems = [...report.problems];
+    let owner = null;
+    
+    if (report.signed) {
+      const { chainId } = await provider.getNetwork();
+      const domain = report.domain || {};
+      if (Number(domain.chainId) !== Number(chainId) || !areAddressesEqual(domain.verifyingContract, contractAddress)) {
+        problems.push('The signature was made for a different network or contract');
+      }
+      
+      if (contractType === CONTRACT_TYPES.LEGACY) {
+        problems.push('The legacy contract does not record owners');
+      } else {
+        owner = await getMetadataOwner(cid);
+        if (owner === ethers.ZeroAddress) {
+          problems.push('The CID is not registered');
+        } else if (report.signer && !areAddressesEqual(owner, report.signer)) {
+          problems.push(`The CID is owned by ${owner}, not the signer ${report.signer}`);
+        }
+      }
+    }
+    
+    return {
+      signed: report.signed,
+      verified: report.signed && problems.length === 0,
+      signer: report.signer,
+      creator: report.creator,
+      owner,
+      problems
+    };
+  } catch (error) {
+    console.error('Error verifying metadata authorship:', error);
+    throw error;
+  }
+};
+
 /**
  * Store metadata on the blockchain
+ * The CID is validated and stored as CIDv1 base32, or in compact form with the hash as bytes32
+ * on XineteDecentralizedStorage
  * @param {Object} params - Parameters for storing metadata
- * @returns {Promise<Object>} - Transaction receipt
+ * @returns {Promise<Object>} - Transaction receipt, with the CID as stored
  */
 export const storeMetadata = async ({ cid, hash, nftName, imageURI }) => {
   try {
@@ -140,33 +462,120 @@ export const storeMetadata = async ({ cid, hash, nftName, imageURI }) => {
       throw new Error('Blockchain service not initialized with signer');
     }
     
-    // Call the contract method
-    const tx = await contract.storeMetadata(cid, hash, nftName, imageURI);
+    const normalizedCid = normalizeCid(cid);
+    await assertCidNotRegistered(normalizedCid);
+    
+    // The legacy contract only records the CID and hash
+    const tx = contractType === CONTRACT_TYPES.LEGACY
+      ? await contract.storeCID(normalizedCid, hash)
+      : await contract.storeMetadata(toCompactCid(normalizedCid), toBytes32Hash(hash), nftName, imageURI);
     
     // Wait for transaction to be mined
     const receipt = await tx.wait();
     
-    return {
-      transactionHash: receipt.hash,
-      blockNumber: receipt.blockNumber,
-      events: receipt.logs.map(log => {
-        try {
-          return contract.interface.parseLog(log);
-        } catch (e) {
-          return null;
-        }
-      }).filter(Boolean)
-    };
+    return { ...formatReceipt(receipt), cid: normalizedCid };
   } catch (error) {
     console.error('Error storing metadata on blockchain:', error);
     throw error;
   }
 };
 
+/**
+ * Store many metadata entries with as few storeMetadataBatch transactions as gas allows
+ * Chunks are sized from estimateGas to stay within the gas budget and never exceed the
+ * contract's MAX_BATCH_SIZE. Each chunk is all-or-nothing; if a later chunk fails, the
+ * earlier ones stay registered and are reported through onChunk. CIDs and hashes that are
+ * repeated in the batch or already registered are rejected before anything is sent. CIDs are
+ * validated and stored in compact form, and the chunks passed to onChunk carry the CIDs as
+ * CIDv1 base32 and the hashes as bytes32.
+ * @param {Array<Object>} entries - Entries as { cid, hash, nftName, imageURI }
+ * @param {Object} options - gasBudget per transaction (defaults to half the block gas limit) and onChunk(result, chunk, offset)
+ * @returns {Promise<Array<Object>>} - One transaction receipt per chunk
+ */
+export const storeMetadataBatch = async (batch, { gasBudget = null, onChunk = null } = {}) => {
+  try {
+    if (!contract || !signer) {
+      throw new Error('Blockchain service not initialized with signer');
+    }
+    
+    assertNotLegacy('storeMetadataBatch');
+    
+    const entries = batch.map(entry => ({ ...entry, cid: normalizeCid(entry.cid), hash: toBytes32Hash(entry.hash) }));
+    
+    // Catch repeats and registered entries up front, since any of them would revert a chunk
+    // after the earlier chunks were committed
+    ['cid', 'hash'].forEach(field => {
+      const seen = new Set();
+      entries.forEach(entry => {
+        if (seen.has(entry[field])) {
+          throw new Error(`Duplicate ${field} in batch: ${entry[field]}`);
+        }
+        seen.add(entry[field]);
+      });
+    });
+    // Looked up concurrently; a JsonRpcProvider sends them as JSON-RPC batches
+    await Promise.all(entries.map(async (entry) => {
+      const [owner, hashCid] = await Promise.all([
+        contract.getMetadataOwner(toCompactCid(entry.cid)),
+        contract.getCIDByHash(entry.hash)
+      ]);
+      if (owner !== ethers.ZeroAddress) {
+        throw new Error(`CID already registered as ${entry.cid}`);
+      }
+      const registeredCid = fromCompactCid(hashCid);
+      if (registeredCid) {
+        throw new Error(`Hash ${fromBytes32Hash(entry.hash)} already registered for ${registeredCid}`);
+      }
+    }));
+    
+    const maxBatchSize = Number(await contract.MAX_BATCH_SIZE());
+    const budget = gasBudget !== null
+      ? BigInt(gasBudget)
+      : (await provider.getBlock('latest')).gasLimit / 2n;
+    
+    const results = [];
+    let offset = 0;
+    let size = Math.min(maxBatchSize, entries.length);
+    
+    while (offset < entries.length) {
+      size = Math.min(size, entries.length - offset);
+      const chunk = entries.slice(offset, offset + size);
+      const args = [
+        chunk.map(entry => toCompactCid(entry.cid)),
+        chunk.map(entry => entry.hash),
+        chunk.map(entry => entry.nftName || ''),
+        chunk.map(entry => entry.imageURI || '')
+      ];
+      
+      const gasLimit = await contract.storeMetadataBatch.estimateGas(...args);
+      if (gasLimit > budget && size > 1) {
+        // Shrink in proportion to the overshoot and estimate again; later chunks keep the smaller size
+        size = Math.max(1, Math.floor(size * Number(budget) / Number(gasLimit)));
+        continue;
+      }
+      
+      const tx = await contract.storeMetadataBatch(...args, { gasLimit });
+      const result = formatReceipt(await tx.wait());
+      results.push(result);
+      
+      if (onChunk) {
+        await onChunk(result, chunk, offset);
+      }
+      offset += chunk.length;
+    }
+    
+    return results;
+  } catch (error) {
+    console.error('Error storing metadata batch on blockchain:', error);
+    throw error;
+  }
+};
+
 /**
  * Update metadata on the blockchain
+ * The old CID may be given in any form; the new CID is stored as CIDv1 base32
  * @param {Object} params - Parameters for updating metadata
- * @returns {Promise<Object>} - Transaction receipt
+ * @returns {Promise<Object>} - Transaction receipt, with the new CID as stored
  */
 export const updateMetadata = async ({ oldCid, newCid, hash, nftName, imageURI }) => {
   try {
@@ -174,23 +583,18 @@ export const updateMetadata = async ({ oldCid, newCid, hash, nftName, imageURI }
       throw new Error('Blockchain service not initialized with signer');
     }
     
+    assertNotLegacy('updateMetadata');
+    
+    const normalizedCid = normalizeCid(newCid);
+    await assertCidNotRegistered(normalizedCid);
+    
     // Call the contract method
-    const tx = await contract.updateMetadata(oldCid, newCid, hash, nftName, imageURI);
+    const tx = await contract.updateMetadata(toCompactCid(oldCid), toCompactCid(normalizedCid), toBytes32Hash(hash), nftName, imageURI);
     
     // Wait for transaction to be mined
     const receipt = await tx.wait();
     
-    return {
-      transactionHash: receipt.hash,
-      blockNumber: receipt.blockNumber,
-      events: receipt.logs.map(log => {
-        try {
-          return contract.interface.parseLog(log);
-        } catch (e) {
-          return null;
-        }
-      }).filter(Boolean)
-    };
+    return { ...formatReceipt(receipt), cid: normalizedCid };
   } catch (error) {
     console.error('Error updating metadata on blockchain:', error);
     throw error;
@@ -209,24 +613,45 @@ export const removeMetadata = async (cid) => {
     }
     
     // Call the contract method
-    const tx = await contract.removeMetadata(cid);
+    const tx = contractType === CONTRACT_TYPES.LEGACY
+      ? await contract.removeCID(await signer.getAddress(), await resolveRegisteredCid(cid))
+      : await contract.removeMetadata(toCompactCid(cid));
     
     // Wait for transaction to be mined
     const receipt = await tx.wait();
     
+    return formatReceipt(receipt);
+  } catch (error) {
+    console.error('Error removing metadata from blockchain:', error);
+    throw error;
+  }
+};
+
+/**
+ * Estimate the gas and fee for removing metadata
+ * @param {string} cid - The CID to remove
+ * @returns {Promise<Object>} - Gas limit, gas price (wei) and estimated cost in ETH
+ */
+export const estimateRemoveMetadata = async (cid) => {
+  try {
+    if (!contract || !signer) {
+      throw new Error('Blockchain service not initialized with signer');
+    }
+    
+    const gasLimit = contractType === CONTRACT_TYPES.LEGACY
+      ? await contract.removeCID.estimateGas(await signer.getAddress(), await resolveRegisteredCid(cid))
+      : await contract.removeMetadata.estimateGas(toCompactCid(cid));
+    
+    const feeData = await provider.getFeeData();
+    const gasPrice = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+    
     return {
-      transactionHash: receipt.hash,
-      blockNumber: receipt.blockNumber,
-      events: receipt.logs.map(log => {
-        try {
-          return contract.interface.parseLog(log);
-        } catch (e) {
-          return null;
-        }
-      }).filter(Boolean)
+      gasLimit,
+      gasPrice,
+      estimatedCost: ethers.formatEther(gasLimit * gasPrice)
     };
   } catch (error) {
-    console.error('Error removing metadata from blockchain:', error);
+    console.error('Error estimating gas for metadata removal:', error);
     throw error;
   }
 };
@@ -234,7 +659,7 @@ export const removeMetadata = async (cid) => {
 /**
  * Get CID by hash
  * @param {string} hash - The hash to look up
- * @returns {Promise<string>} - The corresponding CID
+ * @returns {Promise<string>} - The corresponding CID, or '' if the hash is not registered
  */
 export const getCIDByHash = async (hash) => {
   try {
@@ -242,7 +667,11 @@ export const getCIDByHash = async (hash) => {
       throw new Error('Blockchain service not initialized');
     }
     
-    return await contract.getCIDByHash(hash);
+    if (contractType === CONTRACT_TYPES.LEGACY) {
+      return await contract.getCIDByHash(hash);
+    }
+    
+    return fromCompactCid(await contract.getCIDByHash(toBytes32Hash(hash))) || '';
   } catch (error) {
     console.error('Error getting CID by hash:', error);
     throw error;
@@ -250,31 +679,98 @@ export const getCIDByHash = async (hash) => {
 };
 
 /**
- * Get all metadata CIDs for the current user
+ * Get all metadata CIDs for a user
+ * @param {string} [user] - The user address, defaults to the connected account
  * @returns {Promise<Array<string>>} - Array of CIDs
  */
-export const getUserMetadataCIDs = async () => {
+export const getUserMetadataCIDs = async (user) => {
   try {
     if (!contract) {
       throw new Error('Blockchain service not initialized');
     }
     
-    const address = signer ? await signer.getAddress() : '';
+    const address = user || (signer ? await signer.getAddress() : '');
     if (!address) {
       throw new Error('No account connected');
     }
     
-    return await contract.getUserMetadataCIDs(address);
+    if (contractType === CONTRACT_TYPES.LEGACY) {
+      return [...await contract.getCIDs(address)];
+    }
+    
+    return [...await contract.getUserMetadataCIDs(address)].map(fromCompactCid);
   } catch (error) {
     console.error('Error getting user metadata CIDs:', error);
     throw error;
   }
 };
 
+/**
+ * Get the number of metadata CIDs for a user
+ * @param {string} [user] - The user address, defaults to the connected account
+ * @returns {Promise<number>} - Number of CIDs
+ */
+export const getUserMetadataCount = async (user) => {
+  try {
+    if (!contract) {
+      throw new Error('Blockchain service not initialized');
+    }
+    
+    const address = user || (signer ? await signer.getAddress() : '');
+    if (!address) {
+      throw new Error('No account connected');
+    }
+    
+    // The legacy contract has no count getter
+    if (contractType === CONTRACT_TYPES.LEGACY) {
+      return (await contract.getCIDs(address)).length;
+    }
+    
+    return Number(await contract.getUserMetadataCount(address));
+  } catch (error) {
+    console.error('Error getting user metadata count:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a page of metadata CIDs for a user
+ * @param {Object} params - Paging parameters
+ * @param {string} [params.user] - The user address, defaults to the connected account
+ * @param {number} params.offset - Index of the first CID to return
+ * @param {number} params.limit - Maximum number of CIDs to return
+ * @returns {Promise<Array<string>>} - Array of CIDs
+ */
+export const getUserMetadataCIDsPaged = async ({ user, offset = 0, limit }) => {
+  try {
+    if (!contract) {
+      throw new Error('Blockchain service not initialized');
+    }
+    
+    const address = user || (signer ? await signer.getAddress() : '');
+    if (!address) {
+      throw new Error('No account connected');
+    }
+    
+    // The legacy contract can only return the whole array
+    if (contractType === CONTRACT_TYPES.LEGACY) {
+      const cids = await contract.getCIDs(address);
+      return [...cids].slice(offset, offset + limit);
+    }
+    
+    const cids = await contract.getUserMetadataCIDsPaged(address, offset, limit);
+    
+    return [...cids].map(fromCompactCid);
+  } catch (error) {
+    console.error('Error getting user metadata CIDs page:', error);
+    throw error;
+  }
+};
+
 /**
  * Get metadata owner
- * @param {string} cid - The CID to check
- * @returns {Promise<string>} - Owner address
+ * @param {string} cid - The CID to check, in any form
+ * @returns {Promise<string>} - Owner address, or the zero address if no form of the CID is registered
  */
 export const getMetadataOwner = async (cid) => {
   try {
@@ -282,16 +778,44 @@ export const getMetadataOwner = async (cid) => {
       throw new Error('Blockchain service not initialized');
     }
     
-    return await contract.getMetadataOwner(cid);
+    assertNotLegacy('getMetadataOwner');
+    
+    const registered = await findRegisteredCid(cid);
+    return registered ? registered.owner : ethers.ZeroAddress;
   } catch (error) {
     console.error('Error getting metadata owner:', error);
     throw error;
   }
 };
 
+/**
+ * Get the hash registered for a CID
+ * @param {string} cid - The CID, in any form
+ * @returns {Promise<Object|null>} - { cid, hash } with the CID as stored, or null if no form of the CID is registered
+ */
+export const getRegisteredHash = async (cid) => {
+  try {
+    if (!contract) {
+      throw new Error('Blockchain service not initialized');
+    }
+    
+    assertNotLegacy('getRegisteredHash');
+    
+    const registered = await findRegisteredCid(cid);
+    if (!registered) {
+      return null;
+    }
+    const info = await contract.getMetadataInfo(toCompactCid(registered.cid));
+    return { cid: fromCompactCid(info.cid), hash: fromBytes32Hash(info.hash) };
+  } catch (error) {
+    console.error('Error getting registered hash:', error);
+    throw error;
+  }
+};
+
 /**
  * Get detailed metadata info
- * @param {string} cid - The CID to get info for
+ * @param {string} cid - The CID to get info for, in any form
  * @returns {Promise<Object>} - Metadata info
  */
 export const getMetadataInfo = async (cid) => {
@@ -300,12 +824,14 @@ export const getMetadataInfo = async (cid) => {
       throw new Error('Blockchain service not initialized');
     }
     
-    const info = await contract.getMetadataInfo(cid);
+    assertNotLegacy('getMetadataInfo');
+    
+    const info = await contract.getMetadataInfo(toCompactCid(cid));
     
     // Format the returned data
     return {
-      cid: info.cid,
-      hash: info.hash,
+      cid: fromCompactCid(info.cid),
+      hash: fromBytes32Hash(info.hash),
       timestamp: Number(info.timestamp),
       nftName: info.nftName,
       imageURI: info.imageURI
@@ -316,11 +842,56 @@ export const getMetadataInfo = async (cid) => {
   }
 };
 
+/**
+ * Get the version history of a metadata entry
+ * @param {string} cid - Any CID the entry has had, in any form
+ * @returns {Promise<Array<Object>>} - Versions, newest first
+ */
+export const getMetadataHistory = async (cid) => {
+  try {
+    if (!contract) {
+      throw new Error('Blockchain service not initialized');
+    }
+    
+    assertNotLegacy('getMetadataHistory');
+    
+    const history = await contract.getMetadataHistory(toCompactCid(cid));
+    
+    // Format the returned data
+    return history.map(version => ({
+      cid: fromCompactCid(version.cid),
+      hash: fromBytes32Hash(version.hash),
+      timestamp: Number(version.timestamp),
+      nftName: version.nftName,
+      imageURI: version.imageURI,
+      previousCid: fromCompactCid(version.previousCid)
+    }));
+  } catch (error) {
+    console.error('Error getting metadata history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Restore an earlier version by re-registering its CID in place of the current one
+ * @param {Object} params - The current CID and the version to restore
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+export const restoreMetadataVersion = async ({ currentCid, version }) => {
+  return updateMetadata({
+    oldCid: currentCid,
+    newCid: version.cid,
+    hash: version.hash,
+    nftName: version.nftName,
+    imageURI: version.imageURI
+  });
+};
+
 /**
  * Verify metadata
- * @param {string} cid - The CID to verify
+ * @param {string} cid - The CID to verify, in any form
  * @param {string} hash - The hash to verify
- * @returns {Promise<boolean>} - Verification result
+ * @returns {Promise<boolean>} - Whether the hash is registered for some form of the CID
  */
 export const verifyMetadata = async (cid, hash) => {
   try {
@@ -328,23 +899,151 @@ export const verifyMetadata = async (cid, hash) => {
       throw new Error('Blockchain service not initialized');
     }
     
-    return await contract.verifyMetadata(cid, hash);
+    if (contractType === CONTRACT_TYPES.LEGACY) {
+      // The legacy contract reverts with "Hash not found" for unknown hashes
+      try {
+        return areCidsEqual(await contract.getCIDByHash(hash), cid);
+      } catch (e) {
+        return false;
+      }
+    }
+    
+    return await contract.verifyMetadata(toCompactCid(cid), toBytes32Hash(hash));
   } catch (error) {
     console.error('Error verifying metadata:', error);
     throw error;
   }
 };
 
+/**
+ * Mint an XineteNFT token for uploaded metadata
+ * Only the NFT contract owner can mint to an address other than the connected account.
+ * @param {Object} params - Parameters for minting
+ * @returns {Promise<Object>} - Transaction receipt with the minted token ID
+ */
+export const mintNFT = async ({ to, cid, hash, nftName, imageURI }) => {
+  try {
+    if (!nftContract || !signer) {
+      throw new Error('NFT contract not initialized with signer');
+    }
+    
+    const recipient = to || await signer.getAddress();
+    
+    // Call the contract method
+    const tx = await nftContract.mint(recipient, normalizeCid(cid), hash, nftName, imageURI);
+    
+    // Wait for transaction to be mined
+    const receipt = await tx.wait();
+    const result = formatReceipt(receipt, nftContract);
+    const minted = result.events.find(event => event.name === 'MetadataMinted');
+    
+    return {
+      ...result,
+      tokenId: minted ? minted.args.tokenId.toString() : null
+    };
+  } catch (error) {
+    console.error('Error minting NFT:', error);
+    throw error;
+  }
+};
+
+/**
+ * Transfer an XineteNFT token from the connected account
+ * @param {Object} params - Parameters for the transfer
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+export const transferNFT = async ({ to, tokenId }) => {
+  try {
+    if (!nftContract || !signer) {
+      throw new Error('NFT contract not initialized with signer');
+    }
+    
+    const from = await signer.getAddress();
+    
+    // Use the safe variant so contracts that cannot hold tokens are rejected
+    const tx = await nftContract['safeTransferFrom(address,address,uint256)'](from, to, tokenId);
+    
+    // Wait for transaction to be mined
+    const receipt = await tx.wait();
+    
+    return formatReceipt(receipt, nftContract);
+  } catch (error) {
+    console.error('Error transferring NFT:', error);
+    throw error;
+  }
+};
+
+/**
+ * Approve an address to transfer an XineteNFT token
+ * @param {Object} params - Parameters for the approval
+ * @returns {Promise<Object>} - Transaction receipt
+ */
+export const approveNFT = async ({ to, tokenId }) => {
+  try {
+    if (!nftContract || !signer) {
+      throw new Error('NFT contract not initialized with signer');
+    }
+    
+    // Call the contract method
+    const tx = await nftContract.approve(to, tokenId);
+    
+    // Wait for transaction to be mined
+    const receipt = await tx.wait();
+    
+    return formatReceipt(receipt, nftContract);
+  } catch (error) {
+    console.error('Error approving NFT:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the owner of an XineteNFT token
+ * @param {string|number} tokenId - The token ID
+ * @returns {Promise<string>} - Owner address
+ */
+export const ownerOfNFT = async (tokenId) => {
+  try {
+    if (!nftContract) {
+      throw new Error('NFT contract not initialized');
+    }
+    
+    return await nftContract.ownerOf(tokenId);
+  } catch (error) {
+    console.error('Error getting NFT owner:', error);
+    throw error;
+  }
+};
+
 export default {
+  CONTRACT_TYPES,
   initializeBlockchain,
+  detectContractType,
+  getContractType,
+  getProvider,
+  getContractAddress,
   getConnectedAccount,
   connectWallet,
+  getWalletCrypto,
+  signMetadata,
+  verifyMetadataAuthorship,
   storeMetadata,
+  storeMetadataBatch,
   updateMetadata,
   removeMetadata,
+  estimateRemoveMetadata,
   getCIDByHash,
   getUserMetadataCIDs,
+  getUserMetadataCount,
+  getUserMetadataCIDsPaged,
   getMetadataOwner,
+  getRegisteredHash,
   getMetadataInfo,
-  verifyMetadata
+  getMetadataHistory,
+  restoreMetadataVersion,
+  verifyMetadata,
+  mintNFT,
+  transferNFT,
+  approveNFT,
+  ownerOfNFT
 };
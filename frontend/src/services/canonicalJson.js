@@ -0,0 +1,68 @@
+/**
+ * JSON Canonicalization Scheme (RFC 8785)
+ * Serialises JSON so that equal documents give identical bytes, whatever the key order and
+ * whitespace of the original, which makes a hash of the result a hash of the content.
+ */
+
+/**
+ * Create the error thrown for values that have no canonical form
+ * @param {string} message - What is wrong
+ * @returns {Error} - Error with code INVALID_JSON
+ */
+const createCanonicalizationError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_JSON';
+  return error;
+};
+
+// Unpaired surrogates are not Unicode text; paired ones match as a single code point in u mode
+const LONE_SURROGATE = /[\uD800-\uDFFF]/u;
+
+const serializeString = (value) => {
+  if (LONE_SURROGATE.test(value)) {
+    throw createCanonicalizationError('Strings must be valid Unicode');
+  }
+  // JSON.stringify escapes exactly the characters RFC 8785 requires, with lowercase hex
+  return JSON.stringify(value);
+};
+
+/**
+ * Canonicalise a JSON value
+ * Object keys are sorted by their UTF-16 code units and numbers use the ECMAScript number
+ * serialisation, as RFC 8785 specifies. As with JSON.stringify, toJSON is honoured and object
+ * properties whose value is undefined are left out.
+ * @param {*} value - A JSON value
+ * @returns {string} - The canonical JSON text
+ */
+export const canonicalize = (value) => {
+  if (value !== null && typeof value === 'object' && typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+  if (value === null || typeof value === 'boolean') {
+    return String(value);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw createCanonicalizationError(`${value} is not a JSON number`);
+    }
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'string') {
+    return serializeString(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${serializeString(key)}:${canonicalize(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  throw createCanonicalizationError(`A ${typeof value} is not a JSON value`);
+};
+
+export default {
+  canonicalize
+};
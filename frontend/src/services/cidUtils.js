@@ -0,0 +1,234 @@
+/**
+ * CID parsing and normalisation
+ * The same content can be written as CIDv0 (Qm...), as CIDv1 in several bases, or inside an
+ * ipfs:// URI or gateway URL. CIDs are normalised to CIDv1 in base32, the form that also works
+ * in subdomain gateways, so equivalent forms compare equal.
+ */
+import { decodeCid, cidToString, cidFromDigest } from './contentVerifier.js';
+
+// Multicodec codes
+const CODEC_DAG_PB = 0x70;
+const HASH_SHA2_256 = 0x12;
+
+// The contract stores the codec as a uint32
+const MAX_COMPACT_CODEC = 0xffffffff;
+
+/**
+ * Create the error thrown for values that are not a valid CID
+ * @param {string} message - What is wrong
+ * @returns {Error} - Error with code INVALID_CID
+ */
+const createInvalidCidError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_CID';
+  return error;
+};
+
+/**
+ * Decode a CID string, turning decoding errors into INVALID_CID
+ * @param {string} cid - The CID
+ * @returns {Object} - Decoded CID, as from contentVerifier.decodeCid
+ */
+const decode = (cid) => {
+  try {
+    return decodeCid(cid);
+  } catch (error) {
+    throw createInvalidCidError(`Invalid CID "${cid}": ${error.message}`);
+  }
+};
+
+/**
+ * Convert a CID to CIDv1 in base32
+ * @param {string} cid - The CID, in any supported version and base
+ * @returns {string} - The CIDv1 (b...)
+ */
+export const toCidV1 = (cid) => {
+  const decoded = decode(cid);
+  if (decoded.version === 1) {
+    return cidToString(decoded);
+  }
+  // A CIDv0 is a dag-pb CIDv1 without the version and codec prefix
+  return cidToString({ version: 1, bytes: new Uint8Array([0x01, CODEC_DAG_PB, ...decoded.bytes]) });
+};
+
+/**
+ * Convert a CID to CIDv0, where one exists
+ * @param {string} cid - The CID, in any supported version and base
+ * @returns {string|null} - The CIDv0 (Qm...), or null for CIDs other than dag-pb with a sha2-256 hash
+ */
+export const toCidV0 = (cid) => {
+  const decoded = decode(cid);
+  if (decoded.version === 0) {
+    return cidToString(decoded);
+  }
+  if (decoded.codec !== CODEC_DAG_PB || decoded.multihash.code !== HASH_SHA2_256 || decoded.multihash.digest.length !== 32) {
+    return null;
+  }
+  return cidToString({ version: 0, bytes: new Uint8Array([HASH_SHA2_256, 32, ...decoded.multihash.digest]) });
+};
+
+/**
+ * Parse a reference to IPFS content
+ * Accepts a raw CID, ipfs://<cid>, /ipfs/<cid>, path gateway URLs (https://host/ipfs/<cid>) and
+ * subdomain gateway URLs (https://<cid>.ipfs.host), each optionally followed by a path
+ * @param {string} value - The reference
+ * @returns {Object} - { cid, path } with the CID normalised to CIDv1 base32 and the path without leading slash
+ */
+export const parseCidReference = (value) => {
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw createInvalidCidError('A CID is required');
+  }
+  const text = value.trim();
+  let reference;
+
+  if (/^https?:\/\//i.test(text)) {
+    let url;
+    try {
+      url = new URL(text);
+    } catch (error) {
+      throw createInvalidCidError(`Invalid URL: ${text}`);
+    }
+    const subdomain = url.hostname.match(/^([^.]+)\.ipfs\./i);
+    if (subdomain) {
+      reference = `${subdomain[1]}${url.pathname}`;
+    } else if (url.pathname.startsWith('/ipfs/')) {
+      reference = url.pathname.slice('/ipfs/'.length);
+    } else {
+      throw createInvalidCidError(`Not an IPFS gateway URL: ${text}`);
+    }
+  } else {
+    reference = text
+      .replace(/^ipfs:\/\/(ipfs\/)?/i, '')
+      .replace(/^\/ipfs\//, '')
+      .replace(/[?#].*$/, '');
+  }
+
+  const [cid, ...segments] = reference.split('/');
+  return {
+    cid: toCidV1(cid),
+    path: segments.filter(Boolean).join('/')
+  };
+};
+
+/**
+ * Normalise a CID, or a URI that points at one, to CIDv1 base32
+ * @param {string} value - A raw CID, ipfs:// URI or gateway URL without a path inside the CID
+ * @returns {string} - The CIDv1 (b...)
+ */
+export const normalizeCid = (value) => {
+  const { cid, path } = parseCidReference(value);
+  if (path) {
+    throw createInvalidCidError(`Expected a CID, not a path inside one: ${value}`);
+  }
+  return cid;
+};
+
+/**
+ * Check whether a value is a valid CID or a URI pointing at one
+ * @param {string} value - The value to check
+ * @returns {boolean} - Whether normalizeCid accepts it
+ */
+export const isValidCid = (value) => {
+  try {
+    normalizeCid(value);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Key for comparing or indexing CIDs: the normalised CID, or the trimmed value itself if it is not a valid CID
+ * @param {string} value - The CID
+ * @returns {string} - The key
+ */
+export const getCidKey = (value) => {
+  try {
+    return normalizeCid(value);
+  } catch (error) {
+    return String(value).trim();
+  }
+};
+
+/**
+ * Check whether two values refer to the same CID
+ * @param {string} a - A CID
+ * @param {string} b - Another CID
+ * @returns {boolean} - Whether both have the same CIDv1
+ */
+export const areCidsEqual = (a, b) => getCidKey(a) === getCidKey(b);
+
+/**
+ * List the strings a CID may have been recorded under: its CIDv1 base32, its CIDv0 and the CID as given
+ * @param {string} value - The CID, or a URI pointing at one
+ * @returns {Array<string>} - Distinct forms, normalised form first
+ */
+export const getCidForms = (value) => {
+  const given = String(value).trim();
+  let forms;
+  try {
+    const cid = normalizeCid(given);
+    // A URI is never a recorded form, but a CID in another base (such as z...) may be
+    forms = [cid, toCidV0(cid), /[/:]/.test(given) ? null : given];
+  } catch (error) {
+    forms = [given];
+  }
+  return [...new Set(forms.filter(Boolean))];
+};
+
+/**
+ * Check that a codec fits the compact form
+ * Codecs the app does not know are kept as they are, like any other multicodec code.
+ * @param {number} codec - The multicodec code
+ * @returns {boolean} - Whether it is a whole number the contract can store
+ */
+const isCompactCodec = (codec) => Number.isSafeInteger(codec) && codec >= 0 && codec <= MAX_COMPACT_CODEC;
+
+/**
+ * Convert a CID to the compact form XineteDecentralizedStorage stores
+ * @param {string} value - The CID, or a URI pointing at one
+ * @returns {Object} - { digest, codec } with the sha2-256 digest as 0x-prefixed hex and the multicodec code
+ */
+export const toCompactCid = (value) => {
+  const decoded = decode(normalizeCid(value));
+  if (decoded.multihash.code !== HASH_SHA2_256 || decoded.multihash.digest.length !== 32) {
+    throw createInvalidCidError(`Only CIDs with a sha2-256 hash can be stored on chain: ${value}`);
+  }
+  if (!isCompactCodec(decoded.codec)) {
+    throw createInvalidCidError(`Codec 0x${decoded.codec.toString(16)} cannot be stored on chain: ${value}`);
+  }
+  const digest = Array.from(decoded.multihash.digest, byte => byte.toString(16).padStart(2, '0')).join('');
+  return { digest: `0x${digest}`, codec: decoded.codec };
+};
+
+/**
+ * Convert a compact CID read from XineteDecentralizedStorage back to a CID string
+ * @param {Object} compact - { digest, codec } as returned by the contract
+ * @returns {string|null} - The CIDv1 (b...), or null for the zero digest the contract uses for "none"
+ */
+export const fromCompactCid = ({ digest, codec }) => {
+  const hex = String(digest).replace(/^0x/i, '');
+  if (!/^[0-9a-f]{64}$/i.test(hex)) {
+    throw createInvalidCidError(`Invalid CID digest: ${digest}`);
+  }
+  if (/^0+$/.test(hex)) {
+    return null;
+  }
+  if (!isCompactCodec(Number(codec))) {
+    throw createInvalidCidError(`Invalid CID codec: ${codec}`);
+  }
+  return cidFromDigest(Number(codec), Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16)));
+};
+
+export default {
+  toCidV1,
+  toCidV0,
+  parseCidReference,
+  normalizeCid,
+  isValidCid,
+  getCidKey,
+  areCidsEqual,
+  getCidForms,
+  toCompactCid,
+  fromCompactCid
+};
@@ -0,0 +1,460 @@
+/**
+ * Event-sourced collection indexer
+ * Rebuilds collection state by replaying MetadataStored, MetadataUpdated and MetadataRemoved
+ * logs of XineteDecentralizedStorage, persists a local snapshot and follows new blocks
+ */
+import { ethers } from 'ethers';
+import { createIndexedDBStore } from './indexedDbStore.js';
+import { fromCompactCid } from './cidUtils.js';
+
+// Only the events are needed, so the indexer does not depend on the full ABI
+const EVENTS_ABI = [
+  'event MetadataStored(address indexed creator, tuple(bytes32 digest, uint32 codec) cid, bytes32 hash, string nftName, uint256 timestamp)',
+  'event MetadataUpdated(address indexed creator, tuple(bytes32 digest, uint32 codec) oldCid, tuple(bytes32 digest, uint32 codec) newCid, bytes32 hash)',
+  'event MetadataRemoved(address indexed creator, tuple(bytes32 digest, uint32 codec) cid)'
+];
+
+const eventsInterface = new ethers.Interface(EVENTS_ABI);
+
+const EVENT_TOPICS = ['MetadataStored', 'MetadataUpdated', 'MetadataRemoved']
+  .map(name => eventsInterface.getEvent(name).topicHash);
+
+// Bump when the snapshot layout changes so stale snapshots are rebuilt
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Entry status values
+ */
+export const ENTRY_STATUS = {
+  ACTIVE: 'active',
+  REPLACED: 'replaced',
+  REMOVED: 'removed'
+};
+
+/**
+ * Create an empty indexer state
+ * @param {number} fromBlock - The first block to replay
+ * @returns {Object} - Empty state
+ */
+export const createEmptyState = (fromBlock = 0) => ({
+  version: SNAPSHOT_VERSION,
+  lastBlock: fromBlock - 1,
+  entries: {},
+  events: []
+});
+
+/**
+ * Decode a raw log into a plain, serializable event record
+ * CIDs are converted from the contract's compact form to CIDv1 base32 and hashes from bytes32
+ * to hex without 0x.
+ * @param {Object} log - Raw log from provider.getLogs
+ * @returns {Object|null} - Decoded event, or null for unrelated logs
+ */
+export const decodeLog = (log) => {
+  let parsed;
+  try {
+    parsed = eventsInterface.parseLog(log);
+  } catch (e) {
+    return null;
+  }
+  if (!parsed) {
+    return null;
+  }
+
+  const base = {
+    type: parsed.name,
+    creator: ethers.getAddress(parsed.args.creator),
+    blockNumber: log.blockNumber,
+    logIndex: log.index ?? log.logIndex,
+    transactionHash: log.transactionHash
+  };
+
+  switch (parsed.name) {
+    case 'MetadataStored':
+      return {
+        ...base,
+        cid: fromCompactCid(parsed.args.cid),
+        hash: parsed.args.hash.slice(2),
+        nftName: parsed.args.nftName,
+        timestamp: Number(parsed.args.timestamp)
+      };
+    case 'MetadataUpdated':
+      return {
+        ...base,
+        oldCid: fromCompactCid(parsed.args.oldCid),
+        newCid: fromCompactCid(parsed.args.newCid),
+        hash: parsed.args.hash.slice(2)
+      };
+    case 'MetadataRemoved':
+      return {
+        ...base,
+        cid: fromCompactCid(parsed.args.cid)
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * Apply a decoded event to the state (mutates and returns the state)
+ * @param {Object} state - Indexer state
+ * @param {Object} event - Decoded event
+ * @returns {Object} - The updated state
+ */
+export const applyEvent = (state, event) => {
+  const { entries } = state;
+  const origin = {
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash
+  };
+
+  switch (event.type) {
+    case 'MetadataStored':
+      entries[event.cid] = {
+        cid: event.cid,
+        owner: event.creator,
+        hash: event.hash,
+        nftName: event.nftName,
+        status: ENTRY_STATUS.ACTIVE,
+        previousCid: null,
+        nextCid: null,
+        createdAt: { ...origin, timestamp: event.timestamp },
+        endedAt: null
+      };
+      break;
+    case 'MetadataUpdated': {
+      const previous = entries[event.oldCid];
+      if (previous) {
+        previous.status = ENTRY_STATUS.REPLACED;
+        previous.nextCid = event.newCid;
+        previous.endedAt = origin;
+      }
+      entries[event.newCid] = {
+        cid: event.newCid,
+        owner: event.creator,
+        hash: event.hash,
+        // MetadataUpdated does not carry the new name
+        nftName: null,
+        status: ENTRY_STATUS.ACTIVE,
+        previousCid: event.oldCid,
+        nextCid: null,
+        createdAt: { ...origin, timestamp: null },
+        endedAt: null
+      };
+      break;
+    }
+    case 'MetadataRemoved': {
+      const entry = entries[event.cid];
+      if (entry) {
+        entry.status = ENTRY_STATUS.REMOVED;
+        entry.endedAt = origin;
+      }
+      break;
+    }
+    default:
+      return state;
+  }
+
+  state.events.push(event);
+  return state;
+};
+
+/**
+ * Get every version of an NFT, oldest first
+ * @param {Object} state - Indexer state
+ * @param {string} cid - Any CID in the version chain
+ * @returns {Array<Object>} - Entries of the version chain
+ */
+export const getVersions = (state, cid) => {
+  let entry = state.entries[cid];
+  if (!entry) {
+    return [];
+  }
+
+  // Walk back to the first version, guarding against cycles from re-registered CIDs
+  const seen = new Set([entry.cid]);
+  while (entry.previousCid && state.entries[entry.previousCid] && !seen.has(entry.previousCid)) {
+    entry = state.entries[entry.previousCid];
+    seen.add(entry.cid);
+  }
+
+  const versions = [entry];
+  const chain = new Set([entry.cid]);
+  while (entry.nextCid && state.entries[entry.nextCid] && !chain.has(entry.nextCid)) {
+    entry = state.entries[entry.nextCid];
+    chain.add(entry.cid);
+    versions.push(entry);
+  }
+
+  return versions;
+};
+
+/**
+ * Get every event touching any version of an NFT, oldest first
+ * @param {Object} state - Indexer state
+ * @param {string} cid - Any CID in the version chain
+ * @returns {Array<Object>} - Decoded events
+ */
+export const getTimeline = (state, cid) => {
+  const cids = new Set(getVersions(state, cid).map(entry => entry.cid));
+  return state.events.filter(event =>
+    cids.has(event.cid) || cids.has(event.oldCid) || cids.has(event.newCid)
+  );
+};
+
+/**
+ * Get the most recent mints by anyone, newest first
+ * @param {Object} state - Indexer state
+ * @param {number} limit - Maximum number of mints to return
+ * @returns {Array<Object>} - MetadataStored events
+ */
+export const getRecentMints = (state, limit = 20) => {
+  const mints = [];
+  for (let i = state.events.length - 1; i >= 0 && mints.length < limit; i--) {
+    if (state.events[i].type === 'MetadataStored') {
+      mints.push(state.events[i]);
+    }
+  }
+  return mints;
+};
+
+/**
+ * Get the active entries owned by an address
+ * @param {Object} state - Indexer state
+ * @param {string} owner - Owner address
+ * @returns {Array<Object>} - Active entries
+ */
+export const getCollection = (state, owner) => {
+  const address = ethers.getAddress(owner);
+  return Object.values(state.entries).filter(entry =>
+    entry.owner === address && entry.status === ENTRY_STATUS.ACTIVE
+  );
+};
+
+/**
+ * Create an indexer for one XineteDecentralizedStorage deployment
+ * @param {Object} config - Indexer configuration
+ * @param {Object} config.provider - ethers provider
+ * @param {string} config.contractAddress - Address of the contract to index
+ * @param {number} config.fromBlock - Deployment block of the contract
+ * @param {Object} config.store - Store from indexedDbStore, or null to keep state in memory only
+ * @param {number} config.batchSize - Maximum number of blocks per getLogs request
+ * @param {number} config.confirmations - Blocks to stay behind the head to avoid reorgs
+ * @returns {Object} - Indexer instance
+ */
+export const createCollectionIndexer = ({
+  provider,
+  contractAddress,
+  fromBlock = 0,
+  store = null,
+  batchSize = 2000,
+  confirmations = 0
+}) => {
+  if (!provider || !contractAddress) {
+    throw new Error('Collection indexer requires a provider and a contract address');
+  }
+
+  let state = createEmptyState(fromBlock);
+  let snapshotKey;
+  let syncing = null;
+  let pollTimer = null;
+  const listeners = new Set();
+
+  const getSnapshotKey = async () => {
+    if (!snapshotKey) {
+      const { chainId } = await provider.getNetwork();
+      snapshotKey = `${chainId}:${contractAddress.toLowerCase()}`;
+    }
+    return snapshotKey;
+  };
+
+  const notify = () => {
+    listeners.forEach(listener => {
+      try {
+        listener(state);
+      } catch (error) {
+        console.error('Collection indexer listener failed:', error);
+      }
+    });
+  };
+
+  /**
+   * Load the persisted snapshot, if any
+   * @returns {Promise<number>} - The last indexed block
+   */
+  const load = async () => {
+    if (store) {
+      const snapshot = await store.get(await getSnapshotKey());
+      if (snapshot && snapshot.version === SNAPSHOT_VERSION) {
+        state = snapshot;
+      }
+    }
+    return state.lastBlock;
+  };
+
+  const runSync = async () => {
+    const head = await provider.getBlockNumber();
+    const target = head - confirmations;
+
+    let changed = false;
+    while (state.lastBlock < target) {
+      const from = state.lastBlock + 1;
+      const to = Math.min(from + batchSize - 1, target);
+
+      const logs = await provider.getLogs({
+        address: contractAddress,
+        topics: [EVENT_TOPICS],
+        fromBlock: from,
+        toBlock: to
+      });
+
+      logs
+        .map(decodeLog)
+        .filter(Boolean)
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex)
+        .forEach(event => applyEvent(state, event));
+
+      state.lastBlock = to;
+      changed = changed || logs.length > 0;
+
+      // Persist after every batch so an interrupted replay resumes where it stopped
+      if (store) {
+        await store.put(await getSnapshotKey(), state);
+      }
+    }
+
+    if (changed) {
+      notify();
+    }
+    return state.lastBlock;
+  };
+
+  /**
+   * Replay logs up to the current head (minus confirmations)
+   * Concurrent calls share the same run
+   * @returns {Promise<number>} - The last indexed block
+   */
+  const sync = () => {
+    if (!syncing) {
+      syncing = runSync().finally(() => {
+        syncing = null;
+      });
+    }
+    return syncing;
+  };
+
+  /**
+   * Follow new blocks by polling
+   * @param {number} intervalMs - Polling interval
+   */
+  const start = (intervalMs = 15000) => {
+    if (pollTimer) {
+      return;
+    }
+    pollTimer = setInterval(() => {
+      sync().catch(error => console.error('Collection indexer sync failed:', error));
+    }, intervalMs);
+  };
+
+  /**
+   * Stop following new blocks
+   */
+  const stop = () => {
+    if (pollTimer) {
+      clearInterval(pollTimer);
+      pollTimer = null;
+    }
+  };
+
+  /**
+   * Drop the local snapshot and start over from the deployment block
+   */
+  const reset = async () => {
+    state = createEmptyState(fromBlock);
+    if (store) {
+      await store.delete(await getSnapshotKey());
+    }
+    notify();
+  };
+
+  /**
+   * Subscribe to state changes
+   * @param {Function} listener - Called with the state after each change
+   * @returns {Function} - Unsubscribe function
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    load,
+    sync,
+    start,
+    stop,
+    reset,
+    subscribe,
+    getState: () => state,
+    getLastBlock: () => state.lastBlock,
+    getVersions: (cid) => getVersions(state, cid),
+    getTimeline: (cid) => getTimeline(state, cid),
+    getRecentMints: (limit) => getRecentMints(state, limit),
+    getCollection: (owner) => getCollection(state, owner)
+  };
+};
+
+/**
+ * Get the block a contract was deployed in
+ * The deploy scripts record it in deployments/<network>.json, which the Vite build reads into
+ * __CONTRACT_DEPLOY_BLOCKS__.
+ * @param {string} contractAddress - The contract address
+ * @param {Object} deployBlocks - Deployment blocks keyed by lowercase address
+ * @returns {number} - The deployment block
+ */
+export const getDeployBlock = (
+  contractAddress,
+  deployBlocks = typeof __CONTRACT_DEPLOY_BLOCKS__ !== 'undefined' ? __CONTRACT_DEPLOY_BLOCKS__ : {}
+) => {
+  const block = contractAddress ? deployBlocks[contractAddress.toLowerCase()] : undefined;
+  if (!Number.isInteger(block)) {
+    // Replaying from genesis instead would scan the whole chain
+    throw new Error(`No deployment block recorded for ${contractAddress}. Deploy with scripts/deploy.js, which writes deployments/<network>.json, and rebuild the frontend`);
+  }
+  return block;
+};
+
+/**
+ * Create an indexer for the browser that persists its snapshot in IndexedDB
+ * @param {Object} provider - ethers provider
+ * @param {Object} config - Optional overrides for the contract address and deployment block
+ * @returns {Object} - Indexer instance
+ */
+export const createBrowserCollectionIndexer = (provider, config = {}) => {
+  const {
+    contractAddress = import.meta.env.VITE_CONTRACT_ADDRESS,
+    fromBlock = getDeployBlock(contractAddress),
+    confirmations = 0
+  } = config;
+
+  return createCollectionIndexer({
+    provider,
+    contractAddress,
+    fromBlock,
+    confirmations,
+    store: createIndexedDBStore({ dbName: 'xinete-indexer', storeName: 'snapshots' })
+  });
+};
+
+export default {
+  ENTRY_STATUS,
+  createEmptyState,
+  decodeLog,
+  applyEvent,
+  getVersions,
+  getTimeline,
+  getRecentMints,
+  getCollection,
+  getDeployBlock,
+  createCollectionIndexer,
+  createBrowserCollectionIndexer
+};
@@ -0,0 +1,63 @@
+/**
+ * Collection indexer for the app
+ * Connects the collection indexer to the storage contract blockchainService is connected to and
+ * keeps one instance, shared by the activity feed and the version history, following new blocks
+ */
+import * as blockchainService from './blockchainService.js';
+import { createBrowserCollectionIndexer } from './collectionIndexer.js';
+
+let indexer = null;
+let starting = null;
+
+/**
+ * Get the running collection indexer, starting it on first use
+ * The snapshot in IndexedDB is loaded and brought up to date before the indexer is returned.
+ * @returns {Promise<Object|null>} - Indexer from collectionIndexer, or null if it cannot run
+ */
+export const startCollectionIndexer = async () => {
+  if (indexer) {
+    return indexer;
+  }
+  if (!starting) {
+    starting = (async () => {
+      try {
+        if (!blockchainService.getContractAddress() && !(await blockchainService.initializeBlockchain())) {
+          return null;
+        }
+        // The legacy contract emits none of the events the indexer replays
+        if (blockchainService.getContractType() !== blockchainService.CONTRACT_TYPES.DECENTRALIZED) {
+          return null;
+        }
+
+        const instance = createBrowserCollectionIndexer(blockchainService.getProvider(), {
+          contractAddress: blockchainService.getContractAddress()
+        });
+        await instance.load();
+        await instance.sync();
+        instance.start();
+        indexer = instance;
+        return indexer;
+      } catch (error) {
+        console.error('Error starting collection indexer:', error);
+        return null;
+      } finally {
+        starting = null;
+      }
+    })();
+  }
+  return starting;
+};
+
+/**
+ * Stop following new blocks
+ */
+export const stopCollectionIndexer = () => {
+  if (indexer) {
+    indexer.stop();
+  }
+};
+
+export default {
+  startCollectionIndexer,
+  stopCollectionIndexer
+};
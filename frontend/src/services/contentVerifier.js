@@ -0,0 +1,526 @@
+/**
+ * Content verification for data read from untrusted gateways
+ * Blocks are fetched as a CAR file or one by one as raw blocks, each block is hashed and checked
+ * against its CID, and the file is assembled only from blocks that passed
+ */
+
+// Multicodec codes
+const CODEC_DAG_PB = 0x70;
+const HASH_IDENTITY = 0x00;
+const HASH_SHA2_256 = 0x12;
+
+// UnixFS node types
+const UNIXFS_RAW = 0;
+const UNIXFS_DIRECTORY = 1;
+const UNIXFS_FILE = 2;
+const UNIXFS_HAMT_SHARD = 5;
+
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Create the error thrown when content does not match its CID
+ * @param {string} message - What did not match
+ * @returns {Error} - Error with code VERIFICATION_FAILED
+ */
+const createVerificationError = (message) => {
+  const error = new Error(message);
+  error.code = 'VERIFICATION_FAILED';
+  return error;
+};
+
+/**
+ * Create the error thrown for CIDs this verifier cannot check
+ * @param {string} message - What is unsupported
+ * @returns {Error} - Error with code UNSUPPORTED_CID
+ */
+const createUnsupportedError = (message) => {
+  const error = new Error(message);
+  error.code = 'UNSUPPORTED_CID';
+  return error;
+};
+
+/**
+ * Read an unsigned varint
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} offset - Start of the varint
+ * @returns {Array<number>} - [value, bytes read]
+ */
+const readVarint = (bytes, offset) => {
+  let value = 0;
+  let shift = 0;
+  let position = offset;
+  while (true) {
+    if (position >= bytes.length) {
+      throw new Error('Unexpected end of data while reading varint');
+    }
+    const byte = bytes[position++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if ((byte & 0x80) === 0) {
+      return [value, position - offset];
+    }
+    shift += 7;
+    if (shift > 49) {
+      throw new Error('Varint is too long');
+    }
+  }
+};
+
+const writeVarint = (value) => {
+  const bytes = [];
+  let remaining = value;
+  while (remaining >= 0x80) {
+    bytes.push((remaining % 0x80) | 0x80);
+    remaining = Math.floor(remaining / 0x80);
+  }
+  bytes.push(remaining);
+  return bytes;
+};
+
+const decodeBase32 = (text) => {
+  const bytes = [];
+  let buffer = 0;
+  let bits = 0;
+  for (const char of text) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}"`);
+    }
+    buffer = (buffer << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((buffer >> bits) & 0xff);
+    }
+  }
+  return new Uint8Array(bytes);
+};
+
+const encodeBase32 = (bytes) => {
+  let text = '';
+  let buffer = 0;
+  let bits = 0;
+  for (const byte of bytes) {
+    buffer = (buffer << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      bits -= 5;
+      text += BASE32_ALPHABET[(buffer >> bits) & 0x1f];
+    }
+  }
+  if (bits > 0) {
+    text += BASE32_ALPHABET[(buffer << (5 - bits)) & 0x1f];
+  }
+  return text;
+};
+
+const decodeBase58 = (text) => {
+  const bytes = [];
+  for (const char of text) {
+    let carry = BASE58_ALPHABET.indexOf(char);
+    if (carry === -1) {
+      throw new Error(`Invalid base58 character "${char}"`);
+    }
+    for (let i = 0; i < bytes.length; i++) {
+      carry += bytes[i] * 58;
+      bytes[i] = carry & 0xff;
+      carry >>= 8;
+    }
+    while (carry > 0) {
+      bytes.push(carry & 0xff);
+      carry >>= 8;
+    }
+  }
+  // Leading '1's are leading zero bytes
+  for (let i = 0; i < text.length && text[i] === '1'; i++) {
+    bytes.push(0);
+  }
+  return new Uint8Array(bytes.reverse());
+};
+
+const encodeBase58 = (bytes) => {
+  const digits = [];
+  for (const byte of bytes) {
+    let carry = byte;
+    for (let i = 0; i < digits.length; i++) {
+      carry += digits[i] << 8;
+      digits[i] = carry % 58;
+      carry = (carry / 58) | 0;
+    }
+    while (carry > 0) {
+      digits.push(carry % 58);
+      carry = (carry / 58) | 0;
+    }
+  }
+  let text = '';
+  for (let i = 0; i < bytes.length && bytes[i] === 0; i++) {
+    text += '1';
+  }
+  for (let i = digits.length - 1; i >= 0; i--) {
+    text += BASE58_ALPHABET[digits[i]];
+  }
+  return text;
+};
+
+/**
+ * Decode a binary CID
+ * @param {Uint8Array} bytes - Buffer holding the CID
+ * @param {number} offset - Start of the CID
+ * @returns {Object} - { version, codec, multihash: { code, digest }, bytes, length }
+ */
+export const decodeCidBytes = (bytes, offset = 0) => {
+  // CIDv0 is a bare sha2-256 multihash
+  if (bytes[offset] === HASH_SHA2_256 && bytes[offset + 1] === 0x20) {
+    const cidBytes = bytes.subarray(offset, offset + 34);
+    if (cidBytes.length !== 34) {
+      throw new Error('Truncated CIDv0');
+    }
+    return {
+      version: 0,
+      codec: CODEC_DAG_PB,
+      multihash: { code: HASH_SHA2_256, digest: cidBytes.subarray(2) },
+      bytes: cidBytes,
+      length: 34
+    };
+  }
+
+  let position = offset;
+  const [version, versionLength] = readVarint(bytes, position);
+  position += versionLength;
+  if (version !== 1) {
+    throw createUnsupportedError(`Unsupported CID version ${version}`);
+  }
+  const [codec, codecLength] = readVarint(bytes, position);
+  position += codecLength;
+  const [code, codeLength] = readVarint(bytes, position);
+  position += codeLength;
+  const [digestLength, digestLengthLength] = readVarint(bytes, position);
+  position += digestLengthLength;
+  if (position + digestLength > bytes.length) {
+    throw new Error('Truncated CID');
+  }
+  const digest = bytes.subarray(position, position + digestLength);
+  position += digestLength;
+
+  return {
+    version,
+    codec,
+    multihash: { code, digest },
+    bytes: bytes.subarray(offset, position),
+    length: position - offset
+  };
+};
+
+/**
+ * Decode a CID string
+ * Supports CIDv0 and CIDv1 in base32 (b...) or base58btc (z...)
+ * @param {string} cid - The CID
+ * @returns {Object} - Decoded CID, as from decodeCidBytes
+ */
+export const decodeCid = (cid) => {
+  const text = String(cid).trim();
+  let bytes;
+  if (/^Qm[1-9A-HJ-NP-Za-km-z]{44}$/.test(text)) {
+    bytes = decodeBase58(text);
+  } else if (text[0] === 'b' || text[0] === 'B') {
+    bytes = decodeBase32(text.slice(1).toLowerCase());
+  } else if (text[0] === 'z') {
+    bytes = decodeBase58(text.slice(1));
+  } else {
+    throw createUnsupportedError(`Unsupported CID encoding: ${text}`);
+  }
+
+  const decoded = decodeCidBytes(bytes);
+  if (decoded.length !== bytes.length) {
+    throw new Error(`Invalid CID: ${text}`);
+  }
+  return decoded;
+};
+
+/**
+ * Encode a decoded CID as a string: base58btc for CIDv0, base32 for CIDv1
+ * @param {Object} cid - Decoded CID
+ * @returns {string} - The CID string
+ */
+export const cidToString = (cid) => (cid.version === 0 ? encodeBase58(cid.bytes) : `b${encodeBase32(cid.bytes)}`);
+
+/**
+ * Build the CIDv1 for a sha2-256 digest
+ * @param {number} codec - Multicodec code, such as 0x55 for raw
+ * @param {Uint8Array} digest - The 32-byte sha2-256 digest
+ * @returns {string} - base32 CIDv1
+ */
+export const cidFromDigest = (codec, digest) => (
+  `b${encodeBase32(new Uint8Array([...writeVarint(1), ...writeVarint(codec), HASH_SHA2_256, digest.length, ...digest]))}`
+);
+
+/**
+ * Compute the CIDv1 of a block
+ * @param {number} codec - Multicodec code, such as 0x55 for raw
+ * @param {Uint8Array} bytes - Block bytes
+ * @returns {Promise<string>} - base32 CIDv1 using sha2-256
+ */
+export const createCid = async (codec, bytes) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return cidFromDigest(codec, digest);
+};
+
+/**
+ * Check that a block hashes to its CID
+ * @param {Object} cid - Decoded CID
+ * @param {Uint8Array} bytes - Block bytes
+ * @returns {Promise<void>} - Resolves if the block matches, throws VERIFICATION_FAILED otherwise
+ */
+export const verifyBlock = async (cid, bytes) => {
+  const { code, digest } = cid.multihash;
+  let actual;
+  if (code === HASH_IDENTITY) {
+    actual = bytes;
+  } else if (code === HASH_SHA2_256) {
+    actual = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  } else {
+    throw createUnsupportedError(`Unsupported hash function 0x${code.toString(16)} in CID ${cidToString(cid)}`);
+  }
+
+  if (actual.length !== digest.length || actual.some((byte, i) => byte !== digest[i])) {
+    throw createVerificationError(`Block does not match CID ${cidToString(cid)}`);
+  }
+};
+
+/**
+ * Iterate over the fields of a protobuf message
+ * Only the varint and length-delimited wire types used by dag-pb and UnixFS are supported
+ */
+function* readProtobuf(bytes) {
+  let position = 0;
+  while (position < bytes.length) {
+    const [key, keyLength] = readVarint(bytes, position);
+    position += keyLength;
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+
+    if (wireType === 0) {
+      const [value, length] = readVarint(bytes, position);
+      position += length;
+      yield { field, value };
+    } else if (wireType === 2) {
+      const [length, lengthLength] = readVarint(bytes, position);
+      position += lengthLength;
+      if (position + length > bytes.length) {
+        throw new Error('Truncated protobuf field');
+      }
+      yield { field, value: bytes.subarray(position, position + length) };
+      position += length;
+    } else {
+      throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+  }
+}
+
+/**
+ * Decode a dag-pb node
+ * @param {Uint8Array} bytes - Block bytes
+ * @returns {Object} - { data, links: [{ cid, name, size }] }
+ */
+export const decodeDagPb = (bytes) => {
+  const node = { data: null, links: [] };
+  for (const { field, value } of readProtobuf(bytes)) {
+    if (field === 1) {
+      node.data = value;
+    } else if (field === 2) {
+      const link = { cid: null, name: '', size: 0 };
+      for (const linkField of readProtobuf(value)) {
+        if (linkField.field === 1) {
+          link.cid = decodeCidBytes(linkField.value);
+        } else if (linkField.field === 2) {
+          link.name = new TextDecoder().decode(linkField.value);
+        } else if (linkField.field === 3) {
+          link.size = linkField.value;
+        }
+      }
+      if (!link.cid) {
+        throw new Error('dag-pb link without a CID');
+      }
+      node.links.push(link);
+    }
+  }
+  return node;
+};
+
+/**
+ * Decode the UnixFS data of a dag-pb node
+ * @param {Uint8Array} bytes - The node's Data field
+ * @returns {Object} - { type, data }
+ */
+const decodeUnixFs = (bytes) => {
+  const unixfs = { type: null, data: null };
+  for (const { field, value } of readProtobuf(bytes)) {
+    if (field === 1) {
+      unixfs.type = value;
+    } else if (field === 2) {
+      unixfs.data = value;
+    }
+  }
+  return unixfs;
+};
+
+/**
+ * Split a CARv1 file into its blocks
+ * @param {Uint8Array} bytes - CAR bytes
+ * @returns {Array<Object>} - [{ cid, bytes }] in file order
+ */
+export const parseCar = (bytes) => {
+  const [headerLength, headerLengthLength] = readVarint(bytes, 0);
+  let position = headerLengthLength + headerLength;
+  const blocks = [];
+
+  while (position < bytes.length) {
+    const [sectionLength, sectionLengthLength] = readVarint(bytes, position);
+    position += sectionLengthLength;
+    const end = position + sectionLength;
+    if (end > bytes.length) {
+      throw new Error('Truncated CAR block');
+    }
+    const cid = decodeCidBytes(bytes, position);
+    blocks.push({ cid, bytes: bytes.subarray(position + cid.length, end) });
+    position = end;
+  }
+  return blocks;
+};
+
+/**
+ * Create a reader that only returns content whose blocks match their CIDs
+ * @param {Object} sources - Where blocks come from
+ * @param {Function} sources.fetchCar - Optional (cid, path) => Promise<Uint8Array> returning a CAR with the blocks
+ * @param {Function} sources.fetchBlock - (cid) => Promise<Uint8Array> returning one raw block
+ * @param {Function} sources.logWarn - (message, error) => void, called when a CAR cannot be read and raw blocks are used
+ * @returns {Object} - Reader with read(cid, { path, maxBytes })
+ */
+export const createVerifiedReader = ({
+  fetchCar = null,
+  fetchBlock,
+  logWarn = (message, error) => console.warn(message, error.message)
+}) => {
+  /**
+   * Read and verify the file at a CID, or at a path inside a directory CID
+   * @param {string} cid - The root CID
+   * @param {Object} options - path inside the root and maxBytes for the assembled content
+   * @returns {Promise<Uint8Array>} - The verified content
+   */
+  const read = async (cid, { path = '', maxBytes = null } = {}) => {
+    const root = decodeCid(cid);
+    const blocks = new Map();
+
+    if (fetchCar) {
+      let carBlocks = [];
+      try {
+        carBlocks = parseCar(await fetchCar(cid, path));
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          throw error;
+        }
+        // Gateway without CAR support or a broken CAR: fall back to raw blocks
+        logWarn(`Could not read a CAR for CID ${cid}, fetching raw blocks:`, error);
+      }
+      // A block that does not match its CID means the gateway is serving wrong data
+      for (const block of carBlocks) {
+        await verifyBlock(block.cid, block.bytes);
+        blocks.set(cidToString(block.cid), block.bytes);
+      }
+    }
+
+    const getBlock = async (blockCid) => {
+      if (blockCid.multihash.code === HASH_IDENTITY) {
+        return blockCid.multihash.digest;
+      }
+      const key = cidToString(blockCid);
+      if (!blocks.has(key)) {
+        const bytes = await fetchBlock(key);
+        await verifyBlock(blockCid, bytes);
+        blocks.set(key, bytes);
+      }
+      return blocks.get(key);
+    };
+
+    // Resolve the path through UnixFS directories
+    let current = root;
+    for (const segment of String(path).split('/').filter(Boolean)) {
+      if (current.codec !== CODEC_DAG_PB) {
+        throw new Error(`Cannot resolve "${segment}" in non-directory CID ${cidToString(current)}`);
+      }
+      const node = decodeDagPb(await getBlock(current));
+      const unixfs = node.data ? decodeUnixFs(node.data) : {};
+      if (unixfs.type === UNIXFS_HAMT_SHARD) {
+        throw createUnsupportedError(`Sharded directory ${cidToString(current)} is not supported`);
+      }
+      if (unixfs.type !== UNIXFS_DIRECTORY) {
+        throw new Error(`CID ${cidToString(current)} is not a directory`);
+      }
+      const link = node.links.find(entry => entry.name === decodeURIComponent(segment));
+      if (!link) {
+        throw new Error(`"${segment}" not found in directory ${cidToString(current)}`);
+      }
+      current = link.cid;
+    }
+
+    // Assemble the file from its leaves, in link order
+    const chunks = [];
+    let received = 0;
+    const append = (bytes) => {
+      received += bytes.length;
+      if (maxBytes !== null && received > maxBytes) {
+        const error = new Error(`Content with CID ${cid} is larger than ${maxBytes} bytes`);
+        error.code = 'MAX_BYTES_EXCEEDED';
+        throw error;
+      }
+      chunks.push(bytes);
+    };
+
+    const readNode = async (nodeCid) => {
+      const bytes = await getBlock(nodeCid);
+      if (nodeCid.codec !== CODEC_DAG_PB) {
+        // Raw leaves and non-UnixFS blocks (e.g. json) are the content itself
+        append(bytes);
+        return;
+      }
+      const node = decodeDagPb(bytes);
+      const unixfs = node.data ? decodeUnixFs(node.data) : {};
+      if (unixfs.type === UNIXFS_DIRECTORY || unixfs.type === UNIXFS_HAMT_SHARD) {
+        throw new Error(`CID ${cidToString(nodeCid)} is a directory`);
+      }
+      if (unixfs.type !== UNIXFS_FILE && unixfs.type !== UNIXFS_RAW) {
+        throw createUnsupportedError(`Unsupported UnixFS node type ${unixfs.type} in CID ${cidToString(nodeCid)}`);
+      }
+      if (unixfs.data) {
+        append(unixfs.data);
+      }
+      for (const link of node.links) {
+        await readNode(link.cid);
+      }
+    };
+
+    await readNode(current);
+
+    const content = new Uint8Array(received);
+    let offset = 0;
+    for (const chunk of chunks) {
+      content.set(chunk, offset);
+      offset += chunk.length;
+    }
+    return content;
+  };
+
+  return { read };
+};
+
+export default {
+  decodeCid,
+  decodeCidBytes,
+  cidToString,
+  cidFromDigest,
+  createCid,
+  verifyBlock,
+  decodeDagPb,
+  parseCar,
+  createVerifiedReader
+};
@@ -0,0 +1,405 @@
+/**
+ * IPFS gateway client
+ * Reads content over HTTP from an ordered list of gateways, failing over or racing between them,
+ * with per-gateway health scores and a cache of the gateway that last served each CID
+ */
+import { toCidV1 } from './cidUtils.js';
+
+/**
+ * Ways of spreading a read over gateways
+ */
+export const GATEWAY_STRATEGIES = {
+  FAILOVER: 'failover',
+  RACE: 'race'
+};
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// A gateway that failed this many times in a row is tried last until the cooldown has passed
+const COOLDOWN_AFTER_FAILURES = 3;
+const FAILURE_COOLDOWN_MS = 30000;
+
+// Weight of the newest sample in the smoothed latency
+const LATENCY_SMOOTHING = 0.3;
+
+// Number of CIDs whose serving gateway is remembered
+const CID_CACHE_SIZE = 500;
+
+/**
+ * Parse a gateway definition
+ * Path-style gateways are a base URL such as https://ipfs.io/ipfs; subdomain-style gateways
+ * contain a {cid} placeholder, such as https://{cid}.ipfs.dweb.link
+ * @param {string} definition - Gateway URL
+ * @returns {Object} - Gateway as { url, style }
+ */
+export const parseGateway = (definition) => {
+  const url = String(definition).trim().replace(/\/+$/, '');
+  if (!/^https?:\/\/\S+$/i.test(url)) {
+    throw new Error(`Invalid IPFS gateway URL: ${definition}`);
+  }
+  return { url, style: url.includes('{cid}') ? 'subdomain' : 'path' };
+};
+
+/**
+ * Split a comma-separated gateway list, as used in environment variables
+ * @param {string|Array<string>} value - Gateway list
+ * @returns {Array<string>} - Gateway URLs in order
+ */
+export const parseGatewayList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(entry => String(entry).trim())
+  .filter(Boolean);
+
+/**
+ * Build the URL of a CID on a gateway
+ * @param {Object} gateway - Gateway from parseGateway
+ * @param {string} cid - The IPFS CID
+ * @param {string} path - Optional path inside the CID
+ * @returns {string|null} - The URL, or null if the gateway cannot serve this CID (an invalid CID on a subdomain gateway)
+ */
+export const buildGatewayUrl = (gateway, cid, path = '') => {
+  const suffix = path ? `/${String(path).replace(/^\/+/, '')}` : '';
+  if (gateway.style === 'subdomain') {
+    // Subdomains are case-insensitive, so they only work with base32 CIDv1; other forms are converted
+    let label;
+    try {
+      label = toCidV1(cid);
+    } catch (error) {
+      return null;
+    }
+    return `${gateway.url.replace('{cid}', label)}${suffix}`;
+  }
+  return `${gateway.url}/${cid}${suffix}`;
+};
+
+/**
+ * Create the error thrown when a caller aborts a read
+ * @returns {Error} - AbortError
+ */
+const createAbortError = () => {
+  const error = new Error('Gateway read aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Read a gateway response body as the requested type
+ * @param {Response} response - Fetch response
+ * @param {Object} options - type (json, text, bytes or blob), maxBytes, mimeType and signal, which stops
+ * waiting for a body that has stalled
+ * @returns {Promise<*>} - The body
+ */
+export const readResponse = async (response, { type = 'bytes', maxBytes = null, mimeType = null, signal = null } = {}) => {
+  if (signal && signal.aborted) {
+    throw createAbortError();
+  }
+  const declared = Number(response.headers.get('content-length'));
+  if (maxBytes !== null && declared > maxBytes) {
+    throw Object.assign(new Error(`Response is larger than ${maxBytes} bytes`), { code: 'MAX_BYTES_EXCEEDED' });
+  }
+
+  const chunks = [];
+  let received = 0;
+  const reader = response.body.getReader();
+  let onAbort = null;
+  const aborted = signal
+    ? new Promise((resolve, reject) => {
+      onAbort = () => reject(createAbortError());
+      signal.addEventListener('abort', onAbort, { once: true });
+    })
+    : null;
+  if (aborted) {
+    aborted.catch(() => {});
+  }
+  try {
+    while (true) {
+      const { done, value } = await (aborted ? Promise.race([reader.read(), aborted]) : reader.read());
+      if (done) {
+        break;
+      }
+      received += value.length;
+      if (maxBytes !== null && received > maxBytes) {
+        throw Object.assign(new Error(`Response is larger than ${maxBytes} bytes`), { code: 'MAX_BYTES_EXCEEDED' });
+      }
+      chunks.push(value);
+    }
+  } finally {
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+    reader.cancel().catch(() => {});
+  }
+
+  if (type === 'blob') {
+    return new Blob(chunks, { type: mimeType || response.headers.get('content-type') || '' });
+  }
+
+  const bytes = new Uint8Array(received);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  switch (type) {
+    case 'bytes':
+      return bytes;
+    case 'text':
+      return new TextDecoder().decode(bytes);
+    case 'json':
+      return JSON.parse(new TextDecoder().decode(bytes));
+    default:
+      throw new Error(`Unknown response type "${type}"`);
+  }
+};
+
+/**
+ * Create a client for an ordered list of gateways
+ * @param {Object} config - Client configuration
+ * @param {string|Array<string>} config.gateways - Gateway URLs, most preferred first
+ * @param {string} config.strategy - One of GATEWAY_STRATEGIES
+ * @param {number} config.raceWidth - Number of gateways raced at once
+ * @param {number} config.timeout - Per-gateway timeout in milliseconds
+ * @param {Function} config.fetchImpl - fetch implementation
+ * @param {Function} config.now - Clock, in milliseconds
+ * @returns {Object} - Gateway client
+ */
+export const createGatewayClient = ({
+  gateways,
+  strategy = GATEWAY_STRATEGIES.FAILOVER,
+  raceWidth = 3,
+  timeout = DEFAULT_TIMEOUT_MS,
+  fetchImpl = (...args) => fetch(...args),
+  now = () => Date.now()
+}) => {
+  const entries = [...new Set(parseGatewayList(gateways))].map(parseGateway);
+  if (entries.length === 0) {
+    throw new Error('At least one IPFS gateway is required');
+  }
+  if (!Object.values(GATEWAY_STRATEGIES).includes(strategy)) {
+    throw new Error(`Unknown gateway strategy "${strategy}"`);
+  }
+
+  const health = new Map(entries.map(gateway => [gateway.url, {
+    successes: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    latency: null,
+    lastFailureAt: null
+  }]));
+  const cidCache = new Map();
+
+  const isCoolingDown = (gateway) => {
+    const stats = health.get(gateway.url);
+    return stats.consecutiveFailures >= COOLDOWN_AFTER_FAILURES && now() - stats.lastFailureAt < FAILURE_COOLDOWN_MS;
+  };
+
+  /**
+   * Score a gateway from its smoothed success rate, less a penalty for latency
+   * @param {Object} gateway - Gateway
+   * @returns {number} - Higher is better
+   */
+  const getScore = (gateway) => {
+    const stats = health.get(gateway.url);
+    const successRate = (stats.successes + 1) / (stats.successes + stats.failures + 2);
+    const latencyPenalty = stats.latency === null ? 0 : Math.min(stats.latency / 10000, 0.5);
+    return successRate - latencyPenalty;
+  };
+
+  /**
+   * Order gateways for a CID: the one that last served it, then healthy gateways by score,
+   * then gateways cooling down; ties keep the configured order
+   * @param {string} cid - The IPFS CID
+   * @returns {Array<Object>} - Gateways in the order to try
+   */
+  const rankGateways = (cid) => {
+    const cachedUrl = cidCache.get(cid);
+    return entries
+      .map((gateway, index) => ({ gateway, index, score: getScore(gateway), cooling: isCoolingDown(gateway) }))
+      .sort((a, b) =>
+        Number(b.gateway.url === cachedUrl) - Number(a.gateway.url === cachedUrl) ||
+        Number(a.cooling) - Number(b.cooling) ||
+        b.score - a.score ||
+        a.index - b.index
+      )
+      .map(({ gateway }) => gateway);
+  };
+
+  const recordSuccess = (gateway, latency) => {
+    const stats = health.get(gateway.url);
+    stats.successes++;
+    stats.consecutiveFailures = 0;
+    stats.latency = stats.latency === null
+      ? latency
+      : stats.latency * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING;
+  };
+
+  const recordFailure = (gateway) => {
+    const stats = health.get(gateway.url);
+    stats.failures++;
+    stats.consecutiveFailures++;
+    stats.lastFailureAt = now();
+  };
+
+  const rememberGateway = (cid, gateway) => {
+    cidCache.delete(cid);
+    cidCache.set(cid, gateway.url);
+    if (cidCache.size > CID_CACHE_SIZE) {
+      cidCache.delete(cidCache.keys().next().value);
+    }
+  };
+
+  /**
+   * Request a URL from one gateway, with its own timeout until the headers arrive
+   * Failures count against the gateway unless the request was cancelled by the caller or a race.
+   * On success the signal stays linked to the request, so it can still cancel the body, until release is called.
+   * @returns {Promise<Object>} - { response, release }
+   */
+  const attempt = async (gateway, url, signal, headers) => {
+    const controller = new AbortController();
+    const cancel = () => controller.abort();
+    const release = () => {
+      if (signal) {
+        signal.removeEventListener('abort', cancel);
+      }
+    };
+    if (signal) {
+      signal.addEventListener('abort', cancel, { once: true });
+    }
+    const timer = setTimeout(cancel, timeout);
+    const started = now();
+
+    try {
+      const response = await fetchImpl(url, { signal: controller.signal, headers });
+      if (!response.ok) {
+        throw new Error(`Gateway ${gateway.url} returned HTTP ${response.status}`);
+      }
+      recordSuccess(gateway, now() - started);
+      return { response, release };
+    } catch (error) {
+      release();
+      if (!(signal && signal.aborted)) {
+        recordFailure(gateway);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  /**
+   * Fetch a CID from the gateways
+   * @param {string} cid - The IPFS CID
+   * @param {Object} options - path inside the CID, query string, strategy override, signal, request headers
+   * and exclude, a list of gateway URLs not to use
+   * @returns {Promise<Object>} - { response, gateway, url, release } from the gateway that answered. The signal
+   * can cancel the body until release is called, so call it once the body has been read.
+   */
+  const fetchCid = async (cid, {
+    path = '',
+    query = '',
+    strategy: override = strategy,
+    signal = null,
+    headers = {},
+    exclude = []
+  } = {}) => {
+    const candidates = rankGateways(cid)
+      .filter(gateway => !exclude.includes(gateway.url))
+      .map(gateway => ({ gateway, url: buildGatewayUrl(gateway, cid, path) }))
+      .filter(candidate => candidate.url !== null)
+      .map(candidate => ({ ...candidate, url: query ? `${candidate.url}?${query}` : candidate.url }));
+
+    if (candidates.length === 0) {
+      throw new Error(`No configured gateway can serve CID ${cid}`);
+    }
+
+    const errors = [];
+    const width = override === GATEWAY_STRATEGIES.RACE ? Math.max(1, raceWidth) : 1;
+
+    // Try the candidates in waves; a failover is a race of width one
+    for (let i = 0; i < candidates.length; i += width) {
+      if (signal && signal.aborted) {
+        throw createAbortError();
+      }
+
+      const wave = candidates.slice(i, i + width);
+      const controllers = wave.map(() => new AbortController());
+      const abortWave = () => controllers.forEach(controller => controller.abort());
+      if (signal) {
+        signal.addEventListener('abort', abortWave, { once: true });
+      }
+
+      try {
+        const winner = await Promise.any(wave.map((candidate, index) =>
+          attempt(candidate.gateway, candidate.url, controllers[index].signal, headers)
+            .then(({ response, release }) => ({ ...candidate, response, release, index }))
+        ));
+
+        // Cancel the slower requests of the wave
+        controllers.forEach((controller, index) => {
+          if (index !== winner.index) {
+            controller.abort();
+          }
+        });
+
+        rememberGateway(cid, winner.gateway);
+        return {
+          response: winner.response,
+          gateway: winner.gateway.url,
+          url: winner.url,
+          release: () => {
+            if (signal) {
+              signal.removeEventListener('abort', abortWave);
+            }
+            winner.release();
+          }
+        };
+      } catch (aggregate) {
+        if (signal) {
+          signal.removeEventListener('abort', abortWave);
+        }
+        errors.push(...(aggregate.errors || [aggregate]));
+      }
+    }
+
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+    const error = new Error(`All IPFS gateways failed for CID ${cid}: ${errors.map(e => e.message).join('; ')}`);
+    error.errors = errors;
+    throw error;
+  };
+
+  return {
+    fetch: fetchCid,
+    getUrls: (cid, path = '') => rankGateways(cid)
+      .map(gateway => buildGatewayUrl(gateway, cid, path))
+      .filter(Boolean),
+    getCachedGateway: (cid) => cidCache.get(cid) || null,
+    // Count a response that arrived but turned out to be wrong, e.g. content that failed verification
+    reportFailure: (url, cid = null) => {
+      const gateway = entries.find(entry => entry.url === url);
+      if (gateway) {
+        recordFailure(gateway);
+      }
+      if (cid && cidCache.get(cid) === url) {
+        cidCache.delete(cid);
+      }
+    },
+    getHealth: () => entries.map(gateway => ({
+      ...gateway,
+      ...health.get(gateway.url),
+      score: getScore(gateway),
+      coolingDown: isCoolingDown(gateway)
+    })),
+    getGateways: () => entries.map(gateway => ({ ...gateway }))
+  };
+};
+
+export default {
+  GATEWAY_STRATEGIES,
+  parseGateway,
+  parseGatewayList,
+  buildGatewayUrl,
+  readResponse,
+  createGatewayClient
+};
@@ -0,0 +1,80 @@
+/**
+ * Minimal key-value persistence on top of IndexedDB
+ * Used by services that keep local state across page loads
+ */
+
+/**
+ * Create a key-value store backed by an IndexedDB object store
+ * @param {Object} config - Store configuration
+ * @param {string} config.dbName - IndexedDB database name
+ * @param {string} config.storeName - Object store name inside the database
+ * @returns {Object} - Store with get, put, delete and getAll methods
+ */
+export const createIndexedDBStore = ({ dbName, storeName }) => {
+  let dbPromise;
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this environment'));
+          return;
+        }
+
+        const request = indexedDB.open(dbName, 1);
+        request.onupgradeneeded = () => {
+          if (!request.result.objectStoreNames.contains(storeName)) {
+            request.result.createObjectStore(storeName);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  // Run a single request inside a transaction and resolve with its result
+  const runRequest = async (mode, createRequest) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeName, mode);
+      const request = createRequest(transaction.objectStore(storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  };
+
+  return {
+    get: async (key) => (await runRequest('readonly', store => store.get(key))) ?? null,
+    put: (key, value) => runRequest('readwrite', store => store.put(value, key)),
+    delete: (key) => runRequest('readwrite', store => store.delete(key)),
+    getAll: () => runRequest('readonly', store => store.getAll())
+  };
+};
+
+/**
+ * Create an in-memory store with the same interface as createIndexedDBStore
+ * Useful outside the browser and in tests
+ * @returns {Object} - Store with get, put, delete and getAll methods
+ */
+export const createMemoryStore = () => {
+  const data = new Map();
+
+  return {
+    get: async (key) => (data.has(key) ? structuredClone(data.get(key)) : null),
+    put: async (key, value) => {
+      data.set(key, structuredClone(value));
+    },
+    delete: async (key) => {
+      data.delete(key);
+    },
+    getAll: async () => [...data.values()].map(value => structuredClone(value))
+  };
+};
+
+export default {
+  createIndexedDBStore,
+  createMemoryStore
+};
@@ -3,10 +3,98 @@
  * This service provides direct interaction with IPFS nodes without relying on centralized pinning services
  */
 import { create } from 'ipfs-http-client';
+import { createGatewayClient, parseGatewayList, readResponse, GATEWAY_STRATEGIES } from './gatewayService.js';
+import { createVerifiedReader } from './contentVerifier.js';
+import { normalizeCid } from './cidUtils.js';
+import { FETCH_TYPES, createRequestSignal, getResumableUploadPath, readContent, uploadFile } from './ipfsTransfer.js';
+import { encryptContent, decryptContent, MAX_UNLOCKABLE_BYTES } from './unlockableContent.js';
+import {
+  PIN_STATUS,
+  createNodeProvider,
+  createPinningServiceProvider,
+  createPinReplicator,
+  createPinStatusStore,
+  parsePinningServices
+} from './pinningService.js';
+
+const DEFAULT_GATEWAY = 'http://localhost:8080/ipfs';
 
 // Create an IPFS client instance - this will be configured from environment
 let ipfs;
-let ipfsGateway;
+let gatewayClient;
+let gatewayClientKey;
+let pinReplicator;
+let pinReplicatorKey;
+let pinStatusStore;
+let pinOrigins = null;
+
+// The IPFS node as a pinning provider; it reads the client lazily, so it survives re-initialization
+const nodeProvider = createNodeProvider({ name: 'local-node', getClient: () => ipfs });
+
+/**
+ * Create the gateway client, keeping the existing one (and its health scores) if the configuration is unchanged
+ * @param {Array<string>} gateways - Gateway URLs in order of preference
+ * @param {string} strategy - One of GATEWAY_STRATEGIES
+ */
+const configureGateways = (gateways, strategy) => {
+  const key = JSON.stringify({ gateways, strategy });
+  if (gatewayClient && gatewayClientKey === key) {
+    return;
+  }
+  
+  try {
+    gatewayClient = createGatewayClient({ gateways, strategy });
+  } catch (error) {
+    console.error('Invalid IPFS gateway configuration, using the default gateway:', error);
+    gatewayClient = createGatewayClient({ gateways: [DEFAULT_GATEWAY] });
+  }
+  gatewayClientKey = key;
+};
+
+/**
+ * Create the pin replicator for the IPFS node plus the configured pinning services
+ * The node is always the first provider; services follow in the order given
+ * @param {string|Array<Object>} services - Pinning service definitions ({ name, endpoint, accessToken })
+ * @param {number|string} replicas - Number of providers that should hold each pin, all of them if not set
+ */
+const configurePinning = (services, replicas) => {
+  const key = JSON.stringify({ services, replicas });
+  if (pinReplicator && pinReplicatorKey === key) {
+    return;
+  }
+  
+  const providers = [nodeProvider];
+  try {
+    parsePinningServices(services).forEach(service => providers.push(createPinningServiceProvider(service)));
+  } catch (error) {
+    console.error('Invalid pinning service configuration, pinning to the IPFS node only:', error);
+  }
+  
+  if (!pinStatusStore) {
+    pinStatusStore = createPinStatusStore();
+  }
+  pinReplicator = createPinReplicator({
+    providers,
+    replicas: replicas ? Number(replicas) : null,
+    store: pinStatusStore,
+    getOrigins: getPinOrigins
+  });
+  pinReplicatorKey = key;
+};
+
+/**
+ * Addresses of the IPFS node that pinning services can fetch new content from
+ * @returns {Promise<Array<string>>} - Multiaddrs, without loopback addresses
+ */
+const getPinOrigins = async () => {
+  if (!pinOrigins) {
+    const { addresses = [] } = await ipfs.id();
+    pinOrigins = addresses
+      .map(address => address.toString())
+      .filter(address => !/^\/ip4\/127\.|^\/ip6\/::1\//.test(address));
+  }
+  return pinOrigins;
+};
 
 /**
  * Initialize IPFS client with the provided configuration
@@ -15,21 +103,27 @@ let ipfsGateway;
 export const initializeIPFS = (config = {}) => {
   const { 
     ipfsApiUrl = `http://${import.meta.env.VITE_IPFS_API_HOST || 'localhost'}:${import.meta.env.VITE_IPFS_API_PORT || '5001'}/api/v0`,
-    ipfsGatewayUrl = import.meta.env.VITE_IPFS_GATEWAY || 'http://localhost:8080/ipfs'
+    ipfsGatewayUrl = import.meta.env.VITE_IPFS_GATEWAY || DEFAULT_GATEWAY,
+    ipfsGateways = import.meta.env.VITE_IPFS_GATEWAYS,
+    gatewayStrategy = import.meta.env.VITE_IPFS_GATEWAY_STRATEGY || GATEWAY_STRATEGIES.FAILOVER,
+    pinningServices = import.meta.env.VITE_PINNING_SERVICES,
+    pinReplicas = import.meta.env.VITE_PINNING_REPLICAS
   } = config;
   
+  // The primary gateway is tried first, then the fallbacks in the order given.
+  // Set the gateways anyway so content can still be viewed even if uploads fail
+  configureGateways([ipfsGatewayUrl, ...parseGatewayList(ipfsGateways)], gatewayStrategy);
+  configurePinning(pinningServices, pinReplicas);
+  
   try {
     // Create an IPFS client connected to the specified API URL
     ipfs = create({ url: ipfsApiUrl });
-    ipfsGateway = ipfsGatewayUrl;
+    pinOrigins = null;
     console.log('IPFS client initialized successfully');
     return true;
   } catch (error) {
     console.error('Failed to initialize IPFS client:', error);
     
-    // Set gateway anyway so content can still be viewed even if uploads fail
-    ipfsGateway = ipfsGatewayUrl;
-    
     // In production, provide a more user-friendly error
     if (import.meta.env.PROD) {
       console.warn('Falling back to view-only mode with public gateway');
@@ -39,13 +133,61 @@ export const initializeIPFS = (config = {}) => {
   }
 };
 
+/**
+ * Get the gateway client, creating it from the environment if initializeIPFS has not run
+ * @returns {Object} - Gateway client from gatewayService
+ */
+const getGatewayClient = () => {
+  if (!gatewayClient) {
+    configureGateways([
+      import.meta.env.VITE_IPFS_GATEWAY || DEFAULT_GATEWAY,
+      ...parseGatewayList(import.meta.env.VITE_IPFS_GATEWAYS)
+    ], import.meta.env.VITE_IPFS_GATEWAY_STRATEGY || GATEWAY_STRATEGIES.FAILOVER);
+  }
+  return gatewayClient;
+};
+
+/**
+ * Get the URL of a CID on the best-ranked gateway that can serve it
+ * Prefers the gateway that last served the CID, then the healthiest
+ * @param {string} cid - The IPFS CID
+ * @param {string} path - Optional path inside the CID
+ * @returns {string} - The gateway URL
+ */
+export const getGatewayUrl = (cid, path = '') => {
+  const [url] = getGatewayClient().getUrls(cid, path);
+  if (!url) {
+    throw new Error(`No configured gateway can serve CID ${cid}`);
+  }
+  return url;
+};
+
+/**
+ * Get the gateway URLs of a CID in the order they should be tried
+ * @param {string} cid - The IPFS CID
+ * @param {string} path - Optional path inside the CID
+ * @returns {Array<string>} - Gateway URLs
+ */
+export const getGatewayUrls = (cid, path = '') => getGatewayClient().getUrls(cid, path);
+
+/**
+ * Get the health of each configured gateway
+ * @returns {Array<Object>} - { url, style, successes, failures, latency, score, coolingDown } per gateway
+ */
+export const getGatewayHealth = () => getGatewayClient().getHealth();
+
 /**
  * Upload a file to IPFS and pin it automatically
+ * The file is streamed rather than read into memory, and with resumable set an interrupted upload
+ * of the same file continues from the last stored part; see ipfsTransfer.uploadFile.
  * @param {File} file - The file to upload
- * @param {Function} onProgress - Progress callback function
- * @returns {Promise<Object>} - The IPFS response with CID
+ * @param {Function} onProgress - Progress callback, called with the percentage of the file's bytes uploaded
+ * @param {Object} options - chunker (e.g. size-262144 or rabin), rawLeaves, cidVersion, signal (AbortSignal),
+ * resumable and partSize
+ * @returns {Promise<Object>} - The IPFS response with CID, as CIDv1 base32, and pins, the replication status;
+ * pinned is true only when the replication target was met
  */
-export const uploadFileToIPFS = async (file, onProgress = null) => {
+export const uploadFileToIPFS = async (file, onProgress = null, options = {}) => {
   if (!ipfs) {
     if (import.meta.env.PROD) {
       throw new Error('IPFS client not initialized. For production environments, ensure you have access to an IPFS node or try running your own node.');
@@ -55,34 +197,22 @@ export const uploadFileToIPFS = async (file, onProgress = null) => {
   }
   
   try {
-    // Read the file as a buffer
-    const buffer = await file.arrayBuffer();
+    const result = await uploadFile(ipfs, file, {
+      ...options,
+      onProgress: onProgress
+        ? (bytes) => onProgress(file.size > 0 ? bytes / file.size * 100 : 100)
+        : null
+    });
     
-    // Add the file to IPFS
-    const result = await ipfs.add(
-      { path: file.name, content: new Uint8Array(buffer) },
-      { 
-        progress: onProgress ? (bytes) => onProgress(bytes / file.size * 100) : undefined,
-        pin: true // Automatically pin the file to ensure it remains available
-      }
-    );
-    
-    // Explicitly pin the content to ensure it remains on the network
-    try {
-      await ipfs.pin.add(result.cid);
-      console.log(`Successfully pinned file with CID: ${result.cid}`);
-    } catch (pinError) {
-      console.warn(`Warning: Could not explicitly pin the file: ${pinError.message}`);
-      // Continue since the initial upload already requested pinning
-    }
+    // Explicitly pin the content on the node and the configured pinning services
+    const pins = await replicateUpload(result.cid, file.name);
     
     // Return the result with the IPFS CID (Content Identifier)
     return {
-      cid: result.cid.toString(),
-      path: result.path,
-      size: result.size,
-      gateway: `${ipfsGateway}/${result.cid.toString()}`,
-      pinned: true
+      ...result,
+      gateway: getGatewayUrl(result.cid),
+      pinned: isReplicated(pins),
+      pins
     };
   } catch (error) {
     console.error('Error uploading file to IPFS:', error);
@@ -90,10 +220,29 @@ export const uploadFileToIPFS = async (file, onProgress = null) => {
   }
 };
 
+/**
+ * Discard the staged part of an interrupted resumable upload
+ * @param {File} file - The file whose upload should start over
+ * @returns {Promise<boolean>} - Whether a staged upload was removed
+ */
+export const discardResumableUpload = async (file) => {
+  if (!ipfs) {
+    throw new Error('IPFS client not initialized. Call initializeIPFS first.');
+  }
+  
+  try {
+    await ipfs.files.rm(await getResumableUploadPath(file));
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
 /**
  * Upload JSON data to IPFS and pin it automatically
  * @param {Object} jsonData - The JSON data to upload
- * @returns {Promise<Object>} - The IPFS response with CID
+ * @returns {Promise<Object>} - The IPFS response with CID, as CIDv1 base32, and pins, the replication status;
+ * pinned is true only when the replication target was met
  */
 export const uploadJSONToIPFS = async (jsonData) => {
   if (!ipfs) {
@@ -110,22 +259,19 @@ export const uploadJSONToIPFS = async (jsonData) => {
       { pin: true } // Automatically pin the content
     );
     
-    // Explicitly pin the content to ensure it remains on the network
-    try {
-      await ipfs.pin.add(result.cid);
-      console.log(`Successfully pinned JSON metadata with CID: ${result.cid}`);
-    } catch (pinError) {
-      console.warn(`Warning: Could not explicitly pin the JSON metadata: ${pinError.message}`);
-      // Continue since the initial upload already requested pinning
-    }
+    const cid = normalizeCid(result.cid.toString());
+    
+    // Explicitly pin the content on the node and the configured pinning services
+    const pins = await replicateUpload(cid, jsonData && jsonData.name ? `${jsonData.name} metadata` : 'metadata.json');
     
     // Return the result with the IPFS CID
     return {
-      cid: result.cid.toString(),
+      cid,
       path: result.path,
       size: result.size,
-      gateway: `${ipfsGateway}/${result.cid.toString()}`,
-      pinned: true
+      gateway: getGatewayUrl(cid),
+      pinned: isReplicated(pins),
+      pins
     };
   } catch (error) {
     console.error('Error uploading JSON to IPFS:', error);
@@ -134,45 +280,464 @@ export const uploadJSONToIPFS = async (jsonData) => {
 };
 
 /**
- * Fetch content from IPFS by CID
- * @param {string} cid - The IPFS CID
- * @returns {Promise<Object>} - The fetched content
+ * Upload many files as one UnixFS directory and pin it
+ * Paths are relative to the directory root, e.g. images/1.png and metadata/1.json, so a
+ * collection can be addressed as ipfs://<root>/metadata/<tokenId>.json
+ * @param {Array<Object>} entries - Files as { path, content }; content is a File, Blob, Uint8Array, string or JSON-serialisable object
+ * @param {Object} options - onProgress(percent) callback, and onlyHash to compute CIDs without storing anything
+ * @returns {Promise<Object>} - Root CID, gateway URL, and each file's and subdirectory's CID and path; pinned is
+ * true only when the replication target was met
  */
-export const fetchFromIPFS = async (cid) => {
+export const uploadDirectory = async (entries, { onProgress = null, onlyHash = false } = {}) => {
   if (!ipfs) {
     throw new Error('IPFS client not initialized. Call initializeIPFS first.');
   }
   
+  if (!entries || entries.length === 0) {
+    throw new Error('Directory upload needs at least one file');
+  }
+  
+  // Paths must stay inside the directory and be unique
+  const seen = new Set();
+  const files = entries.map(({ path, content }) => {
+    const normalized = String(path || '').replace(/\\/g, '/').replace(/^\.\//, '');
+    if (!normalized || normalized.startsWith('/') || normalized.split('/').some(part => part === '' || part === '..' || part === '.')) {
+      throw new Error(`Invalid path in directory upload: ${path}`);
+    }
+    if (seen.has(normalized)) {
+      throw new Error(`Duplicate path in directory upload: ${normalized}`);
+    }
+    seen.add(normalized);
+    
+    const isBinary = content instanceof Uint8Array || (typeof Blob !== 'undefined' && content instanceof Blob);
+    return {
+      path: normalized,
+      content: isBinary || typeof content === 'string' ? content : JSON.stringify(content)
+    };
+  });
+  
   try {
-    const chunks = [];
+    // Report progress over the total size, tracking the latest byte count per file
+    const sizes = files.map(file => file.content.size ?? file.content.length ?? 0);
+    const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+    const bytesByPath = new Map();
+    const progress = onProgress && totalBytes > 0
+      ? (bytes, path) => {
+        bytesByPath.set(path, bytes);
+        const done = [...bytesByPath.values()].reduce((sum, value) => sum + value, 0);
+        onProgress(Math.min(100, done / totalBytes * 100));
+      }
+      : undefined;
     
-    // Get the content from IPFS
-    for await (const chunk of ipfs.cat(cid)) {
-      chunks.push(chunk);
+    const added = [];
+    for await (const result of ipfs.addAll(files, {
+      wrapWithDirectory: true,
+      pin: !onlyHash,
+      onlyHash,
+      progress
+    })) {
+      added.push(result);
     }
     
-    // Combine chunks into a single Uint8Array
-    const content = new Uint8Array(
-      chunks.reduce((acc, chunk) => [...acc, ...chunk], [])
-    );
+    // The wrapping directory is the entry with an empty path
+    const root = added.find(result => result.path === '');
+    if (!root) {
+      throw new Error('IPFS node did not return a root directory');
+    }
+    const rootCid = normalizeCid(root.cid.toString());
+    
+    // Pinning the root keeps every file in the directory
+    const pins = onlyHash ? null : await replicateUpload(rootCid, 'collection directory');
     
-    // Try to parse as JSON, return as text if parsing fails
+    const describe = (result) => ({
+      path: result.path,
+      cid: normalizeCid(result.cid.toString()),
+      size: result.size,
+      uri: `ipfs://${rootCid}/${result.path}`,
+      gateway: getGatewayUrl(rootCid, result.path)
+    });
+    
+    return {
+      cid: rootCid,
+      uri: `ipfs://${rootCid}`,
+      gateway: getGatewayUrl(rootCid),
+      files: added.filter(result => seen.has(result.path)).map(describe),
+      directories: added.filter(result => result.path !== '' && !seen.has(result.path)).map(describe),
+      pinned: isReplicated(pins),
+      pins
+    };
+  } catch (error) {
+    console.error('Error uploading directory to IPFS:', error);
+    throw error;
+  }
+};
+
+// Result types supported by fetchFromIPFS
+export { FETCH_TYPES };
+
+// Limits applied by fetchMetadata; metadata documents are small, so anything larger is rejected early
+const METADATA_MAX_BYTES = 1024 * 1024;
+const METADATA_TIMEOUT_MS = 30000;
+
+/**
+ * Fetch content from IPFS by CID
+ * @param {string} cid - The IPFS CID
+ * @param {Object} options - type (one of FETCH_TYPES), maxBytes, timeout (ms), signal (AbortSignal),
+ * offset and length for a byte range, and mimeType for blob results
+ * @returns {Promise<*>} - The content as parsed JSON, a string, a Uint8Array, a Blob or a ReadableStream
+ */
+export const fetchFromIPFS = async (cid, options = {}) => {
+  if (!ipfs) {
+    throw new Error('IPFS client not initialized. Call initializeIPFS first.');
+  }
+  
+  try {
+    return await readContent(ipfs, cid, options);
+  } catch (error) {
+    console.error(`Error fetching content with CID ${cid} from IPFS:`, error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch and parse JSON content
+ * @param {string} cid - The IPFS CID
+ * @param {Object} options - Options for fetchFromIPFS
+ * @returns {Promise<*>} - Parsed JSON
+ */
+export const fetchJSON = (cid, options = {}) => fetchFromIPFS(cid, { ...options, type: 'json' });
+
+/**
+ * Fetch content as text
+ * @param {string} cid - The IPFS CID
+ * @param {Object} options - Options for fetchFromIPFS
+ * @returns {Promise<string>} - Decoded UTF-8 text
+ */
+export const fetchText = (cid, options = {}) => fetchFromIPFS(cid, { ...options, type: 'text' });
+
+/**
+ * Fetch content as raw bytes
+ * @param {string} cid - The IPFS CID
+ * @param {Object} options - Options for fetchFromIPFS
+ * @returns {Promise<Uint8Array>} - The bytes
+ */
+export const fetchBytes = (cid, options = {}) => fetchFromIPFS(cid, { ...options, type: 'bytes' });
+
+/**
+ * Fetch content as a Blob, e.g. for object URLs
+ * @param {string} cid - The IPFS CID
+ * @param {Object} options - Options for fetchFromIPFS, including mimeType
+ * @returns {Promise<Blob>} - The Blob
+ */
+export const fetchBlob = (cid, options = {}) => fetchFromIPFS(cid, { ...options, type: 'blob' });
+
+/**
+ * Fetch content as a ReadableStream without buffering it
+ * @param {string} cid - The IPFS CID
+ * @param {Object} options - Options for fetchFromIPFS
+ * @returns {Promise<ReadableStream>} - Stream of Uint8Array chunks
+ */
+export const fetchStream = (cid, options = {}) => fetchFromIPFS(cid, { ...options, type: 'stream' });
+
+/**
+ * Fetch content over HTTP from the configured gateways, failing over or racing between them
+ * @param {string} cid - The IPFS CID
+ * @param {Object} options - type (json, text, bytes or blob), path, strategy, maxBytes, timeout (ms),
+ * signal (AbortSignal) and mimeType for blob results
+ * @returns {Promise<*>} - The content in the requested type
+ */
+export const fetchFromGateway = async (cid, options = {}) => {
+  const {
+    type = 'bytes',
+    path = '',
+    strategy,
+    maxBytes = null,
+    timeout = null,
+    signal = null,
+    mimeType = null
+  } = options;
+  
+  const request = createRequestSignal(signal, timeout);
+  try {
+    const { response, release } = await getGatewayClient().fetch(cid, { path, strategy, signal: request.signal });
     try {
-      const text = new TextDecoder().decode(content);
-      return JSON.parse(text);
-    } catch (e) {
-      return new TextDecoder().decode(content);
+      return await readResponse(response, { type, maxBytes, mimeType, signal: request.signal });
+    } finally {
+      release();
     }
   } catch (error) {
-    console.error(`Error fetching content with CID ${cid} from IPFS:`, error);
+    if (request.didTimeOut()) {
+      const timeoutError = new Error(`Fetching CID ${cid} from gateways timed out after ${timeout} ms`);
+      timeoutError.name = 'TimeoutError';
+      throw timeoutError;
+    }
+    console.error(`Error fetching content with CID ${cid} from gateways:`, error);
+    throw error;
+  } finally {
+    request.cleanup();
+  }
+};
+
+// Room for block headers and directory blocks in a CAR on top of the content itself
+const CAR_OVERHEAD_BYTES = 64 * 1024;
+
+// IPFS does not exchange blocks larger than this, so a bigger raw block response is not a valid block
+const MAX_BLOCK_BYTES = 2 * 1024 * 1024;
+
+/**
+ * Fetch content from the gateways and check it against the CID before returning it
+ * Blocks are requested as a CAR file (falling back to raw blocks) and each is hashed and compared
+ * with its CID. A gateway that serves wrong data is marked as failed and the read moves on to the next one.
+ * @param {string} cid - The IPFS CID
+ * @param {Object} options - type (json, text, bytes or blob), path inside the CID, maxBytes, timeout (ms),
+ * signal (AbortSignal) and mimeType for blob results
+ * @returns {Promise<*>} - The verified content in the requested type
+ */
+export const fetchVerified = async (cid, options = {}) => {
+  const {
+    type = 'bytes',
+    path = '',
+    maxBytes = null,
+    timeout = null,
+    signal = null,
+    mimeType = ''
+  } = options;
+  
+  const client = getGatewayClient();
+  const request = createRequestSignal(signal, timeout);
+  const excluded = [];
+  let verificationError = null;
+  
+  try {
+    while (true) {
+      // Gateways that answered during this attempt
+      const servedBy = new Set();
+      const fetchFrom = async (target, requestOptions, limit) => {
+        const { response, gateway, release } = await client.fetch(target, {
+          ...requestOptions,
+          exclude: excluded,
+          signal: request.signal
+        });
+        servedBy.add(gateway);
+        try {
+          return await readResponse(response, { type: 'bytes', maxBytes: limit, signal: request.signal });
+        } finally {
+          release();
+        }
+      };
+      
+      const reader = createVerifiedReader({
+        fetchCar: (root, carPath) => fetchFrom(root, {
+          path: carPath,
+          query: 'format=car',
+          headers: { Accept: 'application/vnd.ipld.car; version=1' }
+        }, maxBytes === null ? null : maxBytes + CAR_OVERHEAD_BYTES),
+        fetchBlock: (blockCid) => fetchFrom(blockCid, {
+          query: 'format=raw',
+          headers: { Accept: 'application/vnd.ipld.raw' }
+        }, MAX_BLOCK_BYTES)
+      });
+      
+      let content;
+      try {
+        content = await reader.read(cid, { path, maxBytes });
+      } catch (error) {
+        if (error.code !== 'VERIFICATION_FAILED') {
+          // If the remaining gateways fail after a mismatch, the mismatch is the error worth reporting
+          throw verificationError && !request.signal.aborted ? verificationError : error;
+        }
+        console.warn(`Content for CID ${cid} failed verification, trying other gateways`);
+        verificationError = error;
+        servedBy.forEach(gateway => {
+          client.reportFailure(gateway, cid);
+          excluded.push(gateway);
+        });
+        if (servedBy.size === 0) {
+          throw error;
+        }
+        continue;
+      }
+      
+      switch (type) {
+        case 'bytes':
+          return content;
+        case 'blob':
+          return new Blob([content], { type: mimeType });
+        case 'text':
+          return new TextDecoder().decode(content);
+        case 'json': {
+          try {
+            return JSON.parse(new TextDecoder().decode(content));
+          } catch (parseError) {
+            throw new Error(`Content with CID ${cid} is not valid JSON: ${parseError.message}`);
+          }
+        }
+        default:
+          throw new Error(`Unknown fetch type "${type}"`);
+      }
+    }
+  } catch (error) {
+    if (request.didTimeOut()) {
+      const timeoutError = new Error(`Fetching CID ${cid} from gateways timed out after ${timeout} ms`);
+      timeoutError.name = 'TimeoutError';
+      throw timeoutError;
+    }
+    console.error(`Error fetching verified content with CID ${cid}:`, error);
     throw error;
+  } finally {
+    request.cleanup();
+  }
+};
+
+/**
+ * Fetch an NFT metadata document, with size and time limits suited to metadata
+ * @param {string} cid - The metadata CID
+ * @param {Object} options - Options for fetchFromIPFS, overriding the defaults
+ * @returns {Promise<Object>} - The metadata object
+ */
+export const fetchMetadata = async (cid, options = {}) => {
+  const limits = {
+    maxBytes: METADATA_MAX_BYTES,
+    timeout: METADATA_TIMEOUT_MS,
+    ...options
+  };
+  
+  let metadata;
+  try {
+    metadata = await fetchJSON(cid, limits);
+  } catch (error) {
+    // Oversized documents and cancelled reads would fail the same way on a gateway
+    if (error.code === 'MAX_BYTES_EXCEEDED' || error.name === 'AbortError') {
+      throw error;
+    }
+    // Gateways are not trusted, so their copy is checked against the CID
+    console.warn(`Reading CID ${cid} from the IPFS node failed, trying gateways`);
+    metadata = await fetchVerified(cid, { ...limits, type: 'json' });
+  }
+  
+  if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error(`Content with CID ${cid} is not a metadata object`);
+  }
+  return metadata;
+};
+
+// Room for the envelope header and the GCM tag around the encrypted content
+const ENVELOPE_OVERHEAD_BYTES = 64 * 1024 + 16;
+
+/**
+ * Encrypt a file for the owner's wallet and upload the envelope
+ * The file is read into memory to be encrypted, so it is limited to MAX_UNLOCKABLE_BYTES.
+ * @param {File} file - The file to encrypt
+ * @param {Object} options - wallet (from blockchainService.getWalletCrypto), method (one of
+ * KEY_WRAPPING), onProgress and signal, as for uploadFileToIPFS
+ * @returns {Promise<Object>} - The IPFS response for the encrypted file, as from uploadFileToIPFS
+ */
+export const uploadEncryptedFile = async (file, { wallet, method, onProgress = null, signal = null } = {}) => {
+  try {
+    const envelope = await encryptContent(file, { wallet, method, name: file.name, type: file.type });
+    const encrypted = new File([envelope], `${file.name}.xenc`, { type: 'application/octet-stream' });
+    return await uploadFileToIPFS(encrypted, onProgress, { signal });
+  } catch (error) {
+    console.error('Error uploading encrypted file to IPFS:', error);
+    throw error;
+  }
+};
+
+/**
+ * Fetch unlockable content and decrypt it with the owner's wallet
+ * Reads from the IPFS node and falls back to the gateways; the envelope is authenticated when decrypted.
+ * @param {string} cid - CID of the encrypted file
+ * @param {Object} options - wallet (from blockchainService.getWalletCrypto), timeout (ms) and signal
+ * @returns {Promise<Object>} - { data, name, type, size } with data as a Uint8Array
+ */
+export const fetchUnlockableContent = async (cid, { wallet, timeout = null, signal = null } = {}) => {
+  const options = { maxBytes: MAX_UNLOCKABLE_BYTES + ENVELOPE_OVERHEAD_BYTES, timeout, signal };
+  
+  let envelope;
+  try {
+    envelope = await fetchBytes(cid, options);
+  } catch (error) {
+    if (error.code === 'MAX_BYTES_EXCEEDED' || error.name === 'AbortError') {
+      throw error;
+    }
+    console.warn(`Reading CID ${cid} from the IPFS node failed, trying gateways`);
+    envelope = await fetchVerified(cid, { ...options, type: 'bytes' });
+  }
+  
+  return decryptContent(envelope, { wallet });
+};
+
+/**
+ * Pin a CID on the IPFS node and the configured pinning services until the replication target is met
+ * @param {string} cid - The IPFS CID to pin
+ * @param {Object} options - name for the pin at pinning services
+ * @returns {Promise<Object>} - Status per provider, with replicas, target and complete
+ */
+export const replicatePins = async (cid, options = {}) => {
+  if (!pinReplicator) {
+    throw new Error('IPFS client not initialized. Call initializeIPFS first.');
   }
+  return pinReplicator.replicate(cid, options);
 };
 
+/**
+ * Check whether a replication status from replicateUpload met its target
+ * @param {Object|null} status - Replication status, or null if replication could not be attempted
+ * @returns {boolean} - Whether enough providers hold the pin
+ */
+const isReplicated = (status) => Boolean(status && status.complete);
+
+/**
+ * Replicate a fresh upload without failing the upload if pinning fails
+ * @param {string} cid - The uploaded CID
+ * @param {string} name - Name for the pin
+ * @returns {Promise<Object|null>} - Replication status, or null if it could not be attempted
+ */
+const replicateUpload = async (cid, name) => {
+  try {
+    const status = await replicatePins(cid, { name });
+    if (status.complete) {
+      console.log(`Successfully pinned CID ${cid} on ${status.replicas} provider(s)`);
+    } else {
+      console.warn(`Warning: CID ${cid} is pinned on ${status.replicas} of ${status.target} providers`);
+    }
+    return status;
+  } catch (error) {
+    console.warn(`Warning: Could not replicate pins for ${cid}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Ask every provider for its current pin status of a CID
+ * @param {string} cid - The IPFS CID
+ * @returns {Promise<Object>} - Status per provider, with replicas, target and complete
+ */
+export const refreshPinStatus = async (cid) => {
+  if (!pinReplicator) {
+    throw new Error('IPFS client not initialized. Call initializeIPFS first.');
+  }
+  return pinReplicator.refresh(cid);
+};
+
+/**
+ * Get the last recorded pin status of a CID without contacting the providers
+ * @param {string} cid - The IPFS CID
+ * @returns {Promise<Object|null>} - Status per provider, or null if the CID was never replicated
+ */
+export const getPinStatus = async (cid) => (pinReplicator ? pinReplicator.getStatus(cid) : null);
+
+/**
+ * List the configured pinning providers
+ * @returns {Array<Object>} - { name, type } per provider, the IPFS node first
+ */
+export const getPinningProviders = () => (pinReplicator ? pinReplicator.getProviders() : []);
+
 /**
  * Pin content by CID to ensure it remains available on the IPFS network
+ * The pin is replicated to the configured pinning services as well as the IPFS node
  * @param {string} cid - The IPFS CID to pin
- * @returns {Promise<boolean>} - Success status
+ * @returns {Promise<boolean>} - Whether the replication target was met
  */
 export const pinContent = async (cid) => {
   if (!ipfs) {
@@ -180,7 +745,11 @@ export const pinContent = async (cid) => {
   }
   
   try {
-    await ipfs.pin.add(cid);
+    const status = await replicatePins(cid);
+    if (!status.complete) {
+      console.warn(`CID ${cid} is pinned on ${status.replicas} of ${status.target} providers`);
+      return false;
+    }
     console.log(`Successfully pinned content with CID: ${cid}`);
     return true;
   } catch (error) {
@@ -190,26 +759,76 @@ export const pinContent = async (cid) => {
 };
 
 /**
- * Check if content is already pinned
- * @param {string} cid - The IPFS CID to check
- * @returns {Promise<boolean>} - Whether the content is pinned
+ * Unpin content by CID from the IPFS node and every pinning service, so it may be garbage-collected
+ * @param {string} cid - The IPFS CID to unpin
+ * @returns {Promise<boolean>} - Success status, true if the content was not pinned
  */
-export const isPinned = async (cid) => {
+export const unpinContent = async (cid) => {
   if (!ipfs) {
     throw new Error('IPFS client not initialized. Call initializeIPFS first.');
   }
   
   try {
-    const pinnedItems = await ipfs.pin.ls({ paths: [cid] });
-    for await (const item of pinnedItems) {
-      if (item.cid.toString() === cid) {
-        return true;
-      }
+    const { removed, errors } = await pinReplicator.unpin(cid);
+    if (!removed) {
+      console.error(`Error unpinning content with CID ${cid}:`, errors);
+      return false;
     }
+    console.log(`Successfully unpinned content with CID: ${cid}`);
+    return true;
+  } catch (error) {
+    console.error(`Error unpinning content with CID ${cid}:`, error);
     return false;
+  }
+};
+
+/**
+ * Inspect the pins of several CIDs on the IPFS node and every pinning service
+ * Each provider is asked once for the whole batch. A provider that cannot be reached is reported
+ * as unreachable rather than as holding no pin, and pinned is null when that leaves it unknown
+ * @param {Array<string>} cids - The IPFS CIDs to inspect
+ * @param {Object} options - size: whether to look up the size of CIDs pinned on the node
+ * @returns {Promise<Object>} - { [cid]: { pinned, type, size, providers, replicas, target, complete } }
+ */
+export const inspectPins = async (cids, { size = true } = {}) => {
+  if (!pinReplicator) {
+    throw new Error('IPFS client not initialized. Call initializeIPFS first.');
+  }
+  
+  const inspections = await pinReplicator.inspect(cids);
+  await Promise.all(Object.entries(inspections).map(async ([cid, inspection]) => {
+    inspection.size = null;
+    if (!size || inspection.providers[nodeProvider.name].status !== PIN_STATUS.PINNED) {
+      return;
+    }
+    try {
+      // Total size of the DAG, which is what the pin keeps on disk
+      const stat = await ipfs.files.stat(`/ipfs/${cid}`);
+      inspection.size = stat.cumulativeSize;
+    } catch (error) {
+      console.warn(`Could not read the size of ${cid}:`, error.message);
+    }
+  }));
+  return inspections;
+};
+
+/**
+ * Check if content is pinned on the IPFS node
+ * @param {string} cid - The IPFS CID to check
+ * @returns {Promise<boolean>} - Whether the content is pinned, recursively, directly or indirectly
+ * @throws {Error} - If the node cannot be reached, so that is not mistaken for a missing pin
+ */
+export const isPinned = async (cid) => {
+  if (!ipfs) {
+    throw new Error('IPFS client not initialized. Call initializeIPFS first.');
+  }
+  
+  try {
+    const { status } = await nodeProvider.getStatus(cid);
+    return status === PIN_STATUS.PINNED;
   } catch (error) {
     console.error(`Error checking pin status for CID ${cid}:`, error);
-    return false;
+    throw error;
   }
 };
 
@@ -241,10 +860,32 @@ export const generateSHA256Hash = async (content) => {
 
 export default {
   initializeIPFS,
+  getGatewayUrl,
+  getGatewayUrls,
+  getGatewayHealth,
   uploadFileToIPFS,
+  discardResumableUpload,
   uploadJSONToIPFS,
+  uploadDirectory,
+  FETCH_TYPES,
   fetchFromIPFS,
+  fetchJSON,
+  fetchText,
+  fetchBytes,
+  fetchBlob,
+  fetchStream,
+  fetchFromGateway,
+  fetchVerified,
+  fetchMetadata,
+  uploadEncryptedFile,
+  fetchUnlockableContent,
   generateSHA256Hash,
+  replicatePins,
+  refreshPinStatus,
+  getPinStatus,
+  getPinningProviders,
   pinContent,
+  unpinContent,
+  inspectPins,
   isPinned
 };
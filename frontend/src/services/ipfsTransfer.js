@@ -0,0 +1,405 @@
+/**
+ * Streaming transfers with an IPFS node
+ * Uploads and reads work through an ipfs-http-client instance passed in by the caller, so ipfsService
+ * can share its client and the transfers run against anything with the same API.
+ */
+import { normalizeCid } from './cidUtils.js';
+
+// MFS directory where resumable uploads are staged until they complete
+export const RESUMABLE_UPLOAD_DIR = '/.xinete-uploads';
+
+// Size of each write in a resumable upload; bounds how much of the file is held in memory
+export const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+
+/**
+ * Create the error thrown when an upload is cancelled
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} - AbortError
+ */
+export const createAbortError = (signal) => {
+  const error = new Error(signal && signal.reason ? String(signal.reason) : 'Upload aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+/**
+ * Concatenate byte chunks into one Uint8Array
+ * @param {Array<Uint8Array>} chunks - The chunks
+ * @param {number} length - Total length of the chunks
+ * @returns {Uint8Array} - The combined bytes
+ */
+export const concatChunks = (chunks, length = chunks.reduce((sum, chunk) => sum + chunk.length, 0)) => {
+  const combined = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    combined.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return combined;
+};
+
+/**
+ * Read a Blob as an async iterable of chunks without loading it into memory
+ * @param {Blob} blob - The file or slice to read
+ * @param {Object} options - signal to stop reading, onBytes(count) called for every chunk read
+ */
+export async function* streamBlob(blob, { signal = null, onBytes = null } = {}) {
+  const reader = blob.stream().getReader();
+  try {
+    while (true) {
+      if (signal && signal.aborted) {
+        throw createAbortError(signal);
+      }
+      const { done, value } = await reader.read();
+      if (done) {
+        return;
+      }
+      if (onBytes) {
+        onBytes(value.length);
+      }
+      yield value;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Get the MFS path a resumable upload of a file is staged at
+ * @param {File} file - The file being uploaded
+ * @returns {Promise<string>} - MFS path derived from the file name, size and modification time
+ */
+export const getResumableUploadPath = async (file) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${file.name}:${file.size}:${file.lastModified || 0}`));
+  const key = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `${RESUMABLE_UPLOAD_DIR}/${key}`;
+};
+
+/**
+ * Upload a file in parts to an MFS staging file, continuing from what an earlier attempt already wrote
+ * @param {Object} ipfs - IPFS client
+ * @param {File} file - The file to upload
+ * @param {Function} reportProgress - Called with the number of bytes of the file stored so far
+ * @param {Object} options - partSize, rawLeaves, cidVersion and signal
+ * @returns {Promise<Object>} - The CID and whether an earlier upload was resumed
+ */
+const uploadFileResumable = async (ipfs, file, reportProgress, { partSize, rawLeaves, cidVersion, signal }) => {
+  const path = await getResumableUploadPath(file);
+  await ipfs.files.mkdir(RESUMABLE_UPLOAD_DIR, { parents: true, signal });
+
+  let offset = 0;
+  try {
+    const stat = await ipfs.files.stat(path, { signal });
+    // A staged file longer than the source cannot be a prefix of it
+    offset = stat.size <= file.size ? stat.size : 0;
+  } catch (error) {
+    // Nothing staged yet
+  }
+  const resumed = offset > 0;
+  reportProgress(offset);
+
+  const writePart = async (part) => {
+    await ipfs.files.write(path, part, {
+      offset,
+      create: true,
+      truncate: offset === 0,
+      rawLeaves,
+      cidVersion,
+      signal
+    });
+    offset += part.length;
+    reportProgress(offset);
+  };
+
+  // Stream the rest of the file, writing it in parts of exactly partSize bytes
+  let chunks = [];
+  let length = 0;
+  for await (const chunk of streamBlob(file.slice(offset), { signal })) {
+    chunks.push(chunk);
+    length += chunk.length;
+    while (length >= partSize) {
+      const buffered = concatChunks(chunks, length);
+      await writePart(buffered.subarray(0, partSize));
+      chunks = [buffered.subarray(partSize)];
+      length -= partSize;
+    }
+  }
+  if (length > 0 || file.size === 0) {
+    await writePart(concatChunks(chunks, length));
+  }
+
+  const { cid } = await ipfs.files.stat(path, { signal });
+  await ipfs.pin.add(cid, { signal });
+  await ipfs.files.rm(path, { signal });
+
+  return { cid, resumed };
+};
+
+/**
+ * Upload a file to an IPFS node and pin it there
+ * The file is streamed from file.stream() rather than read into memory. With resumable set, it is
+ * written in parts to a staging file in the node's MFS, so an interrupted upload of the same file
+ * continues from the last stored part; MFS writes use the node's default chunker.
+ * @param {Object} ipfs - IPFS client
+ * @param {File} file - The file to upload
+ * @param {Object} options - onProgress(bytes), chunker (e.g. size-262144 or rabin), rawLeaves, cidVersion,
+ * signal (AbortSignal), resumable and partSize
+ * @returns {Promise<Object>} - { cid, path, size, resumed } with the CID as CIDv1 base32
+ */
+export const uploadFile = async (ipfs, file, options = {}) => {
+  const {
+    onProgress = null,
+    chunker,
+    rawLeaves,
+    cidVersion,
+    signal = null,
+    resumable = false,
+    partSize = DEFAULT_PART_SIZE
+  } = options;
+
+  if (resumable && chunker) {
+    throw new Error('Resumable uploads use the node\'s default chunker; remove the chunker option or disable resumable');
+  }
+  if (signal && signal.aborted) {
+    throw createAbortError(signal);
+  }
+
+  // Progress is measured in bytes of the file itself, so chunking overhead does not skew it
+  const reportProgress = (bytes) => {
+    if (onProgress) {
+      onProgress(Math.min(bytes, file.size));
+    }
+  };
+
+  let result;
+  let resumed = false;
+
+  if (resumable) {
+    const staged = await uploadFileResumable(ipfs, file, reportProgress, { partSize, rawLeaves, cidVersion, signal });
+    result = { cid: staged.cid, path: file.name, size: file.size };
+    resumed = staged.resumed;
+  } else {
+    let bytesRead = 0;
+    result = await ipfs.add(
+      {
+        path: file.name,
+        content: streamBlob(file, {
+          signal,
+          onBytes: (count) => {
+            bytesRead += count;
+            // Hold back the last percent until the node has returned the CID
+            reportProgress(Math.min(bytesRead, Math.floor(file.size * 0.99)));
+          }
+        })
+      },
+      {
+        chunker,
+        rawLeaves,
+        cidVersion,
+        signal,
+        pin: true // Automatically pin the file to ensure it remains available
+      }
+    );
+  }
+
+  reportProgress(file.size);
+
+  // The node returns CIDv0 or CIDv1 depending on its settings; always report CIDv1
+  return {
+    cid: normalizeCid(result.cid.toString()),
+    path: result.path,
+    size: result.size,
+    resumed
+  };
+};
+
+/**
+ * Result types supported by readContent
+ */
+export const FETCH_TYPES = ['auto', 'json', 'text', 'bytes', 'blob', 'stream'];
+
+/**
+ * Combine a caller's AbortSignal with an optional timeout
+ * @param {AbortSignal} signal - Caller's signal, if any
+ * @param {number} timeout - Timeout in milliseconds, if any
+ * @returns {Object} - The combined signal, a cleanup function and a check for whether the timeout fired
+ */
+export const createRequestSignal = (signal, timeout) => {
+  const controller = new AbortController();
+  let timedOut = false;
+  
+  const abort = () => controller.abort(signal.reason);
+  if (signal) {
+    if (signal.aborted) {
+      abort();
+    } else {
+      signal.addEventListener('abort', abort, { once: true });
+    }
+  }
+  
+  const timer = timeout
+    ? setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout)
+    : null;
+  
+  return {
+    signal: controller.signal,
+    didTimeOut: () => timedOut,
+    cleanup: () => {
+      clearTimeout(timer);
+      if (signal) {
+        signal.removeEventListener('abort', abort);
+      }
+    }
+  };
+};
+
+/**
+ * Create the error thrown when content is larger than maxBytes
+ * @param {string} cid - The CID being fetched
+ * @param {number} maxBytes - The limit
+ * @returns {Error} - Error with code MAX_BYTES_EXCEEDED
+ */
+const createMaxBytesError = (cid, maxBytes) => {
+  const error = new Error(`Content with CID ${cid} is larger than ${maxBytes} bytes`);
+  error.code = 'MAX_BYTES_EXCEEDED';
+  return error;
+};
+
+/**
+ * Read content from an IPFS node by CID
+ * Chunks are streamed from ipfs.cat and combined once, and the result is returned in the requested type.
+ * The legacy auto type parses JSON and falls back to text.
+ * @param {Object} ipfs - IPFS client
+ * @param {string} cid - The IPFS CID
+ * @param {Object} options - type (one of FETCH_TYPES), maxBytes, timeout (ms), signal (AbortSignal),
+ * offset and length for a byte range, and mimeType for blob results
+ * @returns {Promise<*>} - The content as parsed JSON, a string, a Uint8Array, a Blob or a ReadableStream
+ */
+export const readContent = async (ipfs, cid, options = {}) => {
+  const {
+    type = 'auto',
+    maxBytes = null,
+    timeout = null,
+    signal = null,
+    offset,
+    length,
+    mimeType = ''
+  } = options;
+  
+  if (!FETCH_TYPES.includes(type)) {
+    throw new Error(`Unknown fetch type "${type}". Use one of: ${FETCH_TYPES.join(', ')}`);
+  }
+  
+  const request = createRequestSignal(signal, timeout);
+  const source = ipfs.cat(cid, { offset, length, signal: request.signal });
+  
+  // Rethrow aborts caused by the timeout as a TimeoutError
+  const normalizeError = (error) => {
+    if (request.didTimeOut()) {
+      const timeoutError = new Error(`Fetching CID ${cid} timed out after ${timeout} ms`);
+      timeoutError.name = 'TimeoutError';
+      return timeoutError;
+    }
+    return error;
+  };
+  
+  if (type === 'stream') {
+    const iterator = source[Symbol.asyncIterator]();
+    let received = 0;
+    
+    return new ReadableStream({
+      async pull(controller) {
+        try {
+          const { done, value } = await iterator.next();
+          if (done) {
+            request.cleanup();
+            controller.close();
+            return;
+          }
+          received += value.length;
+          if (maxBytes !== null && received > maxBytes) {
+            throw createMaxBytesError(cid, maxBytes);
+          }
+          controller.enqueue(value);
+        } catch (error) {
+          request.cleanup();
+          if (iterator.return) {
+            iterator.return().catch(() => {});
+          }
+          controller.error(normalizeError(error));
+        }
+      },
+      async cancel() {
+        request.cleanup();
+        if (iterator.return) {
+          await iterator.return();
+        }
+      }
+    });
+  }
+  
+  try {
+    const chunks = [];
+    let received = 0;
+    
+    for await (const chunk of source) {
+      received += chunk.length;
+      if (maxBytes !== null && received > maxBytes) {
+        // Stop the transfer instead of downloading the rest
+        throw createMaxBytesError(cid, maxBytes);
+      }
+      chunks.push(chunk);
+    }
+    
+    if (type === 'blob') {
+      return new Blob(chunks, { type: mimeType });
+    }
+    
+    // Combine chunks into a single Uint8Array
+    const content = concatChunks(chunks, received);
+    
+    switch (type) {
+      case 'bytes':
+        return content;
+      case 'text':
+        return new TextDecoder().decode(content);
+      case 'json': {
+        const text = new TextDecoder().decode(content);
+        try {
+          return JSON.parse(text);
+        } catch (parseError) {
+          throw new Error(`Content with CID ${cid} is not valid JSON: ${parseError.message}`);
+        }
+      }
+      default: {
+        // Try to parse as JSON, return as text if parsing fails
+        const text = new TextDecoder().decode(content);
+        try {
+          return JSON.parse(text);
+        } catch (e) {
+          return text;
+        }
+      }
+    }
+  } catch (error) {
+    throw normalizeError(error);
+  } finally {
+    request.cleanup();
+  }
+};
+
+export default {
+  RESUMABLE_UPLOAD_DIR,
+  DEFAULT_PART_SIZE,
+  createAbortError,
+  concatChunks,
+  streamBlob,
+  getResumableUploadPath,
+  uploadFile,
+  FETCH_TYPES,
+  createRequestSignal,
+  readContent
+};
@@ -0,0 +1,247 @@
+/**
+ * Media type detection for NFT assets
+ * Types are sniffed from the leading bytes of a file, in the spirit of the WHATWG MIME Sniffing
+ * standard, rather than taken from file names or the Content-Type a gateway sends, so an asset is
+ * always rendered with the player that matches its content.
+ */
+
+export const MEDIA_KINDS = {
+  IMAGE: 'image',
+  VIDEO: 'video',
+  AUDIO: 'audio',
+  MODEL: 'model',
+  HTML: 'html'
+};
+
+// Types a primary asset can have; everything except images is published as animation_url
+export const ANIMATION_KINDS = [MEDIA_KINDS.VIDEO, MEDIA_KINDS.AUDIO, MEDIA_KINDS.MODEL, MEDIA_KINDS.HTML];
+
+// File input filter for the primary asset; the bytes decide the type
+export const MEDIA_ACCEPT = 'image/*,video/*,audio/*,model/gltf-binary,model/gltf+json,.glb,.gltf,text/html,.html,.htm';
+
+// Bytes read from the start of a file to detect its type
+export const SNIFF_BYTES = 1024;
+
+const UNKNOWN_TYPE = 'application/octet-stream';
+
+const ascii = (bytes, start, end) => String.fromCharCode(...bytes.subarray(start, end));
+
+const startsWith = (bytes, signature, offset = 0) =>
+  bytes.length >= offset + signature.length && signature.every((byte, index) => bytes[offset + index] === byte);
+
+const startsWithText = (bytes, text, offset = 0) =>
+  startsWith(bytes, Array.from(text, char => char.charCodeAt(0)), offset);
+
+const isWhitespace = byte => byte === 0x09 || byte === 0x0a || byte === 0x0c || byte === 0x0d || byte === 0x20;
+
+// ISO base media file brands (MP4, QuickTime, 3GP, AVIF...) and the type each one means
+const FTYP_BRANDS = {
+  avif: 'image/avif',
+  avis: 'image/avif',
+  heic: 'image/heic',
+  'M4A ': 'audio/mp4',
+  'M4B ': 'audio/mp4',
+  'qt  ': 'video/quicktime',
+  '3gp4': 'video/3gpp',
+  '3gp5': 'video/3gpp'
+};
+
+const sniffFtyp = (bytes) => {
+  const brand = ascii(bytes, 8, 12);
+  return FTYP_BRANDS[brand] || 'video/mp4';
+};
+
+// Matroska files name their doctype within the EBML header
+const sniffMatroska = (bytes) => (
+  ascii(bytes, 0, Math.min(bytes.length, 64)).includes('webm') ? 'video/webm' : 'video/x-matroska'
+);
+
+// An Ogg file is video when its first stream is Theora
+const sniffOgg = (bytes) => (
+  ascii(bytes, 0, Math.min(bytes.length, 64)).includes('theora') ? 'video/ogg' : 'audio/ogg'
+);
+
+// Tags that start an HTML document, per the WHATWG MIME Sniffing standard
+const HTML_TAGS = [
+  '<!DOCTYPE HTML', '<HTML', '<HEAD', '<SCRIPT', '<IFRAME', '<H1', '<DIV', '<FONT', '<TABLE', '<A',
+  '<STYLE', '<TITLE', '<B', '<BODY', '<BR', '<P', '<!--'
+];
+
+/**
+ * Detect text formats: HTML, SVG and glTF JSON
+ * @param {Uint8Array} bytes - Leading bytes
+ * @returns {string|null} - The type, or null
+ */
+const sniffText = (bytes) => {
+  let start = startsWith(bytes, [0xef, 0xbb, 0xbf]) ? 3 : 0;
+  while (start < bytes.length && isWhitespace(bytes[start])) {
+    start += 1;
+  }
+  const text = new TextDecoder().decode(bytes.subarray(start));
+
+  if (text.startsWith('{')) {
+    // glTF JSON declares its version in the asset object, which exporters write first
+    return /"asset"\s*:\s*\{[^{}]*"version"\s*:/.test(text) ? 'model/gltf+json' : null;
+  }
+  if (!text.startsWith('<')) {
+    return null;
+  }
+
+  const upper = text.toUpperCase();
+  if (/^(<\?XML[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!DOCTYPE SVG[^>]*>\s*)?<SVG[\s>]/.test(upper)) {
+    return 'image/svg+xml';
+  }
+  const isHtml = HTML_TAGS.some(tag => upper.startsWith(tag) && /^[\s>]$/.test(upper.charAt(tag.length)));
+  return isHtml ? 'text/html' : null;
+};
+
+/**
+ * Detect the media type of a file from its leading bytes
+ * @param {Uint8Array|ArrayBuffer} data - The start of the file, at least SNIFF_BYTES long where the file allows
+ * @returns {string} - The MIME type, or application/octet-stream if the format is not recognised
+ */
+export const sniffMediaType = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWithText(bytes, 'GIF87a') || startsWithText(bytes, 'GIF89a')) {
+    return 'image/gif';
+  }
+  if (startsWithText(bytes, 'RIFF') && startsWithText(bytes, 'WEBP', 8)) {
+    return 'image/webp';
+  }
+  if (startsWithText(bytes, 'RIFF') && startsWithText(bytes, 'WAVE', 8)) {
+    return 'audio/wav';
+  }
+  if (startsWithText(bytes, 'ftyp', 4)) {
+    return sniffFtyp(bytes);
+  }
+  if (startsWith(bytes, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return sniffMatroska(bytes);
+  }
+  if (startsWithText(bytes, 'OggS')) {
+    return sniffOgg(bytes);
+  }
+  if (startsWithText(bytes, 'fLaC')) {
+    return 'audio/flac';
+  }
+  if (startsWithText(bytes, 'ID3')) {
+    return 'audio/mpeg';
+  }
+  // MPEG audio frame sync; layer bits of 00 mean an AAC ADTS stream
+  if (bytes.length >= 2 && bytes[0] === 0xff && (bytes[1] & 0xe0) === 0xe0) {
+    return (bytes[1] & 0x06) === 0 ? 'audio/aac' : 'audio/mpeg';
+  }
+  if (startsWithText(bytes, 'glTF')) {
+    return 'model/gltf-binary';
+  }
+
+  return sniffText(bytes) || UNKNOWN_TYPE;
+};
+
+/**
+ * Get the kind of player a media type needs
+ * @param {string} mediaType - The MIME type
+ * @returns {string|null} - One of MEDIA_KINDS, or null if the type cannot be displayed
+ */
+export const getMediaKind = (mediaType) => {
+  const type = String(mediaType || '').split(';')[0].trim().toLowerCase();
+  if (type === 'text/html') {
+    return MEDIA_KINDS.HTML;
+  }
+  if (type === 'model/gltf-binary' || type === 'model/gltf+json') {
+    return MEDIA_KINDS.MODEL;
+  }
+  const [group] = type.split('/');
+  if (group === 'image' || group === 'video' || group === 'audio') {
+    return group;
+  }
+  return null;
+};
+
+/**
+ * Detect the media type of a Blob or File from its bytes
+ * @param {Blob} blob - The content
+ * @returns {Promise<Object>} - { type, kind } with kind null for unsupported content
+ */
+export const detectMediaType = async (blob) => {
+  const head = new Uint8Array(await blob.slice(0, SNIFF_BYTES).arrayBuffer());
+  const type = sniffMediaType(head);
+  return { type, kind: getMediaKind(type) };
+};
+
+/**
+ * Return a Blob whose type is the one detected from its bytes
+ * Players rely on the Blob type, which otherwise is whatever the gateway or browser guessed.
+ * @param {Blob} blob - The content
+ * @returns {Promise<Object>} - { blob, type, kind }
+ */
+export const withDetectedType = async (blob) => {
+  const { type, kind } = await detectMediaType(blob);
+  return { blob: blob.type === type ? blob : blob.slice(0, blob.size, type), type, kind };
+};
+
+/**
+ * Capture a frame of a video as a JPEG poster image
+ * Runs in the browser only.
+ * @param {Blob} video - The video
+ * @param {Object} options - time (seconds into the video, clamped to its length) and quality
+ * @returns {Promise<Blob>} - The frame as image/jpeg
+ */
+export const captureVideoFrame = (video, { time = 1, quality = 0.9 } = {}) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(video);
+  const element = document.createElement('video');
+  const cleanUp = () => {
+    element.removeAttribute('src');
+    element.load();
+    URL.revokeObjectURL(url);
+  };
+  const fail = (message) => {
+    cleanUp();
+    reject(new Error(message));
+  };
+
+  element.muted = true;
+  element.playsInline = true;
+  element.preload = 'auto';
+  element.onerror = () => fail('The video could not be decoded');
+  element.onloadedmetadata = () => {
+    element.currentTime = Number.isFinite(element.duration) ? Math.min(time, element.duration / 2) : 0;
+  };
+  element.onseeked = () => {
+    if (!element.videoWidth || !element.videoHeight) {
+      fail('The video has no picture');
+      return;
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = element.videoWidth;
+    canvas.height = element.videoHeight;
+    canvas.getContext('2d').drawImage(element, 0, 0);
+    canvas.toBlob(blob => {
+      cleanUp();
+      if (blob) {
+        resolve(blob);
+      } else {
+        reject(new Error('The frame could not be encoded'));
+      }
+    }, 'image/jpeg', quality);
+  };
+  element.src = url;
+});
+
+export default {
+  MEDIA_KINDS,
+  ANIMATION_KINDS,
+  MEDIA_ACCEPT,
+  SNIFF_BYTES,
+  sniffMediaType,
+  getMediaKind,
+  detectMediaType,
+  withDetectedType,
+  captureVideoFrame
+};
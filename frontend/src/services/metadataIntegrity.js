@@ -0,0 +1,142 @@
+/**
+ * Integrity of registered metadata
+ * The hash registered on chain with a metadata CID is SHA-256 of the metadata's RFC 8785
+ * canonical JSON, so it binds the content rather than the CID string. Entries registered before
+ * this hashed the CID string itself; the verifier recognises both and reports which one it found.
+ */
+import { canonicalize } from './canonicalJson.js';
+import { getCidForms } from './cidUtils.js';
+
+export const HASH_MODES = {
+  // SHA-256 of the canonical metadata JSON
+  CONTENT: 'content',
+  // SHA-256 of the CID string, as registered by earlier versions
+  LEGACY_CID: 'legacy-cid'
+};
+
+export const INTEGRITY_CHECKS = {
+  FETCHED: 'fetched',
+  REGISTERED: 'registered',
+  HASH: 'hash'
+};
+
+/**
+ * SHA-256 of a string as lowercase hex, the format the contract stores
+ * @param {string} text - The text, hashed as UTF-8
+ * @returns {Promise<string>} - 64 hex characters
+ */
+const sha256Hex = async (text) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Hash a metadata document for registration on chain
+ * @param {Object} metadata - The metadata, exactly as uploaded
+ * @returns {Promise<string>} - SHA-256 of its canonical JSON, as 64 hex characters
+ */
+export const hashMetadata = (metadata) => sha256Hex(canonicalize(metadata));
+
+/**
+ * Hash a CID string the way entries were hashed before content hashing
+ * @param {string} cid - The CID as registered
+ * @returns {Promise<string>} - SHA-256 of the string, as 64 hex characters
+ */
+export const hashLegacyCid = (cid) => sha256Hex(cid);
+
+/**
+ * Re-fetch registered metadata and check it against the hash on chain
+ * With getRegistration the registered hash is read and compared directly. Without it (the legacy
+ * contract), verifyHash is asked whether the content hash, or the legacy hash of any form of the
+ * CID, is registered for the CID.
+ * @param {string} cid - The metadata CID
+ * @param {Object} services - fetchMetadata(cid), and getRegistration(cid) returning { cid, hash }
+ * of the entry or null if the CID is not registered, or verifyHash(cid, hash)
+ * @returns {Promise<Object>} - { cid, verified, mode, contentHash, registeredHash, checks } where
+ * each check is { id, passed, detail } and passed is null for checks that could not run
+ */
+export const verifyMetadataIntegrity = async (cid, { fetchMetadata, getRegistration = null, verifyHash = null }) => {
+  const checks = [];
+  const report = { cid, verified: false, mode: null, contentHash: null, registeredHash: null, checks };
+  const addCheck = (id, passed, detail) => checks.push({ id, passed, detail });
+
+  let metadata = null;
+  try {
+    metadata = await fetchMetadata(cid);
+    report.contentHash = await hashMetadata(metadata);
+    addCheck(INTEGRITY_CHECKS.FETCHED, true, 'Metadata fetched from IPFS and canonicalised');
+  } catch (error) {
+    addCheck(INTEGRITY_CHECKS.FETCHED, false, `Metadata could not be fetched: ${error.message}`);
+  }
+
+  if (getRegistration) {
+    const registration = await getRegistration(cid);
+    if (!registration) {
+      addCheck(INTEGRITY_CHECKS.REGISTERED, false, 'The CID is not registered on chain');
+      addCheck(INTEGRITY_CHECKS.HASH, null, 'Nothing to compare with');
+      return report;
+    }
+    report.registeredHash = registration.hash;
+    addCheck(INTEGRITY_CHECKS.REGISTERED, true, `Registered as ${registration.cid}`);
+
+    if (report.contentHash && registration.hash === report.contentHash) {
+      report.mode = HASH_MODES.CONTENT;
+    } else {
+      // The contract may not return the CID in the form that was hashed
+      for (const form of getCidForms(registration.cid)) {
+        if (registration.hash === await hashLegacyCid(form)) {
+          report.mode = HASH_MODES.LEGACY_CID;
+          break;
+        }
+      }
+    }
+  } else if (report.contentHash && await verifyHash(cid, report.contentHash)) {
+    report.mode = HASH_MODES.CONTENT;
+  } else {
+    for (const form of getCidForms(cid)) {
+      if (await verifyHash(cid, await hashLegacyCid(form))) {
+        report.mode = HASH_MODES.LEGACY_CID;
+        break;
+      }
+    }
+  }
+
+  if (report.mode === HASH_MODES.CONTENT) {
+    addCheck(INTEGRITY_CHECKS.HASH, true, 'The registered hash matches the metadata content');
+  } else if (report.mode === HASH_MODES.LEGACY_CID) {
+    // The CID still pins the content, but the registered hash says nothing more than the CID does
+    addCheck(INTEGRITY_CHECKS.HASH, report.contentHash ? true : null,
+      'Registered with the legacy hash of the CID string. Edit and save the NFT to register a content hash');
+  } else if (!report.contentHash) {
+    addCheck(INTEGRITY_CHECKS.HASH, null, 'The content hash could not be computed');
+  } else {
+    addCheck(INTEGRITY_CHECKS.HASH, false, report.registeredHash
+      ? `The registered hash ${report.registeredHash} does not match the content hash ${report.contentHash}`
+      : 'No hash registered for this CID matches the content or the CID');
+  }
+
+  report.verified = checks.every(check => check.passed === true);
+  return report;
+};
+
+/**
+ * Describe an integrity report as text, one line per check
+ * @param {Object} report - Report from verifyMetadataIntegrity
+ * @returns {string} - The description
+ */
+export const formatIntegrityReport = (report) => {
+  const symbol = passed => (passed === true ? '✅' : passed === false ? '❌' : '⏭️');
+  const summary = report.verified
+    ? `Metadata verified${report.mode === HASH_MODES.LEGACY_CID ? ' (legacy CID hash)' : ''}`
+    : 'Metadata verification failed';
+  return [summary, ...report.checks.map(check => `${symbol(check.passed)} ${check.detail}`)].join('\n');
+};
+
+export default {
+  HASH_MODES,
+  INTEGRITY_CHECKS,
+  hashMetadata,
+  hashLegacyCid,
+  verifyMetadataIntegrity,
+  formatIntegrityReport
+};
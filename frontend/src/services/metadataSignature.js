@@ -0,0 +1,165 @@
+/**
+ * Creator signatures for NFT metadata
+ * The creator's wallet signs EIP-712 typed data covering a hash of the metadata content, the
+ * image CID and the creator's address. The signature is embedded in the metadata under
+ * creator_signature, so anyone holding the JSON can check who authored it without trusting the
+ * gateway that served it.
+ */
+import { ethers } from 'ethers';
+import { hashMetadata } from './metadataIntegrity.js';
+import { parseCidReference } from './cidUtils.js';
+
+export const SIGNATURE_FIELD = 'creator_signature';
+
+export const SIGNATURE_STANDARD = 'EIP-712';
+
+export const AUTHORSHIP_PRIMARY_TYPE = 'MetadataAuthorship';
+
+export const AUTHORSHIP_TYPES = {
+  [AUTHORSHIP_PRIMARY_TYPE]: [
+    { name: 'contentHash', type: 'bytes32' },
+    { name: 'image', type: 'string' },
+    { name: 'creator', type: 'address' }
+  ]
+};
+
+const DOMAIN_NAME = 'Xinete Metadata';
+const DOMAIN_VERSION = '1';
+
+/**
+ * Get the EIP-712 domain signatures are made in
+ * @param {Object} params - chainId and verifyingContract, the storage contract the metadata is registered with
+ * @returns {Object} - The domain
+ */
+export const getAuthorshipDomain = ({ chainId, verifyingContract }) => ({
+  name: DOMAIN_NAME,
+  version: DOMAIN_VERSION,
+  chainId: Number(chainId),
+  verifyingContract: ethers.getAddress(verifyingContract)
+});
+
+/**
+ * Remove the creator signature from metadata
+ * @param {Object} metadata - The metadata
+ * @returns {Object} - A copy without creator_signature
+ */
+export const stripSignature = (metadata) => {
+  const { [SIGNATURE_FIELD]: signature, ...content } = metadata;
+  return content;
+};
+
+/**
+ * Hash the content of a metadata document
+ * hashMetadata, as registered on chain, of the metadata without creator_signature, so key order
+ * and whitespace do not matter but any change to a value does.
+ * @param {Object} metadata - The metadata
+ * @returns {Promise<string>} - 0x-prefixed hex digest
+ */
+export const hashMetadataContent = async (metadata) => `0x${await hashMetadata(stripSignature(metadata))}`;
+
+/**
+ * Get the image CID a signature covers
+ * @param {Object} metadata - The metadata
+ * @returns {string} - CIDv1 base32, with any path inside it, or '' if the image is not on IPFS
+ */
+export const getSignedImage = (metadata) => {
+  try {
+    const { cid, path } = parseCidReference(metadata.image);
+    return path ? `${cid}/${path}` : cid;
+  } catch (error) {
+    return '';
+  }
+};
+
+/**
+ * Build the typed-data message for a metadata document
+ * @param {Object} metadata - The metadata
+ * @param {string} creator - The creator's address
+ * @returns {Promise<Object>} - { contentHash, image, creator }
+ */
+export const createAuthorshipMessage = async (metadata, creator) => ({
+  contentHash: await hashMetadataContent(metadata),
+  image: getSignedImage(metadata),
+  creator: ethers.getAddress(creator)
+});
+
+/**
+ * Sign metadata as its creator
+ * Any existing creator_signature is replaced.
+ * @param {Object} metadata - The metadata
+ * @param {Object} options - signer (with getAddress and signTypedData, e.g. an ethers Signer),
+ * chainId and verifyingContract
+ * @returns {Promise<Object>} - The metadata with creator_signature set
+ */
+export const signMetadata = async (metadata, { signer, chainId, verifyingContract }) => {
+  const content = stripSignature(metadata);
+  const domain = getAuthorshipDomain({ chainId, verifyingContract });
+  const message = await createAuthorshipMessage(content, await signer.getAddress());
+  const signature = await signer.signTypedData(domain, AUTHORSHIP_TYPES, message);
+
+  return {
+    ...content,
+    [SIGNATURE_FIELD]: {
+      standard: SIGNATURE_STANDARD,
+      domain,
+      message,
+      signature
+    }
+  };
+};
+
+/**
+ * Check the creator signature of a metadata document
+ * The signer is recovered from the signed message, which must name it as creator and match the
+ * content and image of the document as it is now.
+ * @param {Object} metadata - The metadata
+ * @returns {Promise<Object>} - { signed, valid, signer, creator, domain, problems } where problems
+ * lists what failed; signer is null if it could not be recovered
+ */
+export const verifyMetadataSignature = async (metadata) => {
+  const record = metadata ? metadata[SIGNATURE_FIELD] : undefined;
+  if (!record) {
+    return { signed: false, valid: false, signer: null, creator: null, domain: null, problems: ['The metadata is not signed'] };
+  }
+
+  const problems = [];
+  const { domain = null, message = {}, signature } = record;
+  let signer = null;
+  let creator = null;
+
+  if (record.standard !== SIGNATURE_STANDARD) {
+    problems.push(`Unsupported signature standard ${record.standard}`);
+  } else {
+    try {
+      creator = ethers.getAddress(message.creator);
+      signer = ethers.verifyTypedData(domain, AUTHORSHIP_TYPES, message, signature);
+      if (signer !== creator) {
+        problems.push(`The signature was made by ${signer}, not the creator ${creator}`);
+      }
+      if (message.contentHash !== await hashMetadataContent(metadata)) {
+        problems.push('The metadata has changed since it was signed');
+      }
+      if (message.image !== getSignedImage(metadata)) {
+        problems.push('The image is not the one that was signed');
+      }
+    } catch (error) {
+      problems.push(`Invalid signature: ${error.shortMessage || error.message}`);
+    }
+  }
+
+  return { signed: true, valid: problems.length === 0, signer, creator, domain, problems };
+};
+
+export default {
+  SIGNATURE_FIELD,
+  SIGNATURE_STANDARD,
+  AUTHORSHIP_PRIMARY_TYPE,
+  AUTHORSHIP_TYPES,
+  getAuthorshipDomain,
+  stripSignature,
+  hashMetadataContent,
+  getSignedImage,
+  createAuthorshipMessage,
+  signMetadata,
+  verifyMetadataSignature
+};
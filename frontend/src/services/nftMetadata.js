@@ -0,0 +1,428 @@
+/**
+ * NFT metadata profiles, validation and building
+ * Metadata is described with JSON Schemas for the ERC-721 and ERC-1155 metadata standards and
+ * for OpenSea's format, which extends ERC-721 with typed attributes, animation_url and more.
+ * validateJsonSchema implements the subset of JSON Schema (draft 2020-12) those schemas use, so
+ * the schemas themselves can also be used with any standard validator.
+ */
+
+export const METADATA_PROFILES = {
+  ERC721: 'erc721',
+  ERC1155: 'erc1155',
+  OPENSEA: 'opensea'
+};
+
+// Attribute display types understood by OpenSea; all of them take numeric values
+export const DISPLAY_TYPES = {
+  NUMBER: 'number',
+  BOOST_NUMBER: 'boost_number',
+  BOOST_PERCENTAGE: 'boost_percentage',
+  DATE: 'date'
+};
+
+const SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+const URI = { type: 'string', format: 'uri' };
+
+export const ERC721_METADATA_SCHEMA = {
+  $schema: SCHEMA_DIALECT,
+  title: 'Asset Metadata',
+  description: 'ERC-721 metadata JSON schema, https://eips.ethereum.org/EIPS/eip-721',
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'Identifies the asset to which this NFT represents' },
+    description: { type: 'string', description: 'Describes the asset to which this NFT represents' },
+    image: { ...URI, description: 'A URI pointing to a resource with mime type image/* representing the asset' }
+  }
+};
+
+export const ERC1155_METADATA_SCHEMA = {
+  $schema: SCHEMA_DIALECT,
+  title: 'Token Metadata',
+  description: 'ERC-1155 metadata JSON schema, https://eips.ethereum.org/EIPS/eip-1155',
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'Identifies the asset to which this token represents' },
+    decimals: { type: 'integer', minimum: 0, description: 'The number of decimal places that the token amount should display' },
+    description: { type: 'string', description: 'Describes the asset to which this token represents' },
+    image: { ...URI, description: 'A URI pointing to a resource with mime type image/* representing the asset' },
+    properties: { type: 'object', description: 'Arbitrary properties' },
+    localization: {
+      type: 'object',
+      required: ['uri', 'default', 'locales'],
+      properties: {
+        uri: {
+          type: 'string',
+          pattern: '\\{locale\\}',
+          errorMessage: 'must contain the {locale} placeholder'
+        },
+        default: { type: 'string' },
+        locales: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const ATTRIBUTE_SCHEMA = {
+  type: 'object',
+  required: ['value'],
+  properties: {
+    trait_type: { type: 'string' },
+    value: { type: ['string', 'number'] },
+    display_type: { enum: Object.values(DISPLAY_TYPES) },
+    max_value: { type: 'number' }
+  },
+  allOf: [
+    // Display types and max_value only make sense for numbers
+    { if: { required: ['display_type'] }, then: { properties: { value: { type: 'number' } } } },
+    { if: { required: ['max_value'] }, then: { properties: { value: { type: 'number' } } } },
+    {
+      if: { required: ['display_type'], properties: { display_type: { const: DISPLAY_TYPES.DATE } } },
+      then: {
+        properties: {
+          value: { type: 'integer', minimum: 0, errorMessage: 'must be a Unix timestamp in seconds' }
+        }
+      }
+    }
+  ]
+};
+
+export const OPENSEA_METADATA_SCHEMA = {
+  $schema: SCHEMA_DIALECT,
+  title: 'OpenSea Metadata',
+  description: 'ERC-721 metadata as extended by OpenSea, https://docs.opensea.io/docs/metadata-standards',
+  type: 'object',
+  properties: {
+    ...ERC721_METADATA_SCHEMA.properties,
+    image_data: { type: 'string', description: 'Raw SVG image data' },
+    external_url: URI,
+    animation_url: { ...URI, description: 'Multimedia attachment: video, audio, 3D model or HTML page' },
+    youtube_url: URI,
+    background_color: {
+      type: 'string',
+      pattern: '^[0-9a-fA-F]{6}$',
+      errorMessage: 'must be six hexadecimal digits without a leading #, such as 1a2b3c'
+    },
+    attributes: { type: 'array', items: ATTRIBUTE_SCHEMA },
+    properties: { type: 'object' }
+  }
+};
+
+const PROFILE_SCHEMAS = {
+  [METADATA_PROFILES.ERC721]: ERC721_METADATA_SCHEMA,
+  [METADATA_PROFILES.ERC1155]: ERC1155_METADATA_SCHEMA,
+  [METADATA_PROFILES.OPENSEA]: OPENSEA_METADATA_SCHEMA
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+// Scheme followed by a non-empty part, as in RFC 3986; covers ipfs://, https:// and data: URIs
+const URI_PATTERN = /^[a-zA-Z][a-zA-Z0-9+.-]*:\S+$/;
+
+/**
+ * Validate a value against a JSON Schema
+ * Supports type, const, enum, minLength, pattern, format (uri), minimum, maximum, required,
+ * properties, items, allOf and if/then/else, plus errorMessage to replace the message of a
+ * failed pattern, format or type check.
+ * @param {*} value - The value to validate
+ * @param {Object} schema - The schema
+ * @param {string} path - JSON Pointer of the value, used in error paths
+ * @returns {Array<Object>} - Errors as { path, keyword, message }, empty if the value is valid
+ */
+export const validateJsonSchema = (value, schema, path = '') => {
+  const errors = [];
+  const fail = (keyword, message, at = path) => {
+    errors.push({ path: at, keyword, message: schema.errorMessage || message });
+  };
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => TYPE_CHECKS[type](value))) {
+      fail('type', `must be ${types.join(' or ')}`);
+      // The remaining keywords assume the right type
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    fail('const', `must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+    if (schema.format === 'uri' && !URI_PATTERN.test(value)) {
+      fail('format', 'must be a URI, such as ipfs://<cid> or https://...');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (TYPE_CHECKS.object(value)) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: `${path}/${key}`, keyword: 'required', message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (value[key] !== undefined) {
+        errors.push(...validateJsonSchema(value[key], propertySchema, `${path}/${key}`));
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateJsonSchema(item, schema.items, `${path}/${index}`));
+    });
+  }
+
+  (schema.allOf || []).forEach(subschema => {
+    errors.push(...validateJsonSchema(value, subschema, path));
+  });
+
+  if (schema.if) {
+    const branch = validateJsonSchema(value, schema.if, path).length === 0 ? schema.then : schema.else;
+    if (branch) {
+      errors.push(...validateJsonSchema(value, branch, path));
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Get the JSON Schema of a metadata profile
+ * @param {string} profile - One of METADATA_PROFILES
+ * @returns {Object} - The schema
+ */
+export const getMetadataSchema = (profile) => {
+  const schema = PROFILE_SCHEMAS[profile];
+  if (!schema) {
+    throw new Error(`Unknown metadata profile "${profile}"`);
+  }
+  return schema;
+};
+
+/**
+ * Validate a metadata document against a profile
+ * @param {Object} metadata - The metadata
+ * @param {Object} options - profile (one of METADATA_PROFILES, defaults to OpenSea) and required,
+ * fields that must be present and non-empty on top of the profile
+ * @returns {Object} - { valid, errors } with errors as { path, keyword, message }
+ */
+export const validateMetadata = (metadata, { profile = METADATA_PROFILES.OPENSEA, required = [] } = {}) => {
+  let schema = getMetadataSchema(profile);
+  if (required.length > 0) {
+    schema = {
+      allOf: [schema, {
+        required,
+        properties: Object.fromEntries(required.map(key => [key, { minLength: 1 }]))
+      }]
+    };
+  }
+
+  // Duplicates from overlapping subschemas are reported once
+  const seen = new Set();
+  const errors = validateJsonSchema(metadata, schema).filter(error => {
+    const key = `${error.path} ${error.message}`;
+    return seen.has(key) ? false : seen.add(key);
+  });
+
+  // A value above max_value cannot be expressed in JSON Schema
+  if (metadata && Array.isArray(metadata.attributes)) {
+    metadata.attributes.forEach((attribute, index) => {
+      if (attribute && TYPE_CHECKS.number(attribute.value) && TYPE_CHECKS.number(attribute.max_value)
+        && attribute.value > attribute.max_value) {
+        errors.push({
+          path: `/attributes/${index}/value`,
+          keyword: 'maximum',
+          message: `must be at most max_value (${attribute.max_value})`
+        });
+      }
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Group validation errors by path, keeping the first message for each
+ * @param {Array<Object>} errors - Errors from validateMetadata
+ * @returns {Object} - Messages keyed by JSON Pointer, e.g. '/attributes/0/value'
+ */
+export const getErrorsByPath = (errors) => errors.reduce((byPath, error) => {
+  if (!(error.path in byPath)) {
+    byPath[error.path] = error.message;
+  }
+  return byPath;
+}, {});
+
+/**
+ * Parse a number typed into a form, keeping the input when it is not a number so validation reports it
+ * @param {*} input - The input
+ * @returns {*} - The number, or the input
+ */
+const parseNumberInput = (input) => {
+  if (typeof input === 'number') {
+    return input;
+  }
+  const text = String(input ?? '').trim();
+  const number = Number(text);
+  return text !== '' && Number.isFinite(number) ? number : text;
+};
+
+/**
+ * Parse a date typed into a form as a Unix timestamp in seconds
+ * @param {*} input - A timestamp or a YYYY-MM-DD date
+ * @returns {*} - The timestamp, or the input
+ */
+const parseDateInput = (input) => {
+  const text = String(input ?? '').trim();
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const time = Date.parse(`${text}T00:00:00Z`);
+    return Number.isNaN(time) ? text : time / 1000;
+  }
+  return parseNumberInput(input);
+};
+
+/**
+ * Convert an attribute as entered in a form into its metadata form
+ * Values stay strings unless a display type is chosen; numbers and dates are converted.
+ * @param {Object} input - { trait_type, value, display_type, max_value } with display_type and max_value optional
+ * @returns {Object} - The attribute
+ */
+export const parseAttributeInput = ({ trait_type: traitType, value, display_type: displayType = '', max_value: maxValue = '' }) => {
+  const attribute = {};
+  if (String(traitType ?? '').trim() !== '') {
+    attribute.trait_type = String(traitType).trim();
+  }
+  if (displayType) {
+    attribute.display_type = displayType;
+    attribute.value = displayType === DISPLAY_TYPES.DATE ? parseDateInput(value) : parseNumberInput(value);
+  } else {
+    attribute.value = typeof value === 'string' ? value.trim() : value;
+  }
+  if (String(maxValue ?? '').trim() !== '') {
+    attribute.max_value = parseNumberInput(maxValue);
+  }
+  return attribute;
+};
+
+/**
+ * Convert a metadata attribute into form input, the reverse of parseAttributeInput
+ * @param {Object} attribute - The attribute
+ * @returns {Object} - { trait_type, value, display_type, max_value } as strings
+ */
+export const toAttributeInput = (attribute) => {
+  const displayType = Object.values(DISPLAY_TYPES).includes(attribute.display_type) ? attribute.display_type : '';
+  let value = attribute.value ?? '';
+  if (displayType === DISPLAY_TYPES.DATE && TYPE_CHECKS.number(value)) {
+    value = new Date(value * 1000).toISOString().slice(0, 10);
+  }
+  return {
+    trait_type: attribute.trait_type || '',
+    value: String(value),
+    display_type: displayType,
+    max_value: attribute.max_value === undefined ? '' : String(attribute.max_value)
+  };
+};
+
+/**
+ * Build a metadata document from form fields
+ * Each field is set from fields and left out when empty, rather than set to null. Other fields
+ * of base, such as unlockable_content, are kept.
+ * @param {Object} fields - name, description, image, externalUrl, animationUrl, backgroundColor,
+ * attributes (as form input) and properties
+ * @param {Object} base - Metadata being edited, if any
+ * @returns {Object} - The metadata
+ */
+export const buildMetadata = (fields, base = {}) => {
+  const metadata = { ...base };
+  const set = (key, value) => {
+    const cleaned = typeof value === 'string' ? value.trim() : value;
+    if (cleaned === undefined || cleaned === null || cleaned === '') {
+      delete metadata[key];
+    } else {
+      metadata[key] = cleaned;
+    }
+  };
+
+  const attributes = (fields.attributes || [])
+    .filter(attribute => String(attribute.trait_type ?? '').trim() !== '' || String(attribute.value ?? '').trim() !== '')
+    .map(parseAttributeInput);
+  const hasProperties = fields.properties && typeof fields.properties === 'object'
+    && Object.keys(fields.properties).length > 0;
+
+  set('name', fields.name);
+  set('description', fields.description);
+  set('image', fields.image);
+  set('external_url', fields.externalUrl);
+  set('animation_url', fields.animationUrl);
+  set('background_color', typeof fields.backgroundColor === 'string' ? fields.backgroundColor.trim().replace(/^#/, '') : null);
+  set('attributes', attributes.length > 0 ? attributes : null);
+  set('properties', hasProperties ? fields.properties : null);
+
+  return metadata;
+};
+
+/**
+ * Format an attribute value for display
+ * @param {Object} attribute - The attribute
+ * @returns {string} - The value, with dates, boosts and max_value applied
+ */
+export const formatAttributeValue = (attribute) => {
+  const { value, display_type: displayType, max_value: maxValue } = attribute || {};
+  if (!TYPE_CHECKS.number(value)) {
+    return String(value ?? '');
+  }
+  if (displayType === DISPLAY_TYPES.DATE) {
+    return new Date(value * 1000).toLocaleDateString(undefined, { timeZone: 'UTC' });
+  }
+  const sign = value >= 0 ? '+' : '';
+  if (displayType === DISPLAY_TYPES.BOOST_PERCENTAGE) {
+    return `${sign}${value}%`;
+  }
+  if (displayType === DISPLAY_TYPES.BOOST_NUMBER) {
+    return `${sign}${value}`;
+  }
+  return TYPE_CHECKS.number(maxValue) ? `${value} of ${maxValue}` : String(value);
+};
+
+export default {
+  METADATA_PROFILES,
+  DISPLAY_TYPES,
+  ERC721_METADATA_SCHEMA,
+  ERC1155_METADATA_SCHEMA,
+  OPENSEA_METADATA_SCHEMA,
+  validateJsonSchema,
+  getMetadataSchema,
+  validateMetadata,
+  getErrorsByPath,
+  parseAttributeInput,
+  toAttributeInput,
+  buildMetadata,
+  formatAttributeValue
+};
@@ -0,0 +1,380 @@
+/**
+ * Pin health monitor
+ * Tracks every CID a user has registered on chain together with the CIDs they link to (the image of
+ * each metadata document), checks on a schedule that each one is pinned on enough providers, and
+ * repairs the ones that are not through a queue with retries and exponential backoff
+ */
+import { createIndexedDBStore, createMemoryStore } from './indexedDbStore.js';
+import { parseCidReference } from './cidUtils.js';
+
+/**
+ * Health of a tracked CID
+ */
+export const PIN_HEALTH = {
+  UNKNOWN: 'unknown',
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  REPAIRING: 'repairing',
+  FAILED: 'failed'
+};
+
+const DEFAULT_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_RETRY_DELAY_MS = 60 * 1000;
+const DEFAULT_MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Extract the CID from an NFT image URI
+ * Handles ipfs://<cid>[/path], /ipfs/<cid>[/path], gateway URLs and raw CIDs
+ * @param {string} image - The metadata image field
+ * @returns {string|null} - The CID as CIDv1 base32, or null if the image is not on IPFS
+ */
+export const parseImageCid = (image) => {
+  try {
+    return parseCidReference(image).cid;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Delay before the next repair attempt
+ * @param {number} attempts - Failed attempts so far, at least 1
+ * @param {Object} options - baseDelay and maxDelay in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (attempts, {
+  baseDelay = DEFAULT_BASE_RETRY_DELAY_MS,
+  maxDelay = DEFAULT_MAX_RETRY_DELAY_MS
+} = {}) => Math.min(maxDelay, baseDelay * 2 ** Math.max(0, attempts - 1));
+
+/**
+ * Create the store for a user's tracked CIDs, persisted in IndexedDB when available
+ * @param {string} account - The user's address
+ * @returns {Object} - Store with get, put, delete and getAll methods
+ */
+export const createPinHealthStore = (account) => (typeof indexedDB === 'undefined'
+  ? createMemoryStore()
+  : createIndexedDBStore({ dbName: `xinete-pin-health-${String(account).toLowerCase()}`, storeName: 'entries' }));
+
+/**
+ * Create a pin health monitor
+ * @param {Object} config - Monitor configuration
+ * @param {Function} config.listRoots - async () => CIDs registered on chain
+ * @param {Function} config.resolveLinks - async (cid) => [{ cid, kind }] linked from a registered CID, e.g. its image
+ * @param {Function} config.checkStatus - async (cid) => pin status with replicas, target, complete and providers
+ * @param {Function} config.repair - async (cid) => pin status after pinning again
+ * @param {Object} config.store - Store for tracked entries; in memory if not given
+ * @param {number} config.interval - Time between full checks, in milliseconds
+ * @param {number} config.maxAttempts - Failed repairs before a CID is marked failed
+ * @param {number} config.baseDelay - Delay after the first failed repair, doubled after each further failure
+ * @param {number} config.maxDelay - Upper bound for the repair delay
+ * @param {Function} config.logError - (message, error) => void, called when a check cycle fails
+ * @returns {Object} - Monitor with start, stop, runOnce, retry, getReport and subscribe
+ */
+export const createPinHealthMonitor = ({
+  listRoots,
+  resolveLinks = async () => [],
+  checkStatus,
+  repair,
+  store = createMemoryStore(),
+  interval = DEFAULT_CHECK_INTERVAL_MS,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  baseDelay = DEFAULT_BASE_RETRY_DELAY_MS,
+  maxDelay = DEFAULT_MAX_RETRY_DELAY_MS,
+  now = () => Date.now(),
+  setTimer = (callback, delay) => setTimeout(callback, delay),
+  clearTimer = (timer) => clearTimeout(timer),
+  logError = (message, error) => console.error(message, error)
+}) => {
+  const listeners = new Set();
+  let running = false;
+  let timer = null;
+  let cycle = null;
+  let nextCheckAt = null;
+  let nextRunAt = null;
+  let lastRunAt = null;
+  let lastError = null;
+
+  const createEntry = (cid, kind) => ({
+    cid,
+    kind,
+    sources: [],
+    links: null,
+    health: PIN_HEALTH.UNKNOWN,
+    replicas: null,
+    target: null,
+    providers: {},
+    lastCheckedAt: null,
+    attempts: 0,
+    nextAttemptAt: null,
+    lastError: null
+  });
+
+  /**
+   * Bring the tracked entries in line with what is registered on chain
+   * Links are resolved once per registered CID, since content at a CID never changes
+   */
+  const syncTracked = async () => {
+    const roots = await listRoots();
+    const existing = new Map((await store.getAll()).map(entry => [entry.cid, entry]));
+    const tracked = new Map();
+
+    for (const root of roots) {
+      const entry = tracked.get(root) || existing.get(root) || createEntry(root, 'metadata');
+      if (!entry.links) {
+        try {
+          entry.links = await resolveLinks(root);
+        } catch (error) {
+          // Retried on the next sync
+          entry.lastError = `Could not read linked CIDs: ${error.message}`;
+        }
+      }
+      tracked.set(root, entry);
+
+      for (const link of entry.links || []) {
+        const linked = tracked.get(link.cid) || { ...(existing.get(link.cid) || createEntry(link.cid, link.kind)), sources: [] };
+        linked.sources = [...new Set([...linked.sources, root])];
+        tracked.set(link.cid, linked);
+      }
+    }
+
+    // CIDs removed on chain are no longer watched
+    for (const cid of existing.keys()) {
+      if (!tracked.has(cid)) {
+        await store.delete(cid);
+      }
+    }
+    for (const entry of tracked.values()) {
+      await store.put(entry.cid, entry);
+    }
+  };
+
+  const applyStatus = (entry, status) => {
+    entry.replicas = status.replicas;
+    entry.target = status.target;
+    entry.providers = Object.fromEntries(Object.entries(status.providers || {})
+      .map(([name, provider]) => [name, { status: provider.status, error: provider.error || null }]));
+    entry.lastCheckedAt = new Date(now()).toISOString();
+  };
+
+  const markHealthy = (entry) => {
+    entry.health = PIN_HEALTH.HEALTHY;
+    entry.attempts = 0;
+    entry.nextAttemptAt = null;
+    entry.lastError = null;
+  };
+
+  const checkEntry = async (entry) => {
+    try {
+      const status = await checkStatus(entry.cid);
+      applyStatus(entry, status);
+      if (status.complete) {
+        markHealthy(entry);
+      } else if (entry.health !== PIN_HEALTH.FAILED) {
+        // Queue a repair right away unless one is already scheduled
+        entry.health = PIN_HEALTH.DEGRADED;
+        if (entry.nextAttemptAt === null) {
+          entry.nextAttemptAt = now();
+        }
+      }
+    } catch (error) {
+      // The status could not be read, which says nothing about the pins themselves
+      entry.lastError = `Status check failed: ${error.message}`;
+    }
+    await store.put(entry.cid, entry);
+  };
+
+  const repairEntry = async (entry) => {
+    entry.health = PIN_HEALTH.REPAIRING;
+    await store.put(entry.cid, entry);
+    await notify();
+
+    try {
+      const status = await repair(entry.cid);
+      applyStatus(entry, status);
+      if (!status.complete) {
+        throw new Error(`Pinned on ${status.replicas} of ${status.target} providers`);
+      }
+      markHealthy(entry);
+    } catch (error) {
+      entry.attempts++;
+      entry.lastError = error.message;
+      if (entry.attempts >= maxAttempts) {
+        entry.health = PIN_HEALTH.FAILED;
+        entry.nextAttemptAt = null;
+      } else {
+        entry.health = PIN_HEALTH.DEGRADED;
+        entry.nextAttemptAt = now() + getRetryDelay(entry.attempts, { baseDelay, maxDelay });
+      }
+    }
+    await store.put(entry.cid, entry);
+  };
+
+  const isRepairDue = (entry) => entry.health === PIN_HEALTH.DEGRADED
+    && entry.nextAttemptAt !== null
+    && entry.nextAttemptAt <= now();
+
+  /**
+   * Build a snapshot of the monitor for display
+   * @returns {Promise<Object>} - { running, lastRunAt, nextRunAt, lastError, counts, entries }
+   */
+  const getReport = async () => {
+    const order = [PIN_HEALTH.FAILED, PIN_HEALTH.DEGRADED, PIN_HEALTH.REPAIRING, PIN_HEALTH.UNKNOWN, PIN_HEALTH.HEALTHY];
+    const entries = (await store.getAll())
+      .sort((a, b) => order.indexOf(a.health) - order.indexOf(b.health) || a.cid.localeCompare(b.cid));
+    const counts = Object.fromEntries(Object.values(PIN_HEALTH).map(health => [health, 0]));
+    entries.forEach(entry => {
+      counts[entry.health]++;
+    });
+
+    return {
+      running,
+      lastRunAt,
+      nextRunAt,
+      lastError,
+      counts,
+      entries
+    };
+  };
+
+  const notify = async () => {
+    if (listeners.size === 0) {
+      return;
+    }
+    const report = await getReport();
+    listeners.forEach(listener => listener(report));
+  };
+
+  /**
+   * Run one cycle: sync the tracked CIDs and check them (unless check is false), then run due repairs
+   * Concurrent calls share the cycle in progress
+   * @param {Object} options - check: whether to sync and check every CID, or only run due repairs
+   * @returns {Promise<void>}
+   */
+  const runOnce = ({ check = true } = {}) => {
+    if (cycle) {
+      return cycle;
+    }
+
+    cycle = (async () => {
+      try {
+        if (check) {
+          await syncTracked();
+          for (const entry of await store.getAll()) {
+            await checkEntry(entry);
+          }
+        }
+        for (const entry of await store.getAll()) {
+          if (isRepairDue(entry)) {
+            await repairEntry(entry);
+          }
+        }
+        lastRunAt = new Date(now()).toISOString();
+        lastError = null;
+      } catch (error) {
+        logError('Pin health check failed:', error);
+        lastError = error.message;
+      } finally {
+        cycle = null;
+      }
+      await notify();
+    })();
+    return cycle;
+  };
+
+  // Wake up for the next full check or the earliest queued repair, whichever comes first
+  const scheduleNext = async () => {
+    if (!running) {
+      return;
+    }
+    const repairTimes = (await store.getAll())
+      .filter(entry => entry.health === PIN_HEALTH.DEGRADED && entry.nextAttemptAt !== null)
+      .map(entry => entry.nextAttemptAt);
+    const wakeAt = Math.min(nextCheckAt, ...repairTimes);
+
+    if (timer) {
+      clearTimer(timer);
+    }
+    nextRunAt = new Date(wakeAt).toISOString();
+    timer = setTimer(tick, Math.max(0, wakeAt - now()));
+  };
+
+  const tick = async () => {
+    timer = null;
+    const fullCheck = now() >= nextCheckAt;
+    if (fullCheck) {
+      nextCheckAt = now() + interval;
+    }
+    await runOnce({ check: fullCheck });
+    await scheduleNext();
+  };
+
+  return {
+    /**
+     * Start checking on a schedule, beginning with a full check now
+     * @returns {Promise<void>} - Resolves once the first run is scheduled
+     */
+    start: async () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      nextCheckAt = now();
+      await scheduleNext();
+    },
+
+    /**
+     * Stop the schedule; a cycle in progress runs to completion
+     */
+    stop: () => {
+      running = false;
+      nextRunAt = null;
+      if (timer) {
+        clearTimer(timer);
+        timer = null;
+      }
+      notify();
+    },
+
+    runOnce,
+
+    /**
+     * Queue an immediate repair of a CID, including one marked failed
+     * @param {string} cid - A tracked CID
+     * @returns {Promise<void>}
+     */
+    retry: async (cid) => {
+      const entry = await store.get(cid);
+      if (!entry) {
+        throw new Error(`CID ${cid} is not tracked`);
+      }
+      entry.health = PIN_HEALTH.DEGRADED;
+      entry.attempts = 0;
+      entry.nextAttemptAt = now();
+      await store.put(cid, entry);
+      await runOnce({ check: false });
+      await scheduleNext();
+    },
+
+    getReport,
+
+    /**
+     * Listen for report updates
+     * @param {Function} listener - Called with the report after each cycle and repair
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+export default {
+  PIN_HEALTH,
+  parseImageCid,
+  getRetryDelay,
+  createPinHealthStore,
+  createPinHealthMonitor
+};
@@ -0,0 +1,106 @@
+/**
+ * Pin health for the connected user
+ * Connects the pin health monitor to the contract (which CIDs are registered), IPFS (which image,
+ * media and unlockable content each metadata document links to) and the pinning providers configured in ipfsService
+ */
+import * as ipfsService from './ipfsService.js';
+import * as blockchainService from './blockchainService.js';
+import { createPinHealthMonitor, createPinHealthStore, parseImageCid } from './pinHealthMonitor.js';
+
+// CIDs read from the contract per call
+const CID_PAGE_SIZE = 100;
+
+let monitor = null;
+let monitorAccount = null;
+
+/**
+ * Read every metadata CID a user has registered, a page at a time
+ * @param {string} account - The user's address
+ * @returns {Promise<Array<string>>} - Array of CIDs
+ */
+const listRegisteredCIDs = async (account) => {
+  const count = await blockchainService.getUserMetadataCount(account);
+  const cids = [];
+  for (let offset = 0; offset < count; offset += CID_PAGE_SIZE) {
+    cids.push(...await blockchainService.getUserMetadataCIDsPaged({ user: account, offset, limit: CID_PAGE_SIZE }));
+  }
+  return cids;
+};
+
+/**
+ * Get the CIDs a metadata document links to
+ * @param {string} cid - The metadata CID
+ * @returns {Promise<Array<Object>>} - [{ cid, kind }]
+ */
+const resolveMetadataLinks = async (cid) => {
+  const metadata = await ipfsService.fetchMetadata(cid);
+  return [
+    { cid: parseImageCid(metadata.image), kind: 'image' },
+    { cid: parseImageCid(metadata.animation_url), kind: 'animation' },
+    { cid: parseImageCid(metadata.unlockable_content), kind: 'unlockable' }
+  ].filter(link => link.cid);
+};
+
+/**
+ * Get the pin health monitor for an account, creating it on first use
+ * A monitor for a different account is stopped and replaced
+ * @param {string} account - The user's address
+ * @returns {Object} - Monitor from pinHealthMonitor
+ */
+export const getPinHealthMonitor = (account) => {
+  if (!account) {
+    throw new Error('No account connected');
+  }
+  const key = account.toLowerCase();
+  if (monitor && monitorAccount === key) {
+    return monitor;
+  }
+  if (monitor) {
+    monitor.stop();
+  }
+
+  monitor = createPinHealthMonitor({
+    listRoots: () => listRegisteredCIDs(account),
+    resolveLinks: resolveMetadataLinks,
+    checkStatus: (cid) => ipfsService.refreshPinStatus(cid),
+    repair: (cid) => ipfsService.replicatePins(cid),
+    store: createPinHealthStore(key)
+  });
+  monitorAccount = key;
+  return monitor;
+};
+
+/**
+ * Start background pin health checks for an account
+ * @param {string} account - The user's address
+ * @returns {Promise<Object|null>} - The running monitor, or null if the services could not be initialized
+ */
+export const startPinHealthMonitor = async (account) => {
+  try {
+    ipfsService.initializeIPFS();
+    if (!blockchainService.getContractAddress() && !(await blockchainService.initializeBlockchain())) {
+      return null;
+    }
+    const accountMonitor = getPinHealthMonitor(account);
+    await accountMonitor.start();
+    return accountMonitor;
+  } catch (error) {
+    console.error('Error starting pin health monitor:', error);
+    return null;
+  }
+};
+
+/**
+ * Stop background pin health checks
+ */
+export const stopPinHealthMonitor = () => {
+  if (monitor) {
+    monitor.stop();
+  }
+};
+
+export default {
+  getPinHealthMonitor,
+  startPinHealthMonitor,
+  stopPinHealthMonitor
+};
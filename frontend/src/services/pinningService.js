@@ -0,0 +1,501 @@
+/**
+ * Pinning providers and replication
+ * A provider pins CIDs somewhere: the IPFS node configured in ipfsService, or a remote service
+ * speaking the IPFS Pinning Services API. The replicator keeps each CID pinned on a number of
+ * providers and records the status reported by each one.
+ */
+import { createIndexedDBStore, createMemoryStore } from './indexedDbStore.js';
+import { getCidKey } from './cidUtils.js';
+
+/**
+ * Pin statuses, as defined by the Pinning Services API
+ */
+export const PIN_STATUS = {
+  QUEUED: 'queued',
+  PINNING: 'pinning',
+  PINNED: 'pinned',
+  FAILED: 'failed',
+  // Not part of the API: the provider holds no pin for the CID
+  UNPINNED: 'unpinned',
+  // Not part of the API: the provider could not be asked; only reported by inspections, never stored
+  UNREACHABLE: 'unreachable'
+};
+
+/**
+ * Types of pin an IPFS node holds: on the CID and everything below it, on the CID only, or below a recursive pin
+ */
+export const PIN_TYPES = {
+  RECURSIVE: 'recursive',
+  DIRECT: 'direct',
+  INDIRECT: 'indirect'
+};
+
+// Statuses that mean the provider accepted the pin and is working on it or done
+const ACCEPTED_STATUSES = [PIN_STATUS.QUEUED, PIN_STATUS.PINNING, PIN_STATUS.PINNED];
+
+// The Pinning Services API accepts at most 10 CIDs per status query
+const MAX_CIDS_PER_QUERY = 10;
+
+/**
+ * Create a provider for a remote service implementing the IPFS Pinning Services API
+ * See https://ipfs.github.io/pinning-services-api-spec/
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Name used in status records
+ * @param {string} config.endpoint - API endpoint, without the trailing /pins
+ * @param {string} config.accessToken - Bearer token
+ * @param {Function} config.fetchImpl - fetch implementation
+ * @returns {Object} - Provider with pin, getStatus, getStatuses and unpin
+ */
+export const createPinningServiceProvider = ({
+  name,
+  endpoint,
+  accessToken,
+  fetchImpl = (...args) => fetch(...args)
+}) => {
+  if (!name || !endpoint || !accessToken) {
+    throw new Error('A pinning service needs a name, an endpoint and an access token');
+  }
+  const baseUrl = String(endpoint).replace(/\/+$/, '');
+
+  // Send a request and return the parsed body, turning API errors into exceptions
+  const request = async (method, path, body = null) => {
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      let reason = `HTTP ${response.status}`;
+      try {
+        const failure = await response.json();
+        if (failure && failure.error) {
+          reason = [failure.error.reason, failure.error.details].filter(Boolean).join(': ') || reason;
+        }
+      } catch (parseError) {
+        // Keep the HTTP status as the reason
+      }
+      const error = new Error(`Pinning service ${name} rejected ${method} ${path}: ${reason}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    // DELETE answers 202 without a body
+    return method === 'DELETE' ? null : response.json();
+  };
+
+  // The most recent pin request for each CID, in any status
+  const findPins = async (cids) => {
+    const found = new Map();
+    for (let i = 0; i < cids.length; i += MAX_CIDS_PER_QUERY) {
+      const query = new URLSearchParams({
+        cid: cids.slice(i, i + MAX_CIDS_PER_QUERY).join(','),
+        status: [PIN_STATUS.QUEUED, PIN_STATUS.PINNING, PIN_STATUS.PINNED, PIN_STATUS.FAILED].join(','),
+        limit: '1000'
+      });
+      const { results = [] } = await request('GET', `/pins?${query}`);
+      // Results are sorted newest first; the service may report the CID in another form
+      results.forEach(pinStatus => {
+        const key = getCidKey(pinStatus.pin.cid);
+        if (!found.has(key)) {
+          found.set(key, pinStatus);
+        }
+      });
+    }
+    return found;
+  };
+
+  const findPin = async (cid) => (await findPins([cid])).get(getCidKey(cid)) || null;
+
+  return {
+    name,
+    type: 'pinning-service',
+
+    /**
+     * Ask the service to pin a CID
+     * @param {string} cid - The IPFS CID
+     * @param {Object} options - name for the pin, origins (multiaddrs holding the content) and meta
+     * @returns {Promise<Object>} - { status, requestId }
+     */
+    pin: async (cid, { name: pinName, origins = [], meta } = {}) => {
+      const pinStatus = await request('POST', '/pins', {
+        cid,
+        ...(pinName ? { name: pinName } : {}),
+        ...(origins.length > 0 ? { origins } : {}),
+        ...(meta ? { meta } : {})
+      });
+      return { status: pinStatus.status, requestId: pinStatus.requestid };
+    },
+
+    /**
+     * Get the status of the pin for a CID
+     * @param {string} cid - The IPFS CID
+     * @returns {Promise<Object>} - { status, requestId }, with status unpinned if there is no pin
+     */
+    getStatus: async (cid) => {
+      const pinStatus = await findPin(cid);
+      return pinStatus
+        ? { status: pinStatus.status, requestId: pinStatus.requestid }
+        : { status: PIN_STATUS.UNPINNED, requestId: null };
+    },
+
+    /**
+     * Get the status of the pins for several CIDs, with one request per 10 CIDs
+     * @param {Array<string>} cids - The IPFS CIDs
+     * @returns {Promise<Map<string, Object>>} - { status, requestId } per CID
+     */
+    getStatuses: async (cids) => {
+      const found = await findPins(cids);
+      return new Map(cids.map(cid => {
+        const pinStatus = found.get(getCidKey(cid));
+        return [cid, pinStatus
+          ? { status: pinStatus.status, requestId: pinStatus.requestid }
+          : { status: PIN_STATUS.UNPINNED, requestId: null }];
+      }));
+    },
+
+    /**
+     * Remove the pin for a CID
+     * @param {string} cid - The IPFS CID
+     * @returns {Promise<void>}
+     */
+    unpin: async (cid) => {
+      const pinStatus = await findPin(cid);
+      if (pinStatus) {
+        await request('DELETE', `/pins/${encodeURIComponent(pinStatus.requestid)}`);
+      }
+    }
+  };
+};
+
+/**
+ * Create a provider for an IPFS node reached through ipfs-http-client
+ * @param {Object} config - Provider configuration
+ * @param {string} config.name - Name used in status records
+ * @param {Function} config.getClient - Returns the ipfs-http-client instance
+ * @returns {Object} - Provider with pin, getStatus, getStatuses and unpin
+ */
+export const createNodeProvider = ({ name = 'local-node', getClient }) => {
+  const getIpfs = () => {
+    const ipfs = getClient();
+    if (!ipfs) {
+      throw new Error('IPFS client not initialized. Call initializeIPFS first.');
+    }
+    return ipfs;
+  };
+
+  /**
+   * Get the pin status and type of several CIDs with one pin/ls request
+   * The node rejects the whole request when one of the CIDs is not pinned; that CID is
+   * recorded as unpinned and the others are asked again
+   * @param {Array<string>} cids - The IPFS CIDs
+   * @returns {Promise<Map<string, Object>>} - { status, type, requestId } per CID
+   */
+  const getStatuses = async (cids) => {
+    const statuses = new Map(cids.map(cid => [cid, { status: PIN_STATUS.UNPINNED, type: null, requestId: null }]));
+    let remaining = [...statuses.keys()];
+
+    while (remaining.length > 0) {
+      try {
+        for await (const item of getIpfs().pin.ls({ paths: remaining })) {
+          // The node may answer with another form of the CID, e.g. CIDv0 for a CIDv1 query
+          const key = getCidKey(item.cid.toString());
+          remaining.filter(cid => getCidKey(cid) === key).forEach(cid => {
+            // Indirect pins are reported as "indirect through <cid>"
+            statuses.set(cid, { status: PIN_STATUS.PINNED, type: String(item.type).split(' ')[0], requestId: null });
+          });
+        }
+        break;
+      } catch (error) {
+        if (!/not pinned/i.test(error.message)) {
+          throw error;
+        }
+        const unpinned = remaining.length === 1 ? remaining[0] : remaining.find(cid => error.message.includes(cid));
+        if (!unpinned) {
+          throw error;
+        }
+        remaining = remaining.filter(cid => cid !== unpinned);
+      }
+    }
+    return statuses;
+  };
+
+  return {
+    name,
+    type: 'node',
+    pin: async (cid) => {
+      await getIpfs().pin.add(cid);
+      return { status: PIN_STATUS.PINNED, requestId: null };
+    },
+    getStatus: async (cid) => (await getStatuses([cid])).get(cid),
+    getStatuses,
+    unpin: async (cid) => {
+      try {
+        await getIpfs().pin.rm(cid);
+      } catch (error) {
+        if (!/not pinned/i.test(error.message)) {
+          throw error;
+        }
+      }
+    }
+  };
+};
+
+/**
+ * Create a store for per-provider pin status, persisted in IndexedDB when available
+ * @returns {Object} - Store with get, put, delete and getAll methods
+ */
+export const createPinStatusStore = () => (typeof indexedDB === 'undefined'
+  ? createMemoryStore()
+  : createIndexedDBStore({ dbName: 'xinete-pins', storeName: 'status' }));
+
+/**
+ * Create a replicator that keeps CIDs pinned on several providers
+ * Providers are tried in order until `replicas` of them have accepted the pin
+ * @param {Object} config - Replicator configuration
+ * @param {Array<Object>} config.providers - Pinning providers, most preferred first
+ * @param {number} config.replicas - Number of providers that should hold each pin
+ * @param {Object} config.store - Status store (get/put/delete/getAll); in memory if not given
+ * @param {Function} config.getOrigins - Optional async function returning multiaddrs that hold the content
+ * @param {Function} config.logWarn - (message, error) => void, called when a provider fails or origins cannot be read
+ * @returns {Object} - Replicator
+ */
+export const createPinReplicator = ({
+  providers,
+  replicas = null,
+  store = createMemoryStore(),
+  getOrigins = null,
+  logWarn = (message, error) => console.warn(message, error.message)
+}) => {
+  if (!providers || providers.length === 0) {
+    throw new Error('At least one pinning provider is required');
+  }
+  const names = providers.map(provider => provider.name);
+  if (new Set(names).size !== names.length) {
+    throw new Error('Pinning provider names must be unique');
+  }
+  const target = replicas === null ? providers.length : Math.min(Math.max(1, replicas), providers.length);
+
+  const emptyRecord = (cid) => ({ cid, name: null, providers: {} });
+
+  const setProviderStatus = (record, provider, update) => {
+    record.providers[provider.name] = {
+      ...record.providers[provider.name],
+      ...update,
+      updatedAt: new Date().toISOString()
+    };
+  };
+
+  /**
+   * Summarize a status record
+   * @param {Object} record - Status record
+   * @returns {Object} - The record with replicas (providers holding the pin), target and complete
+   */
+  const summarize = (record) => {
+    const replicated = Object.values(record.providers)
+      .filter(entry => ACCEPTED_STATUSES.includes(entry.status)).length;
+    return { ...record, replicas: replicated, target, complete: replicated >= target };
+  };
+
+  const resolveOrigins = async () => {
+    if (!getOrigins) {
+      return [];
+    }
+    try {
+      return await getOrigins();
+    } catch (error) {
+      logWarn('Could not determine pin origins:', error);
+      return [];
+    }
+  };
+
+  /**
+   * Pin a CID on providers until the replication target is met
+   * Providers that already accepted the pin are kept; failing providers are recorded and skipped
+   * @param {string} cid - The IPFS CID
+   * @param {Object} options - name for the pin
+   * @returns {Promise<Object>} - Summarized status record
+   */
+  const replicate = async (cid, { name = null } = {}) => {
+    const record = (await store.get(cid)) || emptyRecord(cid);
+    if (name) {
+      record.name = name;
+    }
+    let origins = null;
+
+    for (const provider of providers) {
+      if (summarize(record).complete) {
+        break;
+      }
+      const current = record.providers[provider.name];
+      if (current && ACCEPTED_STATUSES.includes(current.status)) {
+        continue;
+      }
+
+      try {
+        if (origins === null) {
+          origins = await resolveOrigins();
+        }
+        const result = await provider.pin(cid, { name: record.name || undefined, origins });
+        setProviderStatus(record, provider, { status: result.status, requestId: result.requestId, error: null });
+      } catch (error) {
+        logWarn(`Pinning ${cid} on ${provider.name} failed:`, error);
+        setProviderStatus(record, provider, { status: PIN_STATUS.FAILED, error: error.message });
+      }
+    }
+
+    await store.put(cid, record);
+    return summarize(record);
+  };
+
+  // Ask one provider for the status of several CIDs, in one batch if it supports that
+  const queryProvider = async (provider, cids) => {
+    if (provider.getStatuses) {
+      return provider.getStatuses(cids);
+    }
+    return new Map(await Promise.all(cids.map(async cid => [cid, await provider.getStatus(cid)])));
+  };
+
+  /**
+   * Ask every provider for its current status of several CIDs and record the answers
+   * Providers are asked even without a record, so pins made elsewhere (another browser, a script) are found
+   * @param {Array<string>} cids - The IPFS CIDs, without duplicates
+   * @returns {Promise<Object>} - { records: Map of status records, answers: Map of { [provider]: answer } per CID }
+   */
+  const queryProviders = async (cids) => {
+    const records = new Map(await Promise.all(cids.map(async cid => [cid, (await store.get(cid)) || emptyRecord(cid)])));
+    const answers = new Map(cids.map(cid => [cid, {}]));
+
+    await Promise.all(providers.map(async (provider) => {
+      try {
+        const statuses = await queryProvider(provider, cids);
+        cids.forEach(cid => {
+          const result = statuses.get(cid) || { status: PIN_STATUS.UNPINNED, requestId: null };
+          setProviderStatus(records.get(cid), provider, { status: result.status, requestId: result.requestId, error: null });
+          answers.get(cid)[provider.name] = { status: result.status, type: result.type || null, error: null };
+        });
+      } catch (error) {
+        // An unreachable provider keeps its last known status in the record
+        cids.forEach(cid => {
+          setProviderStatus(records.get(cid), provider, { error: error.message });
+          answers.get(cid)[provider.name] = { status: PIN_STATUS.UNREACHABLE, type: null, error: error.message };
+        });
+      }
+    }));
+
+    await Promise.all(cids.map(cid => store.put(cid, records.get(cid))));
+    return { records, answers };
+  };
+
+  /**
+   * Ask every provider for its current status of a CID
+   * @param {string} cid - The IPFS CID
+   * @returns {Promise<Object>} - Summarized status record
+   */
+  const refresh = async (cid) => {
+    const { records } = await queryProviders([cid]);
+    return summarize(records.get(cid));
+  };
+
+  /**
+   * Inspect the pins of several CIDs, asking each provider once for all of them
+   * pinned is true if any provider holds a finished pin, false if every provider answered without
+   * one, and null if none holds one but some provider could not be reached
+   * @param {Array<string>} cids - The IPFS CIDs
+   * @returns {Promise<Object>} - { [cid]: { pinned, type, providers, replicas, target, complete } }
+   */
+  const inspect = async (cids) => {
+    const unique = [...new Set(cids)];
+    const { records, answers } = await queryProviders(unique);
+
+    return Object.fromEntries(unique.map(cid => {
+      const answered = Object.values(answers.get(cid));
+      const { replicas: replicated, complete } = summarize(records.get(cid));
+      let pinned = answered.some(answer => answer.status === PIN_STATUS.PINNED);
+      if (!pinned && answered.some(answer => answer.status === PIN_STATUS.UNREACHABLE)) {
+        pinned = null;
+      }
+      const typed = answered.find(answer => answer.type);
+
+      return [cid, {
+        pinned,
+        type: typed ? typed.type : null,
+        providers: answers.get(cid),
+        replicas: replicated,
+        target,
+        complete
+      }];
+    }));
+  };
+
+  /**
+   * Remove the pin for a CID from every provider
+   * @param {string} cid - The IPFS CID
+   * @returns {Promise<Object>} - { removed: boolean, errors: { [provider]: message } }
+   */
+  const unpin = async (cid) => {
+    const errors = {};
+    await Promise.all(providers.map(async (provider) => {
+      try {
+        await provider.unpin(cid);
+      } catch (error) {
+        errors[provider.name] = error.message;
+      }
+    }));
+
+    if (Object.keys(errors).length === 0) {
+      await store.delete(cid);
+    } else {
+      const record = (await store.get(cid)) || emptyRecord(cid);
+      providers
+        .filter(provider => !errors[provider.name])
+        .forEach(provider => setProviderStatus(record, provider, { status: PIN_STATUS.UNPINNED, error: null }));
+      await store.put(cid, record);
+    }
+    return { removed: Object.keys(errors).length === 0, errors };
+  };
+
+  return {
+    replicate,
+    refresh,
+    inspect,
+    unpin,
+    getStatus: async (cid) => {
+      const record = await store.get(cid);
+      return record ? summarize(record) : null;
+    },
+    getAllStatuses: async () => (await store.getAll()).map(summarize),
+    getProviders: () => providers.map(provider => ({ name: provider.name, type: provider.type })),
+    target
+  };
+};
+
+/**
+ * Parse pinning service definitions from configuration
+ * Accepts a JSON array of { name, endpoint, accessToken } objects, as used in VITE_PINNING_SERVICES
+ * @param {string|Array<Object>} value - The definitions
+ * @returns {Array<Object>} - Service definitions
+ */
+export const parsePinningServices = (value) => {
+  if (!value) {
+    return [];
+  }
+  const services = Array.isArray(value) ? value : JSON.parse(value);
+  if (!Array.isArray(services)) {
+    throw new Error('Pinning services must be a JSON array');
+  }
+  return services;
+};
+
+export default {
+  PIN_STATUS,
+  PIN_TYPES,
+  createPinningServiceProvider,
+  createNodeProvider,
+  createPinStatusStore,
+  createPinReplicator,
+  parsePinningServices
+};
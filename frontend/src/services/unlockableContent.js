@@ -0,0 +1,352 @@
+/**
+ * Encrypted unlockable content
+ * Files are encrypted in the browser with AES-256-GCM under a random per-file key, and the key is
+ * wrapped for the owner's wallet, either with a key derived from a wallet signature or with the
+ * wallet's encryption public key. The envelope format is specified in docs/UNLOCKABLE_CONTENT.md.
+ */
+import nacl from 'tweetnacl';
+import { parseCidReference } from './cidUtils.js';
+
+// Envelope layout: magic, version byte, header length (uint32 big-endian), header JSON, ciphertext
+export const ENVELOPE_MAGIC = 'XENC';
+export const ENVELOPE_VERSION = 1;
+const PREFIX_LENGTH = 9;
+const MAX_HEADER_BYTES = 64 * 1024;
+
+export const CONTENT_CIPHER = 'AES-256-GCM';
+
+// How the content key is wrapped for the owner's wallet
+export const KEY_WRAPPING = {
+  SIGNATURE: 'eth-signature-hkdf-sha256',
+  PUBLIC_KEY: 'x25519-xsalsa20-poly1305'
+};
+
+// Files are encrypted in memory, so their size is capped
+export const MAX_UNLOCKABLE_BYTES = 100 * 1024 * 1024;
+
+// Metadata field holding the ipfs:// URI of the encrypted file
+export const UNLOCKABLE_FIELD = 'unlockable_content';
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 32;
+const HKDF_INFO = 'xinete-unlockable-content/v1/key-wrap';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Create an error with a code callers can branch on
+ * @param {string} message - What went wrong
+ * @param {string} code - INVALID_ENVELOPE, NOT_RECIPIENT, DECRYPTION_FAILED or MAX_BYTES_EXCEEDED
+ * @returns {Error} - The error
+ */
+const createUnlockableError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+/**
+ * Read content into bytes
+ * @param {Uint8Array|ArrayBuffer|Blob} data - The content
+ * @returns {Promise<Uint8Array>} - The bytes
+ */
+const toBytes = async (data) => {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (data && typeof data.arrayBuffer === 'function') {
+    return new Uint8Array(await data.arrayBuffer());
+  }
+  throw new TypeError('Content must be a Uint8Array, ArrayBuffer or Blob');
+};
+
+/**
+ * Get the message an account signs to derive its key-wrapping keys
+ * The message is the same for every file, so wallets that sign deterministically (RFC 6979)
+ * return the same signature each time; a per-file salt keeps the derived keys distinct.
+ * @param {string} address - The owner's address
+ * @returns {string} - The message to sign
+ */
+export const getKeyDerivationMessage = (address) => [
+  'Xinete unlockable content',
+  '',
+  'Sign this message to unlock encrypted files held by this account. Only sign it in the Xinete app: anyone with this signature can decrypt those files.',
+  '',
+  `Account: ${address.toLowerCase()}`,
+  `Version: ${ENVELOPE_VERSION}`
+].join('\n');
+
+/**
+ * Derive the AES-GCM key that wraps a content key from a wallet signature
+ * Only r and s are used, because wallets differ in how they encode v.
+ * @param {string} signature - 65-byte signature as 0x-prefixed hex
+ * @param {Uint8Array} salt - Per-file salt
+ * @returns {Promise<CryptoKey>} - The wrapping key
+ */
+const deriveWrappingKey = async (signature, salt) => {
+  const hex = String(signature).replace(/^0x/, '');
+  if (!/^[0-9a-fA-F]{130}$/.test(hex)) {
+    throw new Error('The wallet returned an invalid signature');
+  }
+  const secret = Uint8Array.from(hex.slice(0, 128).match(/../g), byte => parseInt(byte, 16));
+  const material = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(HKDF_INFO) },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * Wrap a content key for the owner's wallet
+ * @param {Uint8Array} contentKey - Raw AES key
+ * @param {string} method - One of KEY_WRAPPING
+ * @param {Object} wallet - Wallet operations, see encryptContent
+ * @returns {Promise<Object>} - The header's key entry
+ */
+const wrapContentKey = async (contentKey, method, wallet) => {
+  if (method === KEY_WRAPPING.SIGNATURE) {
+    const salt = randomBytes(SALT_LENGTH);
+    const iv = randomBytes(IV_LENGTH);
+    const signature = await wallet.signMessage(getKeyDerivationMessage(wallet.address));
+    const wrappingKey = await deriveWrappingKey(signature, salt);
+    const wrappedKey = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, contentKey);
+    return {
+      method,
+      salt: toBase64(salt),
+      iv: toBase64(iv),
+      wrappedKey: toBase64(new Uint8Array(wrappedKey))
+    };
+  }
+
+  if (method === KEY_WRAPPING.PUBLIC_KEY) {
+    // Same format as MetaMask's eth_decrypt, which returns the plaintext as a string
+    const publicKey = fromBase64(await wallet.getEncryptionPublicKey());
+    const ephemeral = nacl.box.keyPair();
+    const nonce = nacl.randomBytes(nacl.box.nonceLength);
+    const ciphertext = nacl.box(encoder.encode(toBase64(contentKey)), nonce, publicKey, ephemeral.secretKey);
+    return {
+      method,
+      encryptedKey: {
+        version: KEY_WRAPPING.PUBLIC_KEY,
+        nonce: toBase64(nonce),
+        ephemPublicKey: toBase64(ephemeral.publicKey),
+        ciphertext: toBase64(ciphertext)
+      }
+    };
+  }
+
+  throw new Error(`Unknown key wrapping method "${method}"`);
+};
+
+/**
+ * Unwrap a content key with the owner's wallet
+ * @param {Object} key - The header's key entry
+ * @param {Object} wallet - Wallet operations, see decryptContent
+ * @returns {Promise<Uint8Array>} - Raw AES key
+ */
+const unwrapContentKey = async (key, wallet) => {
+  let contentKey;
+  if (key.method === KEY_WRAPPING.SIGNATURE) {
+    const signature = await wallet.signMessage(getKeyDerivationMessage(wallet.address));
+    const wrappingKey = await deriveWrappingKey(signature, fromBase64(key.salt));
+    try {
+      contentKey = new Uint8Array(await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(key.iv) },
+        wrappingKey,
+        fromBase64(key.wrappedKey)
+      ));
+    } catch (error) {
+      throw createUnlockableError('This wallet\'s signature does not unlock the content', 'DECRYPTION_FAILED');
+    }
+  } else if (key.method === KEY_WRAPPING.PUBLIC_KEY) {
+    try {
+      contentKey = fromBase64(await wallet.decrypt(key.encryptedKey));
+    } catch (error) {
+      throw createUnlockableError(`The wallet could not decrypt the content key: ${error.message}`, 'DECRYPTION_FAILED');
+    }
+  } else {
+    throw createUnlockableError(`Unknown key wrapping method "${key.method}"`, 'INVALID_ENVELOPE');
+  }
+
+  if (contentKey.length !== KEY_LENGTH) {
+    throw createUnlockableError('The unwrapped content key has the wrong length', 'DECRYPTION_FAILED');
+  }
+  return contentKey;
+};
+
+/**
+ * Encrypt content for the owner's wallet
+ * @param {Uint8Array|ArrayBuffer|Blob} data - The content
+ * @param {Object} options - wallet ({ address, signMessage(message), getEncryptionPublicKey() }),
+ * method (one of KEY_WRAPPING, defaults to SIGNATURE), and the file's name and type
+ * @returns {Promise<Uint8Array>} - The envelope
+ */
+export const encryptContent = async (data, { wallet, method = KEY_WRAPPING.SIGNATURE, name = '', type = '' } = {}) => {
+  if (!wallet || !wallet.address) {
+    throw new Error('A wallet is required to encrypt content');
+  }
+
+  const content = await toBytes(data);
+  if (content.length > MAX_UNLOCKABLE_BYTES) {
+    throw createUnlockableError(`Unlockable content is limited to ${MAX_UNLOCKABLE_BYTES} bytes`, 'MAX_BYTES_EXCEEDED');
+  }
+
+  const contentKey = randomBytes(KEY_LENGTH);
+  const iv = randomBytes(IV_LENGTH);
+  try {
+    const header = encoder.encode(JSON.stringify({
+      cipher: CONTENT_CIPHER,
+      iv: toBase64(iv),
+      recipient: wallet.address.toLowerCase(),
+      name,
+      type,
+      size: content.length,
+      key: await wrapContentKey(contentKey, method, wallet)
+    }));
+
+    const prefix = new Uint8Array(PREFIX_LENGTH + header.length);
+    prefix.set(encoder.encode(ENVELOPE_MAGIC), 0);
+    prefix[4] = ENVELOPE_VERSION;
+    new DataView(prefix.buffer).setUint32(5, header.length);
+    prefix.set(header, PREFIX_LENGTH);
+
+    // The prefix is authenticated with the content, so the header cannot be swapped or edited
+    const aesKey = await crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['encrypt']);
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: prefix },
+      aesKey,
+      content
+    ));
+
+    const envelope = new Uint8Array(prefix.length + ciphertext.length);
+    envelope.set(prefix, 0);
+    envelope.set(ciphertext, prefix.length);
+    return envelope;
+  } finally {
+    contentKey.fill(0);
+  }
+};
+
+/**
+ * Split an envelope into its authenticated prefix, header and ciphertext
+ * @param {Uint8Array} envelope - The envelope
+ * @returns {Object} - { prefix, header, ciphertext }
+ */
+const parseEnvelope = (envelope) => {
+  if (!(envelope instanceof Uint8Array) || envelope.length < PREFIX_LENGTH
+    || decoder.decode(envelope.subarray(0, 4)) !== ENVELOPE_MAGIC) {
+    throw createUnlockableError('Not an unlockable content envelope', 'INVALID_ENVELOPE');
+  }
+  if (envelope[4] !== ENVELOPE_VERSION) {
+    throw createUnlockableError(`Unsupported envelope version ${envelope[4]}`, 'INVALID_ENVELOPE');
+  }
+
+  const headerLength = new DataView(envelope.buffer, envelope.byteOffset, envelope.byteLength).getUint32(5);
+  if (headerLength > MAX_HEADER_BYTES || PREFIX_LENGTH + headerLength > envelope.length) {
+    throw createUnlockableError('Envelope header length is out of range', 'INVALID_ENVELOPE');
+  }
+
+  let header;
+  try {
+    header = JSON.parse(decoder.decode(envelope.subarray(PREFIX_LENGTH, PREFIX_LENGTH + headerLength)));
+  } catch (error) {
+    throw createUnlockableError(`Envelope header is not valid JSON: ${error.message}`, 'INVALID_ENVELOPE');
+  }
+  if (!header || header.cipher !== CONTENT_CIPHER || typeof header.iv !== 'string'
+    || typeof header.recipient !== 'string' || !header.key || typeof header.key !== 'object') {
+    throw createUnlockableError('Envelope header is missing required fields', 'INVALID_ENVELOPE');
+  }
+
+  return {
+    prefix: envelope.subarray(0, PREFIX_LENGTH + headerLength),
+    header,
+    ciphertext: envelope.subarray(PREFIX_LENGTH + headerLength)
+  };
+};
+
+/**
+ * Read an envelope's header without decrypting it
+ * @param {Uint8Array} envelope - The envelope
+ * @returns {Object} - { cipher, iv, recipient, name, type, size, key }
+ */
+export const readEnvelopeHeader = (envelope) => parseEnvelope(envelope).header;
+
+/**
+ * Decrypt an envelope with the owner's wallet
+ * @param {Uint8Array} envelope - The envelope
+ * @param {Object} options - wallet ({ address, signMessage(message), decrypt(encryptedData) })
+ * @returns {Promise<Object>} - { data, name, type, size } with data as a Uint8Array
+ */
+export const decryptContent = async (envelope, { wallet } = {}) => {
+  const { prefix, header, ciphertext } = parseEnvelope(envelope);
+
+  if (!wallet || !wallet.address || wallet.address.toLowerCase() !== header.recipient) {
+    throw createUnlockableError(`Only ${header.recipient} can unlock this content`, 'NOT_RECIPIENT');
+  }
+
+  const contentKey = await unwrapContentKey(header.key, wallet);
+  let data;
+  try {
+    const aesKey = await crypto.subtle.importKey('raw', contentKey, 'AES-GCM', false, ['decrypt']);
+    data = new Uint8Array(await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(header.iv), additionalData: prefix },
+      aesKey,
+      ciphertext
+    ));
+  } catch (error) {
+    throw createUnlockableError('Unlockable content failed authentication; it has been altered or is corrupt', 'DECRYPTION_FAILED');
+  } finally {
+    contentKey.fill(0);
+  }
+
+  return {
+    data,
+    name: header.name || '',
+    type: header.type || '',
+    size: data.length
+  };
+};
+
+/**
+ * Get the CID of a metadata document's unlockable content
+ * @param {Object} metadata - NFT metadata
+ * @returns {string|null} - The encrypted file's CID, or null if there is none
+ */
+export const getUnlockableCid = (metadata) => {
+  if (!metadata || !metadata[UNLOCKABLE_FIELD]) {
+    return null;
+  }
+  try {
+    return parseCidReference(metadata[UNLOCKABLE_FIELD]).cid;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  ENVELOPE_MAGIC,
+  ENVELOPE_VERSION,
+  CONTENT_CIPHER,
+  KEY_WRAPPING,
+  MAX_UNLOCKABLE_BYTES,
+  UNLOCKABLE_FIELD,
+  getKeyDerivationMessage,
+  encryptContent,
+  readEnvelopeHeader,
+  decryptContent,
+  getUnlockableCid
+};
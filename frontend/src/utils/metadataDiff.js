@@ -0,0 +1,85 @@
+/**
+ * Field-level diff between two NFT metadata JSON documents
+ */
+
+/**
+ * Get the path keys of a metadata document's attributes
+ * An attribute is keyed by its trait_type, so reordering attributes is not reported as a change.
+ * ERC-721 allows a trait_type to repeat, so the second and later occurrences get #2, #3 and so
+ * on; attributes without a trait_type are numbered among themselves as #1, #2 and so on.
+ * @param {Array} attributes - The attributes array
+ * @returns {Array<string>} - One key per attribute
+ */
+const getAttributeKeys = (attributes) => {
+  const occurrences = new Map();
+  return attributes.map(item => {
+    const traitType = item && typeof item === 'object' && item.trait_type !== undefined ? String(item.trait_type) : null;
+    const count = (occurrences.get(traitType) || 0) + 1;
+    occurrences.set(traitType, count);
+    if (traitType === null) {
+      return `#${count}`;
+    }
+    return count === 1 ? traitType : `${traitType}#${count}`;
+  });
+};
+
+/**
+ * Flatten a metadata document into path/value pairs
+ * @param {*} value - The value to flatten
+ * @param {string} path - Path of the value
+ * @param {Object} result - Accumulator
+ * @returns {Object} - Map from path to primitive value
+ */
+const flatten = (value, path = '', result = {}) => {
+  if (Array.isArray(value) && path === 'attributes') {
+    const keys = getAttributeKeys(value);
+    value.forEach((item, index) => {
+      if (item && typeof item === 'object' && item.trait_type !== undefined) {
+        // The trait type is already in the path
+        const { trait_type: traitType, ...rest } = item;
+        flatten(rest, `${path}[${keys[index]}]`, result);
+      } else {
+        flatten(item, `${path}[${keys[index]}]`, result);
+      }
+    });
+  } else if (Array.isArray(value)) {
+    value.forEach((item, index) => {
+      flatten(item, `${path}[${index}]`, result);
+    });
+  } else if (value !== null && typeof value === 'object') {
+    Object.keys(value).forEach(key => {
+      flatten(value[key], path ? `${path}.${key}` : key, result);
+    });
+  } else {
+    result[path] = value;
+  }
+  return result;
+};
+
+/**
+ * Diff two metadata documents
+ * @param {Object} before - The older document
+ * @param {Object} after - The newer document
+ * @returns {Array<Object>} - Changes as { path, type, before, after }, type being added, removed or changed
+ */
+export const diffMetadata = (before = {}, after = {}) => {
+  const oldFields = flatten(before || {});
+  const newFields = flatten(after || {});
+  const paths = [...new Set([...Object.keys(oldFields), ...Object.keys(newFields)])].sort();
+
+  return paths.reduce((changes, path) => {
+    const inOld = Object.prototype.hasOwnProperty.call(oldFields, path);
+    const inNew = Object.prototype.hasOwnProperty.call(newFields, path);
+
+    if (inOld && !inNew) {
+      changes.push({ path, type: 'removed', before: oldFields[path], after: undefined });
+    } else if (!inOld && inNew) {
+      changes.push({ path, type: 'added', before: undefined, after: newFields[path] });
+    } else if (oldFields[path] !== newFields[path]) {
+      changes.push({ path, type: 'changed', before: oldFields[path], after: newFields[path] });
+    }
+    return changes;
+  }, []);
+};
+
+export default diffMetadata;
@@ -1,5 +1,22 @@
 import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+// Deployment blocks recorded by the deploy scripts in deployments/<network>.json, keyed by
+// lowercase contract address, so the collection indexer starts replaying where the contract begins
+const readDeployBlocks = () => {
+  const dir = fileURLToPath(new URL('../deployments', import.meta.url))
+  if (!fs.existsSync(dir)) {
+    return {}
+  }
+  return Object.fromEntries(fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf-8')))
+    .filter(info => info.contractAddress && Number.isInteger(info.blockNumber))
+    .map(info => [info.contractAddress.toLowerCase(), info.blockNumber]))
+}
 
 // https://vitejs.dev/config/
 export default defineConfig(({ command, mode }) => {
@@ -40,7 +57,8 @@ export default defineConfig(({ command, mode }) => {
     // Define global constants
     define: {
       __APP_VERSION__: JSON.stringify(process.env.npm_package_version),
-      __APP_BUILD_DATE__: JSON.stringify(new Date().toISOString())
+      __APP_BUILD_DATE__: JSON.stringify(new Date().toISOString()),
+      __CONTRACT_DEPLOY_BLOCKS__: JSON.stringify(readDeployBlocks())
     }
   }
 })
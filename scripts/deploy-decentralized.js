@@ -1,5 +1,5 @@
 // Deploy script for XineteDecentralizedStorage contract
-const { ethers } = require("hardhat");
+const { ethers, network } = require("hardhat");
 
 async function main() {
   console.log("Deploying XineteDecentralizedStorage contract...");
@@ -11,7 +11,7 @@ async function main() {
   const contract = await XineteDecentralizedStorage.deploy();
   
   // Wait for deployment to complete
-  await contract.waitForDeployment();
+  const receipt = await contract.deploymentTransaction().wait();
   
   // Get the deployed contract address
   const contractAddress = await contract.getAddress();
@@ -21,6 +21,7 @@ async function main() {
 
   // Save this to know where the contract is deployed
   saveContractAddress(contractAddress);
+  saveDeploymentInfo(contractAddress, receipt.blockNumber);
   
   return contractAddress;
 }
@@ -40,6 +41,30 @@ function saveContractAddress(address) {
   console.log("Contract address saved to contract-address.json");
 }
 
+function saveDeploymentInfo(address, blockNumber) {
+  const fs = require("fs");
+  const path = require("path");
+  const deploymentInfo = {
+    network: network.name,
+    contractAddress: address,
+    deploymentTime: new Date().toISOString(),
+    // The collection indexer replays events from here
+    blockNumber
+  };
+  
+  const deploymentsDir = path.join(__dirname, "../deployments");
+  if (!fs.existsSync(deploymentsDir)) {
+    fs.mkdirSync(deploymentsDir);
+  }
+  
+  fs.writeFileSync(
+    path.join(deploymentsDir, `${network.name}.json`),
+    JSON.stringify(deploymentInfo, null, 2)
+  );
+  
+  console.log(`Deployment info saved to deployments/${network.name}.json`);
+}
+
 // Run the deployment
 main()
   .then(() => process.exit(0))
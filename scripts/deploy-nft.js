@@ -0,0 +1,83 @@
+const hre = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+async function main() {
+  console.log("Starting deployment to", hre.network.name, "network...");
+
+  const [deployer] = await hre.ethers.getSigners();
+
+  // Collection settings can be overridden from the environment
+  const name = process.env.NFT_NAME || "Xinete NFT";
+  const symbol = process.env.NFT_SYMBOL || "XNFT";
+  const royaltyReceiver = process.env.NFT_ROYALTY_RECEIVER || deployer.address;
+  const royaltyBps = Number(process.env.NFT_ROYALTY_BPS || 500);
+  const constructorArguments = [name, symbol, royaltyReceiver, royaltyBps];
+
+  console.log("Deploying XineteNFT contract...");
+  console.log(`Collection: ${name} (${symbol}), royalty ${royaltyBps / 100}% to ${royaltyReceiver}`);
+
+  // Get contract factory
+  const XineteNFT = await hre.ethers.getContractFactory("XineteNFT");
+
+  // Deploy contract
+  console.log("Deploying...");
+  const xineteNFT = await XineteNFT.deploy(...constructorArguments);
+
+  console.log("Waiting for deployment transaction confirmation...");
+  const receipt = await xineteNFT.deploymentTransaction().wait();
+  const address = await xineteNFT.getAddress();
+
+  console.log("XineteNFT deployed to:", address);
+
+  // Save deployment information to a file
+  const deploymentInfo = {
+    network: hre.network.name,
+    contractAddress: address,
+    constructorArguments,
+    deploymentTime: new Date().toISOString(),
+    blockNumber: receipt.blockNumber
+  };
+
+  // Create deployments directory if it doesn't exist
+  const deploymentsDir = path.join(__dirname, "../deployments");
+  if (!fs.existsSync(deploymentsDir)) {
+    fs.mkdirSync(deploymentsDir);
+  }
+
+  // Save deployment info next to the storage contract's deployment
+  fs.writeFileSync(
+    path.join(deploymentsDir, `${hre.network.name}-nft.json`),
+    JSON.stringify(deploymentInfo, null, 2)
+  );
+  console.log(`Deployment info saved to deployments/${hre.network.name}-nft.json`);
+
+  // If we're on a testnet or mainnet, wait for verification
+  if (hre.network.name !== "hardhat" && hre.network.name !== "localhost") {
+    console.log("Waiting for 6 block confirmations before verification...");
+    await xineteNFT.deploymentTransaction().wait(6);
+
+    console.log("Verifying contract on block explorer...");
+    try {
+      await hre.run("verify:verify", {
+        address: address,
+        constructorArguments
+      });
+      console.log("Contract verified successfully!");
+    } catch (error) {
+      console.error("Error verifying contract:", error.message);
+    }
+  }
+
+  return address;
+}
+
+main()
+  .then(() => {
+    console.log("Deployment successful!");
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error("Deployment failed:", error);
+    process.exit(1);
+  });
@@ -15,7 +15,7 @@ async function main() {
   const xineteStorage = await XineteStorage.deploy();
 
   console.log("Waiting for deployment transaction confirmation...");
-  await xineteStorage.waitForDeployment();
+  const receipt = await xineteStorage.deploymentTransaction().wait();
   const address = await xineteStorage.getAddress();
 
   console.log("XineteDecentralizedStorage deployed to:", address);
@@ -25,7 +25,8 @@ async function main() {
     network: hre.network.name,
     contractAddress: address,
     deploymentTime: new Date().toISOString(),
-    blockNumber: await hre.ethers.provider.getBlockNumber()
+    // The collection indexer replays events from here
+    blockNumber: receipt.blockNumber
   };
   
   // Create deployments directory if it doesn't exist
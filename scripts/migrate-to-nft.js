@@ -0,0 +1,61 @@
+// Mints XineteNFT tokens for every CID still registered on XineteDecentralizedStorage
+const hre = require("hardhat");
+
+async function main() {
+  const storageAddress = process.env.STORAGE_CONTRACT_ADDRESS;
+  const nftAddress = process.env.NFT_CONTRACT_ADDRESS;
+  const fromBlock = Number(process.env.MIGRATION_FROM_BLOCK || 0);
+
+  if (!storageAddress || !nftAddress) {
+    throw new Error("Set STORAGE_CONTRACT_ADDRESS and NFT_CONTRACT_ADDRESS");
+  }
+
+  const storage = await hre.ethers.getContractAt("XineteDecentralizedStorage", storageAddress);
+  const nft = await hre.ethers.getContractAt("XineteNFT", nftAddress);
+  // The storage contract keeps CIDs in compact form; XineteNFT takes CID strings
+  const { toCompactCid, fromCompactCid } = await import("../frontend/src/services/cidUtils.js");
+
+  // Every CID that was ever stored or updated to is a migration candidate
+  console.log(`Collecting CIDs from block ${fromBlock}...`);
+  const stored = await storage.queryFilter(storage.filters.MetadataStored(), fromBlock);
+  const updated = await storage.queryFilter(storage.filters.MetadataUpdated(), fromBlock);
+  const candidates = new Set([
+    ...stored.map((event) => fromCompactCid(event.args.cid)),
+    ...updated.map((event) => fromCompactCid(event.args.newCid))
+  ]);
+
+  let migrated = 0;
+  let skipped = 0;
+
+  for (const cid of candidates) {
+    // Skip CIDs that were since replaced or removed
+    const compact = toCompactCid(cid);
+    const owner = await storage.getMetadataOwner(compact);
+    if (owner === hre.ethers.ZeroAddress) {
+      skipped++;
+      continue;
+    }
+
+    // Skip CIDs already migrated by an earlier run
+    if ((await nft.getTokenIdByCID(cid)) !== 0n) {
+      skipped++;
+      continue;
+    }
+
+    const info = await storage.getMetadataInfo(compact);
+    const tx = await nft.migrateMetadata(owner, cid, info.hash.slice(2), info.nftName, info.imageURI);
+    await tx.wait();
+
+    console.log(`Migrated ${cid} to ${owner} (tx ${tx.hash})`);
+    migrated++;
+  }
+
+  console.log(`Migration complete: ${migrated} migrated, ${skipped} skipped`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("Migration failed:", error);
+    process.exit(1);
+  });
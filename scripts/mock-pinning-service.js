@@ -0,0 +1,196 @@
+const http = require("http");
+const crypto = require("crypto");
+
+/**
+ * Local mock of the IPFS Pinning Services API (https://ipfs.github.io/pinning-services-api-spec/)
+ * Pins are only recorded, never fetched: each one moves from queued to pinning to pinned
+ * after pinDelay milliseconds, or to failed if its CID is in failCids.
+ *
+ * Run it with `npm run mock-pinning` and add it to VITE_PINNING_SERVICES in frontend/.env:
+ *   [{"name":"mock","endpoint":"http://localhost:3700","accessToken":"mock-token"}]
+ */
+
+const STATUSES = ["queued", "pinning", "pinned", "failed"];
+
+function createMockPinningServer({ accessToken = "mock-token", pinDelay = 0, failCids = [] } = {}) {
+  // requestid -> { requestid, created, pin }
+  const pins = new Map();
+
+  // Status is derived from the pin's age so no timers are left running
+  function statusOf(entry) {
+    if (failCids.includes(entry.pin.cid)) {
+      return "failed";
+    }
+    const age = Date.now() - new Date(entry.created).getTime();
+    if (age >= pinDelay) {
+      return "pinned";
+    }
+    return age >= pinDelay / 2 ? "pinning" : "queued";
+  }
+
+  function toPinStatus(entry) {
+    return {
+      requestid: entry.requestid,
+      status: statusOf(entry),
+      created: entry.created,
+      pin: entry.pin,
+      delegates: [],
+      info: {}
+    };
+  }
+
+  function send(res, status, body = null) {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "Authorization, Content-Type",
+      "Access-Control-Allow-Methods": "GET, POST, DELETE, OPTIONS"
+    });
+    res.end(body === null ? undefined : JSON.stringify(body));
+  }
+
+  function sendError(res, status, reason, details) {
+    send(res, status, { error: { reason, details } });
+  }
+
+  function readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on("data", chunk => chunks.push(chunk));
+      req.on("end", () => {
+        try {
+          resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString()) : {});
+        } catch (error) {
+          reject(error);
+        }
+      });
+      req.on("error", reject);
+    });
+  }
+
+  function validatePin(body) {
+    if (!body || typeof body.cid !== "string" || body.cid.trim() === "") {
+      return "cid is required";
+    }
+    if (body.origins !== undefined && !Array.isArray(body.origins)) {
+      return "origins must be an array";
+    }
+    return null;
+  }
+
+  function createEntry(pin) {
+    const entry = {
+      requestid: crypto.randomUUID(),
+      created: new Date().toISOString(),
+      pin: {
+        cid: pin.cid,
+        ...(pin.name ? { name: pin.name } : {}),
+        ...(pin.origins ? { origins: pin.origins } : {}),
+        ...(pin.meta ? { meta: pin.meta } : {})
+      }
+    };
+    pins.set(entry.requestid, entry);
+    return entry;
+  }
+
+  function listPins(query) {
+    const cids = query.get("cid") ? query.get("cid").split(",") : null;
+    const statuses = query.get("status") ? query.get("status").split(",") : ["pinned"];
+    const name = query.get("name");
+    const limit = Math.min(Number(query.get("limit") || 10), 1000);
+
+    const results = [...pins.values()]
+      .map(toPinStatus)
+      .filter(pinStatus => !cids || cids.includes(pinStatus.pin.cid))
+      .filter(pinStatus => statuses.includes(pinStatus.status))
+      .filter(pinStatus => !name || pinStatus.pin.name === name)
+      .sort((a, b) => b.created.localeCompare(a.created));
+
+    return { count: results.length, results: results.slice(0, limit) };
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (req.method === "OPTIONS") {
+      send(res, 204);
+      return;
+    }
+
+    if (req.headers.authorization !== `Bearer ${accessToken}`) {
+      sendError(res, 401, "UNAUTHORIZED", "Access token is missing or invalid");
+      return;
+    }
+
+    const url = new URL(req.url, "http://localhost");
+    const [, collection, requestid] = url.pathname.split("/");
+    if (collection !== "pins") {
+      sendError(res, 404, "NOT_FOUND", `No route for ${url.pathname}`);
+      return;
+    }
+
+    try {
+      if (!requestid && req.method === "GET") {
+        const statuses = url.searchParams.get("status");
+        if (statuses && statuses.split(",").some(status => !STATUSES.includes(status))) {
+          sendError(res, 400, "BAD_REQUEST", `Unknown status in "${statuses}"`);
+          return;
+        }
+        send(res, 200, listPins(url.searchParams));
+        return;
+      }
+
+      if (!requestid && req.method === "POST") {
+        const body = await readBody(req);
+        const invalid = validatePin(body);
+        if (invalid) {
+          sendError(res, 400, "BAD_REQUEST", invalid);
+          return;
+        }
+        send(res, 202, toPinStatus(createEntry(body)));
+        return;
+      }
+
+      const entry = pins.get(requestid);
+      if (!entry) {
+        sendError(res, 404, "NOT_FOUND", `No pin request ${requestid}`);
+        return;
+      }
+
+      if (req.method === "GET") {
+        send(res, 200, toPinStatus(entry));
+      } else if (req.method === "POST") {
+        // Replace: the old request is removed and a new one created
+        const body = await readBody(req);
+        const invalid = validatePin(body);
+        if (invalid) {
+          sendError(res, 400, "BAD_REQUEST", invalid);
+          return;
+        }
+        pins.delete(requestid);
+        send(res, 202, toPinStatus(createEntry(body)));
+      } else if (req.method === "DELETE") {
+        pins.delete(requestid);
+        send(res, 202);
+      } else {
+        sendError(res, 405, "METHOD_NOT_ALLOWED", `${req.method} is not supported`);
+      }
+    } catch (error) {
+      sendError(res, 400, "BAD_REQUEST", error.message);
+    }
+  });
+
+  server.pins = pins;
+  return server;
+}
+
+module.exports = { createMockPinningServer };
+
+if (require.main === module) {
+  const port = Number(process.env.PORT || 3700);
+  const server = createMockPinningServer({
+    accessToken: process.env.MOCK_PINNING_TOKEN || "mock-token",
+    pinDelay: Number(process.env.MOCK_PIN_DELAY_MS || 2000)
+  });
+  server.listen(port, () => {
+    console.log(`Mock pinning service listening on http://localhost:${port}`);
+  });
+}
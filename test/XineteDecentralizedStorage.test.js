@@ -0,0 +1,722 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("XineteDecentralizedStorage", function () {
+  // CIDs in the contract's compact form, [sha2-256 digest, multicodec]. Test digests and hashes
+  // spell out their label, padded to 32 non-zero bytes so calldata costs the same for every label.
+  const DAG_PB = 0x70n;
+  const RAW = 0x55n;
+  const NO_CID = [ethers.ZeroHash, 0n];
+  const bytes32 = (text) => ethers.hexlify(ethers.toUtf8Bytes(text.padStart(32, "_")));
+  const cid = (label, codec = DAG_PB) => [bytes32(label), codec];
+  const hash = (label) => bytes32(`hash:${label}`);
+
+  // Sample metadata entries used throughout the suite
+  const CID_1 = cid("metadata-1");
+  const CID_2 = cid("metadata-2");
+  const CID_3 = cid("metadata-3");
+  const HASH_1 = "0x9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08";
+  const HASH_2 = "0x60303ae22b998861bce3b28f33eec1be758a213c86c93c076dbe9f558c11c752";
+  const HASH_3 = "0xfd61a03af4f77d870fc21e05e7e80678095c92d808cfb3b5c279ee04c74aca13";
+  const NAME_1 = "Genesis";
+  const IMAGE_1 = "ipfs://QmPChd2hVbrJ6bfo3WBcTW4iZnpHm8TEzWkLHmLpXhF68A";
+
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const XineteDecentralizedStorage = await ethers.getContractFactory("XineteDecentralizedStorage");
+    const storage = await XineteDecentralizedStorage.deploy();
+    await storage.waitForDeployment();
+
+    return { storage, owner, alice, bob };
+  }
+
+  // Deploys and registers three CIDs for alice, in order
+  async function storedFixture() {
+    const fixture = await loadFixture(deployFixture);
+    const { storage, alice } = fixture;
+
+    await storage.connect(alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+    await storage.connect(alice).storeMetadata(CID_2, HASH_2, "Second", "ipfs://image-2");
+    await storage.connect(alice).storeMetadata(CID_3, HASH_3, "Third", "ipfs://image-3");
+
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("runs on the in-process hardhat network", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      expect(network.name).to.equal("hardhat");
+      expect(chainId).to.equal(1337n);
+    });
+
+    it("starts with no metadata", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([]);
+      expect(await storage.getMetadataOwner(CID_1)).to.equal(ethers.ZeroAddress);
+      expect(await storage.getCIDByHash(HASH_1)).to.deep.equal(NO_CID);
+      expect(await storage.verifyMetadata(CID_1, HASH_1)).to.equal(false);
+    });
+  });
+
+  describe("storeMetadata", function () {
+    it("stores the CID and its extended info", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+
+      await storage.connect(alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+      const timestamp = await time.latest();
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1]);
+      expect(await storage.getMetadataOwner(CID_1)).to.equal(alice.address);
+      expect(await storage.getCIDByHash(HASH_1)).to.deep.equal(CID_1);
+
+      const info = await storage.getMetadataInfo(CID_1);
+      expect(info.cid).to.deep.equal(CID_1);
+      expect(info.hash).to.equal(HASH_1);
+      expect(info.timestamp).to.equal(timestamp);
+      expect(info.nftName).to.equal(NAME_1);
+      expect(info.imageURI).to.equal(IMAGE_1);
+    });
+
+    it("emits MetadataStored", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+
+      const tx = await storage.connect(alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+      const timestamp = await time.latest();
+
+      await expect(tx)
+        .to.emit(storage, "MetadataStored")
+        .withArgs(alice.address, CID_1, HASH_1, NAME_1, timestamp);
+    });
+
+    it("reverts on an empty CID", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+
+      await expect(storage.connect(alice).storeMetadata(NO_CID, HASH_1, NAME_1, IMAGE_1))
+        .to.be.revertedWith("CID cannot be empty");
+    });
+
+    it("reverts on an empty hash", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+
+      await expect(storage.connect(alice).storeMetadata(CID_1, ethers.ZeroHash, NAME_1, IMAGE_1))
+        .to.be.revertedWith("Hash cannot be empty");
+    });
+
+    it("reverts when the CID is already registered", async function () {
+      const { storage, alice, bob } = await storedFixture();
+
+      await expect(storage.connect(alice).storeMetadata(CID_1, hash("another"), NAME_1, IMAGE_1))
+        .to.be.revertedWith("CID already registered");
+      await expect(storage.connect(bob).storeMetadata(CID_1, hash("another"), NAME_1, IMAGE_1))
+        .to.be.revertedWith("CID already registered");
+    });
+
+    it("reverts when the hash already exists", async function () {
+      const { storage, bob } = await storedFixture();
+
+      await expect(storage.connect(bob).storeMetadata(cid("unused"), HASH_1, NAME_1, IMAGE_1))
+        .to.be.revertedWith("Hash already exists");
+    });
+
+    it("treats the codec as part of the CID", async function () {
+      const { storage, alice, bob } = await loadFixture(deployFixture);
+      const [digest] = CID_1;
+
+      await storage.connect(alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+      await storage.connect(bob).storeMetadata([digest, RAW], HASH_2, "Raw", "");
+
+      expect(await storage.getMetadataOwner(CID_1)).to.equal(alice.address);
+      expect(await storage.getMetadataOwner([digest, RAW])).to.equal(bob.address);
+      expect(await storage.verifyMetadata([digest, RAW], HASH_1)).to.equal(false);
+      expect(await storage.getCIDByHash(HASH_2)).to.deep.equal([digest, RAW]);
+    });
+
+    it("accepts an empty name and image URI", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+
+      await storage.connect(alice).storeMetadata(CID_1, HASH_1, "", "");
+
+      const info = await storage.getMetadataInfo(CID_1);
+      expect(info.nftName).to.equal("");
+      expect(info.imageURI).to.equal("");
+    });
+  });
+
+  describe("storeMetadataBatch", function () {
+    // Realistic lengths: raw metadata CIDs, SHA-256 hashes and ipfs:// image URIs
+    function makeBatch(count, prefix = "batch") {
+      const ids = [...Array(count)].map((_, i) => `${prefix}${String(i).padStart(4, "0")}`);
+      return [
+        ids.map(id => cid(id, RAW)),
+        ids.map(id => hash(id)),
+        ids.map(id => `Collection Item ${id}`),
+        ids.map(id => `ipfs://bafybei${id.padStart(52, "0")}`)
+      ];
+    }
+
+    it("stores every entry in order", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const [cids, hashes, names, images] = makeBatch(3);
+
+      await storage.connect(alice).storeMetadataBatch(cids, hashes, names, images);
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal(cids);
+      for (let i = 0; i < cids.length; i++) {
+        expect(await storage.getMetadataOwner(cids[i])).to.equal(alice.address);
+        expect(await storage.getCIDByHash(hashes[i])).to.deep.equal(cids[i]);
+        const info = await storage.getMetadataInfo(cids[i]);
+        expect(info.nftName).to.equal(names[i]);
+        expect(info.imageURI).to.equal(images[i]);
+      }
+    });
+
+    it("appends after existing entries and keeps removal indexes right", async function () {
+      const { storage, alice } = await storedFixture();
+      const [cids, hashes, names, images] = makeBatch(2);
+
+      await storage.connect(alice).storeMetadataBatch(cids, hashes, names, images);
+      await storage.connect(alice).removeMetadata(CID_2);
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1, cids[1], CID_3, cids[0]]);
+    });
+
+    it("emits MetadataStored for each entry", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const [cids, hashes, names, images] = makeBatch(2);
+
+      const tx = await storage.connect(alice).storeMetadataBatch(cids, hashes, names, images);
+      const timestamp = await time.latest();
+
+      await expect(tx).to.emit(storage, "MetadataStored").withArgs(alice.address, cids[0], hashes[0], names[0], timestamp);
+      await expect(tx).to.emit(storage, "MetadataStored").withArgs(alice.address, cids[1], hashes[1], names[1], timestamp);
+      expect((await tx.wait()).logs).to.have.length(2);
+    });
+
+    it("reverts on an empty batch", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+
+      await expect(storage.connect(alice).storeMetadataBatch([], [], [], []))
+        .to.be.revertedWith("Batch is empty");
+    });
+
+    it("reverts when the arrays differ in length", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const [cids, hashes, names, images] = makeBatch(2);
+
+      await expect(storage.connect(alice).storeMetadataBatch(cids, hashes.slice(1), names, images))
+        .to.be.revertedWith("Array lengths do not match");
+      await expect(storage.connect(alice).storeMetadataBatch(cids, hashes, names, images.slice(1)))
+        .to.be.revertedWith("Array lengths do not match");
+    });
+
+    it("reverts above MAX_BATCH_SIZE", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const max = Number(await storage.MAX_BATCH_SIZE());
+
+      await expect(storage.connect(alice).storeMetadataBatch(...makeBatch(max + 1)))
+        .to.be.revertedWith("Batch too large");
+    });
+
+    it("fits a full batch in a block", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const max = Number(await storage.MAX_BATCH_SIZE());
+
+      const receipt = await (await storage.connect(alice).storeMetadataBatch(...makeBatch(max))).wait();
+      const { gasLimit } = await ethers.provider.getBlock("latest");
+
+      expect(receipt.gasUsed).to.be.lessThan(gasLimit);
+      expect(await storage.getUserMetadataCount(alice.address)).to.equal(BigInt(max));
+    });
+
+    it("reverts the whole batch when a CID is already registered", async function () {
+      const { storage, bob } = await storedFixture();
+      const [cids, hashes, names, images] = makeBatch(3);
+      cids[2] = CID_1;
+
+      await expect(storage.connect(bob).storeMetadataBatch(cids, hashes, names, images))
+        .to.be.revertedWith("CID already registered");
+      expect(await storage.getUserMetadataCIDs(bob.address)).to.deep.equal([]);
+      expect(await storage.getMetadataOwner(cids[0])).to.equal(ethers.ZeroAddress);
+    });
+
+    it("reverts the whole batch when a hash already exists", async function () {
+      const { storage, alice } = await storedFixture();
+      const [cids, hashes, names, images] = makeBatch(3);
+      hashes[1] = HASH_2;
+
+      await expect(storage.connect(alice).storeMetadataBatch(cids, hashes, names, images))
+        .to.be.revertedWith("Hash already exists");
+      expect(await storage.getUserMetadataCount(alice.address)).to.equal(3n);
+    });
+
+    it("reverts on a CID or hash repeated within the batch", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const [cids, hashes, names, images] = makeBatch(3);
+
+      await expect(storage.connect(alice).storeMetadataBatch([cids[0], cids[1], cids[0]], hashes, names, images))
+        .to.be.revertedWith("CID already registered");
+      await expect(storage.connect(alice).storeMetadataBatch(cids, [hashes[0], hashes[0], hashes[2]], names, images))
+        .to.be.revertedWith("Hash already exists");
+      expect(await storage.getUserMetadataCount(alice.address)).to.equal(0n);
+    });
+
+    it("reverts on an empty CID or hash anywhere in the batch", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const [cids, hashes, names, images] = makeBatch(2);
+
+      await expect(storage.connect(alice).storeMetadataBatch([cids[0], NO_CID], hashes, names, images))
+        .to.be.revertedWith("CID cannot be empty");
+      await expect(storage.connect(alice).storeMetadataBatch(cids, [hashes[0], ethers.ZeroHash], names, images))
+        .to.be.revertedWith("Hash cannot be empty");
+    });
+
+    it("costs less per entry than separate transactions", async function () {
+      const { storage, alice, bob } = await loadFixture(deployFixture);
+      const [cids, hashes, names, images] = makeBatch(10, "single");
+
+      let separate = 0n;
+      for (let i = 0; i < cids.length; i++) {
+        const receipt = await (await storage.connect(alice).storeMetadata(cids[i], hashes[i], names[i], images[i])).wait();
+        separate += receipt.gasUsed;
+      }
+      const batched = (await (await storage.connect(bob).storeMetadataBatch(...makeBatch(10, "batchd"))).wait()).gasUsed;
+
+      expect(batched).to.be.lessThan(separate);
+    });
+  });
+
+  describe("updateMetadata", function () {
+    const NEW_CID = cid("updated");
+    const NEW_HASH = hash("updated");
+
+    it("replaces the CID in place and moves all mappings", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).updateMetadata(CID_2, NEW_CID, NEW_HASH, "Renamed", "ipfs://new-image");
+      const timestamp = await time.latest();
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1, NEW_CID, CID_3]);
+      expect(await storage.getMetadataOwner(CID_2)).to.equal(ethers.ZeroAddress);
+      expect(await storage.getMetadataOwner(NEW_CID)).to.equal(alice.address);
+      expect(await storage.getCIDByHash(HASH_2)).to.deep.equal(NO_CID);
+      expect(await storage.getCIDByHash(NEW_HASH)).to.deep.equal(NEW_CID);
+
+      const info = await storage.getMetadataInfo(NEW_CID);
+      expect(info.cid).to.deep.equal(NEW_CID);
+      expect(info.hash).to.equal(NEW_HASH);
+      expect(info.timestamp).to.equal(timestamp);
+      expect(info.nftName).to.equal("Renamed");
+      expect(info.imageURI).to.equal("ipfs://new-image");
+
+      await expect(storage.getMetadataInfo(CID_2)).to.be.revertedWith("Metadata does not exist");
+    });
+
+    it("emits MetadataUpdated", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await expect(storage.connect(alice).updateMetadata(CID_1, NEW_CID, NEW_HASH, NAME_1, IMAGE_1))
+        .to.emit(storage, "MetadataUpdated")
+        .withArgs(alice.address, CID_1, NEW_CID, NEW_HASH);
+    });
+
+    it("frees the old CID and hash for reuse", async function () {
+      const { storage, alice, bob } = await storedFixture();
+
+      await storage.connect(alice).updateMetadata(CID_1, NEW_CID, NEW_HASH, NAME_1, IMAGE_1);
+      await storage.connect(bob).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+
+      expect(await storage.getMetadataOwner(CID_1)).to.equal(bob.address);
+      expect(await storage.verifyMetadata(CID_1, HASH_1)).to.equal(true);
+    });
+
+    it("reverts when the caller does not own the old CID", async function () {
+      const { storage, bob } = await storedFixture();
+
+      await expect(storage.connect(bob).updateMetadata(CID_1, NEW_CID, NEW_HASH, NAME_1, IMAGE_1))
+        .to.be.revertedWith("Not the owner of this metadata");
+    });
+
+    it("reverts when the old CID does not exist", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await expect(storage.connect(alice).updateMetadata(cid("missing"), NEW_CID, NEW_HASH, NAME_1, IMAGE_1))
+        .to.be.revertedWith("Not the owner of this metadata");
+    });
+
+    it("reverts on an empty new CID", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await expect(storage.connect(alice).updateMetadata(CID_1, NO_CID, NEW_HASH, NAME_1, IMAGE_1))
+        .to.be.revertedWith("New CID cannot be empty");
+    });
+
+    it("reverts on an empty hash", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await expect(storage.connect(alice).updateMetadata(CID_1, NEW_CID, ethers.ZeroHash, NAME_1, IMAGE_1))
+        .to.be.revertedWith("Hash cannot be empty");
+    });
+
+    it("reverts when the new CID is already registered", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await expect(storage.connect(alice).updateMetadata(CID_1, CID_2, NEW_HASH, NAME_1, IMAGE_1))
+        .to.be.revertedWith("New CID already registered");
+    });
+
+    it("reverts when the new hash already exists", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await expect(storage.connect(alice).updateMetadata(CID_1, NEW_CID, HASH_2, NAME_1, IMAGE_1))
+        .to.be.revertedWith("New hash already exists");
+    });
+  });
+
+  describe("removeMetadata", function () {
+    it("swaps the last CID into the removed slot", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).removeMetadata(CID_1);
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_3, CID_2]);
+    });
+
+    it("pops the last CID without reordering the rest", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).removeMetadata(CID_3);
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1, CID_2]);
+    });
+
+    it("keeps the list consistent across repeated removals", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).removeMetadata(CID_2);
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1, CID_3]);
+
+      await storage.connect(alice).removeMetadata(CID_1);
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_3]);
+
+      await storage.connect(alice).removeMetadata(CID_3);
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([]);
+    });
+
+    it("clears ownership, hash and info mappings", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).removeMetadata(CID_1);
+
+      expect(await storage.getMetadataOwner(CID_1)).to.equal(ethers.ZeroAddress);
+      expect(await storage.getCIDByHash(HASH_1)).to.deep.equal(NO_CID);
+      expect(await storage.verifyMetadata(CID_1, HASH_1)).to.equal(false);
+      await expect(storage.getMetadataInfo(CID_1)).to.be.revertedWith("Metadata does not exist");
+    });
+
+    it("emits MetadataRemoved", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await expect(storage.connect(alice).removeMetadata(CID_1))
+        .to.emit(storage, "MetadataRemoved")
+        .withArgs(alice.address, CID_1);
+    });
+
+    it("reverts when the caller does not own the CID", async function () {
+      const { storage, bob } = await storedFixture();
+
+      await expect(storage.connect(bob).removeMetadata(CID_1))
+        .to.be.revertedWith("Not the owner of this metadata");
+    });
+
+    it("reverts when the CID was already removed", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).removeMetadata(CID_1);
+
+      await expect(storage.connect(alice).removeMetadata(CID_1))
+        .to.be.revertedWith("Not the owner of this metadata");
+    });
+  });
+
+  describe("Paged reads", function () {
+    it("getUserMetadataCount tracks stores and removals", async function () {
+      const { storage, alice, bob } = await storedFixture();
+
+      expect(await storage.getUserMetadataCount(alice.address)).to.equal(3n);
+      expect(await storage.getUserMetadataCount(bob.address)).to.equal(0n);
+
+      await storage.connect(alice).removeMetadata(CID_2);
+      expect(await storage.getUserMetadataCount(alice.address)).to.equal(2n);
+    });
+
+    it("returns pages in storage order", async function () {
+      const { storage, alice } = await storedFixture();
+
+      expect(await storage.getUserMetadataCIDsPaged(alice.address, 0, 2)).to.deep.equal([CID_1, CID_2]);
+      expect(await storage.getUserMetadataCIDsPaged(alice.address, 2, 2)).to.deep.equal([CID_3]);
+      expect(await storage.getUserMetadataCIDsPaged(alice.address, 1, 1)).to.deep.equal([CID_2]);
+    });
+
+    it("returns an empty page past the end or for a zero limit", async function () {
+      const { storage, alice, bob } = await storedFixture();
+
+      expect(await storage.getUserMetadataCIDsPaged(alice.address, 3, 10)).to.deep.equal([]);
+      expect(await storage.getUserMetadataCIDsPaged(alice.address, 0, 0)).to.deep.equal([]);
+      expect(await storage.getUserMetadataCIDsPaged(bob.address, 0, 10)).to.deep.equal([]);
+    });
+
+    it("clamps a limit that would overflow", async function () {
+      const { storage, alice } = await storedFixture();
+
+      expect(await storage.getUserMetadataCIDsPaged(alice.address, 1, ethers.MaxUint256))
+        .to.deep.equal([CID_2, CID_3]);
+    });
+
+    it("reflects swap-and-pop removal", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).removeMetadata(CID_1);
+
+      expect(await storage.getUserMetadataCIDsPaged(alice.address, 0, 10)).to.deep.equal([CID_3, CID_2]);
+    });
+  });
+
+  describe("Indexed updates and removals", function () {
+    // Registers `count` CIDs for a signer and returns them in order
+    async function storeMany(storage, signer, count, prefix) {
+      const cids = [];
+      for (let i = 0; i < count; i++) {
+        const id = `${prefix}-${String(i).padStart(3, "0")}`;
+        await storage.connect(signer).storeMetadata(cid(id), hash(id), "NFT", "ipfs://image");
+        cids.push(cid(id));
+      }
+      return cids;
+    }
+
+    it("keeps the index right after the moved CID is removed", async function () {
+      const { storage, alice } = await storedFixture();
+
+      // CID_3 moves into slot 0, then is removed from its new slot
+      await storage.connect(alice).removeMetadata(CID_1);
+      await storage.connect(alice).removeMetadata(CID_3);
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_2]);
+
+      await storage.connect(alice).updateMetadata(CID_2, cid("replacement"), hash("replacement"), "Renamed", IMAGE_1);
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([cid("replacement")]);
+    });
+
+    it("keeps the index right for an updated CID that is later removed", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).updateMetadata(CID_1, cid("replacement"), hash("replacement"), NAME_1, IMAGE_1);
+      await storage.connect(alice).removeMetadata(cid("replacement"));
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_3, CID_2]);
+    });
+
+    it("does not grow gas with collection size", async function () {
+      const { storage, alice, bob } = await loadFixture(deployFixture);
+
+      const small = await storeMany(storage, alice, 6, "small");
+      const large = await storeMany(storage, bob, 26, "large");
+
+      // Target the last entry, which a linear scan would reach last. Collections pack four
+      // entries per storage slot, and the position within a slot costs a little, so in both
+      // collections the last entry is second in a slot other than the first entry's.
+      const smallUpdate = await storage.connect(alice).updateMetadata.estimateGas(small[5], cid("small-new"), hash("small-new"), "NFT", "ipfs://x");
+      const largeUpdate = await storage.connect(bob).updateMetadata.estimateGas(large[25], cid("large-new"), hash("large-new"), "NFT", "ipfs://x");
+      expect(largeUpdate).to.equal(smallUpdate);
+
+      const smallRemove = await storage.connect(alice).removeMetadata.estimateGas(small[0]);
+      const largeRemove = await storage.connect(bob).removeMetadata.estimateGas(large[0]);
+      expect(largeRemove).to.equal(smallRemove);
+    });
+  });
+
+  describe("getMetadataHistory", function () {
+    const V2 = cid("v2");
+    const V3 = cid("v3");
+
+    it("returns a single version for a new entry", async function () {
+      const { storage } = await storedFixture();
+
+      const history = await storage.getMetadataHistory(CID_1);
+      expect(history).to.have.length(1);
+      expect(history[0].cid).to.deep.equal(CID_1);
+      expect(history[0].hash).to.equal(HASH_1);
+      expect(history[0].nftName).to.equal(NAME_1);
+      expect(history[0].imageURI).to.equal(IMAGE_1);
+      expect(history[0].previousCid).to.deep.equal(NO_CID);
+    });
+
+    it("links each update to the CID it replaced, newest first", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).updateMetadata(CID_1, V2, hash("v2"), "Genesis v2", "ipfs://v2");
+      await storage.connect(alice).updateMetadata(V2, V3, hash("v3"), "Genesis v3", "ipfs://v3");
+
+      const history = await storage.getMetadataHistory(V3);
+      expect(history.map(version => version.cid)).to.deep.equal([V3, V2, CID_1]);
+      expect(history.map(version => version.previousCid)).to.deep.equal([V2, CID_1, NO_CID]);
+      expect(history.map(version => version.nftName)).to.deep.equal(["Genesis v3", "Genesis v2", NAME_1]);
+    });
+
+    it("keeps the history of replaced and removed CIDs", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).updateMetadata(CID_1, V2, hash("v2"), "Genesis v2", "ipfs://v2");
+      await storage.connect(alice).removeMetadata(V2);
+
+      expect((await storage.getMetadataHistory(V2)).map(version => version.cid)).to.deep.equal([V2, CID_1]);
+      expect((await storage.getMetadataHistory(CID_1)).map(version => version.cid)).to.deep.equal([CID_1]);
+    });
+
+    it("restores an old version by re-registering its CID", async function () {
+      const { storage, alice } = await storedFixture();
+
+      await storage.connect(alice).updateMetadata(CID_1, V2, hash("v2"), "Genesis v2", "ipfs://v2");
+
+      const [, original] = await storage.getMetadataHistory(V2);
+      await storage.connect(alice).updateMetadata(V2, [...original.cid], original.hash, original.nftName, original.imageURI);
+
+      expect(await storage.verifyMetadata(CID_1, HASH_1)).to.equal(true);
+      expect((await storage.getMetadataInfo(CID_1)).nftName).to.equal(NAME_1);
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1, CID_2, CID_3]);
+
+      const history = await storage.getMetadataHistory(CID_1);
+      expect(history.map(version => version.cid)).to.deep.equal([CID_1, V2, CID_1]);
+      expect(history.map(version => version.previousCid)).to.deep.equal([V2, CID_1, NO_CID]);
+    });
+
+    it("reverts for CIDs that were never registered", async function () {
+      const { storage } = await loadFixture(deployFixture);
+
+      await expect(storage.getMetadataHistory(CID_1)).to.be.revertedWith("Metadata does not exist");
+    });
+  });
+
+  describe("Views", function () {
+    it("getMetadataInfo reverts for unknown CIDs", async function () {
+      const { storage } = await loadFixture(deployFixture);
+
+      await expect(storage.getMetadataInfo(CID_1)).to.be.revertedWith("Metadata does not exist");
+    });
+
+    it("verifyMetadata only matches the registered CID and hash pair", async function () {
+      const { storage } = await storedFixture();
+
+      expect(await storage.verifyMetadata(CID_1, HASH_1)).to.equal(true);
+      expect(await storage.verifyMetadata(CID_1, HASH_2)).to.equal(false);
+      expect(await storage.verifyMetadata(CID_2, HASH_1)).to.equal(false);
+      expect(await storage.verifyMetadata(cid("missing"), HASH_1)).to.equal(false);
+      expect(await storage.verifyMetadata(CID_1, hash("unknown"))).to.equal(false);
+    });
+  });
+
+  describe("Gas", function () {
+    let cidUtils;
+
+    before(async function () {
+      cidUtils = await import("../frontend/src/services/cidUtils.js");
+    });
+
+    // The same entries in each layout: compact CIDs and bytes32 hashes for this contract, CIDv1
+    // strings and hex hashes for contracts/test/StringLayoutStorage.sol, the layout it replaced
+    const LAYOUTS = {
+      compact: {
+        contract: "XineteDecentralizedStorage",
+        cid: (id) => cid(id, RAW),
+        hash: (id) => hash(id)
+      },
+      string: {
+        contract: "StringLayoutStorage",
+        cid: (id) => cidUtils.fromCompactCid({ digest: bytes32(id), codec: RAW }),
+        hash: (id) => hash(id).slice(2)
+      }
+    };
+
+    const gasUsed = async (tx) => (await (await tx).wait()).gasUsed;
+
+    async function measure(layout) {
+      const [, alice] = await ethers.getSigners();
+      const storage = (await (await ethers.getContractFactory(layout.contract)).deploy()).connect(alice);
+      const entry = (id) => [layout.cid(id), layout.hash(id), `Collection Item ${id}`, `ipfs://bafybei${id.padStart(52, "0")}`];
+      const gas = {};
+
+      await storage.storeMetadata(...entry("0000"));
+      gas.storeMetadata = await gasUsed(storage.storeMetadata(...entry("0001")));
+
+      const batch = ["0010", "0011", "0012", "0013", "0014", "0015", "0016", "0017", "0018", "0019"].map(entry);
+      const columns = [0, 1, 2, 3].map(column => batch.map(item => item[column]));
+      gas.storeMetadataBatch = await gasUsed(storage.storeMetadataBatch(...columns)) / BigInt(batch.length);
+
+      gas.updateMetadata = await gasUsed(storage.updateMetadata(layout.cid("0000"), ...entry("0002")));
+      gas.removeMetadata = await gasUsed(storage.removeMetadata(layout.cid("0001")));
+      return gas;
+    }
+
+    it("costs less than the string layout for every operation", async function () {
+      const compact = await measure(LAYOUTS.compact);
+      const string = await measure(LAYOUTS.string);
+
+      const table = Object.keys(compact).map(operation => ({
+        operation,
+        string: Number(string[operation]),
+        compact: Number(compact[operation]),
+        ratio: `${(Number(compact[operation] * 1000n / string[operation]) / 10).toFixed(1)}%`
+      }));
+      if (process.env.REPORT_GAS) {
+        console.table(table);
+      }
+
+      for (const { operation } of table) {
+        expect(compact[operation], operation).to.be.lessThan(string[operation]);
+      }
+    });
+  });
+
+  describe("Ownership isolation", function () {
+    it("keeps each signer's CIDs separate", async function () {
+      const { storage, alice, bob } = await loadFixture(deployFixture);
+
+      await storage.connect(alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+      await storage.connect(bob).storeMetadata(CID_2, HASH_2, "Bob's NFT", "ipfs://bob");
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1]);
+      expect(await storage.getUserMetadataCIDs(bob.address)).to.deep.equal([CID_2]);
+      expect(await storage.getMetadataOwner(CID_1)).to.equal(alice.address);
+      expect(await storage.getMetadataOwner(CID_2)).to.equal(bob.address);
+    });
+
+    it("does not let one signer update or remove another signer's CIDs", async function () {
+      const { storage, alice, bob } = await loadFixture(deployFixture);
+
+      await storage.connect(alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+      await storage.connect(bob).storeMetadata(CID_2, HASH_2, "Bob's NFT", "ipfs://bob");
+
+      await expect(storage.connect(bob).updateMetadata(CID_1, CID_3, HASH_3, NAME_1, IMAGE_1))
+        .to.be.revertedWith("Not the owner of this metadata");
+      await expect(storage.connect(alice).removeMetadata(CID_2))
+        .to.be.revertedWith("Not the owner of this metadata");
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1]);
+      expect(await storage.getUserMetadataCIDs(bob.address)).to.deep.equal([CID_2]);
+    });
+
+    it("removing one signer's CID leaves the other signer untouched", async function () {
+      const { storage, alice, bob } = await loadFixture(deployFixture);
+
+      await storage.connect(alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+      await storage.connect(alice).storeMetadata(CID_2, HASH_2, "Second", "ipfs://image-2");
+      await storage.connect(bob).storeMetadata(CID_3, HASH_3, "Bob's NFT", "ipfs://bob");
+
+      await storage.connect(alice).removeMetadata(CID_1);
+
+      expect(await storage.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_2]);
+      expect(await storage.getUserMetadataCIDs(bob.address)).to.deep.equal([CID_3]);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("XineteNFT", function () {
+  const CID_1 = "QmYwAPJzv5CZsnA625s3Xf2nemtYgPpHdWEz79ojWnPbdG";
+  const CID_2 = "QmT78zSuBmuS4z925WZfrqQ1qHaJ56DQaTfyMUF7F8ff5o";
+  const HASH_1 = "9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08";
+  const HASH_2 = "60303ae22b998861bce3b28f33eec1be758a213c86c93c076dbe9f558c11c752";
+  const NAME_1 = "Genesis";
+  const IMAGE_1 = "ipfs://QmPChd2hVbrJ6bfo3WBcTW4iZnpHm8TEzWkLHmLpXhF68A";
+  const ROYALTY_BPS = 500n;
+
+  async function deployFixture() {
+    const [owner, alice, bob, royaltyReceiver] = await ethers.getSigners();
+
+    const XineteNFT = await ethers.getContractFactory("XineteNFT");
+    const nft = await XineteNFT.deploy("Xinete NFT", "XNFT", royaltyReceiver.address, ROYALTY_BPS);
+    await nft.waitForDeployment();
+
+    return { nft, owner, alice, bob, royaltyReceiver };
+  }
+
+  // Deploys and mints CID_1 to alice as token 1
+  async function mintedFixture() {
+    const fixture = await loadFixture(deployFixture);
+    await fixture.nft.connect(fixture.alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+    return fixture;
+  }
+
+  describe("Deployment", function () {
+    it("sets the collection name and symbol", async function () {
+      const { nft } = await loadFixture(deployFixture);
+
+      expect(await nft.name()).to.equal("Xinete NFT");
+      expect(await nft.symbol()).to.equal("XNFT");
+    });
+
+    it("supports ERC-721, ERC-721 Enumerable and ERC-2981", async function () {
+      const { nft } = await loadFixture(deployFixture);
+
+      expect(await nft.supportsInterface("0x80ac58cd")).to.equal(true);
+      expect(await nft.supportsInterface("0x780e9d63")).to.equal(true);
+      expect(await nft.supportsInterface("0x2a55205a")).to.equal(true);
+    });
+  });
+
+  describe("storeMetadata", function () {
+    it("mints a token to the caller whose tokenURI points at the CID", async function () {
+      const { nft, alice } = await mintedFixture();
+
+      expect(await nft.ownerOf(1)).to.equal(alice.address);
+      expect(await nft.tokenURI(1)).to.equal(`ipfs://${CID_1}`);
+      expect(await nft.getTokenIdByCID(CID_1)).to.equal(1n);
+      expect(await nft.getCIDByHash(HASH_1)).to.equal(CID_1);
+      expect(await nft.getMetadataOwner(CID_1)).to.equal(alice.address);
+      expect(await nft.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1]);
+    });
+
+    it("records the extended metadata info", async function () {
+      const { nft } = await mintedFixture();
+      const timestamp = await time.latest();
+
+      const info = await nft.getMetadataInfo(CID_1);
+      expect(info.cid).to.equal(CID_1);
+      expect(info.hash).to.equal(HASH_1);
+      expect(info.timestamp).to.equal(timestamp);
+      expect(info.nftName).to.equal(NAME_1);
+      expect(info.imageURI).to.equal(IMAGE_1);
+    });
+
+    it("emits Transfer and MetadataMinted", async function () {
+      const { nft, alice } = await loadFixture(deployFixture);
+
+      const tx = await nft.connect(alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+      const timestamp = await time.latest();
+
+      await expect(tx)
+        .to.emit(nft, "Transfer")
+        .withArgs(ethers.ZeroAddress, alice.address, 1n);
+      await expect(tx)
+        .to.emit(nft, "MetadataMinted")
+        .withArgs(alice.address, 1n, CID_1, HASH_1, NAME_1, timestamp);
+    });
+
+    it("keeps the XineteDecentralizedStorage revert messages", async function () {
+      const { nft, bob } = await mintedFixture();
+
+      await expect(nft.connect(bob).storeMetadata("", HASH_2, NAME_1, IMAGE_1))
+        .to.be.revertedWith("CID cannot be empty");
+      await expect(nft.connect(bob).storeMetadata(CID_2, "", NAME_1, IMAGE_1))
+        .to.be.revertedWith("Hash cannot be empty");
+      await expect(nft.connect(bob).storeMetadata(CID_1, HASH_2, NAME_1, IMAGE_1))
+        .to.be.revertedWith("CID already registered");
+      await expect(nft.connect(bob).storeMetadata(CID_2, HASH_1, NAME_1, IMAGE_1))
+        .to.be.revertedWith("Hash already exists");
+    });
+  });
+
+  describe("mint", function () {
+    it("mints to the caller", async function () {
+      const { nft, alice } = await loadFixture(deployFixture);
+
+      await nft.connect(alice).mint(alice.address, CID_1, HASH_1, NAME_1, IMAGE_1);
+
+      expect(await nft.ownerOf(1)).to.equal(alice.address);
+      expect(await nft.getUserMetadataCIDs(alice.address)).to.deep.equal([CID_1]);
+    });
+
+    it("lets the contract owner mint to another recipient", async function () {
+      const { nft, owner, bob } = await loadFixture(deployFixture);
+
+      await nft.connect(owner).mint(bob.address, CID_1, HASH_1, NAME_1, IMAGE_1);
+
+      expect(await nft.ownerOf(1)).to.equal(bob.address);
+      expect(await nft.getUserMetadataCIDs(bob.address)).to.deep.equal([CID_1]);
+      expect(await nft.getUserMetadataCIDs(owner.address)).to.deep.equal([]);
+    });
+
+    it("rejects other accounts minting to someone else", async function () {
+      const { nft, alice, bob } = await loadFixture(deployFixture);
+
+      await expect(nft.connect(alice).mint(bob.address, CID_1, HASH_1, NAME_1, IMAGE_1))
+        .to.be.revertedWith("Only the contract owner can mint to another address");
+      expect(await nft.totalSupply()).to.equal(0n);
+    });
+
+    it("assigns sequential token IDs", async function () {
+      const { nft, alice } = await mintedFixture();
+
+      await nft.connect(alice).storeMetadata(CID_2, HASH_2, "Second", "ipfs://image-2");
+
+      expect(await nft.getTokenIdByCID(CID_2)).to.equal(2n);
+      expect(await nft.totalSupply()).to.equal(2n);
+    });
+  });
+
+  describe("migrateMetadata", function () {
+    it("lets the contract owner mint existing CIDs to their original owners", async function () {
+      const { nft, owner, alice } = await loadFixture(deployFixture);
+
+      await nft.connect(owner).migrateMetadata(alice.address, CID_1, HASH_1, NAME_1, IMAGE_1);
+
+      expect(await nft.ownerOf(1)).to.equal(alice.address);
+      expect(await nft.verifyMetadata(CID_1, HASH_1)).to.equal(true);
+    });
+
+    it("reverts for anyone but the contract owner", async function () {
+      const { nft, alice } = await loadFixture(deployFixture);
+
+      await expect(nft.connect(alice).migrateMetadata(alice.address, CID_1, HASH_1, NAME_1, IMAGE_1))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+  });
+
+  describe("Transfers", function () {
+    it("moves the CID to the new owner", async function () {
+      const { nft, alice, bob } = await mintedFixture();
+
+      await nft.connect(alice).transferFrom(alice.address, bob.address, 1);
+
+      expect(await nft.getMetadataOwner(CID_1)).to.equal(bob.address);
+      expect(await nft.getUserMetadataCIDs(alice.address)).to.deep.equal([]);
+      expect(await nft.getUserMetadataCIDs(bob.address)).to.deep.equal([CID_1]);
+      expect(await nft.verifyMetadata(CID_1, HASH_1)).to.equal(true);
+    });
+
+    it("lets an approved account transfer", async function () {
+      const { nft, alice, bob } = await mintedFixture();
+
+      await nft.connect(alice).approve(bob.address, 1);
+      await nft.connect(bob).transferFrom(alice.address, bob.address, 1);
+
+      expect(await nft.ownerOf(1)).to.equal(bob.address);
+    });
+
+    it("reverts for accounts that are neither owner nor approved", async function () {
+      const { nft, alice, bob } = await mintedFixture();
+
+      await expect(nft.connect(bob).transferFrom(alice.address, bob.address, 1))
+        .to.be.revertedWith("ERC721: caller is not token owner or approved");
+    });
+  });
+
+  describe("burn", function () {
+    it("burns the token and releases its CID and hash", async function () {
+      const { nft, alice } = await mintedFixture();
+
+      await expect(nft.connect(alice).burn(1))
+        .to.emit(nft, "MetadataBurned")
+        .withArgs(alice.address, 1n, CID_1);
+
+      expect(await nft.getTokenIdByCID(CID_1)).to.equal(0n);
+      expect(await nft.getCIDByHash(HASH_1)).to.equal("");
+      expect(await nft.getMetadataOwner(CID_1)).to.equal(ethers.ZeroAddress);
+      expect(await nft.verifyMetadata(CID_1, HASH_1)).to.equal(false);
+      await expect(nft.getMetadataInfo(CID_1)).to.be.revertedWith("Metadata does not exist");
+      await expect(nft.tokenURI(1)).to.be.revertedWith("ERC721: invalid token ID");
+
+      await nft.connect(alice).storeMetadata(CID_1, HASH_1, NAME_1, IMAGE_1);
+      expect(await nft.getTokenIdByCID(CID_1)).to.equal(2n);
+    });
+
+    it("reverts for accounts that are neither owner nor approved", async function () {
+      const { nft, bob } = await mintedFixture();
+
+      await expect(nft.connect(bob).burn(1))
+        .to.be.revertedWith("Not the owner or approved for this token");
+    });
+  });
+
+  describe("Royalties", function () {
+    it("applies the default royalty", async function () {
+      const { nft, royaltyReceiver } = await mintedFixture();
+      const salePrice = ethers.parseEther("1");
+
+      const [receiver, amount] = await nft.royaltyInfo(1, salePrice);
+      expect(receiver).to.equal(royaltyReceiver.address);
+      expect(amount).to.equal(salePrice * ROYALTY_BPS / 10000n);
+    });
+
+    it("lets the contract owner change the default royalty", async function () {
+      const { nft, owner, alice, bob } = await mintedFixture();
+
+      await expect(nft.connect(alice).setDefaultRoyalty(alice.address, 1000))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+
+      await nft.connect(owner).setDefaultRoyalty(bob.address, 1000);
+
+      const [receiver, amount] = await nft.royaltyInfo(1, 10000n);
+      expect(receiver).to.equal(bob.address);
+      expect(amount).to.equal(1000n);
+    });
+  });
+});
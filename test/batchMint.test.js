@@ -0,0 +1,321 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("batchMintService", function () {
+  let batch;
+  let storeModule;
+
+  before(async function () {
+    batch = await import("../frontend/src/services/batchMintService.js");
+    storeModule = await import("../frontend/src/services/indexedDbStore.js");
+  });
+
+  async function deployFixture() {
+    const [owner, alice] = await ethers.getSigners();
+
+    const XineteDecentralizedStorage = await ethers.getContractFactory("XineteDecentralizedStorage");
+    const storage = await XineteDecentralizedStorage.deploy();
+    await storage.waitForDeployment();
+
+    return { storage, owner, alice };
+  }
+
+  // The contract takes CIDs as [digest, codec] and hashes as bytes32, converted from strings by
+  // blockchainService; the stand-in CIDs and hashes below are spelled into the bytes instead
+  const toCompact = (cid) => [ethers.encodeBytes32String(cid), 0x55];
+  const fromCompact = ([digest]) => ethers.decodeBytes32String(digest);
+  const toBytes32 = (hash) => ethers.encodeBytes32String(hash);
+
+  // IPFS stand-ins that derive CIDs from the content, plus the real contract for registration
+  function createServices(storage, signer, { failUploadFor = null, failRegisterFor = null } = {}) {
+    const calls = { uploadFile: 0, uploadJSON: 0, register: 0 };
+    const services = {
+      uploadFile: async (file) => {
+        calls.uploadFile++;
+        if (file.name === failUploadFor) {
+          throw new Error("IPFS node unreachable");
+        }
+        return { cid: `img-${file.name}` };
+      },
+      uploadJSON: async (json) => {
+        calls.uploadJSON++;
+        return { cid: `meta-${json.name}` };
+      },
+      hash: async (metadata) => `hash-${metadata.name}`,
+      register: async (item) => {
+        calls.register++;
+        if (item.file === failRegisterFor) {
+          throw new Error("user rejected transaction");
+        }
+        const tx = await storage.connect(signer).storeMetadata(toCompact(item.metadataCid), toBytes32(item.hash), item.name, `ipfs://${item.imageCid}`);
+        const receipt = await tx.wait();
+        return { transactionHash: receipt.hash };
+      },
+      getOwner: (cid) => storage.getMetadataOwner(toCompact(cid))
+    };
+    return { services, calls };
+  }
+
+  const MANIFEST = [
+    "file,name,description,Background,Eyes",
+    "one.png,One,\"First, with a comma\",Blue,Green",
+    "two.png,Two,Second,,Red",
+    "three.png,Three,Third,Gold,"
+  ].join("\n");
+
+  function selectFiles(names) {
+    return new Map(names.map(name => [name, { name }]));
+  }
+
+  async function createJob() {
+    const entries = batch.parseManifest(MANIFEST, "manifest.csv");
+    return batch.createBatchJob(await batch.createJobId(entries), entries);
+  }
+
+  describe("parseManifest", function () {
+    it("maps CSV columns to fields and attributes", function () {
+      const entries = batch.parseManifest(MANIFEST, "manifest.csv");
+
+      expect(entries).to.have.length(3);
+      expect(entries[0]).to.include({ file: "one.png", name: "One", description: "First, with a comma" });
+      expect(entries[0].attributes).to.deep.equal([
+        { trait_type: "Background", value: "Blue" },
+        { trait_type: "Eyes", value: "Green" }
+      ]);
+      expect(entries[1].attributes).to.deep.equal([{ trait_type: "Eyes", value: "Red" }]);
+    });
+
+    it("accepts JSON arrays and objects keyed by file name", function () {
+      const fromArray = batch.parseManifest(JSON.stringify([
+        { file: "a.png", name: "A", attributes: [{ trait_type: "Size", value: 3 }] }
+      ]), "manifest.json");
+      const fromObject = batch.parseManifest(JSON.stringify({
+        "a.png": { name: "A", attributes: [{ trait_type: "Size", value: 3 }] }
+      }), "manifest.json");
+
+      expect(fromObject).to.deep.equal(fromArray);
+      expect(fromArray[0].attributes).to.deep.equal([{ trait_type: "Size", value: 3 }]);
+    });
+
+    it("rejects manifests without a file column or with duplicate files", function () {
+      expect(() => batch.parseManifest("name,description\nA,B", "m.csv")).to.throw('needs a "file" column');
+      expect(() => batch.parseManifest("file,name\na.png,A\na.png,B", "m.csv")).to.throw("more than once");
+    });
+  });
+
+  describe("runBatchJob", function () {
+    it("uploads and registers every item and reports CIDs and transaction hashes", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const { services } = createServices(storage, alice);
+      const job = await createJob();
+
+      await batch.runBatchJob({
+        job,
+        files: selectFiles(["one.png", "two.png", "three.png"]),
+        services,
+        account: alice.address
+      });
+
+      const report = batch.getBatchReport(job);
+      expect(report.status).to.equal(batch.JOB_STATUS.COMPLETED);
+      expect(report.registered).to.equal(3);
+      report.items.forEach(item => expect(item.transactionHash).to.match(/^0x[0-9a-f]{64}$/));
+
+      expect((await storage.getUserMetadataCIDs(alice.address)).map(fromCompact)).to.deep.equal(["meta-One", "meta-Two", "meta-Three"]);
+      expect((await storage.getMetadataInfo(toCompact("meta-One"))).imageURI).to.equal("ipfs://img-one.png");
+      // The registered hash is computed from the uploaded metadata, not its CID
+      expect((await storage.getMetadataInfo(toCompact("meta-One"))).hash).to.equal(toBytes32("hash-One"));
+    });
+
+    it("resumes from the saved state without repeating finished steps", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const store = storeModule.createMemoryStore();
+      const job = await createJob();
+      const files = selectFiles(["one.png", "two.png", "three.png"]);
+
+      const first = createServices(storage, alice, { failUploadFor: "two.png", failRegisterFor: "three.png" });
+      const errors = [];
+      const logError = (message, error) => errors.push(`${message} ${error.message}`);
+      await batch.runBatchJob({ job, files, services: first.services, account: alice.address, store, logError });
+
+      expect(job.status).to.equal(batch.JOB_STATUS.FAILED);
+      expect(job.items.map(item => item.status)).to.deep.equal([
+        batch.ITEM_STATUS.REGISTERED,
+        batch.ITEM_STATUS.FAILED,
+        batch.ITEM_STATUS.FAILED
+      ]);
+      expect(job.items[1].error).to.equal("IPFS node unreachable");
+      expect(errors).to.deep.equal([
+        "Batch mint failed for two.png: IPFS node unreachable",
+        "Batch mint failed for three.png: user rejected transaction"
+      ]);
+
+      // A new session loads the job from the store
+      const saved = await store.get(job.id);
+      const second = createServices(storage, alice);
+      await batch.runBatchJob({ job: saved, files, services: second.services, account: alice.address, store });
+
+      expect(saved.status).to.equal(batch.JOB_STATUS.COMPLETED);
+      // Only the missing image is uploaded, and the failed registration is retried without a new upload
+      expect(second.calls).to.deep.equal({ uploadFile: 1, uploadJSON: 1, register: 2 });
+      expect(await storage.getUserMetadataCount(alice.address)).to.equal(3n);
+    });
+
+    it("does not register twice when the transaction was mined before the last save", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const job = await createJob();
+      const files = selectFiles(["one.png", "two.png", "three.png"]);
+
+      // Simulate an interruption after the transaction was sent
+      job.items[0] = { ...job.items[0], status: batch.ITEM_STATUS.METADATA_UPLOADED, imageCid: "img-one.png", metadataCid: "meta-One", hash: "hash-One" };
+      await storage.connect(alice).storeMetadata(toCompact("meta-One"), toBytes32("hash-One"), "One", "ipfs://img-one.png");
+
+      const { services, calls } = createServices(storage, alice);
+      await batch.runBatchJob({ job, files, services, account: alice.address });
+
+      expect(job.status).to.equal(batch.JOB_STATUS.COMPLETED);
+      expect(calls.register).to.equal(2);
+    });
+
+    it("registers in chunked batch transactions when registerBatch is given", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const job = await createJob();
+      const { services, calls } = createServices(storage, alice);
+
+      // Chunks of two, with the second chunk rejected by the wallet
+      let chunksSent = 0;
+      services.registerBatch = async (items, onChunk) => {
+        for (let offset = 0; offset < items.length; offset += 2) {
+          const chunk = items.slice(offset, offset + 2);
+          if (++chunksSent === 2) {
+            throw new Error("user rejected transaction");
+          }
+          const tx = await storage.connect(alice).storeMetadataBatch(
+            chunk.map(item => toCompact(item.metadataCid)),
+            chunk.map(item => toBytes32(item.hash)),
+            chunk.map(item => item.name),
+            chunk.map(item => `ipfs://${item.imageCid}`)
+          );
+          await onChunk({ transactionHash: (await tx.wait()).hash }, chunk);
+        }
+      };
+
+      const errors = [];
+      await batch.runBatchJob({
+        job,
+        files: selectFiles(["one.png", "two.png", "three.png"]),
+        services,
+        account: alice.address,
+        logError: (message, error) => errors.push(`${message} ${error.message}`)
+      });
+
+      expect(calls.register).to.equal(0);
+      expect(errors).to.deep.equal(["Batch registration failed: user rejected transaction"]);
+      expect(job.items.map(item => item.status)).to.deep.equal([
+        batch.ITEM_STATUS.REGISTERED,
+        batch.ITEM_STATUS.REGISTERED,
+        batch.ITEM_STATUS.FAILED
+      ]);
+      expect(job.items[0].transactionHash).to.equal(job.items[1].transactionHash);
+      expect(job.items[2].error).to.equal("user rejected transaction");
+
+      // Resuming only registers what is left
+      await batch.runBatchJob({ job, files: new Map(), services, account: alice.address });
+      expect(job.status).to.equal(batch.JOB_STATUS.COMPLETED);
+      expect(await storage.getUserMetadataCount(alice.address)).to.equal(3n);
+    });
+
+    it("pauses when the signal is aborted", async function () {
+      const { storage, alice } = await loadFixture(deployFixture);
+      const job = await createJob();
+      const controller = new AbortController();
+      const { services } = createServices(storage, alice);
+
+      await batch.runBatchJob({
+        job,
+        files: selectFiles(["one.png", "two.png", "three.png"]),
+        services,
+        account: alice.address,
+        signal: controller.signal,
+        onProgress: (current, item) => {
+          if (item && item.status === batch.ITEM_STATUS.REGISTERED) {
+            controller.abort();
+          }
+        }
+      });
+
+      expect(job.status).to.equal(batch.JOB_STATUS.PAUSED);
+      expect(job.items.map(item => item.status)).to.deep.equal([
+        batch.ITEM_STATUS.REGISTERED,
+        batch.ITEM_STATUS.PENDING,
+        batch.ITEM_STATUS.PENDING
+      ]);
+    });
+
+    it("lists images missing from the selected folder", async function () {
+      const job = await createJob();
+      expect(batch.findMissingFiles(job, selectFiles(["one.png"]))).to.deep.equal(["two.png", "three.png"]);
+    });
+  });
+
+  describe("collection directory", function () {
+    it("lays out images and numbered metadata that match the uploaded documents", async function () {
+      const job = await createJob();
+      job.items.forEach(item => {
+        item.imageCid = `img-${item.file}`;
+        item.metadataCid = `meta-${item.name}`;
+      });
+      const files = selectFiles(["one.png", "two.png", "three.png"]);
+
+      const entries = batch.buildCollectionDirectory(job, files);
+
+      expect(entries.map(entry => entry.path)).to.deep.equal([
+        "images/one.png", "metadata/1.json",
+        "images/two.png", "metadata/2.json",
+        "images/three.png", "metadata/3.json"
+      ]);
+      expect(entries[0].content).to.equal(files.get("one.png"));
+      // Same bytes as uploadJSONToIPFS produces, so the file keeps its registered CID
+      expect(entries[1].content).to.equal(JSON.stringify(batch.buildItemMetadata(job.items[0])));
+    });
+
+    it("records the root CID and reports metadata files whose CID differs", async function () {
+      const job = await createJob();
+      job.items.forEach(item => {
+        item.metadataCid = `meta-${item.name}`;
+      });
+
+      const mismatched = batch.applyCollectionDirectory(job, {
+        cid: "root",
+        uri: "ipfs://root",
+        files: [
+          { path: "metadata/1.json", cid: "meta-One" },
+          { path: "metadata/2.json", cid: "something-else" },
+          { path: "metadata/3.json", cid: "meta-Three" }
+        ]
+      });
+
+      expect(mismatched).to.deep.equal(["metadata/2.json"]);
+      expect(batch.getBatchReport(job).directory).to.deep.equal({ cid: "root", uri: "ipfs://root" });
+    });
+
+    it("needs every image", async function () {
+      const job = await createJob();
+      job.items.forEach(item => {
+        item.imageCid = `img-${item.file}`;
+      });
+
+      expect(() => batch.buildCollectionDirectory(job, selectFiles(["one.png"]))).to.throw("two.png");
+    });
+  });
+
+  it("renders the report as CSV", async function () {
+    const job = await createJob();
+    job.items[0].error = "failed, \"badly\"";
+
+    const lines = batch.reportToCSV(job).split("\n");
+    expect(lines[0]).to.equal("file,name,status,imageCid,metadataCid,transactionHash,error");
+    expect(lines[1]).to.equal("one.png,One,pending,,,,\"failed, \"\"badly\"\"\"");
+  });
+});
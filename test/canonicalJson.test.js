@@ -0,0 +1,49 @@
+const { expect } = require("chai");
+
+describe("canonicalJson", function () {
+  let canonicalJson;
+
+  before(async function () {
+    canonicalJson = await import("../frontend/src/services/canonicalJson.js");
+  });
+
+  it("sorts keys by UTF-16 code units and drops whitespace", function () {
+    // Sorting example from RFC 8785, section 3.2.3
+    const input = JSON.parse('{"\\u20ac":"Euro Sign","\\r":"Carriage Return","\\ufb33":"Hebrew Letter Dalet With Dagesh",'
+      + '"1":"One","\\ud83d\\ude00":"Emoji: Grinning Face","\\u0080":"Control","\\u00f6":"Latin Small Letter O With Diaeresis"}');
+    expect(canonicalJson.canonicalize(input)).to.equal(
+      '{"\\r":"Carriage Return","1":"One","\u0080":"Control","\u00f6":"Latin Small Letter O With Diaeresis",'
+      + '"\u20ac":"Euro Sign","\ud83d\ude00":"Emoji: Grinning Face","\ufb33":"Hebrew Letter Dalet With Dagesh"}'
+    );
+
+    expect(canonicalJson.canonicalize({ b: [1, { d: null, c: true }], a: "x", skipped: undefined }))
+      .to.equal('{"a":"x","b":[1,{"c":true,"d":null}]}');
+  });
+
+  it("serialises numbers and strings as RFC 8785 requires", function () {
+    // Number examples from RFC 8785, appendix B
+    const numbers = {
+      "0": -0, "1e+30": 1e30, "4.5": 4.50, "0.002": 2e-3, "0.000001": 0.000001, "1e-7": 1e-7,
+      "9007199254740992": 9007199254740992, "-1.7976931348623157e+308": -Number.MAX_VALUE, "5e-324": Number.MIN_VALUE
+    };
+    Object.entries(numbers).forEach(([expected, value]) => {
+      expect(canonicalJson.canonicalize(value), expected).to.equal(expected);
+    });
+
+    expect(canonicalJson.canonicalize("€$\u000f\nA'B\"\\\\\"/")).to.equal('"€$\\u000f\\nA\'B\\"\\\\\\\\\\"/"');
+  });
+
+  it("rejects values that are not JSON", function () {
+    [NaN, Infinity, "\ud800", { "\udc00": 1 }, [undefined], () => {}, 1n].forEach(value => {
+      let error;
+      try {
+        canonicalJson.canonicalize(value);
+      } catch (e) {
+        error = e;
+      }
+      expect(error, String(value)).to.be.an("error");
+      expect(error.code).to.equal("INVALID_JSON");
+    });
+    expect(canonicalJson.canonicalize(new Date(0))).to.equal('"1970-01-01T00:00:00.000Z"');
+  });
+});
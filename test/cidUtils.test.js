@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+
+describe("cidUtils", function () {
+  let cids;
+
+  // The same directory node as CIDv0 and CIDv1 base32
+  const cidV0 = "QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n";
+  const cidV1 = "bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+  // "hello world" as a raw block, which has no CIDv0
+  const rawCid = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+
+  before(async function () {
+    cids = await import("../frontend/src/services/cidUtils.js");
+  });
+
+  it("converts between CIDv0 and CIDv1 base32", function () {
+    expect(cids.toCidV1(cidV0)).to.equal(cidV1);
+    expect(cids.toCidV1(cidV1)).to.equal(cidV1);
+    expect(cids.toCidV1(cidV1.toUpperCase())).to.equal(cidV1);
+    expect(cids.toCidV0(cidV1)).to.equal(cidV0);
+    expect(cids.toCidV0(cidV0)).to.equal(cidV0);
+    expect(cids.toCidV0(rawCid)).to.equal(null);
+  });
+
+  it("parses CIDs out of URIs and gateway URLs", function () {
+    const references = {
+      [cidV0]: "",
+      [`ipfs://${cidV0}`]: "",
+      [`ipfs://ipfs/${cidV1}/images/1.png`]: "images/1.png",
+      [`/ipfs/${cidV0}/a.png?filename=a.png`]: "a.png",
+      [`https://gateway.example/ipfs/${cidV0}/dir/a.png#top`]: "dir/a.png",
+      [`https://${cidV1}.ipfs.dweb.link/a.png`]: "a.png"
+    };
+
+    Object.entries(references).forEach(([reference, path]) => {
+      expect(cids.parseCidReference(reference), reference).to.deep.equal({ cid: cidV1, path });
+    });
+  });
+
+  it("rejects values that are not a single CID", function () {
+    ["", "QmHash", "bafyone", "https://example.com/a.png", `ipfs://${cidV1}/a.png`, undefined].forEach(value => {
+      let error;
+      try {
+        cids.normalizeCid(value);
+      } catch (e) {
+        error = e;
+      }
+      expect(error, String(value)).to.be.an("error");
+      expect(error.code).to.equal("INVALID_CID");
+    });
+    expect(cids.isValidCid(` ${cidV0} `)).to.equal(true);
+    expect(cids.isValidCid("bafyone")).to.equal(false);
+  });
+
+  it("compares equivalent forms and lists the forms a CID may be recorded under", function () {
+    expect(cids.areCidsEqual(cidV0, `ipfs://${cidV1}`)).to.equal(true);
+    expect(cids.areCidsEqual(cidV0, rawCid)).to.equal(false);
+    // Invalid values still compare as strings
+    expect(cids.areCidsEqual("bafyone", " bafyone")).to.equal(true);
+
+    expect(cids.getCidForms(cidV0)).to.deep.equal([cidV1, cidV0]);
+    expect(cids.getCidForms(cidV1.toUpperCase())).to.deep.equal([cidV1, cidV0, cidV1.toUpperCase()]);
+    expect(cids.getCidForms(`ipfs://${cidV0}`)).to.deep.equal([cidV1, cidV0]);
+    expect(cids.getCidForms(rawCid)).to.deep.equal([rawCid]);
+    expect(cids.getCidForms("bafyone")).to.deep.equal(["bafyone"]);
+  });
+
+  describe("compact form", function () {
+    const expectInvalid = (convert, value) => {
+      let error;
+      try {
+        convert(value);
+      } catch (e) {
+        error = e;
+      }
+      expect(error, String(value)).to.be.an("error");
+      expect(error.code).to.equal("INVALID_CID");
+    };
+
+    it("round-trips CIDv0, dag-pb and raw CIDv1", function () {
+      const dagPb = { digest: "0xe3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855", codec: 0x70 };
+      const raw = { digest: "0xb94d27b9934d3e08a52e52d7da7dabfac484efe37a5380ee9088f7ace2efcde9", codec: 0x55 };
+
+      expect(cids.toCompactCid(cidV0)).to.deep.equal(dagPb);
+      expect(cids.toCompactCid(cidV1)).to.deep.equal(dagPb);
+      expect(cids.toCompactCid(`ipfs://${cidV1}`)).to.deep.equal(dagPb);
+      expect(cids.toCompactCid(rawCid)).to.deep.equal(raw);
+
+      // CIDs come back as CIDv1 base32, whatever form they were stored in
+      expect(cids.fromCompactCid(cids.toCompactCid(cidV0))).to.equal(cidV1);
+      expect(cids.fromCompactCid(cids.toCompactCid(cidV1))).to.equal(cidV1);
+      expect(cids.fromCompactCid(cids.toCompactCid(rawCid))).to.equal(rawCid);
+      // As the contract returns it: uppercase hex and a bigint codec
+      expect(cids.fromCompactCid({ digest: raw.digest.toUpperCase().replace("0X", "0x"), codec: 0x55n })).to.equal(rawCid);
+      expect(cids.fromCompactCid({ digest: `0x${"0".repeat(64)}`, codec: 0n })).to.equal(null);
+    });
+
+    it("rejects multihashes other than a 32-byte sha2-256", function () {
+      // "hello" inlined with the identity hash, a sha2-512 and a sha2-256 truncated to 20 bytes
+      [
+        "bafkqablimvwgy3y",
+        "bafkrgqaha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqobyha4dqo",
+        "bafkrefaha4dqobyha4dqobyha4dqobyha4dqoby",
+        "bafyone"
+      ].forEach(value => expectInvalid(cids.toCompactCid, value));
+
+      [`0x${"ab".repeat(31)}`, "ab".repeat(33), "0xnot-hex"].forEach(digest => {
+        expectInvalid(cids.fromCompactCid, { digest, codec: 0x55 });
+      });
+    });
+
+    it("keeps unknown codecs that fit in a uint32", function () {
+      const digest = `0x${"09".repeat(32)}`;
+      const unknown = "bagaybqabciqascijbeeqscijbeeqscijbeeqscijbeeqscijbeeqscijbeeqsci";
+
+      expect(cids.fromCompactCid({ digest, codec: 0x300001 })).to.equal(unknown);
+      expect(cids.toCompactCid(unknown)).to.deep.equal({ digest, codec: 0x300001 });
+
+      // Beyond what the contract can store
+      expectInvalid(cids.toCompactCid, "bagaibaeacajcacijbeeqscijbeeqscijbeeqscijbeeqscijbeeqscijbeeqscij");
+      [2n ** 32n, -1, 1.5, "dag-pb"].forEach(codec => expectInvalid(cids.fromCompactCid, { digest, codec }));
+    });
+  });
+});
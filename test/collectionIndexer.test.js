@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture, mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("collectionIndexer", function () {
+  let indexerModule;
+  let storeModule;
+  let cidUtils;
+
+  // CIDs and hashes as the contract takes them; the indexer reports CIDv1 strings and hex hashes
+  const compact = (label) => ({ digest: ethers.sha256(ethers.toUtf8Bytes(label)), codec: 0x55 });
+  const hash = (label) => ethers.sha256(ethers.toUtf8Bytes(`hash-${label}`));
+  const cid = (label) => cidUtils.fromCompactCid(compact(label));
+
+  before(async function () {
+    indexerModule = await import("../frontend/src/services/collectionIndexer.js");
+    storeModule = await import("../frontend/src/services/indexedDbStore.js");
+    cidUtils = await import("../frontend/src/services/cidUtils.js");
+  });
+
+  async function deployFixture() {
+    const [owner, alice, bob] = await ethers.getSigners();
+
+    const XineteDecentralizedStorage = await ethers.getContractFactory("XineteDecentralizedStorage");
+    const storage = await XineteDecentralizedStorage.deploy();
+    await storage.waitForDeployment();
+    const deployBlock = (await storage.deploymentTransaction().wait()).blockNumber;
+
+    // Activity by two users, including an update chain and a removal
+    await storage.connect(alice).storeMetadata(compact("a1"), hash("a1"), "Alpha", "ipfs://alpha");
+    await storage.connect(bob).storeMetadata(compact("b1"), hash("b1"), "Beta", "ipfs://beta");
+    await storage.connect(alice).updateMetadata(compact("a1"), compact("a2"), hash("a2"), "Alpha v2", "ipfs://alpha");
+    await storage.connect(alice).storeMetadata(compact("c1"), hash("c1"), "Gamma", "ipfs://gamma");
+    await storage.connect(alice).updateMetadata(compact("a2"), compact("a3"), hash("a3"), "Alpha v3", "ipfs://alpha");
+    await storage.connect(bob).removeMetadata(compact("b1"));
+
+    return { storage, deployBlock, owner, alice, bob };
+  }
+
+  function createIndexer(storage, deployBlock, options = {}) {
+    return indexerModule.createCollectionIndexer({
+      provider: ethers.provider,
+      contractAddress: storage.target,
+      fromBlock: deployBlock,
+      ...options
+    });
+  }
+
+  it("replays all events from the deployment block", async function () {
+    const { storage, deployBlock } = await loadFixture(deployFixture);
+    const indexer = createIndexer(storage, deployBlock);
+
+    const lastBlock = await indexer.sync();
+
+    expect(lastBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(indexer.getState().events.map(event => event.type)).to.deep.equal([
+      "MetadataStored",
+      "MetadataStored",
+      "MetadataUpdated",
+      "MetadataStored",
+      "MetadataUpdated",
+      "MetadataRemoved"
+    ]);
+    expect(indexer.getState().events[2]).to.include({ oldCid: cid("a1"), newCid: cid("a2"), hash: hash("a2").slice(2) });
+  });
+
+  it("rebuilds the same collections as the contract", async function () {
+    const { storage, deployBlock, alice, bob } = await loadFixture(deployFixture);
+    const indexer = createIndexer(storage, deployBlock);
+
+    await indexer.sync();
+
+    const aliceCids = indexer.getCollection(alice.address).map(entry => entry.cid).sort();
+    const onChain = [...await storage.getUserMetadataCIDs(alice.address)].map(cidUtils.fromCompactCid).sort();
+    expect(aliceCids).to.deep.equal(onChain);
+    expect(indexer.getCollection(bob.address)).to.deep.equal([]);
+  });
+
+  it("returns all versions of an NFT from any CID in the chain", async function () {
+    const { storage, deployBlock } = await loadFixture(deployFixture);
+    const indexer = createIndexer(storage, deployBlock);
+
+    await indexer.sync();
+
+    for (const label of ["a1", "a2", "a3"]) {
+      const versions = indexer.getVersions(cid(label));
+      expect(versions.map(entry => entry.cid)).to.deep.equal([cid("a1"), cid("a2"), cid("a3")]);
+      expect(versions.map(entry => entry.status)).to.deep.equal(["replaced", "replaced", "active"]);
+    }
+    expect(indexer.getVersions(cid("unknown"))).to.deep.equal([]);
+  });
+
+  it("returns the per-CID timeline", async function () {
+    const { storage, deployBlock } = await loadFixture(deployFixture);
+    const indexer = createIndexer(storage, deployBlock);
+
+    await indexer.sync();
+
+    const timeline = indexer.getTimeline(cid("a3"));
+    expect(timeline.map(event => event.type)).to.deep.equal([
+      "MetadataStored",
+      "MetadataUpdated",
+      "MetadataUpdated"
+    ]);
+    expect(indexer.getVersions(cid("b1"))[0].status).to.equal("removed");
+  });
+
+  it("returns recent mints by anyone, newest first", async function () {
+    const { storage, deployBlock, alice, bob } = await loadFixture(deployFixture);
+    const indexer = createIndexer(storage, deployBlock);
+
+    await indexer.sync();
+
+    const mints = indexer.getRecentMints(2);
+    expect(mints.map(event => event.cid)).to.deep.equal([cid("c1"), cid("b1")]);
+    expect(mints.map(event => event.creator)).to.deep.equal([alice.address, bob.address]);
+  });
+
+  it("follows new blocks incrementally", async function () {
+    const { storage, deployBlock, bob } = await loadFixture(deployFixture);
+    const indexer = createIndexer(storage, deployBlock);
+    let notifications = 0;
+    indexer.subscribe(() => notifications++);
+
+    await indexer.sync();
+    expect(notifications).to.equal(1);
+
+    await mine(5);
+    await indexer.sync();
+    expect(notifications).to.equal(1);
+
+    await storage.connect(bob).storeMetadata(compact("d1"), hash("d1"), "Delta", "ipfs://delta");
+    await indexer.sync();
+
+    expect(notifications).to.equal(2);
+    expect(indexer.getRecentMints(1)[0].cid).to.equal(cid("d1"));
+    expect(indexer.getState().events).to.have.length(7);
+  });
+
+  it("replays in batches and stays behind the head by the confirmation count", async function () {
+    const { storage, deployBlock } = await loadFixture(deployFixture);
+    const indexer = createIndexer(storage, deployBlock, { batchSize: 2, confirmations: 2 });
+
+    const head = await ethers.provider.getBlockNumber();
+    expect(await indexer.sync()).to.equal(head - 2);
+
+    // The last two transactions are not confirmed yet
+    expect(indexer.getState().events).to.have.length(4);
+  });
+
+  it("persists a snapshot and resumes from it", async function () {
+    const { storage, deployBlock, alice } = await loadFixture(deployFixture);
+    const store = storeModule.createMemoryStore();
+
+    const first = createIndexer(storage, deployBlock, { store });
+    await first.sync();
+
+    await storage.connect(alice).removeMetadata(compact("c1"));
+
+    const second = createIndexer(storage, deployBlock, { store });
+    expect(await second.load()).to.equal(first.getLastBlock());
+    expect(second.getState().events).to.have.length(6);
+
+    await second.sync();
+    expect(second.getState().events).to.have.length(7);
+    expect(second.getVersions(cid("c1"))[0].status).to.equal("removed");
+  });
+
+  it("reset drops the snapshot", async function () {
+    const { storage, deployBlock } = await loadFixture(deployFixture);
+    const store = storeModule.createMemoryStore();
+    const indexer = createIndexer(storage, deployBlock, { store });
+
+    await indexer.sync();
+    await indexer.reset();
+
+    expect(indexer.getState().events).to.deep.equal([]);
+    expect(await store.getAll()).to.deep.equal([]);
+  });
+
+  it("looks up the recorded deployment block instead of replaying from genesis", async function () {
+    const address = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    const deployBlocks = { [address.toLowerCase()]: 1234 };
+
+    expect(indexerModule.getDeployBlock(address, deployBlocks)).to.equal(1234);
+    expect(() => indexerModule.getDeployBlock(ethers.ZeroAddress, deployBlocks))
+      .to.throw(/No deployment block recorded/);
+    // Outside a Vite build nothing is recorded
+    expect(() => indexerModule.getDeployBlock(address)).to.throw(/deployments\/<network>\.json/);
+  });
+});
@@ -0,0 +1,164 @@
+const { expect } = require("chai");
+
+describe("contentVerifier", function () {
+  let verifier;
+
+  before(async function () {
+    verifier = await import("../frontend/src/services/contentVerifier.js");
+  });
+
+  // Minimal dag-pb / UnixFS / CAR encoders for building fixtures
+  const varint = (n) => {
+    const out = [];
+    while (n >= 0x80) {
+      out.push((n & 0x7f) | 0x80);
+      n >>>= 7;
+    }
+    out.push(n);
+    return out;
+  };
+  const field = (number, bytes) => [(number << 3) | 2, ...varint(bytes.length), ...bytes];
+  const utf8 = (text) => Array.from(Buffer.from(text));
+
+  function dagPb({ type, data = null, links = [] }) {
+    const unixfs = [0x08, type, ...(data ? field(2, data) : [])];
+    const encodedLinks = links.flatMap(link => field(2, [
+      ...field(1, Array.from(verifier.decodeCid(link.cid).bytes)),
+      ...field(2, utf8(link.name || "")),
+      0x18, ...varint(link.size || 0)
+    ]));
+    return new Uint8Array([...encodedLinks, ...field(1, unixfs)]);
+  }
+
+  function car(blocks) {
+    const header = [0xa2, 0x65, ...utf8("roots"), 0x80, 0x67, ...utf8("version"), 0x01];
+    return new Uint8Array([
+      ...varint(header.length), ...header,
+      ...blocks.flatMap(({ cid, bytes }) => {
+        const cidBytes = Array.from(verifier.decodeCid(cid).bytes);
+        return [...varint(cidBytes.length + bytes.length), ...cidBytes, ...bytes];
+      })
+    ]);
+  }
+
+  // A file split into two raw leaves under a dag-pb root, inside a directory
+  async function createFixture() {
+    const leaves = [utf8("hello "), utf8("verified world")].map(bytes => new Uint8Array(bytes));
+    const leafCids = await Promise.all(leaves.map(bytes => verifier.createCid(0x55, bytes)));
+    const root = dagPb({ type: 2, links: leafCids.map((cid, i) => ({ cid, size: leaves[i].length })) });
+    const rootCid = await verifier.createCid(0x70, root);
+    const directory = dagPb({ type: 1, links: [{ cid: rootCid, name: "greeting.txt", size: root.length }] });
+    const directoryCid = await verifier.createCid(0x70, directory);
+
+    const blocks = new Map([
+      [leafCids[0], leaves[0]],
+      [leafCids[1], leaves[1]],
+      [rootCid, root],
+      [directoryCid, directory]
+    ]);
+    return { blocks, rootCid, directoryCid, leafCids };
+  }
+
+  function blockSource(blocks, requested = []) {
+    return async (cid) => {
+      requested.push(cid);
+      if (!blocks.has(cid)) {
+        throw new Error(`block ${cid} not found`);
+      }
+      return blocks.get(cid);
+    };
+  }
+
+  const text = (bytes) => Buffer.from(bytes).toString();
+
+  it("decodes and re-encodes CIDv0 and CIDv1", async function () {
+    const v0 = "QmPZ9gcCEpqKTo6aq61g2nXGUhM4iCL3ewB6LDXZCtioEB";
+    const decoded = verifier.decodeCid(v0);
+
+    expect(decoded).to.include({ version: 0, codec: 0x70 });
+    expect(verifier.cidToString(decoded)).to.equal(v0);
+    // sha2-256 of "hello world" as a raw block
+    const v1 = await verifier.createCid(0x55, new TextEncoder().encode("hello world"));
+    expect(v1).to.equal("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+    expect(verifier.cidToString(verifier.decodeCid(v1))).to.equal(v1);
+  });
+
+  it("assembles a multi-block file from a CAR without fetching blocks", async function () {
+    const { blocks, rootCid } = await createFixture();
+    const requested = [];
+    const reader = verifier.createVerifiedReader({
+      fetchCar: async () => car([...blocks].map(([cid, bytes]) => ({ cid, bytes }))),
+      fetchBlock: blockSource(blocks, requested)
+    });
+
+    expect(text(await reader.read(rootCid))).to.equal("hello verified world");
+    expect(requested).to.deep.equal([]);
+  });
+
+  it("falls back to raw blocks when the gateway has no CAR support", async function () {
+    const { blocks, rootCid, leafCids } = await createFixture();
+    const requested = [];
+    const warnings = [];
+    const reader = verifier.createVerifiedReader({
+      fetchCar: async () => {
+        throw new Error("HTTP 400");
+      },
+      fetchBlock: blockSource(blocks, requested),
+      logWarn: (message, error) => warnings.push(`${message} ${error.message}`)
+    });
+
+    expect(text(await reader.read(rootCid))).to.equal("hello verified world");
+    expect(requested).to.deep.equal([rootCid, ...leafCids]);
+    expect(warnings).to.deep.equal([`Could not read a CAR for CID ${rootCid}, fetching raw blocks: HTTP 400`]);
+  });
+
+  it("resolves paths through directories", async function () {
+    const { blocks, directoryCid } = await createFixture();
+    const reader = verifier.createVerifiedReader({ fetchBlock: blockSource(blocks) });
+
+    expect(text(await reader.read(directoryCid, { path: "greeting.txt" }))).to.equal("hello verified world");
+
+    let error;
+    try {
+      await reader.read(directoryCid, { path: "missing.txt" });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.include('"missing.txt" not found');
+  });
+
+  it("rejects blocks that do not match their CID", async function () {
+    const { blocks, rootCid, leafCids } = await createFixture();
+    const tampered = new Map(blocks).set(leafCids[1], new Uint8Array(utf8("tampered world")));
+
+    for (const source of [
+      { fetchBlock: blockSource(tampered) },
+      {
+        fetchCar: async () => car([...tampered].map(([cid, bytes]) => ({ cid, bytes }))),
+        fetchBlock: blockSource(blocks)
+      }
+    ]) {
+      let error;
+      try {
+        await verifier.createVerifiedReader(source).read(rootCid);
+      } catch (e) {
+        error = e;
+      }
+      expect(error.code).to.equal("VERIFICATION_FAILED");
+      expect(error.message).to.include(leafCids[1]);
+    }
+  });
+
+  it("stops assembling content larger than maxBytes", async function () {
+    const { blocks, rootCid } = await createFixture();
+    const reader = verifier.createVerifiedReader({ fetchBlock: blockSource(blocks) });
+
+    let error;
+    try {
+      await reader.read(rootCid, { maxBytes: 10 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).to.equal("MAX_BYTES_EXCEEDED");
+  });
+});
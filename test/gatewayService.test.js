@@ -0,0 +1,230 @@
+const { expect } = require("chai");
+const http = require("http");
+
+describe("gatewayService", function () {
+  let gateways;
+  const servers = [];
+
+  before(async function () {
+    gateways = await import("../frontend/src/services/gatewayService.js");
+  });
+
+  after(async function () {
+    await Promise.all(servers.map(server => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })));
+  });
+
+  // Local HTTP gateway that serves "content of <cid>" after a delay, or fails with the given status;
+  // with stall set it sends the headers and the start of the body, then never finishes
+  async function startGateway({ delay = 0, status = 200, stall = false } = {}) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      requests.push(req.url);
+      const timer = setTimeout(() => {
+        const cid = req.url.split("/")[2];
+        res.writeHead(status, { "content-type": "text/plain" });
+        if (stall) {
+          res.write("content of ");
+          return;
+        }
+        res.end(status === 200 ? `content of ${cid}` : "error");
+      }, delay);
+      res.on("close", () => clearTimeout(timer));
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    servers.push(server);
+    return { url: `http://127.0.0.1:${server.address().port}/ipfs`, requests };
+  }
+
+  describe("gateway URLs", function () {
+    it("builds path- and subdomain-style URLs", function () {
+      const path = gateways.parseGateway("https://ipfs.io/ipfs/");
+      const subdomain = gateways.parseGateway("https://{cid}.ipfs.dweb.link");
+      const cidV1 = "bafybeigdyrzt5sfp7udm7hu76uh7y26nf3efuylqabf3oclgtqy55fbzdi";
+
+      expect(path).to.deep.equal({ url: "https://ipfs.io/ipfs", style: "path" });
+      expect(subdomain.style).to.equal("subdomain");
+      expect(gateways.buildGatewayUrl(path, "QmHash", "images/1.png")).to.equal("https://ipfs.io/ipfs/QmHash/images/1.png");
+      expect(gateways.buildGatewayUrl(subdomain, cidV1)).to.equal(`https://${cidV1}.ipfs.dweb.link`);
+      // CIDv0 is case-sensitive, so it is converted to CIDv1 for a subdomain
+      expect(gateways.buildGatewayUrl(subdomain, "QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n"))
+        .to.equal("https://bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku.ipfs.dweb.link");
+      expect(gateways.buildGatewayUrl(subdomain, "QmHash")).to.equal(null);
+    });
+
+    it("parses comma-separated lists and rejects invalid gateways", function () {
+      expect(gateways.parseGatewayList(" https://a/ipfs, ,https://b/ipfs ")).to.deep.equal(["https://a/ipfs", "https://b/ipfs"]);
+      expect(() => gateways.parseGateway("ipfs.io/ipfs")).to.throw("Invalid IPFS gateway URL");
+      expect(() => gateways.createGatewayClient({ gateways: "" })).to.throw("At least one IPFS gateway");
+    });
+  });
+
+  describe("fetching", function () {
+    it("fails over to the next gateway and remembers which one served the CID", async function () {
+      const down = await startGateway({ status: 502 });
+      const up = await startGateway();
+      const client = gateways.createGatewayClient({ gateways: [down.url, up.url] });
+
+      const { response, gateway } = await client.fetch("QmOne");
+      expect(await gateways.readResponse(response, { type: "text" })).to.equal("content of QmOne");
+      expect(gateway).to.equal(up.url);
+      expect(client.getCachedGateway("QmOne")).to.equal(up.url);
+
+      // The cached gateway is tried first for the same CID
+      await client.fetch("QmOne");
+      expect(down.requests).to.have.length(1);
+      expect(up.requests).to.have.length(2);
+    });
+
+    it("ranks gateways by health and demotes failing ones", async function () {
+      const down = await startGateway({ status: 500 });
+      const up = await startGateway();
+      const client = gateways.createGatewayClient({ gateways: [down.url, up.url] });
+
+      for (const cid of ["QmA", "QmB", "QmC"]) {
+        await client.fetch(cid);
+      }
+
+      const [first, second] = client.getHealth();
+      expect(first).to.include({ url: down.url, failures: 1, successes: 0 });
+      expect(second).to.include({ url: up.url, successes: 3 });
+      expect(second.score).to.be.greaterThan(first.score);
+      // After the first failure the healthy gateway is ranked first, so the failing one is not retried
+      expect(down.requests).to.have.length(1);
+      expect(client.getUrls("QmNew")[0]).to.equal(`${up.url}/QmNew`);
+    });
+
+    it("races gateways and cancels the slower requests", async function () {
+      const slow = await startGateway({ delay: 2000 });
+      const fast = await startGateway({ delay: 10 });
+      const client = gateways.createGatewayClient({ gateways: [slow.url, fast.url], strategy: "race" });
+
+      const started = Date.now();
+      const { gateway } = await client.fetch("QmRace");
+
+      expect(gateway).to.equal(fast.url);
+      expect(Date.now() - started).to.be.lessThan(1000);
+      // The cancelled request does not count against the slow gateway
+      expect(client.getHealth()[0]).to.include({ failures: 0 });
+    });
+
+    it("times out unresponsive gateways and reports every failure", async function () {
+      const hanging = await startGateway({ delay: 5000 });
+      const down = await startGateway({ status: 404 });
+      const client = gateways.createGatewayClient({ gateways: [hanging.url, down.url], timeout: 100 });
+
+      let error;
+      try {
+        await client.fetch("QmMissing");
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.include("All IPFS gateways failed for CID QmMissing");
+      expect(error.errors).to.have.length(2);
+      expect(client.getHealth().map(entry => entry.failures)).to.deep.equal([1, 1]);
+    });
+
+    it("skips excluded gateways and demotes gateways reported as serving wrong data", async function () {
+      const lying = await startGateway();
+      const honest = await startGateway();
+      const client = gateways.createGatewayClient({ gateways: [lying.url, honest.url] });
+
+      const first = await client.fetch("QmCheck", { query: "format=raw" });
+      expect(first.url).to.equal(`${lying.url}/QmCheck?format=raw`);
+
+      client.reportFailure(lying.url, "QmCheck");
+      const second = await client.fetch("QmCheck", { exclude: [lying.url] });
+      expect(second.gateway).to.equal(honest.url);
+      expect(client.getCachedGateway("QmCheck")).to.equal(honest.url);
+      expect(client.getHealth()[0]).to.include({ failures: 1 });
+    });
+
+    it("stops when the caller aborts", async function () {
+      const slow = await startGateway({ delay: 2000 });
+      const client = gateways.createGatewayClient({ gateways: [slow.url] });
+      const controller = new AbortController();
+
+      setTimeout(() => controller.abort(), 20);
+      let error;
+      try {
+        await client.fetch("QmAbort", { signal: controller.signal });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.name).to.equal("AbortError");
+      expect(client.getHealth()[0]).to.include({ failures: 0 });
+    });
+  });
+
+  describe("reading a body that never ends", function () {
+    async function expectAbort(promise) {
+      let error;
+      try {
+        await promise;
+      } catch (e) {
+        error = e;
+      }
+      // fetch rejects with a DOMException, which is not an Error to chai
+      expect(error, "expected the read to be cancelled").to.not.equal(undefined);
+      return error;
+    }
+
+    it("cancels the body when the caller aborts after the headers arrived", async function () {
+      const stalling = await startGateway({ stall: true });
+      const client = gateways.createGatewayClient({ gateways: [stalling.url], strategy: "race" });
+      const controller = new AbortController();
+
+      const { response, release } = await client.fetch("QmStall", { signal: controller.signal });
+      const reading = gateways.readResponse(response, { type: "text" });
+      setTimeout(() => controller.abort(), 50);
+
+      const error = await expectAbort(reading);
+      expect(error.name).to.equal("AbortError");
+      release();
+      // The gateway answered, so the cancelled body does not count against it
+      expect(client.getHealth()[0]).to.include({ successes: 1, failures: 0 });
+    });
+
+    it("stops reading when the signal passed to readResponse aborts", async function () {
+      const stalling = await startGateway({ stall: true });
+      const client = gateways.createGatewayClient({ gateways: [stalling.url] });
+      const controller = new AbortController();
+
+      const { response, release } = await client.fetch("QmStall");
+      setTimeout(() => controller.abort(), 50);
+
+      const error = await expectAbort(gateways.readResponse(response, { type: "text", signal: controller.signal }));
+      expect(error.name).to.equal("AbortError");
+      expect(error.message).to.equal("Gateway read aborted");
+      release();
+    });
+
+    it("unlinks the caller's signal once the response is released", async function () {
+      const up = await startGateway();
+      const client = gateways.createGatewayClient({ gateways: [up.url] });
+      const controller = new AbortController();
+
+      const { response, release } = await client.fetch("QmDone", { signal: controller.signal });
+      release();
+      controller.abort();
+
+      expect(await gateways.readResponse(response, { type: "text" })).to.equal("content of QmDone");
+    });
+  });
+
+  it("enforces maxBytes when reading a response", async function () {
+    const up = await startGateway();
+    const client = gateways.createGatewayClient({ gateways: [up.url] });
+
+    const { response } = await client.fetch("QmLarge");
+    let error;
+    try {
+      await gateways.readResponse(response, { type: "bytes", maxBytes: 4 });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.code).to.equal("MAX_BYTES_EXCEEDED");
+  });
+});
@@ -0,0 +1,353 @@
+const { expect } = require("chai");
+
+describe("ipfsTransfer", function () {
+  let transfer;
+
+  // A CIDv0 as some nodes return it, and the CIDv1 uploads report instead
+  const cidV0 = "QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n";
+  const cidV1 = "bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+
+  before(async function () {
+    transfer = await import("../frontend/src/services/ipfsTransfer.js");
+  });
+
+  const bytesOf = (size) => Uint8Array.from({ length: size }, (_, i) => i % 251);
+
+  // A File whose stream() yields chunkSize-byte chunks and which cannot be read whole
+  function createFile(bytes, { name = "video.mp4", chunkSize = 1000 } = {}) {
+    return {
+      name,
+      size: bytes.length,
+      lastModified: 1700000000000,
+      type: "video/mp4",
+      slice: (start = 0) => createFile(bytes.subarray(start), { name, chunkSize }),
+      stream: () => {
+        let offset = 0;
+        return new ReadableStream({
+          pull(controller) {
+            if (offset >= bytes.length) {
+              controller.close();
+              return;
+            }
+            controller.enqueue(bytes.slice(offset, offset + chunkSize));
+            offset += chunkSize;
+          }
+        });
+      },
+      arrayBuffer: () => {
+        throw new Error("The file was read into memory");
+      }
+    };
+  }
+
+  // The parts of ipfs-http-client uploads use, keeping MFS files in memory
+  function createClient({ onChunk = null, onWrite = null } = {}) {
+    const mfs = new Map();
+    const calls = { chunks: [], writes: [], pins: [], removed: [] };
+
+    const client = {
+      add: async ({ path, content }) => {
+        let size = 0;
+        for await (const chunk of content) {
+          calls.chunks.push(chunk);
+          size += chunk.length;
+          if (onChunk) {
+            onChunk(calls.chunks.length);
+          }
+        }
+        return { cid: { toString: () => cidV0 }, path, size };
+      },
+      files: {
+        mkdir: async () => {},
+        stat: async (path) => {
+          if (!mfs.has(path)) {
+            throw new Error("file does not exist");
+          }
+          return { size: mfs.get(path).length, cid: cidV0 };
+        },
+        write: async (path, part, { offset, truncate }) => {
+          if (onWrite) {
+            onWrite(calls.writes.length + 1);
+          }
+          const existing = truncate ? new Uint8Array(0) : (mfs.get(path) || new Uint8Array(0));
+          const next = new Uint8Array(Math.max(existing.length, offset + part.length));
+          next.set(existing);
+          next.set(part, offset);
+          mfs.set(path, next);
+          calls.writes.push({ offset, length: part.length });
+        },
+        rm: async (path) => {
+          mfs.delete(path);
+          calls.removed.push(path);
+        }
+      },
+      pin: {
+        add: async (cid) => {
+          calls.pins.push(cid);
+        }
+      }
+    };
+    return { client, mfs, calls };
+  }
+
+  async function expectRejection(promise) {
+    let error;
+    try {
+      await promise;
+    } catch (e) {
+      error = e;
+    }
+    expect(error, "expected a rejection").to.be.an("error");
+    return error;
+  }
+
+  describe("uploadFile", function () {
+    it("streams the file to the node in chunks", async function () {
+      const bytes = bytesOf(5500);
+      const { client, calls } = createClient();
+
+      const result = await transfer.uploadFile(client, createFile(bytes));
+
+      expect(result).to.deep.equal({ cid: cidV1, path: "video.mp4", size: 5500, resumed: false });
+      expect(calls.chunks.map(chunk => chunk.length)).to.deep.equal([1000, 1000, 1000, 1000, 1000, 500]);
+      expect(transfer.concatChunks(calls.chunks)).to.deep.equal(bytes);
+    });
+
+    it("reports progress in bytes, reaching exactly the file size once the node returns the CID", async function () {
+      const progress = [];
+      const { client } = createClient({ onChunk: () => progress.push("chunk") });
+
+      await transfer.uploadFile(client, createFile(bytesOf(5500)), { onProgress: bytes => progress.push(bytes) });
+
+      const reported = progress.filter(value => value !== "chunk");
+      expect(reported.at(-1)).to.equal(5500);
+      expect(reported.slice(0, -1).every(bytes => bytes < 5500)).to.equal(true);
+      expect(reported).to.deep.equal([...reported].sort((a, b) => a - b));
+      // Nothing is reported as complete while chunks are still being sent
+      expect(progress.lastIndexOf("chunk")).to.be.lessThan(progress.indexOf(5500));
+    });
+
+    it("stops when the signal is aborted mid-upload", async function () {
+      const controller = new AbortController();
+      const { client, calls } = createClient({ onChunk: count => count === 2 && controller.abort("Cancelled by user") });
+
+      const error = await expectRejection(transfer.uploadFile(client, createFile(bytesOf(5500)), { signal: controller.signal }));
+
+      expect(error.name).to.equal("AbortError");
+      expect(error.message).to.equal("Cancelled by user");
+      expect(calls.chunks).to.have.length(2);
+
+      // An already aborted signal sends nothing
+      const { client: idle, calls: idleCalls } = createClient();
+      await expectRejection(transfer.uploadFile(idle, createFile(bytesOf(10)), { signal: controller.signal }));
+      expect(idleCalls.chunks).to.deep.equal([]);
+    });
+
+    it("writes resumable uploads in parts of the part size and pins the result", async function () {
+      const bytes = bytesOf(5500);
+      const { client, mfs, calls } = createClient();
+      const file = createFile(bytes, { chunkSize: 700 });
+
+      const result = await transfer.uploadFile(client, file, { resumable: true, partSize: 2000 });
+
+      expect(result).to.deep.equal({ cid: cidV1, path: "video.mp4", size: 5500, resumed: false });
+      expect(calls.writes).to.deep.equal([
+        { offset: 0, length: 2000 },
+        { offset: 2000, length: 2000 },
+        { offset: 4000, length: 1500 }
+      ]);
+      expect(calls.pins).to.deep.equal([cidV0]);
+      expect(calls.removed).to.deep.equal([await transfer.getResumableUploadPath(file)]);
+      expect(mfs.size).to.equal(0);
+    });
+
+    it("resumes from the parts already staged", async function () {
+      const bytes = bytesOf(5500);
+      const file = createFile(bytes, { chunkSize: 700 });
+      const path = await transfer.getResumableUploadPath(file);
+      const { client, mfs, calls } = createClient({
+        onWrite: count => {
+          if (count === 3) {
+            throw new Error("Connection reset");
+          }
+        }
+      });
+
+      await expectRejection(transfer.uploadFile(client, file, { resumable: true, partSize: 2000 }));
+      expect(mfs.get(path)).to.have.length(4000);
+
+      // The next attempt only sends what the node does not have yet
+      let staged = null;
+      const progress = [];
+      client.files.write = async (target, part, options) => {
+        staged = staged || new Uint8Array(mfs.get(target));
+        const next = new Uint8Array(options.offset + part.length);
+        next.set(mfs.get(target));
+        next.set(part, options.offset);
+        mfs.set(target, next);
+        calls.writes.push({ offset: options.offset, length: part.length, truncate: options.truncate });
+      };
+      const writesBefore = calls.writes.length;
+      const result = await transfer.uploadFile(client, file, { resumable: true, partSize: 2000, onProgress: bytes => progress.push(bytes) });
+
+      expect(result.resumed).to.equal(true);
+      expect(calls.writes.slice(writesBefore)).to.deep.equal([{ offset: 4000, length: 1500, truncate: false }]);
+      expect(progress).to.deep.equal([4000, 5500, 5500]);
+      expect(staged).to.deep.equal(bytes.subarray(0, 4000));
+      expect(calls.pins).to.deep.equal([cidV0]);
+    });
+
+    it("starts over when the staged file is longer than the source", async function () {
+      const file = createFile(bytesOf(1500));
+      const { client, mfs, calls } = createClient();
+      mfs.set(await transfer.getResumableUploadPath(file), bytesOf(3000));
+
+      const result = await transfer.uploadFile(client, file, { resumable: true, partSize: 2000 });
+
+      expect(result.resumed).to.equal(false);
+      expect(calls.writes).to.deep.equal([{ offset: 0, length: 1500 }]);
+    });
+
+    it("rejects a chunker for resumable uploads", async function () {
+      const { client } = createClient();
+
+      const error = await expectRejection(transfer.uploadFile(client, createFile(bytesOf(10)), { resumable: true, chunker: "rabin" }));
+      expect(error.message).to.match(/default chunker/);
+    });
+  });
+
+  describe("readContent", function () {
+    const encode = (text) => new TextEncoder().encode(text);
+
+    // ipfs.cat yielding the given chunks, recording its options and how many chunks were pulled
+    function createCatClient(chunks, { delay = 0 } = {}) {
+      const calls = { cat: [], pulled: 0, finished: false };
+      const client = {
+        cat: (cid, options) => {
+          calls.cat.push({ cid, ...options });
+          return (async function* () {
+            for (const chunk of chunks) {
+              if (delay) {
+                await new Promise((resolve, reject) => {
+                  const timer = setTimeout(resolve, delay);
+                  options.signal.addEventListener("abort", () => {
+                    clearTimeout(timer);
+                    reject(Object.assign(new Error("The operation was aborted"), { name: "AbortError" }));
+                  }, { once: true });
+                });
+              }
+              calls.pulled += 1;
+              yield chunk;
+            }
+            calls.finished = true;
+          })();
+        }
+      };
+      return { client, calls };
+    }
+
+    const json = '{"name":"Xinete #1","attributes":[]}';
+
+    it("returns JSON, text and bytes", async function () {
+      const { client } = createCatClient([encode(json.slice(0, 10)), encode(json.slice(10))]);
+
+      expect(await transfer.readContent(client, "cid", { type: "json" })).to.deep.equal({ name: "Xinete #1", attributes: [] });
+      expect(await transfer.readContent(client, "cid", { type: "text" })).to.equal(json);
+      expect(await transfer.readContent(client, "cid", { type: "bytes" })).to.deep.equal(encode(json));
+    });
+
+    it("parses JSON and falls back to text for the auto type", async function () {
+      const { client: jsonClient } = createCatClient([encode(json)]);
+      const { client: textClient } = createCatClient([encode("plain "), encode("text")]);
+
+      expect(await transfer.readContent(jsonClient, "cid")).to.deep.equal({ name: "Xinete #1", attributes: [] });
+      expect(await transfer.readContent(textClient, "cid")).to.equal("plain text");
+    });
+
+    it("rejects invalid JSON and unknown types", async function () {
+      const { client } = createCatClient([encode("not json")]);
+
+      const invalid = await expectRejection(transfer.readContent(client, "bafyinvalid", { type: "json" }));
+      expect(invalid.message).to.match(/^Content with CID bafyinvalid is not valid JSON/);
+
+      const unknown = await expectRejection(transfer.readContent(client, "cid", { type: "xml" }));
+      expect(unknown.message).to.match(/Unknown fetch type "xml"/);
+    });
+
+    it("returns a Blob with the requested MIME type", async function () {
+      const { client } = createCatClient([encode("ab"), encode("cd")]);
+
+      const blob = await transfer.readContent(client, "cid", { type: "blob", mimeType: "image/png" });
+
+      expect(blob.type).to.equal("image/png");
+      expect(new Uint8Array(await blob.arrayBuffer())).to.deep.equal(encode("abcd"));
+    });
+
+    it("streams chunks as they are read", async function () {
+      const { client, calls } = createCatClient([encode("ab"), encode("cd"), encode("ef")]);
+
+      const stream = await transfer.readContent(client, "cid", { type: "stream" });
+      expect(stream).to.be.an.instanceOf(ReadableStream);
+      // Only the chunk the stream buffers ahead is read before the consumer asks for one
+      expect(calls.pulled).to.be.at.most(1);
+
+      const reader = stream.getReader();
+      expect((await reader.read()).value).to.deep.equal(encode("ab"));
+      await reader.cancel();
+      expect(calls.finished).to.equal(false);
+    });
+
+    it("stops reading once more than maxBytes have arrived", async function () {
+      const chunks = [encode("a".repeat(400)), encode("b".repeat(400)), encode("c".repeat(400)), encode("d".repeat(400))];
+      const { client, calls } = createCatClient(chunks);
+
+      const error = await expectRejection(transfer.readContent(client, "bafylarge", { type: "bytes", maxBytes: 1000 }));
+
+      expect(error.code).to.equal("MAX_BYTES_EXCEEDED");
+      expect(error.message).to.equal("Content with CID bafylarge is larger than 1000 bytes");
+      expect(calls.pulled).to.equal(3);
+      expect(calls.finished).to.equal(false);
+
+      // Streams are cut off at the same point
+      const { client: streamClient, calls: streamCalls } = createCatClient(chunks);
+      const reader = (await transfer.readContent(streamClient, "bafylarge", { type: "stream", maxBytes: 1000 })).getReader();
+      await reader.read();
+      await reader.read();
+      const streamError = await expectRejection(reader.read());
+      expect(streamError.code).to.equal("MAX_BYTES_EXCEEDED");
+      expect(streamCalls.finished).to.equal(false);
+    });
+
+    it("rejects with a TimeoutError when the node is too slow", async function () {
+      const { client, calls } = createCatClient([encode("a"), encode("b")], { delay: 200 });
+
+      const error = await expectRejection(transfer.readContent(client, "bafyslow", { type: "text", timeout: 50 }));
+
+      expect(error.name).to.equal("TimeoutError");
+      expect(error.message).to.equal("Fetching CID bafyslow timed out after 50 ms");
+      expect(calls.pulled).to.equal(0);
+    });
+
+    it("passes the caller's AbortSignal through to the node", async function () {
+      const controller = new AbortController();
+      const { client, calls } = createCatClient([encode("a"), encode("b")], { delay: 200 });
+
+      const reading = transfer.readContent(client, "cid", { type: "text", signal: controller.signal, timeout: 5000 });
+      controller.abort();
+      const error = await expectRejection(reading);
+
+      expect(error.name).to.equal("AbortError");
+      expect(calls.cat[0].signal.aborted).to.equal(true);
+    });
+
+    it("requests byte ranges from the node", async function () {
+      const { client, calls } = createCatClient([encode("cd")]);
+
+      const content = await transfer.readContent(client, "bafyrange", { type: "text", offset: 2, length: 2 });
+
+      expect(content).to.equal("cd");
+      expect(calls.cat).to.have.length(1);
+      expect(calls.cat[0]).to.include({ cid: "bafyrange", offset: 2, length: 2 });
+    });
+  });
+});
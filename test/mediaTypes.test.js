@@ -0,0 +1,93 @@
+const { expect } = require("chai");
+
+describe("mediaTypes", function () {
+  let media;
+
+  before(async function () {
+    media = await import("../frontend/src/services/mediaTypes.js");
+  });
+
+  const bytes = (...parts) => Buffer.concat(parts.map(part => (typeof part === "string" ? Buffer.from(part, "latin1") : Buffer.from(part))));
+  // ISO base media files start with the size of the ftyp box, "ftyp" and the major brand
+  const ftyp = (brand) => bytes([0, 0, 0, 0x20], "ftyp", brand, [0, 0, 2, 0], "isomiso2");
+
+  it("detects images, video and audio from their signatures", function () {
+    const samples = {
+      "image/png": bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d], "IHDR"),
+      "image/jpeg": bytes([0xff, 0xd8, 0xff, 0xe0, 0, 0x10], "JFIF"),
+      "image/gif": bytes("GIF89a", [1, 0, 1, 0]),
+      "image/webp": bytes("RIFF", [0x24, 0, 0, 0], "WEBPVP8 "),
+      "image/avif": ftyp("avif"),
+      "video/mp4": ftyp("isom"),
+      "video/quicktime": ftyp("qt  "),
+      "video/webm": bytes([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01, 0x42, 0x82, 0x84], "webm"),
+      "video/x-matroska": bytes([0x1a, 0x45, 0xdf, 0xa3, 0x9f, 0x42, 0x86, 0x81, 0x01, 0x42, 0x82, 0x88], "matroska"),
+      "video/ogg": bytes("OggS", [0, 2], Buffer.alloc(22), [0x80], "theora"),
+      "audio/ogg": bytes("OggS", [0, 2], Buffer.alloc(22), [0x01], "vorbis"),
+      "audio/mp4": ftyp("M4A "),
+      "audio/wav": bytes("RIFF", [0x24, 0, 0, 0], "WAVEfmt "),
+      "audio/flac": bytes("fLaC", [0, 0, 0, 0x22]),
+      "audio/mpeg": bytes("ID3", [4, 0, 0]),
+      "audio/aac": bytes([0xff, 0xf1, 0x50, 0x80])
+    };
+
+    Object.entries(samples).forEach(([type, sample]) => {
+      expect(media.sniffMediaType(sample), type).to.equal(type);
+    });
+    // An MP3 without an ID3 tag starts with a frame header
+    expect(media.sniffMediaType(bytes([0xff, 0xfb, 0x90, 0x64]))).to.equal("audio/mpeg");
+    expect(media.sniffMediaType(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).buffer)).to.equal("image/png");
+  });
+
+  it("detects 3D models, HTML and SVG", function () {
+    const samples = {
+      "model/gltf-binary": bytes("glTF", [2, 0, 0, 0, 0x60, 0x0b, 0, 0]),
+      "model/gltf+json": bytes('\n{\n  "asset": { "generator": "Khronos glTF Blender I/O", "version": "2.0" },\n  "scene": 0\n}'),
+      "text/html": bytes([0xef, 0xbb, 0xbf], "  <!doctype html>\n<html><body><canvas></canvas></body></html>"),
+      "image/svg+xml": bytes('<?xml version="1.0"?>\n<!-- icon -->\n<svg xmlns="http://www.w3.org/2000/svg"></svg>')
+    };
+
+    Object.entries(samples).forEach(([type, sample]) => {
+      expect(media.sniffMediaType(sample), type).to.equal(type);
+    });
+    expect(media.sniffMediaType(bytes("<html lang=\"en\">"))).to.equal("text/html");
+    expect(media.sniffMediaType(bytes("<script>alert(1)</script>"))).to.equal("text/html");
+    expect(media.sniffMediaType(bytes("<!-- comment -->"))).to.equal("text/html");
+  });
+
+  it("does not take other content for media", function () {
+    [
+      bytes('{ "name": "Waterfall", "image": "ipfs://cid" }'),
+      bytes("<?xml version=\"1.0\"?><rss></rss>"),
+      bytes("<htmlx>"),
+      bytes("%PDF-1.7"),
+      bytes("plain text"),
+      bytes([])
+    ].forEach(sample => {
+      expect(media.sniffMediaType(sample), sample.toString("latin1")).to.equal("application/octet-stream");
+    });
+  });
+
+  it("maps media types to players", function () {
+    const { MEDIA_KINDS } = media;
+    expect(media.getMediaKind("image/svg+xml")).to.equal(MEDIA_KINDS.IMAGE);
+    expect(media.getMediaKind("video/webm")).to.equal(MEDIA_KINDS.VIDEO);
+    expect(media.getMediaKind("audio/mpeg")).to.equal(MEDIA_KINDS.AUDIO);
+    expect(media.getMediaKind("model/gltf-binary")).to.equal(MEDIA_KINDS.MODEL);
+    expect(media.getMediaKind("Text/HTML; charset=utf-8")).to.equal(MEDIA_KINDS.HTML);
+    expect(media.getMediaKind("application/octet-stream")).to.equal(null);
+    expect(media.getMediaKind(undefined)).to.equal(null);
+  });
+
+  it("types a Blob from its bytes rather than its label", async function () {
+    const page = new Blob(["<!DOCTYPE html><title>Piece</title>"], { type: "image/png" });
+    const detected = await media.withDetectedType(page);
+
+    expect(detected).to.include({ type: "text/html", kind: "html" });
+    expect(detected.blob.type).to.equal("text/html");
+    expect(await detected.blob.text()).to.equal("<!DOCTYPE html><title>Piece</title>");
+
+    const model = new Blob([bytes("glTF", [2, 0, 0, 0]), Buffer.alloc(4096)]);
+    expect(await media.detectMediaType(model)).to.deep.equal({ type: "model/gltf-binary", kind: "model" });
+  });
+});
@@ -0,0 +1,88 @@
+const { expect } = require("chai");
+
+describe("metadataDiff", function () {
+  let diffMetadata;
+
+  const metadata = {
+    name: "Waterfall",
+    image: "ipfs://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e",
+    attributes: [
+      { trait_type: "Level", value: 5 },
+      { trait_type: "Color", value: "Blue" }
+    ]
+  };
+
+  before(async function () {
+    ({ diffMetadata } = await import("../frontend/src/utils/metadataDiff.js"));
+  });
+
+  it("reports added, removed and changed fields", function () {
+    const { image, ...withoutImage } = metadata;
+    const changes = diffMetadata(metadata, { ...withoutImage, name: "Waterfall II", description: "The secret level" });
+
+    expect(changes).to.deep.equal([
+      { path: "description", type: "added", before: undefined, after: "The secret level" },
+      { path: "image", type: "removed", before: image, after: undefined },
+      { path: "name", type: "changed", before: "Waterfall", after: "Waterfall II" }
+    ]);
+    expect(diffMetadata(metadata, JSON.parse(JSON.stringify(metadata)))).to.deep.equal([]);
+  });
+
+  it("does not report reordered attributes", function () {
+    const reordered = { ...metadata, attributes: [...metadata.attributes].reverse() };
+
+    expect(diffMetadata(metadata, reordered)).to.deep.equal([]);
+  });
+
+  it("keys attributes by trait type and reports added and removed ones", function () {
+    const after = {
+      ...metadata,
+      attributes: [
+        { trait_type: "Color", value: "Green" },
+        { trait_type: "Rarity", value: "Rare", display_type: "string" }
+      ]
+    };
+
+    expect(diffMetadata(metadata, after)).to.deep.equal([
+      { path: "attributes[Color].value", type: "changed", before: "Blue", after: "Green" },
+      { path: "attributes[Level].value", type: "removed", before: 5, after: undefined },
+      { path: "attributes[Rarity].display_type", type: "added", before: undefined, after: "string" },
+      { path: "attributes[Rarity].value", type: "added", before: undefined, after: "Rare" }
+    ]);
+  });
+
+  it("keeps every change to attributes that share a trait type", function () {
+    const before = { attributes: [{ trait_type: "Tag", value: "fire" }, { trait_type: "Tag", value: "water" }] };
+    const after = { attributes: [{ trait_type: "Tag", value: "fire" }, { trait_type: "Tag", value: "earth" }, { trait_type: "Tag", value: "air" }] };
+
+    expect(diffMetadata(before, after)).to.deep.equal([
+      { path: "attributes[Tag#2].value", type: "changed", before: "water", after: "earth" },
+      { path: "attributes[Tag#3].value", type: "added", before: undefined, after: "air" }
+    ]);
+  });
+
+  it("numbers attributes without a trait type among themselves", function () {
+    const before = { attributes: [{ value: "plain" }, { trait_type: "Level", value: 5 }] };
+    // Adding a keyed attribute in front does not shift the unkeyed one
+    const after = { attributes: [{ trait_type: "Color", value: "Blue" }, { value: "plain" }, { trait_type: "Level", value: 5 }, "loose"] };
+
+    expect(diffMetadata(before, after)).to.deep.equal([
+      { path: "attributes[#2]", type: "added", before: undefined, after: "loose" },
+      { path: "attributes[Color].value", type: "added", before: undefined, after: "Blue" }
+    ]);
+  });
+
+  it("diffs nested values by path", function () {
+    const before = { properties: { files: [{ uri: "ipfs://a", type: "image/png" }], creator: { name: "Ada" } } };
+    const after = { properties: { files: [{ uri: "ipfs://b", type: "image/png" }, { uri: "ipfs://c" }], creator: { name: "Ada", url: null } } };
+
+    expect(diffMetadata(before, after)).to.deep.equal([
+      { path: "properties.creator.url", type: "added", before: undefined, after: null },
+      { path: "properties.files[0].uri", type: "changed", before: "ipfs://a", after: "ipfs://b" },
+      { path: "properties.files[1].uri", type: "added", before: undefined, after: "ipfs://c" }
+    ]);
+    expect(diffMetadata(null, { name: "New" })).to.deep.equal([
+      { path: "name", type: "added", before: undefined, after: "New" }
+    ]);
+  });
+});
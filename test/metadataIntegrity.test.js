@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { createHash } = require("crypto");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("metadataIntegrity", function () {
+  let integrity;
+  let cids;
+
+  const cidV0 = "QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n";
+  const cidV1 = "bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+  const metadata = {
+    name: "Waterfall",
+    description: "The secret level",
+    image: "ipfs://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e",
+    attributes: [{ trait_type: "Level", value: 5 }]
+  };
+  const sha256 = (text) => createHash("sha256").update(text, "utf8").digest("hex");
+
+  before(async function () {
+    integrity = await import("../frontend/src/services/metadataIntegrity.js");
+    cids = await import("../frontend/src/services/cidUtils.js");
+  });
+
+  async function deployFixture() {
+    const [, alice] = await ethers.getSigners();
+    const storage = await (await ethers.getContractFactory("XineteDecentralizedStorage")).deploy();
+    const legacy = await (await ethers.getContractFactory("XineteStorage")).deploy();
+    return { storage, legacy, alice };
+  }
+
+  // The services NFTCollection passes, reduced to the contract calls they make
+  function decentralizedServices(storage, documents) {
+    return {
+      fetchMetadata: async (cid) => {
+        if (!(cid in documents)) {
+          throw new Error("Request timed out");
+        }
+        return JSON.parse(JSON.stringify(documents[cid]));
+      },
+      getRegistration: async (cid) => {
+        const compact = cids.toCompactCid(cid);
+        if ((await storage.getMetadataOwner(compact)) === ethers.ZeroAddress) {
+          return null;
+        }
+        const info = await storage.getMetadataInfo(compact);
+        return { cid: cids.fromCompactCid(info.cid), hash: info.hash.slice(2) };
+      }
+    };
+  }
+
+  function legacyServices(legacy, documents) {
+    return {
+      fetchMetadata: async (cid) => documents[cid],
+      verifyHash: async (cid, hash) => {
+        try {
+          return cids.areCidsEqual(await legacy.getCIDByHash(hash), cid);
+        } catch (e) {
+          return false;
+        }
+      }
+    };
+  }
+
+  it("hashes the canonical JSON of the metadata", async function () {
+    const canonical = '{"attributes":[{"trait_type":"Level","value":5}],"description":"The secret level",'
+      + '"image":"ipfs://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e","name":"Waterfall"}';
+    const reordered = JSON.parse(JSON.stringify({ image: metadata.image, name: metadata.name, attributes: metadata.attributes, description: metadata.description }, null, 2));
+
+    expect(await integrity.hashMetadata(metadata)).to.equal(sha256(canonical));
+    expect(await integrity.hashMetadata(reordered)).to.equal(sha256(canonical));
+    expect(await integrity.hashMetadata({ ...metadata, name: "waterfall" })).to.not.equal(sha256(canonical));
+    expect(await integrity.hashLegacyCid(cidV0)).to.equal(sha256(cidV0));
+  });
+
+  it("verifies metadata registered with a content hash", async function () {
+    const { storage, alice } = await loadFixture(deployFixture);
+    await storage.connect(alice).storeMetadata(cids.toCompactCid(cidV1), `0x${await integrity.hashMetadata(metadata)}`, metadata.name, metadata.image);
+
+    const report = await integrity.verifyMetadataIntegrity(cidV0, decentralizedServices(storage, { [cidV0]: metadata }));
+    expect(report).to.include({ verified: true, mode: integrity.HASH_MODES.CONTENT, contentHash: report.registeredHash });
+    expect(report.checks.map(check => [check.id, check.passed])).to.deep.equal([["fetched", true], ["registered", true], ["hash", true]]);
+    expect(integrity.formatIntegrityReport(report).split("\n")).to.deep.equal([
+      "Metadata verified",
+      "✅ Metadata fetched from IPFS and canonicalised",
+      `✅ Registered as ${cidV1}`,
+      "✅ The registered hash matches the metadata content"
+    ]);
+  });
+
+  it("reports which check failed", async function () {
+    const { storage, alice } = await loadFixture(deployFixture);
+    const hash = await integrity.hashMetadata(metadata);
+    await storage.connect(alice).storeMetadata(cids.toCompactCid(cidV1), `0x${hash}`, metadata.name, metadata.image);
+
+    const substituted = await integrity.verifyMetadataIntegrity(cidV1, decentralizedServices(storage, { [cidV1]: { ...metadata, name: "Substitute" } }));
+    expect(substituted).to.include({ verified: false, mode: null });
+    expect(substituted.checks[2]).to.deep.equal({
+      id: "hash",
+      passed: false,
+      detail: `The registered hash ${hash} does not match the content hash ${substituted.contentHash}`
+    });
+
+    const unregistered = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+    const missing = await integrity.verifyMetadataIntegrity(unregistered, decentralizedServices(storage, { [unregistered]: metadata }));
+    expect(missing.checks.map(check => [check.id, check.passed])).to.deep.equal([["fetched", true], ["registered", false], ["hash", null]]);
+
+    const unreachable = await integrity.verifyMetadataIntegrity(cidV1, decentralizedServices(storage, {}));
+    expect(unreachable.verified).to.equal(false);
+    expect(unreachable.checks[0]).to.deep.equal({ id: "fetched", passed: false, detail: "Metadata could not be fetched: Request timed out" });
+    expect(unreachable.checks[2].passed).to.equal(null);
+    expect(integrity.formatIntegrityReport(unreachable)).to.match(/^Metadata verification failed\n❌ Metadata could not be fetched/);
+  });
+
+  it("recognises entries hashed from the CID string", async function () {
+    const { storage, alice } = await loadFixture(deployFixture);
+    // Entries registered before content hashing hold the hash of the CID string in the form it
+    // was registered in, which the contract does not keep
+    await storage.connect(alice).storeMetadata(cids.toCompactCid(cidV0), `0x${sha256(cidV0)}`, metadata.name, metadata.image);
+
+    const report = await integrity.verifyMetadataIntegrity(cidV1, decentralizedServices(storage, { [cidV1]: metadata }));
+    expect(report).to.include({ verified: true, mode: integrity.HASH_MODES.LEGACY_CID, registeredHash: sha256(cidV0) });
+    expect(report.checks[2].detail).to.match(/legacy hash of the CID string/);
+    expect(integrity.formatIntegrityReport(report)).to.match(/^Metadata verified \(legacy CID hash\)/);
+  });
+
+  it("verifies through hash lookups on the legacy contract", async function () {
+    const { legacy, alice } = await loadFixture(deployFixture);
+    const other = "bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e";
+    await legacy.connect(alice).storeCID(cidV1, await integrity.hashMetadata(metadata));
+    await legacy.connect(alice).storeCID(other, sha256(other));
+
+    const content = await integrity.verifyMetadataIntegrity(cidV0, legacyServices(legacy, { [cidV0]: metadata }));
+    expect(content).to.include({ verified: true, mode: integrity.HASH_MODES.CONTENT, registeredHash: null });
+    expect(content.checks.map(check => check.id)).to.deep.equal(["fetched", "hash"]);
+
+    const legacyHash = await integrity.verifyMetadataIntegrity(other, legacyServices(legacy, { [other]: metadata }));
+    expect(legacyHash).to.include({ verified: true, mode: integrity.HASH_MODES.LEGACY_CID });
+
+    const tampered = await integrity.verifyMetadataIntegrity(cidV1, legacyServices(legacy, { [cidV1]: { ...metadata, image: "ipfs://other" } }));
+    expect(tampered.verified).to.equal(false);
+    expect(tampered.checks[1].detail).to.equal("No hash registered for this CID matches the content or the CID");
+  });
+});
@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+
+describe("metadataSignature", function () {
+  let signatures;
+
+  const imageCid = "bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+  const metadata = {
+    name: "Waterfall",
+    description: "The secret level",
+    image: "ipfs://QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n",
+    attributes: [{ trait_type: "Level", value: 5 }]
+  };
+  const domainParams = { chainId: 31337, verifyingContract: "0x5FbDB2315678afecb367f032d93F642f64180aa3" };
+
+  before(async function () {
+    signatures = await import("../frontend/src/services/metadataSignature.js");
+  });
+
+  it("embeds an EIP-712 signature over the content hash, image CID and creator", async function () {
+    const creator = hre.ethers.Wallet.createRandom();
+    const signed = await signatures.signMetadata(metadata, { signer: creator, ...domainParams });
+    const record = signed[signatures.SIGNATURE_FIELD];
+
+    expect(signatures.stripSignature(signed)).to.deep.equal(metadata);
+    expect(record.standard).to.equal("EIP-712");
+    expect(record.domain).to.deep.equal({ name: "Xinete Metadata", version: "1", ...domainParams });
+    expect(record.message).to.deep.equal({
+      contentHash: await signatures.hashMetadataContent(metadata),
+      image: imageCid,
+      creator: creator.address
+    });
+    expect(hre.ethers.verifyTypedData(record.domain, signatures.AUTHORSHIP_TYPES, record.message, record.signature))
+      .to.equal(creator.address);
+
+    const report = await signatures.verifyMetadataSignature(signed);
+    expect(report).to.deep.include({ signed: true, valid: true, signer: creator.address, creator: creator.address, problems: [] });
+  });
+
+  it("hashes content regardless of key order and the signature itself", async function () {
+    const reordered = { attributes: metadata.attributes, image: metadata.image, description: metadata.description, name: metadata.name };
+    const hash = await signatures.hashMetadataContent(metadata);
+
+    expect(hash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await signatures.hashMetadataContent(reordered)).to.equal(hash);
+    expect(await signatures.hashMetadataContent({ ...metadata, [signatures.SIGNATURE_FIELD]: { signature: "0x" } })).to.equal(hash);
+    expect(await signatures.hashMetadataContent({ ...metadata, name: "Waterfall " })).to.not.equal(hash);
+
+    // Re-signing replaces the signature rather than covering it
+    const creator = hre.ethers.Wallet.createRandom();
+    const signed = await signatures.signMetadata(metadata, { signer: creator, ...domainParams });
+    const resigned = await signatures.signMetadata({ ...signed, name: "Renamed" }, { signer: creator, ...domainParams });
+    expect((await signatures.verifyMetadataSignature(resigned)).valid).to.equal(true);
+  });
+
+  it("reports tampered content, a swapped image and forged creators", async function () {
+    const creator = hre.ethers.Wallet.createRandom();
+    const signed = await signatures.signMetadata(metadata, { signer: creator, ...domainParams });
+    const record = signed[signatures.SIGNATURE_FIELD];
+
+    const unsigned = await signatures.verifyMetadataSignature(metadata);
+    expect(unsigned).to.include({ signed: false, valid: false });
+
+    const renamed = await signatures.verifyMetadataSignature({ ...signed, description: "Changed" });
+    expect(renamed.valid).to.equal(false);
+    expect(renamed.problems).to.deep.equal(["The metadata has changed since it was signed"]);
+
+    // The image is covered twice: by the content hash and as the signed image CID
+    const swapped = await signatures.verifyMetadataSignature({
+      ...signed,
+      image: "ipfs://bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e"
+    });
+    expect(swapped.problems).to.include("The image is not the one that was signed");
+
+    // Claiming someone else as creator does not survive recovery
+    const impostor = hre.ethers.Wallet.createRandom();
+    const forged = await signatures.verifyMetadataSignature({
+      ...signed,
+      [signatures.SIGNATURE_FIELD]: { ...record, message: { ...record.message, creator: impostor.address } }
+    });
+    expect(forged.valid).to.equal(false);
+    expect(forged.creator).to.equal(impostor.address);
+    expect(forged.signer).to.not.equal(impostor.address);
+
+    const garbled = await signatures.verifyMetadataSignature({
+      ...signed,
+      [signatures.SIGNATURE_FIELD]: { ...record, signature: "0x1234" }
+    });
+    expect(garbled.valid).to.equal(false);
+    expect(garbled.problems[0]).to.match(/^Invalid signature/);
+  });
+
+  it("recovers the account that owns the CID on chain", async function () {
+    const [, alice, bob] = await hre.ethers.getSigners();
+    const XineteDecentralizedStorage = await hre.ethers.getContractFactory("XineteDecentralizedStorage");
+    const storage = await XineteDecentralizedStorage.deploy();
+    await storage.waitForDeployment();
+    const { chainId } = await hre.ethers.provider.getNetwork();
+
+    const signed = await signatures.signMetadata(metadata, {
+      signer: alice,
+      chainId,
+      verifyingContract: await storage.getAddress()
+    });
+    const { toCompactCid } = await import("../frontend/src/services/cidUtils.js");
+    const metadataCid = toCompactCid("bafkreifzjut3te2nhyekklss27nh3k72ysco7y32koao5eei66wof36n5e");
+    await storage.connect(alice).storeMetadata(metadataCid, `0x${"ab".repeat(32)}`, metadata.name, metadata.image);
+
+    const report = await signatures.verifyMetadataSignature(signed);
+    expect(report.valid).to.equal(true);
+    expect(report.domain).to.include({ chainId: Number(chainId), verifyingContract: await storage.getAddress() });
+    expect(report.signer).to.equal(await storage.getMetadataOwner(metadataCid));
+    expect(report.signer).to.not.equal(bob.address);
+  });
+});
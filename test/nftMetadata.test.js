@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+
+describe("nftMetadata", function () {
+  let nftMetadata;
+
+  const image = "ipfs://bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+
+  before(async function () {
+    nftMetadata = await import("../frontend/src/services/nftMetadata.js");
+  });
+
+  const pathsOf = (metadata, options) => nftMetadata.validateMetadata(metadata, options).errors.map(error => error.path);
+
+  it("validates documents against each profile", function () {
+    const { METADATA_PROFILES } = nftMetadata;
+    const minimal = { name: "Waterfall", description: "Behind it", image };
+
+    Object.values(METADATA_PROFILES).forEach(profile => {
+      expect(nftMetadata.validateMetadata(minimal, { profile }).valid, profile).to.equal(true);
+      expect(pathsOf({ ...minimal, name: 7 }, { profile }), profile).to.deep.equal(["/name"]);
+      expect(pathsOf({ ...minimal, image: "not a uri" }, { profile }), profile).to.deep.equal(["/image"]);
+    });
+    expect(pathsOf("metadata")).to.deep.equal([""]);
+    expect(() => nftMetadata.getMetadataSchema("erc20")).to.throw("Unknown metadata profile");
+
+    // ERC-721 leaves other fields alone; OpenSea checks its extensions
+    const extended = { ...minimal, animation_url: "video.mp4", background_color: "#ffffff" };
+    expect(pathsOf(extended, { profile: METADATA_PROFILES.ERC721 })).to.deep.equal([]);
+    expect(pathsOf(extended)).to.deep.equal(["/animation_url", "/background_color"]);
+
+    expect(pathsOf({}, { required: ["name", "image"] })).to.deep.equal(["/name", "/image"]);
+    expect(pathsOf({ name: "", image }, { required: ["name", "image"] })).to.deep.equal(["/name"]);
+  });
+
+  it("checks typed attributes", function () {
+    const { DISPLAY_TYPES } = nftMetadata;
+    const attributes = [
+      { trait_type: "Base", value: "Starfish" },
+      { trait_type: "Level", value: 5, max_value: 10 },
+      { trait_type: "Stamina", value: 1.4, display_type: DISPLAY_TYPES.NUMBER },
+      { trait_type: "Speed", value: -10, display_type: DISPLAY_TYPES.BOOST_PERCENTAGE },
+      { trait_type: "Birthday", value: 1546360800, display_type: DISPLAY_TYPES.DATE },
+      { value: "untyped" }
+    ];
+    expect(nftMetadata.validateMetadata({ attributes }).errors).to.deep.equal([]);
+
+    const invalid = [
+      { trait_type: "Level", value: "five", display_type: DISPLAY_TYPES.NUMBER },
+      { trait_type: "Level", value: 11, max_value: 10 },
+      { trait_type: "Level", value: "11", max_value: 10 },
+      { trait_type: "Birthday", value: 1.5, display_type: DISPLAY_TYPES.DATE },
+      { trait_type: "Rank", value: 1, display_type: "ranking" },
+      { trait_type: "Missing" }
+    ];
+    expect(pathsOf({ attributes: invalid })).to.deep.equal([
+      "/attributes/0/value",
+      "/attributes/2/value",
+      "/attributes/3/value",
+      "/attributes/4/display_type",
+      "/attributes/5/value",
+      "/attributes/1/value"
+    ]);
+
+    const byPath = nftMetadata.getErrorsByPath(nftMetadata.validateMetadata({ attributes: invalid }).errors);
+    expect(byPath["/attributes/1/value"]).to.equal("must be at most max_value (10)");
+    expect(byPath["/attributes/3/value"]).to.equal("must be a Unix timestamp in seconds");
+  });
+
+  it("converts attributes between form input and metadata", function () {
+    const { DISPLAY_TYPES } = nftMetadata;
+    const cases = [
+      [{ trait_type: " Base ", value: " Starfish " }, { trait_type: "Base", value: "Starfish" }],
+      [{ trait_type: "Level", value: "5", display_type: DISPLAY_TYPES.NUMBER, max_value: "10" },
+        { trait_type: "Level", value: 5, display_type: "number", max_value: 10 }],
+      [{ trait_type: "Birthday", value: "2019-01-01", display_type: DISPLAY_TYPES.DATE },
+        { trait_type: "Birthday", value: 1546300800, display_type: "date" }],
+      // Kept as typed so validation can point at it
+      [{ trait_type: "Level", value: "five", display_type: DISPLAY_TYPES.NUMBER },
+        { trait_type: "Level", value: "five", display_type: "number" }]
+    ];
+
+    cases.forEach(([input, attribute]) => {
+      expect(nftMetadata.parseAttributeInput(input)).to.deep.equal(attribute);
+    });
+    expect(nftMetadata.toAttributeInput(cases[2][1])).to.deep.equal({
+      trait_type: "Birthday", value: "2019-01-01", display_type: "date", max_value: ""
+    });
+    expect(nftMetadata.toAttributeInput({ trait_type: "Level", value: 5, max_value: 10 })).to.deep.equal({
+      trait_type: "Level", value: "5", display_type: "", max_value: "10"
+    });
+
+    expect(nftMetadata.formatAttributeValue({ value: 5, max_value: 10 })).to.equal("5 of 10");
+    expect(nftMetadata.formatAttributeValue({ value: 10, display_type: DISPLAY_TYPES.BOOST_PERCENTAGE })).to.equal("+10%");
+    expect(nftMetadata.formatAttributeValue({ value: -3, display_type: DISPLAY_TYPES.BOOST_NUMBER })).to.equal("-3");
+    expect(nftMetadata.formatAttributeValue({ value: "Starfish" })).to.equal("Starfish");
+  });
+
+  it("builds metadata without empty optional fields", function () {
+    const metadata = nftMetadata.buildMetadata({
+      name: " Waterfall ",
+      description: "Behind it",
+      image,
+      externalUrl: "",
+      animationUrl: null,
+      backgroundColor: "#1A2B3C",
+      attributes: [{ trait_type: "", value: "" }, { trait_type: "Level", value: "5", display_type: "number" }],
+      properties: {}
+    }, { unlockable_content: image, external_url: "https://example.com", properties: { edition: 1 } });
+
+    expect(metadata).to.deep.equal({
+      name: "Waterfall",
+      description: "Behind it",
+      image,
+      background_color: "1A2B3C",
+      attributes: [{ trait_type: "Level", value: 5, display_type: "number" }],
+      unlockable_content: image
+    });
+    expect(Object.values(metadata)).to.not.include(null);
+    expect(nftMetadata.validateMetadata(metadata).valid).to.equal(true);
+
+    expect(nftMetadata.buildMetadata({ name: "Bare", attributes: [] })).to.deep.equal({ name: "Bare" });
+  });
+
+  it("validates ERC-1155 localization", function () {
+    const profile = nftMetadata.METADATA_PROFILES.ERC1155;
+    const localization = { uri: "ipfs://cid/{locale}.json", default: "en", locales: ["en", "es"] };
+
+    expect(pathsOf({ name: "Token", decimals: 0, localization }, { profile })).to.deep.equal([]);
+    expect(pathsOf({ decimals: -1, localization: { ...localization, uri: "ipfs://cid/en.json" } }, { profile }))
+      .to.deep.equal(["/decimals", "/localization/uri"]);
+    expect(pathsOf({ localization: { uri: "{locale}.json" } }, { profile }))
+      .to.deep.equal(["/localization/default", "/localization/locales"]);
+  });
+});
@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+
+describe("pinHealthMonitor", function () {
+  let health;
+
+  before(async function () {
+    health = await import("../frontend/src/services/pinHealthMonitor.js");
+  });
+
+  // Monitor over in-memory fakes: roots is the on-chain list, pinned the CIDs holding enough pins
+  function createFixture({ roots, links = {}, pinned = [], repairable = true, ...options }) {
+    const state = {
+      roots,
+      pinned: new Set(pinned),
+      repairable,
+      clock: 1000000,
+      timers: [],
+      repairs: [],
+      errors: []
+    };
+    const statusOf = (cid) => {
+      const complete = state.pinned.has(cid);
+      return {
+        replicas: complete ? 2 : 1,
+        target: 2,
+        complete,
+        providers: { "local-node": { status: "pinned" }, remote: { status: complete ? "pinned" : "failed", error: complete ? null : "down" } }
+      };
+    };
+    const monitor = health.createPinHealthMonitor({
+      listRoots: async () => state.roots,
+      resolveLinks: async (cid) => links[cid] || [],
+      checkStatus: async (cid) => statusOf(cid),
+      repair: async (cid) => {
+        state.repairs.push(cid);
+        if (state.repairable) {
+          state.pinned.add(cid);
+        }
+        return statusOf(cid);
+      },
+      now: () => state.clock,
+      setTimer: (callback, delay) => {
+        const timer = { callback, at: state.clock + delay };
+        state.timers.push(timer);
+        return timer;
+      },
+      clearTimer: (timer) => {
+        state.timers = state.timers.filter(t => t !== timer);
+      },
+      baseDelay: 1000,
+      maxDelay: 8000,
+      interval: 60000,
+      logError: (message, error) => state.errors.push(error.message),
+      ...options
+    });
+    return { monitor, state };
+  }
+
+  async function entryOf(monitor, cid) {
+    return (await monitor.getReport()).entries.find(entry => entry.cid === cid);
+  }
+
+  it("parses the image CID from ipfs://, /ipfs/ and gateway URIs", function () {
+    const cidV0 = "QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n";
+    const cidV1 = "bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+
+    expect(health.parseImageCid(`ipfs://${cidV1}`)).to.equal(cidV1);
+    expect(health.parseImageCid(`ipfs://${cidV1}/images/1.png`)).to.equal(cidV1);
+    expect(health.parseImageCid(`ipfs://ipfs/${cidV0}`)).to.equal(cidV1);
+    expect(health.parseImageCid(`/ipfs/${cidV1}?filename=a.png`)).to.equal(cidV1);
+    expect(health.parseImageCid(`https://gateway.example/ipfs/${cidV0}/a.png`)).to.equal(cidV1);
+    expect(health.parseImageCid("https://example.com/a.png")).to.equal(null);
+    expect(health.parseImageCid("ipfs://not-a-cid")).to.equal(null);
+    expect(health.parseImageCid(undefined)).to.equal(null);
+  });
+
+  it("doubles the retry delay up to the maximum", function () {
+    const options = { baseDelay: 1000, maxDelay: 5000 };
+    expect([1, 2, 3, 4].map(attempts => health.getRetryDelay(attempts, options))).to.deep.equal([1000, 2000, 4000, 5000]);
+  });
+
+  it("tracks registered CIDs with their images and repairs the ones missing pins", async function () {
+    const { monitor, state } = createFixture({
+      roots: ["bafymeta1", "bafymeta2"],
+      links: { bafymeta1: [{ cid: "bafyimage1", kind: "image" }] },
+      pinned: ["bafymeta1", "bafymeta2"]
+    });
+
+    await monitor.runOnce();
+
+    const report = await monitor.getReport();
+    expect(report.entries.map(entry => entry.cid).sort()).to.deep.equal(["bafyimage1", "bafymeta1", "bafymeta2"]);
+    expect(report.counts).to.include({ healthy: 3, degraded: 0, failed: 0 });
+    expect(state.repairs).to.deep.equal(["bafyimage1"]);
+
+    const image = await entryOf(monitor, "bafyimage1");
+    expect(image).to.include({ kind: "image", replicas: 2, target: 2, attempts: 0 });
+    expect(image.sources).to.deep.equal(["bafymeta1"]);
+  });
+
+  it("retries failed repairs with backoff and gives up after the maximum attempts", async function () {
+    const { monitor, state } = createFixture({ roots: ["bafymeta"], repairable: false, maxAttempts: 3 });
+
+    await monitor.runOnce();
+    let entry = await entryOf(monitor, "bafymeta");
+    expect(entry).to.include({ health: "degraded", attempts: 1, nextAttemptAt: state.clock + 1000 });
+    expect(entry.lastError).to.include("1 of 2");
+
+    // Not due yet
+    await monitor.runOnce({ check: false });
+    expect(state.repairs).to.have.length(1);
+
+    state.clock += 1000;
+    await monitor.runOnce({ check: false });
+    entry = await entryOf(monitor, "bafymeta");
+    expect(entry).to.include({ attempts: 2, nextAttemptAt: state.clock + 2000 });
+
+    state.clock += 2000;
+    await monitor.runOnce();
+    entry = await entryOf(monitor, "bafymeta");
+    expect(entry).to.include({ health: "failed", attempts: 3, nextAttemptAt: null });
+
+    // Failed CIDs are left alone until retried by hand
+    state.clock += 60000;
+    await monitor.runOnce();
+    expect(state.repairs).to.have.length(3);
+
+    state.repairable = true;
+    await monitor.retry("bafymeta");
+    entry = await entryOf(monitor, "bafymeta");
+    expect(entry).to.include({ health: "healthy", attempts: 0, lastError: null });
+  });
+
+  it("stops tracking CIDs removed on chain", async function () {
+    const { monitor, state } = createFixture({
+      roots: ["bafykeep", "bafygone"],
+      links: { bafykeep: [{ cid: "bafyshared", kind: "image" }], bafygone: [{ cid: "bafyshared", kind: "image" }, { cid: "bafyonly", kind: "image" }] },
+      pinned: ["bafykeep", "bafygone", "bafyshared", "bafyonly"]
+    });
+
+    await monitor.runOnce();
+    expect((await entryOf(monitor, "bafyshared")).sources).to.deep.equal(["bafykeep", "bafygone"]);
+
+    state.roots = ["bafykeep"];
+    await monitor.runOnce();
+    const cids = (await monitor.getReport()).entries.map(entry => entry.cid).sort();
+    expect(cids).to.deep.equal(["bafykeep", "bafyshared"]);
+    expect((await entryOf(monitor, "bafyshared")).sources).to.deep.equal(["bafykeep"]);
+  });
+
+  it("keeps the health of a CID whose status cannot be read", async function () {
+    let reachable = true;
+    const monitor = health.createPinHealthMonitor({
+      listRoots: async () => ["bafymeta"],
+      checkStatus: async () => {
+        if (!reachable) {
+          throw new Error("node offline");
+        }
+        return { replicas: 1, target: 1, complete: true, providers: {} };
+      },
+      repair: async () => {
+        throw new Error("should not repair");
+      }
+    });
+
+    await monitor.runOnce();
+    reachable = false;
+    await monitor.runOnce();
+
+    const entry = await entryOf(monitor, "bafymeta");
+    expect(entry.health).to.equal("healthy");
+    expect(entry.lastError).to.include("node offline");
+  });
+
+  it("records a failed run without losing the tracked CIDs", async function () {
+    let chainUp = true;
+    const errors = [];
+    const monitor = health.createPinHealthMonitor({
+      listRoots: async () => {
+        if (!chainUp) {
+          throw new Error("RPC unavailable");
+        }
+        return ["bafymeta"];
+      },
+      checkStatus: async () => ({ replicas: 1, target: 1, complete: true, providers: {} }),
+      repair: async () => null,
+      logError: (message, error) => errors.push(`${message} ${error.message}`)
+    });
+
+    await monitor.runOnce();
+    chainUp = false;
+    await monitor.runOnce();
+
+    const report = await monitor.getReport();
+    expect(report.lastError).to.equal("RPC unavailable");
+    expect(report.entries).to.have.length(1);
+    expect(errors).to.deep.equal(["Pin health check failed: RPC unavailable"]);
+  });
+
+  it("schedules the next wake-up at the next check or the earliest queued repair", async function () {
+    const { monitor, state } = createFixture({ roots: ["bafymeta"], repairable: false });
+    const reports = [];
+    monitor.subscribe(report => reports.push(report));
+
+    await monitor.start();
+    expect(state.timers).to.have.length(1);
+    expect(state.timers[0].at).to.equal(state.clock);
+
+    await state.timers.shift().callback();
+    // The failed repair is retried before the next full check
+    expect(state.timers).to.have.length(1);
+    expect(state.timers[0].at).to.equal(state.clock + 1000);
+    expect(reports[reports.length - 1]).to.include({ running: true });
+
+    state.clock += 1000;
+    await state.timers.shift().callback();
+    expect(state.repairs).to.have.length(2);
+    expect(state.timers[0].at).to.equal(state.clock + 2000);
+
+    monitor.stop();
+    expect(state.timers).to.have.length(0);
+    expect((await monitor.getReport()).running).to.equal(false);
+  });
+});
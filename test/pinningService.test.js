@@ -0,0 +1,267 @@
+const { expect } = require("chai");
+const { createMockPinningServer } = require("../scripts/mock-pinning-service");
+
+describe("pinningService", function () {
+  let pinning;
+  let storeModule;
+  const servers = [];
+
+  before(async function () {
+    pinning = await import("../frontend/src/services/pinningService.js");
+    storeModule = await import("../frontend/src/services/indexedDbStore.js");
+  });
+
+  after(async function () {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+  });
+
+  async function startService(options = {}) {
+    const server = createMockPinningServer({ accessToken: "secret", ...options });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    servers.push(server);
+    return { server, endpoint: `http://127.0.0.1:${server.address().port}` };
+  }
+
+  async function expectRejection(promise, message) {
+    let error;
+    try {
+      await promise;
+    } catch (e) {
+      error = e;
+    }
+    expect(error, "expected a rejection").to.be.an("error");
+    expect(error.message).to.include(message);
+    return error;
+  }
+
+  describe("Pinning Services API provider", function () {
+    it("pins, reports status and unpins through /pins", async function () {
+      const { server, endpoint } = await startService({ pinDelay: 50 });
+      const provider = pinning.createPinningServiceProvider({ name: "mock", endpoint, accessToken: "secret" });
+
+      const pinned = await provider.pin("bafyone", { name: "One", origins: ["/dns4/node.example/tcp/4001/p2p/12D3KooW"] });
+      expect(pinned.status).to.equal(pinning.PIN_STATUS.QUEUED);
+      expect(pinned.requestId).to.be.a("string");
+      expect([...server.pins.values()][0].pin).to.deep.equal({
+        cid: "bafyone",
+        name: "One",
+        origins: ["/dns4/node.example/tcp/4001/p2p/12D3KooW"]
+      });
+
+      await new Promise(resolve => setTimeout(resolve, 60));
+      expect(await provider.getStatus("bafyone")).to.deep.equal({ status: "pinned", requestId: pinned.requestId });
+
+      await provider.unpin("bafyone");
+      expect(await provider.getStatus("bafyone")).to.deep.equal({ status: "unpinned", requestId: null });
+      expect(server.pins.size).to.equal(0);
+    });
+
+    it("surfaces API errors with their reason", async function () {
+      const { endpoint } = await startService();
+      const provider = pinning.createPinningServiceProvider({ name: "mock", endpoint, accessToken: "wrong" });
+
+      const error = await expectRejection(provider.pin("bafyone"), "UNAUTHORIZED");
+      expect(error.status).to.equal(401);
+    });
+  });
+
+  describe("IPFS node provider", function () {
+    // pin/ls as the node answers it: the whole request fails if any path is not pinned
+    function createFakeNode(pins, calls = []) {
+      return {
+        pin: {
+          ls: ({ paths }) => {
+            calls.push(paths);
+            const missing = paths.find(path => !pins[path]);
+            if (missing) {
+              throw new Error(`path '${missing}' is not pinned`);
+            }
+            return (async function* () {
+              for (const path of paths) {
+                yield { cid: { toString: () => path }, type: pins[path] };
+              }
+            })();
+          }
+        }
+      };
+    }
+
+    it("reports pin status and type for a batch of CIDs", async function () {
+      const calls = [];
+      const node = createFakeNode({ bafyrec: "recursive", bafyind: "indirect through bafyrec", bafydir: "direct" }, calls);
+      const provider = pinning.createNodeProvider({ getClient: () => node });
+
+      const statuses = await provider.getStatuses(["bafyrec", "bafynone", "bafyind", "bafydir"]);
+
+      expect(Object.fromEntries([...statuses].map(([cid, { status, type }]) => [cid, `${status}/${type}`]))).to.deep.equal({
+        bafyrec: "pinned/recursive",
+        bafynone: "unpinned/null",
+        bafyind: "pinned/indirect",
+        bafydir: "pinned/direct"
+      });
+      expect(calls).to.deep.equal([["bafyrec", "bafynone", "bafyind", "bafydir"], ["bafyrec", "bafyind", "bafydir"]]);
+    });
+
+    it("fails instead of reporting unpinned when the node cannot be reached", async function () {
+      const node = { pin: { ls: () => { throw new Error("connect ECONNREFUSED 127.0.0.1:5001"); } } };
+      const provider = pinning.createNodeProvider({ getClient: () => node });
+
+      await expectRejection(provider.getStatus("bafyrec"), "ECONNREFUSED");
+    });
+  });
+
+  describe("inspection", function () {
+    it("inspects a batch of CIDs with one status request per service", async function () {
+      const { endpoint } = await startService();
+      let requests = 0;
+      const fetchImpl = (...args) => {
+        requests++;
+        return fetch(...args);
+      };
+      const service = pinning.createPinningServiceProvider({ name: "remote", endpoint, accessToken: "secret", fetchImpl });
+      const node = {
+        name: "local-node",
+        getStatuses: async (cids) => new Map(cids.map(cid => [cid, cid === "bafyone"
+          ? { status: "pinned", type: "recursive", requestId: null }
+          : { status: "unpinned", type: null, requestId: null }]))
+      };
+      await service.pin("bafytwo");
+      requests = 0;
+
+      const replicator = pinning.createPinReplicator({ providers: [node, service] });
+      const inspections = await replicator.inspect(["bafyone", "bafytwo", "bafythree", "bafyone"]);
+
+      expect(requests).to.equal(1);
+      expect(Object.keys(inspections)).to.deep.equal(["bafyone", "bafytwo", "bafythree"]);
+      expect(inspections.bafyone).to.include({ pinned: true, type: "recursive", replicas: 1, target: 2, complete: false });
+      expect(inspections.bafytwo).to.include({ pinned: true, type: null, replicas: 1 });
+      expect(inspections.bafytwo.providers.remote.status).to.equal("pinned");
+      expect(inspections.bafythree).to.include({ pinned: false, replicas: 0 });
+      expect(inspections.bafythree.providers).to.deep.equal({
+        "local-node": { status: "unpinned", type: null, error: null },
+        remote: { status: "unpinned", type: null, error: null }
+      });
+    });
+
+    it("tells an unreachable provider apart from a missing pin", async function () {
+      const offline = { name: "local-node", getStatus: async () => { throw new Error("IPFS node offline"); } };
+      const empty = { name: "remote", getStatus: async () => ({ status: "unpinned", requestId: null }) };
+      const replicator = pinning.createPinReplicator({ providers: [offline, empty] });
+
+      const { bafyone } = await replicator.inspect(["bafyone"]);
+
+      expect(bafyone.pinned).to.equal(null);
+      expect(bafyone.providers["local-node"]).to.deep.equal({ status: "unreachable", type: null, error: "IPFS node offline" });
+      expect(bafyone.providers.remote.status).to.equal("unpinned");
+      // Unreachable is never stored as a status
+      expect((await replicator.getStatus("bafyone")).providers["local-node"].status).to.equal(undefined);
+    });
+  });
+
+  describe("replication", function () {
+    it("pins on providers in order until the target is met and records each status", async function () {
+      const first = await startService();
+      const second = await startService();
+      const third = await startService();
+      const providers = [first, second, third].map(({ endpoint }, i) =>
+        pinning.createPinningServiceProvider({ name: `service-${i + 1}`, endpoint, accessToken: "secret" }));
+      const replicator = pinning.createPinReplicator({ providers, replicas: 2 });
+
+      const status = await replicator.replicate("bafytwo", { name: "Two" });
+
+      expect(status).to.include({ replicas: 2, target: 2, complete: true });
+      expect(Object.keys(status.providers)).to.deep.equal(["service-1", "service-2"]);
+      expect(third.server.pins.size).to.equal(0);
+    });
+
+    it("moves on to the next provider when one fails", async function () {
+      const healthy = await startService();
+      const spare = await startService();
+      const providers = [
+        pinning.createPinningServiceProvider({ name: "broken", endpoint: healthy.endpoint, accessToken: "wrong" }),
+        pinning.createPinningServiceProvider({ name: "healthy", endpoint: healthy.endpoint, accessToken: "secret" }),
+        pinning.createPinningServiceProvider({ name: "spare", endpoint: spare.endpoint, accessToken: "secret" })
+      ];
+      const store = storeModule.createMemoryStore();
+      const warnings = [];
+      const logWarn = (message, error) => warnings.push(`${message} ${error.message}`);
+      const replicator = pinning.createPinReplicator({ providers, replicas: 2, store, logWarn });
+
+      const status = await replicator.replicate("bafythree");
+      expect(warnings).to.have.length(1);
+      expect(warnings[0]).to.match(/^Pinning bafythree on broken failed: .*UNAUTHORIZED/);
+      expect(status).to.include({ replicas: 2, complete: true });
+      expect(status.providers.broken).to.include({ status: "failed" });
+      expect(status.providers.broken.error).to.include("UNAUTHORIZED");
+      expect(status.providers.healthy).to.include({ status: "pinned" });
+
+      // Status survives in the store
+      expect((await replicator.getStatus("bafythree")).providers.spare.status).to.equal("pinned");
+      expect(await replicator.getAllStatuses()).to.have.length(1);
+    });
+
+    it("retries failed providers without pinning again where the pin was accepted", async function () {
+      const calls = { flaky: 0, steady: 0 };
+      const providers = ["flaky", "steady"].map(name => ({
+        name,
+        pin: async () => {
+          if (++calls[name] === 1 && name === "flaky") {
+            throw new Error("service unavailable");
+          }
+          return { status: "pinned", requestId: null };
+        }
+      }));
+      const warnings = [];
+      const replicator = pinning.createPinReplicator({
+        providers,
+        logWarn: (message, error) => warnings.push(`${message} ${error.message}`)
+      });
+
+      expect(await replicator.replicate("bafyretry")).to.include({ replicas: 1, complete: false });
+      expect(await replicator.replicate("bafyretry")).to.include({ replicas: 2, complete: true });
+      expect(calls).to.deep.equal({ flaky: 2, steady: 1 });
+      expect(warnings).to.deep.equal(["Pinning bafyretry on flaky failed: service unavailable"]);
+    });
+
+    it("reports an incomplete replication and refreshes statuses from the providers", async function () {
+      const { endpoint } = await startService({ failCids: ["bafyfour"] });
+      const providers = [
+        pinning.createPinningServiceProvider({ name: "only", endpoint, accessToken: "secret" })
+      ];
+      const replicator = pinning.createPinReplicator({ providers });
+
+      expect(await replicator.replicate("bafyfour")).to.include({ replicas: 0, target: 1, complete: false });
+      const refreshed = await replicator.refresh("bafyfour");
+      expect(refreshed.providers.only.status).to.equal("failed");
+    });
+
+    it("finds pins made outside the replicator when refreshing", async function () {
+      const { endpoint } = await startService();
+      const provider = pinning.createPinningServiceProvider({ name: "remote", endpoint, accessToken: "secret" });
+      await provider.pin("bafyelsewhere");
+      const replicator = pinning.createPinReplicator({ providers: [provider] });
+
+      const refreshed = await replicator.refresh("bafyelsewhere");
+      expect(refreshed).to.include({ replicas: 1, complete: true });
+      expect(refreshed.providers.remote.status).to.equal("pinned");
+    });
+
+    it("unpins from every provider", async function () {
+      const a = await startService();
+      const b = await startService();
+      const providers = [a, b].map(({ endpoint }, i) =>
+        pinning.createPinningServiceProvider({ name: `p${i}`, endpoint, accessToken: "secret" }));
+      const replicator = pinning.createPinReplicator({ providers });
+
+      await replicator.replicate("bafyfive");
+      expect(await replicator.unpin("bafyfive")).to.deep.equal({ removed: true, errors: {} });
+      expect(a.server.pins.size + b.server.pins.size).to.equal(0);
+      expect(await replicator.getStatus("bafyfive")).to.equal(null);
+    });
+
+    it("rejects duplicate provider names", function () {
+      const provider = { name: "same", pin: async () => ({}) };
+      expect(() => pinning.createPinReplicator({ providers: [provider, provider] })).to.throw("unique");
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const nacl = require("tweetnacl");
+
+describe("unlockableContent", function () {
+  let unlockable;
+
+  before(async function () {
+    unlockable = await import("../frontend/src/services/unlockableContent.js");
+  });
+
+  const content = new TextEncoder().encode("The secret level is behind the waterfall");
+
+  // Wallet that signs like an injected wallet (RFC 6979, so the same message gives the same signature)
+  function createSigningWallet(account = ethers.Wallet.createRandom()) {
+    return {
+      address: account.address,
+      signMessage: (message) => account.signMessage(message)
+    };
+  }
+
+  // Wallet that answers eth_getEncryptionPublicKey and eth_decrypt the way MetaMask does
+  function createEncryptionWallet(address = ethers.Wallet.createRandom().address) {
+    const keyPair = nacl.box.keyPair();
+    return {
+      address,
+      getEncryptionPublicKey: async () => Buffer.from(keyPair.publicKey).toString("base64"),
+      decrypt: async ({ version, nonce, ephemPublicKey, ciphertext }) => {
+        expect(version).to.equal("x25519-xsalsa20-poly1305");
+        const plaintext = nacl.box.open(
+          Buffer.from(ciphertext, "base64"),
+          Buffer.from(nonce, "base64"),
+          Buffer.from(ephemPublicKey, "base64"),
+          keyPair.secretKey
+        );
+        if (!plaintext) {
+          throw new Error("Decryption failed");
+        }
+        return Buffer.from(plaintext).toString("utf8");
+      }
+    };
+  }
+
+  async function expectRejection(promise, code) {
+    let error;
+    try {
+      await promise;
+    } catch (e) {
+      error = e;
+    }
+    expect(error, "expected a rejection").to.be.an("error");
+    expect(error.code).to.equal(code);
+    return error;
+  }
+
+  it("writes the documented envelope layout", async function () {
+    const wallet = createSigningWallet();
+    const envelope = await unlockable.encryptContent(content, { wallet, name: "secret.txt", type: "text/plain" });
+
+    expect(Buffer.from(envelope.subarray(0, 4)).toString("ascii")).to.equal("XENC");
+    expect(envelope[4]).to.equal(1);
+    const headerLength = Buffer.from(envelope).readUInt32BE(5);
+    const header = JSON.parse(Buffer.from(envelope.subarray(9, 9 + headerLength)).toString("utf8"));
+    // AES-GCM adds a 16-byte tag to the ciphertext
+    expect(envelope.length).to.equal(9 + headerLength + content.length + 16);
+
+    expect(header).to.deep.equal(unlockable.readEnvelopeHeader(envelope));
+    expect(header).to.include({
+      cipher: "AES-256-GCM",
+      recipient: wallet.address.toLowerCase(),
+      name: "secret.txt",
+      type: "text/plain",
+      size: content.length
+    });
+    expect(Buffer.from(header.iv, "base64")).to.have.length(12);
+    expect(header.key.method).to.equal("eth-signature-hkdf-sha256");
+    expect(Buffer.from(header.key.salt, "base64")).to.have.length(32);
+    expect(Buffer.from(header.key.iv, "base64")).to.have.length(12);
+    // 32-byte key plus the GCM tag
+    expect(Buffer.from(header.key.wrappedKey, "base64")).to.have.length(48);
+  });
+
+  it("round-trips content with a signature-derived key", async function () {
+    const wallet = createSigningWallet();
+    const messages = [];
+    const recordingWallet = {
+      ...wallet,
+      signMessage: (message) => {
+        messages.push(message);
+        return wallet.signMessage(message);
+      }
+    };
+
+    const envelope = await unlockable.encryptContent(new Blob([content]), { wallet: recordingWallet, type: "text/plain" });
+    const decrypted = await unlockable.decryptContent(envelope, { wallet: recordingWallet });
+
+    expect(Buffer.from(decrypted.data).toString("utf8")).to.equal("The secret level is behind the waterfall");
+    expect(decrypted).to.include({ type: "text/plain", size: content.length });
+    expect(messages).to.deep.equal([
+      unlockable.getKeyDerivationMessage(wallet.address),
+      unlockable.getKeyDerivationMessage(wallet.address)
+    ]);
+    expect(messages[0]).to.include(`Account: ${wallet.address.toLowerCase()}`);
+  });
+
+  it("derives a different key for every file", async function () {
+    const wallet = createSigningWallet();
+    const first = unlockable.readEnvelopeHeader(await unlockable.encryptContent(content, { wallet }));
+    const second = unlockable.readEnvelopeHeader(await unlockable.encryptContent(content, { wallet }));
+
+    expect(first.key.salt).to.not.equal(second.key.salt);
+    expect(first.key.wrappedKey).to.not.equal(second.key.wrappedKey);
+  });
+
+  it("round-trips content with the wallet's encryption public key", async function () {
+    const wallet = createEncryptionWallet();
+    const envelope = await unlockable.encryptContent(content, { wallet, method: unlockable.KEY_WRAPPING.PUBLIC_KEY });
+
+    const { key } = unlockable.readEnvelopeHeader(envelope);
+    expect(key.method).to.equal("x25519-xsalsa20-poly1305");
+    expect(key.encryptedKey).to.have.all.keys("version", "nonce", "ephemPublicKey", "ciphertext");
+
+    const decrypted = await unlockable.decryptContent(envelope, { wallet });
+    expect(Buffer.from(decrypted.data)).to.deep.equal(Buffer.from(content));
+  });
+
+  it("only unlocks for the owner's wallet", async function () {
+    const owner = ethers.Wallet.createRandom();
+    const envelope = await unlockable.encryptContent(content, { wallet: createSigningWallet(owner) });
+
+    const stranger = createSigningWallet();
+    const error = await expectRejection(unlockable.decryptContent(envelope, { wallet: stranger }), "NOT_RECIPIENT");
+    expect(error.message).to.include(owner.address.toLowerCase());
+
+    // Claiming the owner's address without the owner's key does not help
+    const impostor = { ...stranger, address: owner.address };
+    await expectRejection(unlockable.decryptContent(envelope, { wallet: impostor }), "DECRYPTION_FAILED");
+
+    const other = createEncryptionWallet(owner.address);
+    const publicKeyEnvelope = await unlockable.encryptContent(content, { wallet: other, method: unlockable.KEY_WRAPPING.PUBLIC_KEY });
+    await expectRejection(
+      unlockable.decryptContent(publicKeyEnvelope, { wallet: createEncryptionWallet(owner.address) }),
+      "DECRYPTION_FAILED"
+    );
+  });
+
+  it("detects a tampered header or ciphertext", async function () {
+    const wallet = createSigningWallet();
+    const envelope = await unlockable.encryptContent(content, { wallet, name: "secret.txt" });
+    const headerLength = Buffer.from(envelope).readUInt32BE(5);
+
+    const renamed = Buffer.from(envelope);
+    const nameOffset = renamed.indexOf("secret.txt");
+    renamed.write("SECRET.txt", nameOffset);
+    await expectRejection(unlockable.decryptContent(new Uint8Array(renamed), { wallet }), "DECRYPTION_FAILED");
+
+    const flipped = new Uint8Array(envelope);
+    flipped[9 + headerLength] ^= 1;
+    await expectRejection(unlockable.decryptContent(flipped, { wallet }), "DECRYPTION_FAILED");
+  });
+
+  it("rejects data that is not an envelope", async function () {
+    const wallet = createSigningWallet();
+    await expectRejection(unlockable.decryptContent(content, { wallet }), "INVALID_ENVELOPE");
+
+    const envelope = await unlockable.encryptContent(content, { wallet });
+    const future = new Uint8Array(envelope);
+    future[4] = 2;
+    await expectRejection(unlockable.decryptContent(future, { wallet }), "INVALID_ENVELOPE");
+    await expectRejection(unlockable.decryptContent(envelope.subarray(0, 20), { wallet }), "INVALID_ENVELOPE");
+  });
+
+  it("reads the unlockable CID from metadata", function () {
+    const cidV0 = "QmdfTbBqBPQ7VNxZEYEj14VmRuZBkqFbiwReogJgS1zR1n";
+    const cidV1 = "bafybeihdwdcefgh4dqkjv67uzcmw7ojee6xedzdetojuzjevtenxquvyku";
+
+    expect(unlockable.getUnlockableCid({ unlockable_content: `ipfs://${cidV0}` })).to.equal(cidV1);
+    expect(unlockable.getUnlockableCid({ unlockable_content: "https://example.com/secret" })).to.equal(null);
+    expect(unlockable.getUnlockableCid({ name: "No secrets" })).to.equal(null);
+  });
+});